@@ -27,6 +27,10 @@ struct Email: Codable, Identifiable, Equatable {
     /// Raw email headers for additional parsing if needed
     let rawHeaders: EmailHeaders?
 
+    /// Mailing list name from the List-Id header (e.g. "Deals"), when the sender
+    /// runs several lists. The card stands for this list, not the whole sender.
+    var listName: String? = nil
+
     /// Computed preview text (first 150 characters of subject or a default message)
     var preview: String {
         if subject.isEmpty {
@@ -47,11 +51,14 @@ struct EmailHeaders: Codable, Equatable {
     let listUnsubscribe: String?
     /// RFC 8058 one-click unsubscribe header (indicates reliable unsubscribe support)
     let listUnsubscribePost: String?
+    /// RFC 2919 List-Id header identifying the mailing list
+    var listId: String? = nil
 
     enum CodingKeys: String, CodingKey {
         case from
         case listUnsubscribe = "listUnsubscribe"
         case listUnsubscribePost = "listUnsubscribePost"
+        case listId = "listId"
     }
 }
 
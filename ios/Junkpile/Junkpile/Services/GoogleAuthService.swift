@@ -37,6 +37,7 @@ final class GoogleAuthService: NSObject, ObservableObject {
         "https://www.googleapis.com/auth/gmail.readonly",
         "https://www.googleapis.com/auth/gmail.modify",
         "https://www.googleapis.com/auth/gmail.send",       // Required for mailto-based unsubscribe
+        "https://www.googleapis.com/auth/gmail.settings.basic", // Sender filters
         "email",
         "profile"
     ]
@@ -199,7 +200,8 @@ final class GoogleAuthService: NSObject, ObservableObject {
     private let gmailOnlyScopes = [
         "https://www.googleapis.com/auth/gmail.readonly",
         "https://www.googleapis.com/auth/gmail.modify",
-        "https://www.googleapis.com/auth/gmail.send"        // Required for mailto-based unsubscribe
+        "https://www.googleapis.com/auth/gmail.send",       // Required for mailto-based unsubscribe
+        "https://www.googleapis.com/auth/gmail.settings.basic" // Sender filters
     ]
 
     /// Connects Gmail for an Apple Sign-In user (two-step auth flow).
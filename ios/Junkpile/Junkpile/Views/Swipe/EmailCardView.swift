@@ -80,9 +80,12 @@ struct EmailCardView: View {
     // MARK: - Accessibility
 
     /// Composed accessibility label for the entire card, read as a single VoiceOver element.
-    /// Format: "Email from [sender]. Subject: [subject]."
+    /// Format: "Email from [sender]. List: [list]. Subject: [subject]."
     private var cardAccessibilityLabel: String {
         let subject = email.subject.isEmpty ? "No subject" : email.subject
+        if let listName = email.listName, !listName.isEmpty {
+            return "Email from \(email.sender). List: \(listName). Subject: \(subject)."
+        }
         return "Email from \(email.sender). Subject: \(subject)."
     }
 
@@ -121,6 +124,14 @@ struct EmailCardView: View {
                 .font(.headline)
                 .foregroundColor(.primary)
                 .lineLimit(1)
+
+            // Senders with several lists get a card per list — name the list
+            if let listName = email.listName, !listName.isEmpty {
+                Text(listName)
+                    .font(.subheadline)
+                    .foregroundColor(.secondary)
+                    .lineLimit(1)
+            }
         }
     }
 
@@ -365,6 +376,20 @@ extension String {
     .padding()
 }
 
+#Preview("Email Card - Mailing List") {
+    EmailCardView(email: Email(
+        id: "1",
+        sender: "Shop Co",
+        subject: "48 hours only: 30% off everything",
+        htmlBody: "<p>Our biggest sale of the season starts now.</p>",
+        snippet: "Our biggest sale of the season starts now.",
+        unsubscribeUrl: "https://example.com/unsubscribe",
+        rawHeaders: nil,
+        listName: "Weekly Deals"
+    ))
+    .padding()
+}
+
 #Preview("Email Card - Swiping Right") {
     EmailCardView(
         email: Email(
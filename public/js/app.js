@@ -153,6 +153,16 @@ class JunkpileApp {
         this.cardSender.textContent = email.sender;
         this.cardSubject.textContent = email.subject;
 
+        this.renderBody(email);
+        if (email.htmlBody === undefined) {
+            this.loadBody(email);
+        }
+
+        this.card.style.transform = 'translate(0, 0) rotate(0deg)';
+        this.card.style.opacity = '1';
+    }
+
+    renderBody(email) {
         // Render email body HTML in an iframe for proper isolation
         if (email.htmlBody) {
             const iframe = document.createElement('iframe');
@@ -163,9 +173,23 @@ class JunkpileApp {
         } else {
             this.cardBody.innerHTML = `<div style="padding: 20px; color: #666;">${email.preview || 'No preview available'}</div>`;
         }
+    }
 
-        this.card.style.transform = 'translate(0, 0) rotate(0deg)';
-        this.card.style.opacity = '1';
+    // Scan results come without the body; fetch it for the card being shown
+    async loadBody(email) {
+        try {
+            const response = await fetch(`/api/emails/${encodeURIComponent(email.id)}/body`);
+            const data = await response.json();
+            email.htmlBody = data.success ? data.htmlBody : '';
+        } catch (error) {
+            console.error('Error loading email body:', error);
+            return;
+        }
+
+        // Only redraw if the user hasn't swiped past this card meanwhile
+        if (this.emails[this.currentIndex] === email) {
+            this.renderBody(email);
+        }
     }
 
     addEnvelope(pile) {
@@ -0,0 +1,171 @@
+/**
+ * Unit tests for accountService — account deletion and token revocation.
+ *
+ * Token revocation runs against a local HTTP stub standing in for Google's
+ * revocation endpoint (via GOOGLE_REVOKE_URL). The stores and storage are
+ * stubbed so nothing touches the data/ directory.
+ *
+ * Tests cover:
+ *   - Revocation request format and error handling
+ *   - Which token gets revoked
+ *   - Erasure of user record, decisions, jobs, cached data and backups
+ *   - Erasure continues when revocation fails
+ */
+
+const http = require('http');
+const userStore = require('../userStore');
+const decisionStore = require('../decisionStore');
+const storage = require('../storage');
+const { deleteAccount, revokeGoogleToken } = require('../accountService');
+
+describe('accountService', () => {
+    let server;
+    let requests;
+    let stubStatus;
+
+    beforeAll(async () => {
+        // Local stand-in for https://oauth2.googleapis.com/revoke
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, body, contentType: req.headers['content-type'] });
+                res.writeHead(stubStatus, { 'Content-Type': 'application/json' });
+                res.end(stubStatus === 200 ? '{}' : JSON.stringify({ error: 'invalid_token' }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.GOOGLE_REVOKE_URL = `http://127.0.0.1:${server.address().port}/revoke`;
+    });
+
+    afterAll(async () => {
+        delete process.env.GOOGLE_REVOKE_URL;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        stubStatus = 200;
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(userStore, 'deleteUser').mockResolvedValue(true);
+        jest.spyOn(decisionStore, 'deleteOwnerData').mockResolvedValue({ sessions: 2, decisions: 7 });
+        jest.spyOn(storage, 'purgeBackups').mockResolvedValue(4);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('revokeGoogleToken', () => {
+        it('POSTs the token form-encoded', async () => {
+            const result = await revokeGoogleToken('refresh-123');
+
+            expect(result).toEqual({ revoked: true });
+            expect(requests).toEqual([{
+                method: 'POST',
+                body: 'token=refresh-123',
+                contentType: 'application/x-www-form-urlencoded'
+            }]);
+        });
+
+        it('reports Google\'s error for rejected tokens', async () => {
+            stubStatus = 400;
+            expect(await revokeGoogleToken('dead')).toEqual({ revoked: false, error: 'invalid_token' });
+        });
+    });
+
+    describe('deleteAccount', () => {
+        const unsubscribeQueue = {
+            purgeOwner: jest.fn()
+        };
+
+        beforeEach(() => {
+            unsubscribeQueue.purgeOwner.mockResolvedValue({ jobs: 1, deadLetters: 2, backups: 1 });
+        });
+
+        it('erases everything for a server user and returns a receipt', async () => {
+            const gmailTokens = { access_token: 'access', refresh_token: 'refresh' };
+            const user = {
+                id: 'u1',
+                mailboxes: [{ id: 'm1', provider: 'gmail', email: 'a@gmail.com', credentials: gmailTokens }]
+            };
+            const purgeCachedData = jest.fn().mockResolvedValue(3);
+
+            const receipt = await deleteAccount(
+                { ownerId: 'user:u1', user, authTokens: null },
+                { unsubscribeQueue, purgeCachedData }
+            );
+
+            // The stored refresh token is revoked, not the access token
+            expect(requests[0].body).toBe('token=refresh');
+            expect(unsubscribeQueue.purgeOwner).toHaveBeenCalledWith('user:u1');
+            expect(decisionStore.deleteOwnerData).toHaveBeenCalledWith('user:u1');
+            expect(purgeCachedData).toHaveBeenCalledWith('user:u1');
+            expect(userStore.deleteUser).toHaveBeenCalledWith('u1');
+            expect(storage.purgeBackups).toHaveBeenCalled();
+            expect(receipt).toEqual(expect.objectContaining({
+                userRecord: true,
+                sessions: 2,
+                decisions: 7,
+                pendingJobs: 1,
+                failedJobs: 2,
+                cachedEntries: 3,
+                backupsCleared: 5,
+                googleTokenRevoked: true,
+                googleRevokeError: null
+            }));
+        });
+
+        it('revokes the grant of every connected Gmail', async () => {
+            const user = {
+                id: 'u1',
+                mailboxes: [
+                    { id: 'm1', provider: 'gmail', credentials: { access_token: 'a1', refresh_token: 'r1' } },
+                    { id: 'm2', provider: 'imap', credentials: { password: 'secret' } },
+                    { id: 'm3', provider: 'gmail', credentials: { access_token: 'a3', refresh_token: null } }
+                ]
+            };
+
+            const receipt = await deleteAccount({ ownerId: 'user:u1', user, authTokens: null }, { unsubscribeQueue });
+
+            expect(requests.map(r => r.body)).toEqual(['token=r1', 'token=a3']);
+            expect(receipt.googleTokenRevoked).toBe(true);
+        });
+
+        it('revokes the access token for token-only callers', async () => {
+            const receipt = await deleteAccount(
+                { ownerId: 'google:a@example.com', user: null, authTokens: { access_token: 'access', refresh_token: null } },
+                { unsubscribeQueue }
+            );
+
+            expect(requests[0].body).toBe('token=access');
+            expect(userStore.deleteUser).not.toHaveBeenCalled();
+            expect(receipt.userRecord).toBe(false);
+        });
+
+        it('still erases data when revocation fails', async () => {
+            stubStatus = 400;
+
+            const receipt = await deleteAccount(
+                { ownerId: 'user:u1', user: { id: 'u1', mailboxes: [{ id: 'm1', provider: 'gmail', credentials: { refresh_token: 'dead' } }] }, authTokens: null },
+                { unsubscribeQueue }
+            );
+
+            expect(receipt.googleTokenRevoked).toBe(false);
+            expect(receipt.googleRevokeError).toBe('invalid_token');
+            expect(decisionStore.deleteOwnerData).toHaveBeenCalled();
+            expect(userStore.deleteUser).toHaveBeenCalledWith('u1');
+        });
+
+        it('skips revocation when no token is on file', async () => {
+            const receipt = await deleteAccount(
+                { ownerId: 'user:u1', user: { id: 'u1', mailboxes: [] }, authTokens: null },
+                { unsubscribeQueue }
+            );
+
+            expect(requests).toHaveLength(0);
+            expect(receipt.googleRevokeError).toMatch(/no google token/i);
+            expect(receipt.userRecord).toBe(true);
+        });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for confirmForm — finding confirmation forms on unsubscribe
+ * landing pages.
+ *
+ * Tests cover:
+ *   - Pages with nothing to confirm
+ *   - Collecting the fields a browser would submit, and resolving actions
+ *   - Pages that need the user (CAPTCHA, required fields, several forms,
+ *     script-driven buttons)
+ */
+
+const { findConfirmForm } = require('../confirmForm');
+
+const PAGE_URL = 'https://esp.example/u/abc?list=7';
+
+describe('findConfirmForm', () => {
+    it('finds nothing on pages without an unsubscribe form', () => {
+        expect(findConfirmForm('', PAGE_URL)).toBeNull();
+        expect(findConfirmForm('<p>You have been unsubscribed.</p>', PAGE_URL)).toBeNull();
+        expect(findConfirmForm('<form action="/search"><input name="q"><button>Search</button></form>', PAGE_URL)).toBeNull();
+    });
+
+    it('collects hidden, prefilled and checked fields plus the clicked button', () => {
+        const html = `
+            <form method="post" action="/u/confirm?id=1&amp;t=x">
+                <input type="hidden" name="token" value="s3cr&#101;t">
+                <input type="email" name="email" value="pat@example.com">
+                <input type="checkbox" name="all" value="1" checked>
+                <input type="checkbox" name="survey" value="1">
+                <select name="reason"><option>Too many</option></select>
+                <button type="submit" name="action" value="unsub">Unsubscribe</button>
+            </form>`;
+
+        expect(findConfirmForm(html, PAGE_URL)).toEqual({
+            form: {
+                method: 'POST',
+                action: 'https://esp.example/u/confirm?id=1&t=x',
+                fields: [['token', 's3cret'], ['email', 'pat@example.com'], ['all', '1'], ['action', 'unsub']]
+            }
+        });
+    });
+
+    it('submits forms without an action to the page itself, with GET by default', () => {
+        const html = '<form><input type="submit" value="Confirm"></form>';
+
+        expect(findConfirmForm(html, PAGE_URL)).toEqual({
+            form: { method: 'GET', action: PAGE_URL, fields: [] }
+        });
+    });
+
+    it('leaves pages with a CAPTCHA to the user', () => {
+        const html = '<form method="post"><div class="g-recaptcha"></div><button>Unsubscribe</button></form>';
+
+        expect(findConfirmForm(html, PAGE_URL)).toEqual({ manual: 'Page has a CAPTCHA' });
+    });
+
+    it('leaves forms with empty required fields to the user', () => {
+        const html = '<form method="post"><input type="email" name="email" required><button>Opt out</button></form>';
+
+        expect(findConfirmForm(html, PAGE_URL).manual).toMatch(/only the user/);
+    });
+
+    it('leaves pages with several unsubscribe forms to the user', () => {
+        const html = '<form><button>Unsubscribe from this list</button></form><form><button>Unsubscribe from all</button></form>';
+
+        expect(findConfirmForm(html, PAGE_URL)).toEqual({ manual: 'Page has several unsubscribe forms' });
+    });
+
+    it('leaves script-driven unsubscribe buttons to the user', () => {
+        const html = '<div id="app"><button onclick="unsub()">Confirm unsubscribe</button></div>';
+
+        expect(findConfirmForm(html, PAGE_URL)).toEqual({ manual: 'Unsubscribe button needs a browser' });
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * Unit tests for decisionStore — per-user sessions and decision history.
+ *
+ * The data file is replaced with an in-memory string by stubbing the
+ * jsonFile persistence module, so nothing touches data/decisions.json.
+ *
+ * Tests cover:
+ *   - Sessions and decisions are scoped to their owner
+ *   - Session start/complete lifecycle
+ *   - History paging with cursors and outcomes
+ *   - Erasing an owner's data
+ *   - Looking up decisions and listing sender filters
+ */
+
+const jsonFile = require('../storage/jsonFile');
+const decisionStore = require('../decisionStore');
+
+describe('decisionStore', () => {
+    let fileContents;
+
+    beforeEach(() => {
+        fileContents = JSON.stringify({ sessions: [] });
+        jest.spyOn(jsonFile, 'readJson').mockImplementation(async () => JSON.parse(fileContents));
+        jest.spyOn(jsonFile, 'writeJson').mockImplementation(async (file, data) => {
+            fileContents = JSON.stringify(data);
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('sessions', () => {
+        it('starts a session per owner and completes the previous one', async () => {
+            const first = await decisionStore.startSession('user:a');
+            const second = await decisionStore.startSession('user:a');
+
+            const sessions = await decisionStore.listSessions('user:a');
+            expect(sessions).toHaveLength(2);
+            expect(sessions.find(s => s.id === first.id).completed).toBe(true);
+            expect(sessions.find(s => s.id === second.id).completed).toBe(false);
+        });
+
+        it('does not complete other owners\' sessions', async () => {
+            const other = await decisionStore.startSession('user:b');
+            await decisionStore.startSession('user:a');
+
+            const session = await decisionStore.findSession('user:b', other.id);
+            expect(session.completed).toBe(false);
+        });
+
+        it('completes a session with a summary', async () => {
+            const session = await decisionStore.startSession('user:a');
+            await decisionStore.addDecision('user:a', { emailId: 'm1', decision: 'keep' });
+            await decisionStore.addDecision('user:a', { emailId: 'm2', decision: 'unsubscribe' });
+
+            const completed = await decisionStore.completeSession('user:a', session.id);
+
+            expect(completed.completed).toBe(true);
+            expect(completed.summary).toEqual({ totalDecisions: 2, unsubscribes: 1, keeps: 1 });
+        });
+
+        it('refuses to complete another owner\'s session', async () => {
+            const session = await decisionStore.startSession('user:a');
+            expect(await decisionStore.completeSession('user:b', session.id)).toBeNull();
+        });
+    });
+
+    describe('addDecision', () => {
+        it('opens a session for the owner when none is open', async () => {
+            const { decision, session } = await decisionStore.addDecision('user:a', {
+                emailId: 'm1', decision: 'keep'
+            });
+
+            expect(session.ownerId).toBe('user:a');
+            expect(decision.ownerId).toBe('user:a');
+        });
+
+        it('never appends to another owner\'s open session', async () => {
+            const other = await decisionStore.startSession('user:b');
+            const { session } = await decisionStore.addDecision('user:a', {
+                emailId: 'm1', decision: 'keep'
+            });
+
+            expect(session.id).not.toBe(other.id);
+        });
+
+        it('rejects completed or foreign sessions', async () => {
+            const session = await decisionStore.startSession('user:a');
+            await decisionStore.completeSession('user:a', session.id);
+
+            expect((await decisionStore.addDecision('user:a', { emailId: 'm1', decision: 'keep' }, session.id)).error)
+                .toBe('session-completed');
+            expect((await decisionStore.addDecision('user:b', { emailId: 'm1', decision: 'keep' }, session.id)).error)
+                .toBe('session-not-found');
+        });
+    });
+
+    describe('deleteOwnerData', () => {
+        it('erases only the owner\'s sessions and decisions', async () => {
+            await decisionStore.addDecision('user:a', { emailId: 'm1', decision: 'keep' });
+            await decisionStore.addDecision('user:a', { emailId: 'm2', decision: 'keep' });
+            await decisionStore.addDecision('user:b', { emailId: 'm3', decision: 'keep' });
+
+            expect(await decisionStore.deleteOwnerData('user:a')).toEqual({ sessions: 1, decisions: 2 });
+            expect(await decisionStore.listSessions('user:a')).toEqual([]);
+            expect(await decisionStore.listSessions('user:b')).toHaveLength(1);
+        });
+    });
+
+    describe('filters', () => {
+        it('finds only the owner\'s decisions', async () => {
+            const { decision } = await decisionStore.addDecision('user:a', {
+                emailId: 'm1', decision: 'unsubscribe', senderAddress: 'news@shop.example'
+            });
+
+            expect((await decisionStore.findDecision('user:a', decision.id)).senderAddress).toBe('news@shop.example');
+            expect(await decisionStore.findDecision('user:b', decision.id)).toBeNull();
+            expect(await decisionStore.findDecision('user:a', 'nope')).toBeNull();
+        });
+
+        it('lists the owner\'s filtered decisions, newest filter first', async () => {
+            const add = async (ownerId, emailId, createdAt) => {
+                const { decision } = await decisionStore.addDecision(ownerId, { emailId, decision: 'unsubscribe' });
+                if (createdAt) {
+                    await decisionStore.updateDecision(decision.id, (stored) => {
+                        stored.filter = { id: `f-${emailId}`, action: 'trash', createdAt };
+                    });
+                }
+            };
+            await add('user:a', 'm1', '2026-03-01T00:00:00.000Z');
+            await add('user:a', 'm2', null);
+            await add('user:a', 'm3', '2026-03-02T00:00:00.000Z');
+            await add('user:b', 'm4', '2026-03-03T00:00:00.000Z');
+
+            const filtered = await decisionStore.listFilters('user:a');
+
+            expect(filtered.map(d => d.filter.id)).toEqual(['f-m3', 'f-m1']);
+        });
+    });
+
+    describe('getHistory', () => {
+        beforeEach(async () => {
+            jest.useFakeTimers();
+            jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+            for (let i = 1; i <= 5; i++) {
+                jest.advanceTimersByTime(1000);
+                await decisionStore.addDecision('user:a', {
+                    id: `d${i}`,
+                    emailId: `m${i}`,
+                    sender: `Sender ${i}`,
+                    decision: i % 2 ? 'unsubscribe' : 'keep',
+                    status: i % 2 ? 'pending' : 'completed'
+                });
+            }
+            await decisionStore.addDecision('user:b', { emailId: 'x', decision: 'keep' });
+        });
+
+        it('returns only the owner\'s decisions, newest first', async () => {
+            const { decisions, nextCursor } = await decisionStore.getHistory('user:a');
+
+            expect(decisions.map(d => d.id)).toEqual(['d5', 'd4', 'd3', 'd2', 'd1']);
+            expect(decisions[0].sender).toBe('Sender 5');
+            expect(nextCursor).toBeNull();
+        });
+
+        it('pages with a cursor', async () => {
+            const page1 = await decisionStore.getHistory('user:a', { limit: 2 });
+            const page2 = await decisionStore.getHistory('user:a', { limit: 2, cursor: page1.nextCursor });
+            const page3 = await decisionStore.getHistory('user:a', { limit: 2, cursor: page2.nextCursor });
+
+            expect(page1.decisions.map(d => d.id)).toEqual(['d5', 'd4']);
+            expect(page2.decisions.map(d => d.id)).toEqual(['d3', 'd2']);
+            expect(page3.decisions.map(d => d.id)).toEqual(['d1']);
+            expect(page3.nextCursor).toBeNull();
+        });
+
+        it('reports the method and outcome of each decision', async () => {
+            await decisionStore.updateDecision('d1', (decision) => {
+                decision.status = 'completed';
+                decision.unsubscribeMethod = 'rfc8058';
+                decision.unsubscribeSuccess = true;
+            });
+
+            const { decisions } = await decisionStore.getHistory('user:a');
+            const byId = Object.fromEntries(decisions.map(d => [d.id, d]));
+
+            expect(byId.d1).toEqual(expect.objectContaining({ method: 'rfc8058', outcome: 'unsubscribed' }));
+            expect(byId.d1.unsubscribeOutcome).toBeNull();
+            expect(byId.d2.outcome).toBe('kept');
+            expect(byId.d3.outcome).toBe('pending');
+        });
+
+        it('reports expired links and login walls as outcomes', async () => {
+            await decisionStore.updateDecision('d1', (decision) => {
+                decision.status = 'completed';
+                decision.unsubscribeOutcome = 'login-required';
+            });
+
+            const { decisions } = await decisionStore.getHistory('user:a');
+
+            expect(decisions.find(d => d.id === 'd1')).toEqual(expect.objectContaining({
+                outcome: 'login-required',
+                unsubscribeOutcome: 'login-required'
+            }));
+        });
+
+        it('reports unsubscribes left for the user to confirm', async () => {
+            await decisionStore.updateDecision('d1', (decision) => {
+                decision.status = 'completed';
+                decision.manualUrl = 'https://lists.example.com/landing?u=1';
+            });
+
+            const { decisions } = await decisionStore.getHistory('user:a');
+
+            expect(decisions.find(d => d.id === 'd1')).toEqual(expect.objectContaining({
+                outcome: 'needs-manual',
+                manualUrl: 'https://lists.example.com/landing?u=1'
+            }));
+        });
+
+        it('reports senders that kept mailing after an unsubscribe', async () => {
+            await decisionStore.updateDecision('d1', (decision) => {
+                decision.status = 'completed';
+                decision.unsubscribeSuccess = true;
+                decision.verification = { status: 'still-sending', messagesSince: 2 };
+            });
+
+            const { decisions } = await decisionStore.getHistory('user:a');
+
+            expect(decisions.find(d => d.id === 'd1')).toEqual(expect.objectContaining({
+                outcome: 'still-sending',
+                verification: 'still-sending'
+            }));
+        });
+    });
+});
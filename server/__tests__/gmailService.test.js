@@ -6,6 +6,14 @@
  *   - RFC 8058 List-Unsubscribe-Post header detection
  *   - Email body fallback parsing
  *   - Backward-compatible primaryUrl selection
+ *   - List-Id (RFC 2919) parsing
+ *   - Paginated mailbox scan (nextPageToken, lookback window, sender cap)
+ *   - One card per subscription, aggregated across messages
+ *   - Metadata-only fetches with bounded concurrency, bodies on demand
+ *   - Incremental sync from the history API
+ *   - Cleaning up a sender's mail (read, archive, label, trash)
+ *   - Creating and deleting sender filters
+ *   - Counting a sender's mail for unsubscribe verification
  */
 
 const GmailService = require('../gmailService');
@@ -307,4 +315,436 @@ describe('GmailService', () => {
             expect(service.hasSendScope).toBe(true);
         });
     });
+
+    // =====================================================================
+    // parseListId — RFC 2919 List-Id
+    // =====================================================================
+    describe('parseListId', () => {
+        it('parses a quoted name and bracketed identifier', () => {
+            expect(service.parseListId('"Weekly Deals" <Deals.Shop.example>')).toEqual({
+                listId: 'deals.shop.example',
+                listName: 'Weekly Deals'
+            });
+        });
+
+        it('parses an unquoted name', () => {
+            expect(service.parseListId('Product updates <updates.shop.example>')).toEqual({
+                listId: 'updates.shop.example',
+                listName: 'Product updates'
+            });
+        });
+
+        it('accepts an identifier without a name', () => {
+            expect(service.parseListId('<list.example.com>')).toEqual({ listId: 'list.example.com', listName: null });
+        });
+
+        it('accepts a bare identifier without brackets', () => {
+            expect(service.parseListId(' list.example.com ')).toEqual({ listId: 'list.example.com', listName: null });
+        });
+
+        it('returns nulls when the header is missing', () => {
+            expect(service.parseListId('')).toEqual({ listId: null, listName: null });
+            expect(service.parseListId(null)).toEqual({ listId: null, listName: null });
+        });
+    });
+
+    // =====================================================================
+    // getEmailsWithUnsubscribe — Paginated Scan
+    // =====================================================================
+    describe('getEmailsWithUnsubscribe', () => {
+        // Fake mailbox: list pages of message IDs; message "<domain>-<n>"
+        // comes from news@<domain>.com
+        function mockMailbox(pages) {
+            const list = jest.fn(async ({ pageToken }) => {
+                const index = pageToken ? parseInt(pageToken, 10) : 0;
+                return {
+                    data: {
+                        messages: pages[index].map(id => ({ id })),
+                        nextPageToken: index + 1 < pages.length ? String(index + 1) : undefined,
+                        resultSizeEstimate: pages.flat().length
+                    }
+                };
+            });
+            service.gmail = { users: { messages: { list } } };
+            // Messages whose ID ends in "-nohdr" have no List-Unsubscribe header
+            jest.spyOn(service, 'getEmailMetadata').mockImplementation(async (id) => ({
+                id,
+                sender: 'News',
+                rawHeaders: {
+                    from: `News <news@${id.split('-')[0]}.com>`,
+                    listUnsubscribe: id.endsWith('-nohdr') ? '' : '<https://example.com/unsub>'
+                }
+            }));
+            jest.spyOn(service, 'getEmailDetails').mockImplementation(async (id) => ({
+                id,
+                sender: 'News',
+                htmlBody: '<a href="https://example.com/unsubscribe">Unsubscribe</a>',
+                unsubscribeUrl: 'https://example.com/unsubscribe',
+                unsubscribeData: { httpUrls: [], bodyUrl: 'https://example.com/unsubscribe' },
+                rawHeaders: { from: `News <news@${id.split('-')[0]}.com>`, listUnsubscribe: '' }
+            }));
+            return list;
+        }
+
+        it('follows nextPageToken until enough senders are found', async () => {
+            const list = mockMailbox([['a-1', 'b-1'], ['a-2', 'c-1'], ['d-1']]);
+
+            const result = await service.getEmailsWithUnsubscribe({ limit: 3 });
+
+            expect(result.emails.map(e => e.id)).toEqual(['a-1', 'b-1', 'c-1']);
+            expect(result.nextPageToken).toBe('2');
+            expect(list).toHaveBeenCalledTimes(2);
+        });
+
+        it('resumes from a page token and skips senders already found', async () => {
+            mockMailbox([['a-1', 'b-1'], ['a-2', 'c-1'], ['d-1']]);
+            const subscriptions = new Map();
+            await service.getEmailsWithUnsubscribe({ limit: 1, maxPages: 1, subscriptions });
+
+            const result = await service.getEmailsWithUnsubscribe({ pageToken: '1', subscriptions });
+
+            expect(result.emails.map(e => e.id)).toEqual(['c-1', 'd-1']);
+            expect(result.nextPageToken).toBeNull();
+            // a-2 was folded into the subscription found on the first page
+            expect(subscriptions.get('sender:news@a.com').messageCount).toBe(2);
+        });
+
+        it('returns one card per sender with its message count', async () => {
+            mockMailbox([['a-1', 'a-2', 'b-1', 'a-3']]);
+
+            const { emails } = await service.getEmailsWithUnsubscribe();
+
+            expect(emails).toHaveLength(2);
+            expect(emails[0].subscription).toEqual(expect.objectContaining({
+                id: 'sender:news@a.com',
+                messageCount: 3
+            }));
+        });
+
+        it('searches the requested lookback window', async () => {
+            const list = mockMailbox([[]]);
+
+            await service.getEmailsWithUnsubscribe({ lookbackDays: 180 });
+
+            expect(list.mock.calls[0][0].q).toContain('newer_than:180d');
+        });
+
+        it('takes unsubscribe data from headers without downloading bodies', async () => {
+            mockMailbox([['a-1', 'b-1']]);
+
+            const { emails } = await service.getEmailsWithUnsubscribe();
+
+            expect(service.getEmailDetails).not.toHaveBeenCalled();
+            expect(emails[0].unsubscribeUrl).toBe('https://example.com/unsub');
+            expect(emails[0].unsubscribeData.httpUrls).toEqual(['https://example.com/unsub']);
+            expect(emails[0].htmlBody).toBeUndefined();
+        });
+
+        it('fetches full messages only for the body-link fallback of new senders', async () => {
+            mockMailbox([['a-1', 'b-1-nohdr'], ['a-2-nohdr', 'b-2-nohdr']]);
+
+            const { emails } = await service.getEmailsWithUnsubscribe({ pageSize: 2 });
+
+            // a-2 belongs to a sender already found; b-2 to one found on page 1
+            expect(service.getEmailDetails.mock.calls.map(([id]) => id)).toEqual(['b-1-nohdr']);
+            expect(emails.map(e => e.id)).toEqual(['a-1', 'b-1-nohdr']);
+            expect(emails[1].unsubscribeData.bodyUrl).toBe('https://example.com/unsubscribe');
+            expect(emails[0].subscription.messageCount).toBe(2);
+        });
+
+        it('stops after maxPages list calls even if few senders were found', async () => {
+            const list = mockMailbox([['a-1'], ['a-2'], ['a-3'], ['a-4']]);
+
+            const result = await service.getEmailsWithUnsubscribe({ maxPages: 2 });
+
+            expect(list).toHaveBeenCalledTimes(2);
+            expect(result.nextPageToken).toBe('2');
+        });
+    });
+
+    // =====================================================================
+    // getEmailMetadata — Headers-Only Fetch
+    // =====================================================================
+    describe('getEmailMetadata', () => {
+        function message(id, headers, extra = {}) {
+            return {
+                id,
+                internalDate: '1772323200000',
+                labelIds: ['INBOX', 'UNREAD'],
+                snippet: 'Hello',
+                payload: { headers: Object.entries(headers).map(([name, value]) => ({ name, value })) },
+                ...extra
+            };
+        }
+
+        it('requests only the headers the scan needs and parses them', async () => {
+            const get = jest.fn(async () => ({
+                data: message('m1', {
+                    From: 'Shop <news@shop.example>',
+                    Subject: 'Deals',
+                    'List-Id': 'Deals <deals.shop.example>',
+                    'List-Unsubscribe': '<https://shop.example/u>'
+                })
+            }));
+            service.gmail = { users: { messages: { get } } };
+
+            const email = await service.getEmailMetadata('m1');
+
+            expect(get.mock.calls[0][0]).toEqual(expect.objectContaining({ id: 'm1', format: 'metadata' }));
+            expect(get.mock.calls[0][0].metadataHeaders).toEqual(expect.arrayContaining(['From', 'List-Id', 'List-Unsubscribe']));
+            expect(email).toEqual(expect.objectContaining({
+                id: 'm1',
+                sender: 'Shop',
+                subject: 'Deals',
+                date: '2026-03-01T00:00:00.000Z',
+                unread: true,
+                listId: 'deals.shop.example',
+                listName: 'Deals'
+            }));
+            expect(email.rawHeaders.listUnsubscribe).toBe('<https://shop.example/u>');
+            expect(email.htmlBody).toBeUndefined();
+        });
+
+        it('returns null when the fetch fails', async () => {
+            service.gmail = { users: { messages: { get: jest.fn().mockRejectedValue(new Error('gone')) } } };
+
+            expect(await service.getEmailMetadata('m1')).toBeNull();
+        });
+
+        it('parses header unsubscribe data without a body fallback', () => {
+            const email = service.withHeaderUnsubscribeData({
+                id: 'm1',
+                rawHeaders: { listUnsubscribe: '<mailto:u@shop.example>', listUnsubscribePost: '' }
+            });
+
+            expect(email.unsubscribeData.mailtoUrl).toBe('mailto:u@shop.example');
+            expect(email.unsubscribeData.bodyUrl).toBeNull();
+            expect(email.unsubscribeUrl).toBeNull();
+        });
+
+        it('loads one email\'s HTML body on demand', async () => {
+            const html = '<p>Hi</p>';
+            const get = jest.fn(async () => ({
+                data: { payload: { mimeType: 'text/html', body: { data: Buffer.from(html).toString('base64') } } }
+            }));
+            service.gmail = { users: { messages: { get } } };
+
+            expect(await service.getEmailHtml('m1')).toBe(html);
+            expect(get.mock.calls[0][0]).toEqual(expect.objectContaining({ id: 'm1', format: 'full' }));
+        });
+
+        it('keeps at most ten fetches in flight and preserves order', async () => {
+            let inFlight = 0;
+            let peak = 0;
+            jest.spyOn(service, 'getEmailMetadata').mockImplementation(async (id) => {
+                inFlight++;
+                peak = Math.max(peak, inFlight);
+                await new Promise(resolve => setImmediate(resolve));
+                inFlight--;
+                return { id };
+            });
+            const ids = Array.from({ length: 35 }, (_, i) => `m${i}`);
+
+            const results = await service.getEmailMetadataBatch(ids);
+
+            expect(results.map(r => r.id)).toEqual(ids);
+            expect(peak).toBe(10);
+        });
+    });
+
+    // =====================================================================
+    // getEmailsSince — Incremental Sync
+    // =====================================================================
+    describe('getEmailsSince', () => {
+        function added(id, labelIds = ['INBOX']) {
+            return { message: { id, labelIds } };
+        }
+
+        beforeEach(() => {
+            jest.spyOn(service, 'getEmailMetadata').mockImplementation(async (id) => ({
+                id,
+                sender: 'News',
+                rawHeaders: { from: `News <news@${id.split('-')[0]}.com>`, listUnsubscribe: '<https://example.com/u>' }
+            }));
+        });
+
+        it('folds new messages from every history page into the subscriptions', async () => {
+            const list = jest.fn()
+                .mockResolvedValueOnce({ data: { history: [{ messagesAdded: [added('a-2')] }], nextPageToken: 'p2', historyId: '150' } })
+                .mockResolvedValueOnce({ data: { history: [{ messagesAdded: [added('b-1'), added('a-3')] }], historyId: '160' } });
+            service.gmail = { users: { history: { list } } };
+            const known = new Map();
+            await service.foldMessages(['a-1'], known);
+
+            const result = await service.getEmailsSince('100', known);
+
+            expect(list.mock.calls[0][0]).toEqual(expect.objectContaining({
+                startHistoryId: '100', historyTypes: ['messageAdded']
+            }));
+            expect(list.mock.calls[1][0].pageToken).toBe('p2');
+            expect(result.historyId).toBe('160');
+            expect(result.added).toBe(3);
+            expect(result.emails.map(e => e.subscription.id)).toEqual(['sender:news@b.com']);
+            expect(known.get('sender:news@a.com').messageCount).toBe(3);
+        });
+
+        it('skips sent mail, drafts, spam and trash', async () => {
+            const list = jest.fn().mockResolvedValue({
+                data: {
+                    history: [{ messagesAdded: [added('a-1', ['SENT']), added('b-1', ['DRAFT']), added('c-1', ['SPAM']), added('d-1')] }],
+                    historyId: '101'
+                }
+            });
+            service.gmail = { users: { history: { list } } };
+
+            const result = await service.getEmailsSince('100', new Map());
+
+            expect(service.getEmailMetadata.mock.calls.map(([id]) => id)).toEqual(['d-1']);
+            expect(result.added).toBe(1);
+        });
+
+        it('reports expired history so the caller can rescan', async () => {
+            const list = jest.fn().mockRejectedValue(Object.assign(new Error('Requested entity was not found.'), { code: 404 }));
+            service.gmail = { users: { history: { list } } };
+
+            expect(await service.getEmailsSince('1', new Map())).toEqual({ expired: true });
+        });
+
+        it('reads the current history ID from the profile', async () => {
+            service.gmail = { users: { getProfile: jest.fn().mockResolvedValue({ data: { historyId: '4242' } }) } };
+
+            expect(await service.getHistoryId()).toBe('4242');
+        });
+    });
+
+    // =====================================================================
+    // cleanUpSender — cleanup policies
+    // =====================================================================
+    describe('cleanUpSender', () => {
+        const ids = count => Array.from({ length: count }, (_, i) => ({ id: `m${i}` }));
+        let api;
+
+        beforeEach(() => {
+            api = {
+                list: jest.fn()
+                    .mockResolvedValueOnce({ data: { messages: ids(500), nextPageToken: 'p2' } })
+                    .mockResolvedValueOnce({ data: { messages: ids(700).slice(500) } }),
+                batchModify: jest.fn().mockResolvedValue({}),
+                trash: jest.fn().mockResolvedValue({}),
+                labels: {
+                    list: jest.fn().mockResolvedValue({ data: { labels: [{ id: 'INBOX', name: 'INBOX' }] } }),
+                    create: jest.fn().mockResolvedValue({ data: { id: 'Label_7' } })
+                }
+            };
+            service.gmail = {
+                users: {
+                    messages: { list: api.list, batchModify: api.batchModify, trash: api.trash },
+                    labels: api.labels
+                }
+            };
+        });
+
+        it('marks read, archives and labels every message from the sender', async () => {
+            const result = await service.cleanUpSender('news@shop.example', ['read', 'archive', 'label']);
+
+            expect(result).toEqual({ messages: 700 });
+            expect(api.list.mock.calls[0][0].q).toBe('from:"news@shop.example"');
+            expect(api.list.mock.calls[1][0].pageToken).toBe('p2');
+            expect(api.labels.create.mock.calls[0][0].requestBody.name).toBe('Junkpile/Unsubscribed');
+            expect(api.batchModify).toHaveBeenCalledTimes(1);
+            expect(api.batchModify.mock.calls[0][0].requestBody).toEqual(expect.objectContaining({
+                addLabelIds: ['Label_7'],
+                removeLabelIds: ['UNREAD', 'INBOX']
+            }));
+            expect(api.batchModify.mock.calls[0][0].requestBody.ids).toHaveLength(700);
+            expect(api.trash).not.toHaveBeenCalled();
+        });
+
+        it('reuses an existing label', async () => {
+            api.labels.list.mockResolvedValue({ data: { labels: [{ id: 'Label_3', name: 'Junkpile/Unsubscribed' }] } });
+
+            await service.cleanUpSender('news@shop.example', ['label']);
+
+            expect(api.labels.create).not.toHaveBeenCalled();
+            expect(api.batchModify.mock.calls[0][0].requestBody).toEqual(expect.objectContaining({
+                addLabelIds: ['Label_3'],
+                removeLabelIds: []
+            }));
+        });
+
+        it('moves messages to trash', async () => {
+            await service.cleanUpSender('news@shop.example', ['trash']);
+
+            expect(api.trash).toHaveBeenCalledTimes(700);
+            expect(api.trash).toHaveBeenCalledWith({ userId: 'me', id: 'm699' });
+            expect(api.batchModify).not.toHaveBeenCalled();
+        });
+
+        it('refuses addresses that would widen the search', async () => {
+            await expect(service.cleanUpSender('a@b.example OR in:anywhere', ['trash'])).rejects.toThrow(/Invalid sender/);
+            expect(api.list).not.toHaveBeenCalled();
+        });
+    });
+
+    // =====================================================================
+    // Sender filters
+    // =====================================================================
+    describe('sender filters', () => {
+        let filters;
+
+        beforeEach(() => {
+            filters = {
+                create: jest.fn().mockResolvedValue({ data: { id: 'ANe1Bmj' } }),
+                delete: jest.fn().mockResolvedValue({})
+            };
+            service.gmail = { users: { settings: { filters } } };
+        });
+
+        it('creates filters that archive or trash the sender\'s mail', async () => {
+            expect(await service.createSenderFilter('news@shop.example', 'archive')).toBe('ANe1Bmj');
+            await service.createSenderFilter('news@shop.example', 'trash');
+
+            expect(filters.create.mock.calls.map(([params]) => params.requestBody)).toEqual([
+                { criteria: { from: 'news@shop.example' }, action: { removeLabelIds: ['INBOX'] } },
+                { criteria: { from: 'news@shop.example' }, action: { addLabelIds: ['TRASH'] } }
+            ]);
+        });
+
+        it('rejects unknown actions', async () => {
+            await expect(service.createSenderFilter('news@shop.example', 'forward')).rejects.toThrow(/Unknown filter action/);
+            expect(filters.create).not.toHaveBeenCalled();
+        });
+
+        it('deletes filters, ignoring ones already gone', async () => {
+            filters.delete.mockRejectedValueOnce(Object.assign(new Error('Not Found'), { code: 404 }));
+            await expect(service.deleteSenderFilter('gone')).resolves.toBeUndefined();
+
+            filters.delete.mockRejectedValueOnce(Object.assign(new Error('Insufficient Permission'), { code: 403 }));
+            await expect(service.deleteSenderFilter('ANe1Bmj')).rejects.toMatchObject({ code: 403 });
+        });
+    });
+
+    // =====================================================================
+    // countSenderMailSince — unsubscribe verification
+    // =====================================================================
+    describe('countSenderMailSince', () => {
+        it('counts the sender\'s mail since a date, spam and trash included', async () => {
+            const list = jest.fn().mockResolvedValue({ data: { messages: [{ id: 'm1' }, { id: 'm2' }] } });
+            service.gmail = { users: { messages: { list } } };
+
+            const count = await service.countSenderMailSince('news@shop.example', new Date('2026-03-16T09:30:00Z'));
+
+            expect(count).toBe(2);
+            expect(list.mock.calls[0][0]).toEqual(expect.objectContaining({
+                q: 'from:"news@shop.example" after:1773653400',
+                includeSpamTrash: true
+            }));
+        });
+
+        it('refuses addresses that would widen the search', async () => {
+            service.gmail = { users: { messages: { list: jest.fn() } } };
+
+            await expect(service.countSenderMailSince('in:anywhere', new Date())).rejects.toThrow(/Invalid sender/);
+        });
+    });
 });
@@ -0,0 +1,267 @@
+/**
+ * Integration tests for ImapProvider against local IMAP and SMTP servers
+ * (hoodiecrow-imap and smtp-server on ephemeral ports).
+ *
+ * Tests cover:
+ *   - Finding List-Unsubscribe messages in the lookback window, newest first
+ *   - Folding repeat senders and paging with UID page tokens
+ *   - Full details with the body-link fallback, and stale/unknown IDs
+ *   - Marking messages \Seen and sending mailto unsubscribes over SMTP
+ *   - Rejected logins
+ *   - Refusing hosts resolveHost objects to, before connecting, and
+ *     connecting to the address it checked
+ */
+
+const hoodiecrow = require('hoodiecrow-imap');
+const { SMTPServer } = require('smtp-server');
+const ImapProvider = require('../providers/imapProvider');
+const UnsubscribeService = require('../unsubscribeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A raw RFC 822 message, `daysAgo` days old.
+ */
+function message(from, subject, daysAgo, { headers = [], html = '<p>Hello</p>' } = {}) {
+    const raw = [
+        `From: ${from}`,
+        'To: me@example.com',
+        `Subject: ${subject}`,
+        `Date: ${new Date(Date.now() - daysAgo * DAY_MS).toUTCString()}`,
+        ...headers,
+        'MIME-Version: 1.0',
+        'Content-Type: text/html; charset=utf-8',
+        '',
+        html
+    ].join('\r\n');
+    return { raw, internaldate: new Date(Date.now() - daysAgo * DAY_MS) };
+}
+
+// Oldest first, as the server stores them (UIDs 1..6)
+const MAILBOX = [
+    message('Old Shop <news@old.example>', 'Ancient sale', 90, {
+        headers: ['List-Unsubscribe: <https://old.example/unsub>']
+    }),
+    message('Shop <news@shop.example>', 'Spring sale', 5, {
+        headers: ['List-Unsubscribe: <https://shop.example/unsub?u=1>, <mailto:leave@shop.example>']
+    }),
+    message('Friend <friend@example.com>', 'Lunch?', 4, {
+        html: '<p>No list here. <a href="https://example.com/unsubscribe">unsubscribe</a></p>'
+    }),
+    message('Digest <digest@news.example>', 'Weekly digest', 3, {
+        headers: [
+            'List-Unsubscribe: <mailto:unsub@news.example?subject=stop>, <https://news.example/unsub>',
+            'List-Id: "The Digest" <digest.news.example>'
+        ]
+    }),
+    message('Shop <news@shop.example>', 'Summer sale', 2, {
+        headers: [
+            'List-Unsubscribe: <https://shop.example/unsub?u=2>',
+            'List-Unsubscribe-Post: List-Unsubscribe=One-Click'
+        ]
+    }),
+    message('Blog <posts@blog.example>', 'New post', 1, {
+        headers: ['List-Unsubscribe: <https://blog.example/unsub>']
+    })
+];
+
+function listen(server, listenFn) {
+    return new Promise((resolve) => listenFn(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+describe('ImapProvider', () => {
+    let imapServer;
+    let smtpServer;
+    let credentials;
+    let delivered;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        imapServer = hoodiecrow({
+            plugins: ['ID', 'UNSELECT', 'ENABLE', 'SASL-IR', 'AUTH-PLAIN'],
+            users: { me: { password: 'app-password' } },
+            storage: { INBOX: { messages: MAILBOX.map(m => ({ ...m })) } }
+        });
+        const imapPort = await listen(imapServer.server, imapServer.listen.bind(imapServer));
+
+        delivered = [];
+        smtpServer = new SMTPServer({
+            disabledCommands: ['STARTTLS'],
+            allowInsecureAuth: true,
+            logger: false,
+            onAuth(auth, session, callback) {
+                if (auth.username === 'me' && auth.password === 'app-password') {
+                    return callback(null, { user: auth.username });
+                }
+                return callback(new Error('Invalid login'));
+            },
+            onData(stream, session, callback) {
+                let data = '';
+                stream.on('data', (chunk) => { data += chunk; });
+                stream.on('end', () => {
+                    delivered.push({ from: session.envelope.mailFrom.address, data });
+                    callback();
+                });
+            }
+        });
+        const smtpPort = await listen(smtpServer.server, smtpServer.listen.bind(smtpServer));
+
+        credentials = {
+            email: 'me@example.com',
+            username: 'me',
+            password: 'app-password',
+            imapHost: '127.0.0.1',
+            imapPort,
+            imapSecure: false,
+            smtpHost: '127.0.0.1',
+            smtpPort,
+            smtpSecure: false
+        };
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await new Promise(resolve => imapServer.close(resolve));
+        await new Promise(resolve => smtpServer.close(resolve));
+    });
+
+    it('finds List-Unsubscribe messages in the window and folds repeat senders', async () => {
+        const provider = new ImapProvider(credentials);
+        const subscriptions = new Map();
+
+        const page = await provider.listCandidates({ lookbackDays: 30, subscriptions });
+
+        expect(page.nextPageToken).toBeNull();
+        expect(page.emails.map(e => e.subscription.id)).toEqual([
+            'sender:posts@blog.example',
+            'sender:news@shop.example',
+            'list:digest.news.example'
+        ]);
+        const shop = page.emails[1];
+        expect(shop.subject).toBe('Summer sale');
+        expect(shop.unsubscribeData.hasListUnsubscribePost).toBe(true);
+        expect(shop.subscription.messageCount).toBe(2);
+        expect(page.emails[2].listName).toBe('The Digest');
+        expect(page.emails[2].unsubscribeData.mailtoUrl).toBe('mailto:unsub@news.example?subject=stop');
+    });
+
+    it('pages through candidates with UID page tokens', async () => {
+        const provider = new ImapProvider(credentials, { pageSize: 2 });
+        const subscriptions = new Map();
+
+        const first = await provider.listCandidates({ lookbackDays: 30, maxPages: 1, subscriptions });
+        const second = await provider.listCandidates({
+            lookbackDays: 30, maxPages: 1, subscriptions, pageToken: first.nextPageToken
+        });
+
+        expect(first.emails.map(e => e.subject)).toEqual(['New post', 'Summer sale']);
+        expect(first.nextPageToken).toMatch(/^\d+-5$/);
+        expect(second.emails.map(e => e.subject)).toEqual(['Weekly digest']);
+        expect(second.nextPageToken).toBeNull();
+        expect(subscriptions.get('sender:news@shop.example').messageCount).toBe(2);
+    });
+
+    it('lists candidate IDs and their headers for the subscription count', async () => {
+        const provider = new ImapProvider(credentials);
+
+        const { ids, nextPageToken, resultSizeEstimate } = await provider.listMessages({ lookbackDays: 30, maxResults: 3 });
+        const metadata = await provider.getEmailMetadataBatch([...ids, '1-999']);
+
+        expect(resultSizeEstimate).toBe(4);
+        expect(nextPageToken).toBe(ids[2]);
+        expect(metadata.slice(0, 3).map(e => e.subject)).toEqual(['New post', 'Summer sale', 'Weekly digest']);
+        expect(metadata[3]).toBeNull();
+    });
+
+    it('returns full details, falling back to links in the body', async () => {
+        const provider = new ImapProvider(credentials);
+        const { ids } = await provider.listMessages({ lookbackDays: 30 });
+        const uidValidity = ids[0].split('-')[0];
+
+        const friend = await provider.getDetails(`${uidValidity}-3`);
+
+        expect(friend.sender).toBe('Friend');
+        expect(friend.htmlBody).toContain('No list here.');
+        expect(friend.snippet).toMatch(/^No list here\. unsubscribe/);
+        expect(friend.unsubscribeData.bodyUrl).toBe('https://example.com/unsubscribe');
+        expect(friend.unsubscribeUrl).toBe('https://example.com/unsubscribe');
+    });
+
+    it('treats unknown and stale message IDs as missing', async () => {
+        const provider = new ImapProvider(credentials);
+
+        expect(await provider.getDetails('1-999')).toBeNull();
+        expect(await provider.getDetails('not-an-id')).toBeNull();
+        await expect(provider.getEmailHtml('0-1')).rejects.toMatchObject({ code: 404 });
+    });
+
+    it('marks processed messages as seen', async () => {
+        const provider = new ImapProvider(credentials);
+        const { ids } = await provider.listMessages({ lookbackDays: 30 });
+
+        await provider.markProcessed(ids[0]);
+        const [seen, other] = await provider.getEmailMetadataBatch(ids.slice(0, 2));
+
+        expect(seen.unread).toBe(false);
+        expect(other.unread).toBe(true);
+    });
+
+    it('sends mailto unsubscribes over SMTP and marks the message seen', async () => {
+        const provider = new ImapProvider(credentials);
+        const { ids } = await provider.listMessages({ lookbackDays: 30 });
+        const digestId = ids[2];
+        const digest = await provider.getDetails(digestId);
+
+        // Leave only the mailto link, so the cascade has to send mail
+        const unsubscribeData = { ...digest.unsubscribeData, httpUrls: [] };
+
+        const result = await new UnsubscribeService().processMessage(provider, digestId, unsubscribeData);
+
+        expect(result.unsubscribeResult).toEqual(expect.objectContaining({ success: true, method: 'mailto' }));
+        expect(delivered).toHaveLength(1);
+        expect(delivered[0].from).toBe('me@example.com');
+        expect(delivered[0].data).toMatch(/^To: unsub@news\.example$/m);
+        expect(delivered[0].data).toMatch(/^Subject: stop$/m);
+        expect((await provider.getDetails(digestId)).unread).toBe(false);
+    });
+
+    it('cannot send mail without an SMTP server', async () => {
+        const provider = new ImapProvider({ ...credentials, smtpHost: null });
+
+        expect(provider.canSendMail).toBe(false);
+        await expect(provider.sendMail('unsub@news.example', 'Unsubscribe', '')).rejects.toThrow(/SMTP/);
+    });
+
+    it('checks the IMAP and SMTP hosts before connecting', async () => {
+        const resolveHost = jest.fn().mockResolvedValue({ problem: 'Host resolves to a private/internal address', address: null });
+        const provider = new ImapProvider(credentials, { resolveHost });
+
+        await expect(provider.verify()).rejects.toThrow(/refused: Host resolves to a private/);
+        await expect(provider.sendMail('unsub@news.example', 'Unsubscribe', '')).rejects.toThrow(/refused/);
+        expect(resolveHost.mock.calls).toEqual([[credentials.imapHost], [credentials.smtpHost]]);
+        expect(delivered).toHaveLength(0);
+
+        resolveHost.mockResolvedValue({ problem: null, address: null });
+        await expect(provider.verify()).resolves.toBeUndefined();
+    });
+
+    it('connects to the checked address instead of resolving the host again', async () => {
+        // Names that never resolve: connecting only works through the address
+        const resolveHost = jest.fn().mockResolvedValue({ problem: null, address: '127.0.0.1' });
+        const provider = new ImapProvider(
+            { ...credentials, imapHost: 'imap.mail.invalid', smtpHost: 'smtp.mail.invalid' },
+            { resolveHost }
+        );
+
+        await expect(provider.verify()).resolves.toBeUndefined();
+        await provider.sendMail('unsub@news.example', 'Unsubscribe', '');
+        expect(delivered).toHaveLength(1);
+    });
+
+    it('rejects a wrong password', async () => {
+        await expect(new ImapProvider(credentials).verify()).resolves.toBeUndefined();
+        await expect(new ImapProvider({ ...credentials, password: 'wrong' }).verify()).rejects.toThrow();
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Unit tests for jsonFile — locked, atomic JSON persistence with backups.
+ *
+ * Runs against real files in a temporary directory.
+ *
+ * Tests cover:
+ *   - Atomic replace without leftover temp files
+ *   - Serialized read-modify-write under concurrency
+ *   - Backup rotation and its rate limit
+ *   - Clearing backups
+ *   - Recovery from a corrupt file
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { withLock, readJson, writeJson, ensureJson, clearBackups } = require('../storage/jsonFile');
+
+describe('jsonFile', () => {
+    let dir;
+    let file;
+    let now;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'junkpile-jsonfile-'));
+        file = path.join(dir, 'data.json');
+        // Each test gets its own clock, far from the others, so backup
+        // rate limiting never carries over between tests
+        now = Date.parse('2026-01-01T00:00:00Z') + Math.floor(Math.random() * 1e12);
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('creates a missing file but never overwrites an existing one', async () => {
+        await ensureJson(path.join(dir, 'nested', 'new.json'), { items: [] });
+        expect(await readJson(path.join(dir, 'nested', 'new.json'))).toEqual({ items: [] });
+
+        fs.writeFileSync(file, JSON.stringify({ items: [1] }));
+        await ensureJson(file, { items: [] });
+        expect(await readJson(file)).toEqual({ items: [1] });
+    });
+
+    it('replaces the file without leaving temp files behind', async () => {
+        await writeJson(file, { version: 1 });
+        await writeJson(file, { version: 2 });
+
+        expect(await readJson(file)).toEqual({ version: 2 });
+        expect(fs.readdirSync(dir).filter(name => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('serializes read-modify-write cycles on the same file', async () => {
+        await writeJson(file, { count: 0 });
+
+        await Promise.all(Array.from({ length: 25 }, () => withLock(file, async () => {
+            const data = await readJson(file);
+            await writeJson(file, { count: data.count + 1 });
+        })));
+
+        expect((await readJson(file)).count).toBe(25);
+    });
+
+    it('keeps the lock queue moving after a failure', async () => {
+        await expect(withLock(file, async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect(await withLock(file, async () => 'next')).toBe('next');
+    });
+
+    it('rotates backups at most once per interval', async () => {
+        await writeJson(file, { version: 1 });
+        await writeJson(file, { version: 2 });
+        await writeJson(file, { version: 3 });
+
+        // Only the first replacement rotated; the rest were within the interval
+        expect(JSON.parse(fs.readFileSync(`${file}.bak.1`, 'utf8'))).toEqual({ version: 1 });
+        expect(fs.existsSync(`${file}.bak.2`)).toBe(false);
+
+        now += 61 * 1000;
+        await writeJson(file, { version: 4 });
+        now += 61 * 1000;
+        await writeJson(file, { version: 5 });
+        now += 61 * 1000;
+        await writeJson(file, { version: 6 });
+
+        expect(JSON.parse(fs.readFileSync(`${file}.bak.1`, 'utf8'))).toEqual({ version: 5 });
+        expect(JSON.parse(fs.readFileSync(`${file}.bak.2`, 'utf8'))).toEqual({ version: 4 });
+        expect(JSON.parse(fs.readFileSync(`${file}.bak.3`, 'utf8'))).toEqual({ version: 3 });
+        expect(fs.existsSync(`${file}.bak.4`)).toBe(false);
+    });
+
+    it('clears every backup and starts a fresh generation on the next write', async () => {
+        await writeJson(file, { version: 1 });
+        await writeJson(file, { version: 2 });
+        now += 61 * 1000;
+        await writeJson(file, { version: 3 });
+
+        expect(await clearBackups(file)).toBe(2);
+        expect(fs.existsSync(`${file}.bak.1`)).toBe(false);
+        expect(fs.existsSync(`${file}.bak.2`)).toBe(false);
+        expect(await clearBackups(file)).toBe(0);
+
+        // Not held back by the last rotation's rate limit
+        await writeJson(file, { version: 4 });
+        expect(JSON.parse(fs.readFileSync(`${file}.bak.1`, 'utf8'))).toEqual({ version: 3 });
+    });
+
+    it('recovers from the newest readable backup when the file is corrupt', async () => {
+        fs.writeFileSync(`${file}.bak.1`, '{"trunc');
+        fs.writeFileSync(`${file}.bak.2`, JSON.stringify({ version: 'backup' }));
+        fs.writeFileSync(file, '{"users": [');
+
+        expect(await readJson(file)).toEqual({ version: 'backup' });
+    });
+
+    it('throws when neither the file nor any backup can be read', async () => {
+        fs.writeFileSync(file, 'not json');
+        await expect(readJson(file)).rejects.toThrow(SyntaxError);
+
+        await expect(readJson(path.join(dir, 'missing.json'))).rejects.toMatchObject({ code: 'ENOENT' });
+    });
+});
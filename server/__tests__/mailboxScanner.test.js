@@ -0,0 +1,149 @@
+/**
+ * Unit tests for MailboxScanner — paged mailbox scan with cursors.
+ *
+ * The email provider is a fake mailbox whose listCandidates() pages
+ * through a fixed list of senders.
+ *
+ * Tests cover:
+ *   - Paging through every sender with cursors, without repeats
+ *   - Page size and lookback options
+ *   - Cursor ownership, expiry and purging (per owner or per mailbox)
+ */
+
+const MailboxScanner = require('../mailboxScanner');
+const { addEmail, toCard } = require('../subscriptions');
+
+/**
+ * Fake provider: `senders` domains spread over Gmail list pages of
+ * `perPage` senders each. Honours pageToken and aggregates into the
+ * subscriptions map like the real one.
+ */
+function fakeGmail(senders, perPage = 30) {
+    const domains = Array.from({ length: senders }, (_, i) => `sender${i}.com`);
+    return {
+        listCandidates: jest.fn(async ({ pageToken, limit, subscriptions }) => {
+            let page = pageToken ? parseInt(pageToken, 10) : 0;
+            const emails = [];
+            while (page * perPage < domains.length) {
+                for (const domain of domains.slice(page * perPage, (page + 1) * perPage)) {
+                    const email = { id: domain, sender: domain, rawHeaders: { from: `news@${domain}` } };
+                    const { subscription, created } = addEmail(subscriptions, email);
+                    if (created) emails.push(toCard(subscription));
+                }
+                page++;
+                if (emails.length >= limit) break;
+            }
+            return {
+                emails,
+                nextPageToken: page * perPage < domains.length ? String(page) : null
+            };
+        })
+    };
+}
+
+describe('MailboxScanner', () => {
+    let scanner;
+
+    beforeEach(() => {
+        scanner = new MailboxScanner();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('eventually returns every sender of a large mailbox, each once', async () => {
+        const gmail = fakeGmail(400);
+        const seen = [];
+
+        let cursor;
+        let pages = 0;
+        do {
+            const page = await scanner.scan(gmail, 'user:a', { cursor, limit: 50 });
+            expect(page.emails.length).toBeLessThanOrEqual(50);
+            seen.push(...page.emails.map(e => e.id));
+            cursor = page.nextCursor;
+            pages++;
+        } while (cursor);
+
+        expect(seen).toHaveLength(400);
+        expect(new Set(seen).size).toBe(400);
+        expect(pages).toBe(8);
+        expect(scanner.cursors.size).toBe(0);
+    });
+
+    it('serves leftover senders before asking Gmail again', async () => {
+        // One Gmail page holds 30 senders; a page of 20 leaves 10 over
+        const gmail = fakeGmail(30);
+
+        const first = await scanner.scan(gmail, 'user:a', { limit: 20 });
+        const second = await scanner.scan(gmail, 'user:a', { cursor: first.nextCursor, limit: 20 });
+
+        expect(first.emails).toHaveLength(20);
+        expect(second.emails).toHaveLength(10);
+        expect(second.nextCursor).toBeNull();
+        expect(gmail.listCandidates).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns no cursor when the whole mailbox fits on one page', async () => {
+        const page = await scanner.scan(fakeGmail(5), 'user:a');
+
+        expect(page.emails).toHaveLength(5);
+        expect(page.nextCursor).toBeNull();
+    });
+
+    it('keeps the first page\'s lookback window for the whole scan', async () => {
+        const gmail = fakeGmail(100);
+
+        const first = await scanner.scan(gmail, 'user:a', { lookbackDays: '90', limit: 10 });
+        await scanner.scan(gmail, 'user:a', { cursor: first.nextCursor, lookbackDays: '7', limit: 40 });
+
+        const calls = gmail.listCandidates.mock.calls.map(([options]) => options.lookbackDays);
+        expect(calls).toEqual([90, 90]);
+    });
+
+    it('caps the page size and falls back to the defaults for bad input', async () => {
+        const gmail = fakeGmail(500, 500);
+
+        expect((await scanner.scan(gmail, 'user:a', { limit: '1000' })).emails).toHaveLength(200);
+        expect((await scanner.scan(gmail, 'user:b', { limit: 'abc' })).emails).toHaveLength(50);
+        expect(gmail.listCandidates.mock.calls[1][0].lookbackDays).toBe(365);
+    });
+
+    it('rejects cursors that belong to someone else', async () => {
+        const first = await scanner.scan(fakeGmail(100), 'user:a', { limit: 10 });
+
+        const stolen = await scanner.scan(fakeGmail(100), 'user:b', { cursor: first.nextCursor });
+
+        expect(stolen.error).toBe('cursor-not-found');
+        expect(stolen.emails).toEqual([]);
+    });
+
+    it('expires idle cursors', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+        const first = await scanner.scan(fakeGmail(100), 'user:a', { limit: 10 });
+
+        Date.now.mockReturnValue(1000 + 31 * 60 * 1000);
+        const resumed = await scanner.scan(fakeGmail(100), 'user:a', { cursor: first.nextCursor });
+
+        expect(resumed.error).toBe('cursor-not-found');
+    });
+
+    it('purges an owner\'s cursors', async () => {
+        await scanner.scan(fakeGmail(100), 'user:a', { limit: 10 });
+        await scanner.scan(fakeGmail(100), 'user:b', { limit: 10 });
+
+        expect(scanner.purgeOwner('user:a')).toBe(1);
+        expect(scanner.cursors.size).toBe(1);
+    });
+
+    it('purges one mailbox\'s cursors, or all of an owner\'s', async () => {
+        await scanner.scan(fakeGmail(100), 'user:a/mb1', { limit: 10 });
+        await scanner.scan(fakeGmail(100), 'user:a/mb2', { limit: 10 });
+        await scanner.scan(fakeGmail(100), 'user:ab/mb1', { limit: 10 });
+
+        expect(scanner.purgeOwner('user:a/mb1')).toBe(1);
+        expect(scanner.purgeOwner('user:a')).toBe(1);
+        expect(scanner.cursors.size).toBe(1);
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Unit tests for MailboxSync — incremental refresh of completed scans — and
+ * its use by MailboxScanner.
+ *
+ * The email provider is a fake whose getEmailsSince() folds a
+ * queue of new messages into the kept subscriptions.
+ *
+ * Tests cover:
+ *   - Refreshing from the stored history ID
+ *   - Full-scan fallback when history has expired, state is missing,
+ *     expired or for another window
+ *   - One Gmail round trip for concurrent refreshes
+ *   - Scanner: keeping completed scans and serving the next one from them
+ */
+
+const MailboxSync = require('../mailboxSync');
+const MailboxScanner = require('../mailboxScanner');
+const { addEmail, toCard } = require('../subscriptions');
+
+function email(domain, n = 1) {
+    return { id: `${domain}-${n}`, sender: domain, rawHeaders: { from: `news@${domain}` } };
+}
+
+/**
+ * Fake provider. `mailbox` is what a full scan finds (one page);
+ * `incoming` is what arrives afterwards, picked up by getEmailsSince().
+ */
+function fakeGmail(mailbox = [], incoming = []) {
+    let historyId = 100;
+    return {
+        incoming,
+        getHistoryId: jest.fn(async () => String(historyId)),
+        listCandidates: jest.fn(async ({ subscriptions }) => {
+            const found = [];
+            for (const message of mailbox) {
+                const { subscription, created } = addEmail(subscriptions, message);
+                if (created) found.push(subscription);
+            }
+            return { emails: found.map(toCard), nextPageToken: null };
+        }),
+        getEmailsSince: jest.fn(async (startHistoryId, known) => {
+            const found = [];
+            const added = incoming.splice(0);
+            for (const message of added) {
+                const { subscription, created } = addEmail(known, message);
+                if (created) found.push(subscription);
+            }
+            historyId += added.length;
+            return { emails: found.map(toCard), historyId: String(historyId), added: added.length };
+        })
+    };
+}
+
+describe('MailboxSync', () => {
+    let sync;
+
+    beforeEach(() => {
+        sync = new MailboxSync();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    function saved(ownerId, domains) {
+        const subscriptions = new Map();
+        for (const domain of domains) addEmail(subscriptions, email(domain));
+        sync.save(ownerId, { lookbackDays: 365, historyId: '100', subscriptions });
+        return subscriptions;
+    }
+
+    it('folds messages added since the stored history ID into the kept subscriptions', async () => {
+        saved('user:a', ['a.com', 'b.com']);
+        const gmail = fakeGmail([], [email('a.com', 2), email('c.com')]);
+
+        const result = await sync.refresh(gmail, 'user:a', 365);
+
+        expect(gmail.getEmailsSince).toHaveBeenCalledWith('100', expect.any(Map));
+        expect(result.created).toEqual(['sender:news@c.com']);
+        expect(result.added).toBe(2);
+        expect(result.subscriptions.get('sender:news@a.com').messageCount).toBe(2);
+        expect(sync.states.get('user:a').historyId).toBe('102');
+    });
+
+    it('needs a full scan when there is no state, or it is for another window', async () => {
+        saved('user:a', ['a.com']);
+        const gmail = fakeGmail();
+
+        expect(await sync.refresh(gmail, 'user:b', 365)).toBeNull();
+        expect(await sync.refresh(gmail, 'user:a', 30)).toBeNull();
+        expect(gmail.getEmailsSince).not.toHaveBeenCalled();
+    });
+
+    it('drops the state when Google reports the history ID as expired', async () => {
+        saved('user:a', ['a.com']);
+        const gmail = fakeGmail();
+        gmail.getEmailsSince.mockResolvedValueOnce({ expired: true });
+
+        expect(await sync.refresh(gmail, 'user:a', 365)).toBeNull();
+        expect(sync.states.has('user:a')).toBe(false);
+    });
+
+    it('expires state that has not been refreshed for a week', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+        saved('user:a', ['a.com']);
+
+        Date.now.mockReturnValue(1000 + 8 * 24 * 60 * 60 * 1000);
+
+        expect(await sync.refresh(fakeGmail(), 'user:a', 365)).toBeNull();
+    });
+
+    it('shares one Gmail round trip between concurrent refreshes', async () => {
+        saved('user:a', ['a.com']);
+        const gmail = fakeGmail([], [email('a.com', 2)]);
+
+        const [first, second] = await Promise.all([
+            sync.refresh(gmail, 'user:a', 365),
+            sync.refresh(gmail, 'user:a', 365)
+        ]);
+
+        expect(gmail.getEmailsSince).toHaveBeenCalledTimes(1);
+        expect(first).toBe(second);
+        expect(first.subscriptions.get('sender:news@a.com').messageCount).toBe(2);
+    });
+
+    it('does not keep fetched bodies', () => {
+        const subscriptions = new Map();
+        addEmail(subscriptions, { ...email('a.com'), htmlBody: '<p>Hi</p>' });
+
+        sync.save('user:a', { lookbackDays: 365, historyId: '1', subscriptions });
+
+        expect(sync.states.get('user:a').subscriptions.get('sender:news@a.com').representative)
+            .not.toHaveProperty('htmlBody');
+    });
+
+    it('keeps at most maxStates owners, dropping the oldest', () => {
+        sync = new MailboxSync({ maxStates: 2 });
+        saved('user:a', ['a.com']);
+        saved('user:b', ['a.com']);
+        saved('user:c', ['a.com']);
+
+        expect([...sync.states.keys()]).toEqual(['user:b', 'user:c']);
+    });
+
+    it('purges an owner\'s state', () => {
+        saved('user:a', ['a.com']);
+
+        expect(sync.purgeOwner('user:a')).toBe(1);
+        expect(sync.purgeOwner('user:a')).toBe(0);
+    });
+
+    describe('with MailboxScanner', () => {
+        let scanner;
+
+        beforeEach(() => {
+            scanner = new MailboxScanner({ sync });
+        });
+
+        it('keeps a completed scan and refreshes it incrementally next time', async () => {
+            const gmail = fakeGmail([email('a.com'), email('b.com')]);
+
+            const first = await scanner.scan(gmail, 'user:a');
+            expect(first.emails.map(e => e.subscription.id)).toEqual(['sender:news@a.com', 'sender:news@b.com']);
+            expect(sync.states.get('user:a').historyId).toBe('100');
+
+            gmail.incoming.push(email('c.com'), email('a.com', 2));
+            const second = await scanner.scan(gmail, 'user:a');
+
+            expect(gmail.listCandidates).toHaveBeenCalledTimes(1);
+            // New senders first, then everything already known
+            expect(second.emails.map(e => e.subscription.id)).toEqual([
+                'sender:news@c.com', 'sender:news@a.com', 'sender:news@b.com'
+            ]);
+            expect(second.emails[1].subscription.messageCount).toBe(2);
+            expect(second.nextCursor).toBeNull();
+        });
+
+        it('falls back to a full scan when history has expired', async () => {
+            const gmail = fakeGmail([email('a.com')]);
+            await scanner.scan(gmail, 'user:a');
+            gmail.getEmailsSince.mockResolvedValueOnce({ expired: true });
+
+            const again = await scanner.scan(gmail, 'user:a');
+
+            expect(gmail.listCandidates).toHaveBeenCalledTimes(2);
+            expect(again.emails).toHaveLength(1);
+            expect(sync.states.has('user:a')).toBe(true);
+        });
+
+        it('does not keep scans that stopped part way', async () => {
+            const gmail = fakeGmail();
+            gmail.listCandidates.mockResolvedValue({ emails: [], nextPageToken: 'more' });
+
+            await scanner.scan(gmail, 'user:a');
+
+            expect(sync.states.size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,273 @@
+/**
+ * Tests for OutlookProvider and microsoftAuth against a local mock of
+ * Microsoft Graph and the identity platform's token endpoint, replaying
+ * the responses in fixtures/graphRecording.json.
+ *
+ * Tests cover:
+ *   - Scanning Inbox pages, keeping List-Unsubscribe messages and folding
+ *     repeat senders
+ *   - Paging with @odata.nextLink tokens, and refusing foreign ones
+ *   - Full details with the body-link fallback, and missing messages
+ *   - Marking messages read and sending mailto unsubscribes via sendMail
+ *   - Exchanging and refreshing OAuth tokens
+ *   - Refreshing expired or refused access tokens on its own
+ *   - Non-JSON error pages
+ */
+
+const http = require('http');
+const OutlookProvider = require('../providers/outlookProvider');
+const microsoftAuth = require('../microsoftAuth');
+const UnsubscribeService = require('../unsubscribeService');
+const recording = require('./fixtures/graphRecording.json');
+
+const NOT_FOUND = {
+    error: { code: 'ErrorItemNotFound', message: 'The specified object was not found in the store.' }
+};
+
+/**
+ * Starts the mock server. Graph lives under /v1.0, the token endpoint
+ * under /<tenant>/oauth2. Every request is kept in `requests`.
+ */
+function startMock() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const skip = url.searchParams.get('$skip');
+            const key = `${req.method} ${decodeURIComponent(url.pathname)}${skip ? `?$skip=${skip}` : ''}`;
+            requests.push({ key, query: url.searchParams, headers: req.headers, body });
+
+            // An access token Graph no longer accepts, and a gateway error page
+            if (req.headers.authorization === 'Bearer expired-access') {
+                res.writeHead(401, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { code: 'InvalidAuthenticationToken', message: 'Access token has expired.' } }));
+                return;
+            }
+            if (url.pathname === '/v1.0/gateway-error') {
+                res.writeHead(502, { 'Content-Type': 'text/html' });
+                res.end('<html><body>Bad Gateway</body></html>');
+                return;
+            }
+
+            const recorded = recording[key] || { status: 404, body: NOT_FOUND };
+            res.writeHead(recorded.status, { 'Content-Type': 'application/json' });
+            res.end(recorded.body === null
+                ? ''
+                : JSON.stringify(recorded.body).split('{{BASE_URL}}').join(server.baseUrl));
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            server.baseUrl = `http://127.0.0.1:${server.address().port}/v1.0`;
+            server.requests = requests;
+            resolve(server);
+        });
+    });
+}
+
+describe('OutlookProvider', () => {
+    let mock;
+    let tokens;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mock = await startMock();
+        tokens = { access_token: 'graph-access', refresh_token: 'graph-refresh', expiry_date: null, scope: 'Mail.ReadWrite Mail.Send User.Read' };
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await new Promise(resolve => mock.close(resolve));
+    });
+
+    const provider = () => new OutlookProvider(tokens, { baseUrl: mock.baseUrl });
+
+    it('scans Inbox pages for List-Unsubscribe messages and folds repeat senders', async () => {
+        const subscriptions = new Map();
+
+        const page = await provider().listCandidates({ lookbackDays: 30, subscriptions });
+
+        expect(page.nextPageToken).toBeNull();
+        expect(page.emails.map(e => e.subscription.id)).toEqual([
+            'sender:posts@blog.example',
+            'sender:news@shop.example',
+            'list:digest.news.example'
+        ]);
+        const shop = page.emails[1];
+        expect(shop).toEqual(expect.objectContaining({ sender: 'Shop', subject: 'Summer sale', unread: false }));
+        expect(shop.unsubscribeData.hasListUnsubscribePost).toBe(true);
+        expect(shop.subscription.messageCount).toBe(2);
+        expect(page.emails[2].listName).toBe('The Digest');
+
+        const [first] = mock.requests;
+        expect(first.headers.authorization).toBe('Bearer graph-access');
+        expect(first.query.get('$filter')).toMatch(/^receivedDateTime ge \d{4}-/);
+        expect(first.query.get('$select')).toContain('internetMessageHeaders');
+    });
+
+    it('returns the nextLink as page token and resumes from it', async () => {
+        const subscriptions = new Map();
+
+        const first = await provider().listCandidates({ lookbackDays: 30, maxPages: 1, subscriptions });
+        const second = await provider().listCandidates({ pageToken: first.nextPageToken, subscriptions });
+
+        expect(first.emails.map(e => e.subject)).toEqual(['New post', 'Summer sale']);
+        expect(first.nextPageToken).toBe(`${mock.baseUrl}/me/mailFolders/inbox/messages?$skip=3`);
+        expect(second.emails.map(e => e.subject)).toEqual(['Weekly digest']);
+        expect(second.nextPageToken).toBeNull();
+    });
+
+    it('refuses page tokens that point outside Graph', async () => {
+        await expect(provider().listCandidates({ pageToken: 'https://attacker.example/steal' }))
+            .rejects.toThrow(/Invalid page token/);
+        expect(mock.requests).toHaveLength(0);
+    });
+
+    it('returns full details as HTML, falling back to links in the body', async () => {
+        const friend = await provider().getDetails('AAMkAGfriend1AAA=');
+
+        expect(friend).toEqual(expect.objectContaining({
+            id: 'AAMkAGfriend1AAA=',
+            sender: 'Friend',
+            snippet: 'No list here. unsubscribe',
+            unsubscribeUrl: 'https://example.com/unsubscribe'
+        }));
+        expect(friend.unsubscribeData.bodyUrl).toBe('https://example.com/unsubscribe');
+        expect(mock.requests[0].headers.prefer).toBe('outlook.body-content-type="html"');
+    });
+
+    it('escapes plain-text bodies', async () => {
+        expect(await provider().getEmailHtml('AAMkAGdigest1AAA=')).toBe('<pre>Your weekly digest &lt;3</pre>');
+    });
+
+    it('treats missing messages as not found', async () => {
+        expect(await provider().getDetails('AAMkAGgone1AAA=')).toBeNull();
+        await expect(provider().getEmailHtml('AAMkAGgone1AAA=')).rejects.toMatchObject({ code: 404 });
+    });
+
+    it('sends mailto unsubscribes with sendMail and marks the message read', async () => {
+        const outlook = provider();
+        const digest = await outlook.getDetails('AAMkAGdigest1AAA=');
+        // Leave only the mailto link, so the cascade has to send mail
+        const unsubscribeData = { ...digest.unsubscribeData, httpUrls: [] };
+
+        const result = await new UnsubscribeService().processMessage(outlook, digest.id, unsubscribeData);
+
+        expect(result.unsubscribeResult).toEqual(expect.objectContaining({ success: true, method: 'mailto' }));
+        const sent = mock.requests.find(r => r.key === 'POST /v1.0/me/sendMail');
+        expect(JSON.parse(sent.body)).toEqual({
+            message: {
+                subject: 'stop',
+                body: { contentType: 'Text', content: '' },
+                toRecipients: [{ emailAddress: { address: 'unsub@news.example' } }]
+            },
+            saveToSentItems: false
+        });
+        const patch = mock.requests.find(r => r.key.startsWith('PATCH'));
+        expect(JSON.parse(patch.body)).toEqual({ isRead: true });
+    });
+
+    it('cannot send mail without the Mail.Send permission', async () => {
+        tokens.scope = 'Mail.ReadWrite User.Read';
+
+        expect(provider().canSendMail).toBe(false);
+        await expect(provider().sendMail('unsub@news.example', 'Unsubscribe', '')).rejects.toThrow(/Mail\.Send/);
+    });
+
+    it('reads the mailbox address from the profile', async () => {
+        expect(await provider().getProfile()).toBe('pat@outlook.example');
+    });
+
+    it('reports non-JSON error pages by status', async () => {
+        await expect(provider()._request('GET', '/gateway-error')).rejects.toMatchObject({
+            message: 'Graph GET failed: Bad Gateway',
+            code: 502
+        });
+    });
+
+    describe('microsoftAuth', () => {
+        const env = {};
+
+        beforeEach(() => {
+            for (const name of ['MICROSOFT_LOGIN_URL', 'OUTLOOK_CLIENT_ID', 'OUTLOOK_CLIENT_SECRET', 'OUTLOOK_TENANT']) {
+                env[name] = process.env[name];
+            }
+            process.env.MICROSOFT_LOGIN_URL = mock.baseUrl.replace(/\/v1\.0$/, '');
+            process.env.OUTLOOK_CLIENT_ID = 'client-id';
+            delete process.env.OUTLOOK_CLIENT_SECRET;
+            delete process.env.OUTLOOK_TENANT;
+        });
+
+        afterEach(() => {
+            for (const [name, value] of Object.entries(env)) {
+                if (value === undefined) delete process.env[name];
+                else process.env[name] = value;
+            }
+        });
+
+        it('exchanges a PKCE authorization code for storable tokens', async () => {
+            const data = await microsoftAuth.exchangeOutlookCode('auth-code', 'verifier');
+            const stored = microsoftAuth.toStoredTokens(data);
+
+            const form = new URLSearchParams(mock.requests[0].body);
+            expect(form.get('grant_type')).toBe('authorization_code');
+            expect(form.get('code_verifier')).toBe('verifier');
+            expect(form.get('scope')).toContain('offline_access');
+            expect(form.has('client_secret')).toBe(false);
+            expect(stored).toEqual(expect.objectContaining({
+                access_token: 'EwBYA8l6BAAURSN-graph-access',
+                refresh_token: 'M.C517_BAY.0.U.-rotated-refresh'
+            }));
+            expect(new OutlookProvider(stored).canSendMail).toBe(true);
+        });
+
+        it('refreshes tokens, keeping the old refresh token if none comes back', async () => {
+            const data = await microsoftAuth.refreshOutlookToken('old-refresh');
+
+            expect(new URLSearchParams(mock.requests[0].body).get('refresh_token')).toBe('old-refresh');
+            expect(microsoftAuth.toStoredTokens({ ...data, refresh_token: undefined }, tokens).refresh_token)
+                .toBe('graph-refresh');
+        });
+
+        it('refreshes an expired access token before calling Graph and stores the new tokens', async () => {
+            const onTokens = jest.fn().mockResolvedValue(undefined);
+            tokens.expiry_date = Date.now() - 1000;
+
+            const outlook = new OutlookProvider(tokens, { baseUrl: mock.baseUrl, onTokens });
+            expect(await outlook.getProfile()).toBe('pat@outlook.example');
+
+            expect(mock.requests.map(r => r.key)).toEqual(['POST /common/oauth2/v2.0/token', expect.stringMatching(/^GET \/v1\.0\/me/)]);
+            expect(mock.requests[1].headers.authorization).toBe('Bearer EwBYA8l6BAAURSN-graph-access');
+            expect(onTokens).toHaveBeenCalledWith(expect.objectContaining({
+                access_token: 'EwBYA8l6BAAURSN-graph-access',
+                refresh_token: 'M.C517_BAY.0.U.-rotated-refresh'
+            }));
+        });
+
+        it('refreshes and retries once when Graph refuses the access token', async () => {
+            tokens.access_token = 'expired-access';
+
+            const outlook = new OutlookProvider(tokens, { baseUrl: mock.baseUrl });
+            expect(await outlook.getProfile()).toBe('pat@outlook.example');
+            expect(mock.requests).toHaveLength(3);
+        });
+
+        it('fails with the refresh error when the refresh token is refused too', async () => {
+            process.env.OUTLOOK_TENANT = 'consumers';
+            tokens.access_token = 'expired-access';
+
+            await expect(provider().getProfile()).rejects.toThrow(/refresh_token' is not valid/);
+        });
+
+        it('reports refused grants', async () => {
+            // Recorded from a personal-account tenant after the grant was revoked
+            process.env.OUTLOOK_TENANT = 'consumers';
+
+            await expect(microsoftAuth.refreshOutlookToken('old-refresh')).rejects.toThrow(/refresh_token' is not valid/);
+        });
+    });
+});
@@ -0,0 +1,221 @@
+/**
+ * Unit tests for the email provider layer — registry, the in-memory
+ * provider, and provider-agnostic scanning and unsubscribing.
+ *
+ * Tests cover:
+ *   - Resolving a provider from the user's mailboxes or request credentials
+ *   - MemoryProvider paging, metadata, marking and sending
+ *   - MailboxScanner and UnsubscribeService.processMessage() against it
+ *   - Cleaning up a sender's mail after unsubscribing (cleanup policies)
+ */
+
+const providers = require('../providers');
+const MemoryProvider = require('../providers/memoryProvider');
+const MailboxScanner = require('../mailboxScanner');
+const UnsubscribeService = require('../unsubscribeService');
+const { normalizeCleanupPolicy } = require('../cleanupPolicy');
+
+// An email as GmailService returns it
+function email(id, from, extra = {}) {
+    return {
+        id,
+        sender: from,
+        subject: `Subject ${id}`,
+        date: '2026-03-01T00:00:00.000Z',
+        unread: true,
+        listId: null,
+        listName: null,
+        snippet: '',
+        rawHeaders: { from: `${from} <news@${from}.example>`, listUnsubscribe: '<mailto:unsub@x.example>' },
+        htmlBody: `<p>${id}</p>`,
+        unsubscribeUrl: 'mailto:unsub@x.example',
+        unsubscribeData: { httpUrls: [], mailtoUrl: 'mailto:unsub@x.example', bodyUrl: null, hasListUnsubscribePost: false },
+        ...extra
+    };
+}
+
+describe('providers', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('resolveProvider', () => {
+        const user = {
+            id: 'u1',
+            mailboxes: [
+                { id: 'mb1', provider: 'gmail', email: 'a@gmail.com', credentials: { access_token: 'stored' } },
+                { id: 'mb2', provider: 'memory', email: 'side@example.com', credentials: [email('m1', 'shop')] }
+            ]
+        };
+
+        beforeEach(() => {
+            providers.registerProvider('gmail', { create: tokens => ({ name: 'gmail', tokens }) });
+            providers.registerProvider('memory', { create: emails => new MemoryProvider({ emails }) });
+        });
+
+        it('defaults to Gmail with the request\'s tokens', () => {
+            const provider = providers.resolveProvider(null, { access_token: 'abc' });
+
+            expect(provider).toEqual({ name: 'gmail', tokens: { access_token: 'abc' } });
+        });
+
+        it('uses the user\'s first mailbox by default, ignoring request tokens', () => {
+            expect(providers.resolveProvider(user, { access_token: 'request' }).tokens.access_token).toBe('stored');
+        });
+
+        it('uses the mailbox asked for', () => {
+            const provider = providers.resolveProvider(user, null, 'mb2');
+
+            expect(provider).toBeInstanceOf(MemoryProvider);
+            expect(provider.emails).toHaveLength(1);
+        });
+
+        it('tells the provider which stored mailbox it is for', () => {
+            const create = jest.fn(() => ({}));
+            providers.registerProvider('memory', { create });
+
+            providers.resolveProvider(user, null, 'mb2');
+            providers.resolveProvider(null, { access_token: 'abc' });
+
+            expect(create).toHaveBeenCalledWith(user.mailboxes[1].credentials, { userId: 'u1', mailboxId: 'mb2' });
+        });
+
+        it('returns null when the mailbox doesn\'t exist or none is connected', () => {
+            expect(providers.resolveProvider(user, null, 'mb9')).toBeNull();
+            expect(providers.resolveProvider({ id: 'u1', mailboxes: [] }, null)).toBeNull();
+            expect(providers.resolveProvider(null, { access_token: 'abc' }, 'mb1')).toBeNull();
+        });
+
+        it('throws for an unknown provider', () => {
+            const pigeon = { mailboxes: [{ id: 'mb1', provider: 'carrier-pigeon', credentials: {} }] };
+            expect(() => providers.resolveProvider(pigeon)).toThrow(/Unknown mail provider/);
+        });
+    });
+
+    describe('MemoryProvider', () => {
+        it('pages candidates and folds repeat senders into one card', async () => {
+            const provider = new MemoryProvider({
+                emails: [email('m1', 'a'), email('m2', 'b'), email('m3', 'a'), email('m4', 'c', { unsubscribeUrl: null })],
+                pageSize: 2
+            });
+
+            const subscriptions = new Map();
+            const first = await provider.listCandidates({ limit: 1, subscriptions });
+            const second = await provider.listCandidates({ pageToken: first.nextPageToken, subscriptions });
+
+            expect(first.emails.map(e => e.id)).toEqual(['m1', 'm2']);
+            expect(second.emails).toEqual([]);
+            expect(second.nextPageToken).toBeNull();
+            expect(subscriptions.get('sender:news@a.example').messageCount).toBe(2);
+        });
+
+        it('strips bodies and unsubscribe data from metadata', async () => {
+            const provider = new MemoryProvider({ emails: [email('m1', 'a')] });
+
+            const [metadata, missing] = await provider.getEmailMetadataBatch(['m1', 'nope']);
+
+            expect(metadata).not.toHaveProperty('htmlBody');
+            expect(metadata).not.toHaveProperty('unsubscribeData');
+            expect(missing).toBeNull();
+            expect(await provider.getEmailHtml('m1')).toBe('<p>m1</p>');
+            await expect(provider.getEmailHtml('nope')).rejects.toMatchObject({ code: 404 });
+        });
+    });
+
+    describe('provider-agnostic flows', () => {
+        it('scans a provider\'s mailbox with MailboxScanner', async () => {
+            const provider = new MemoryProvider({ emails: [email('m1', 'a'), email('m2', 'b'), email('m3', 'a')] });
+
+            const page = await new MailboxScanner().scan(provider, 'user:a');
+
+            expect(page.emails.map(e => e.subscription.id)).toEqual(['sender:news@a.example', 'sender:news@b.example']);
+            expect(page.emails[0].subscription.messageCount).toBe(2);
+        });
+
+        it('sends mailto unsubscribes through the provider and marks the email processed', async () => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            const message = email('m1', 'a');
+            const provider = new MemoryProvider({ emails: [message] });
+
+            const result = await new UnsubscribeService().processMessage(provider, 'm1', message.unsubscribeData);
+
+            expect(result.unsubscribeResult.method).toBe('mailto');
+            expect(provider.sent).toEqual([{ to: 'unsub@x.example', subject: 'Unsubscribe', body: '' }]);
+            expect(provider.processed).toEqual(['m1']);
+            expect(message.unread).toBe(false);
+        });
+
+        it('still marks the email processed when the mailbox cannot send', async () => {
+            const message = email('m1', 'a');
+            const provider = new MemoryProvider({ emails: [message], canSendMail: false });
+
+            const result = await new UnsubscribeService().processMessage(provider, 'm1', message.unsubscribeData);
+
+            expect(result.success).toBe(true);
+            expect(result.unsubscribeResult.success).toBe(false);
+            expect(provider.sent).toEqual([]);
+            expect(provider.processed).toEqual(['m1']);
+        });
+    });
+
+    describe('cleanup policies', () => {
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        it('normalizes policies and rejects unknown actions', () => {
+            expect(normalizeCleanupPolicy(['label', 'read', 'label'])).toEqual(['read', 'label']);
+            expect(normalizeCleanupPolicy(['archive', 'trash'])).toEqual(['trash']);
+            expect(normalizeCleanupPolicy([])).toEqual([]);
+            expect(normalizeCleanupPolicy(['shred'])).toBeNull();
+            expect(normalizeCleanupPolicy('read')).toBeNull();
+        });
+
+        it('cleans up the sender\'s other mail after a successful unsubscribe', async () => {
+            const messages = [email('m1', 'a'), email('m2', 'a'), email('m3', 'b')];
+            const provider = new MemoryProvider({ emails: messages });
+
+            const result = await new UnsubscribeService().processMessage(provider, 'm1', messages[0].unsubscribeData, {
+                cleanup: ['read', 'archive'],
+                senderAddress: 'news@a.example'
+            });
+
+            expect(result.cleanup).toEqual({ messages: 2 });
+            expect(provider.cleanups).toEqual([{ senderAddress: 'news@a.example', actions: ['read', 'archive'] }]);
+            expect(messages.map(m => m.unread)).toEqual([false, false, true]);
+        });
+
+        it('leaves mail alone when the unsubscribe failed or there is no policy', async () => {
+            const message = email('m1', 'a');
+            const cannotSend = new MemoryProvider({ emails: [message], canSendMail: false });
+            const noPolicy = new MemoryProvider({ emails: [message] });
+            const service = new UnsubscribeService();
+
+            const failed = await service.processMessage(cannotSend, 'm1', message.unsubscribeData, {
+                cleanup: ['trash'], senderAddress: 'news@a.example'
+            });
+            const kept = await service.processMessage(noPolicy, 'm1', message.unsubscribeData, {
+                senderAddress: 'news@a.example'
+            });
+
+            expect(failed.cleanup).toBeNull();
+            expect(kept.cleanup).toBeNull();
+            expect(cannotSend.cleanups).toEqual([]);
+            expect(noPolicy.cleanups).toEqual([]);
+        });
+
+        it('reports cleanup errors without failing the unsubscribe', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            const message = email('m1', 'a');
+            const provider = new MemoryProvider({ emails: [message] });
+            provider.cleanUpSender = jest.fn().mockRejectedValue(new Error('quota'));
+
+            const result = await new UnsubscribeService().processMessage(provider, 'm1', message.unsubscribeData, {
+                cleanup: ['label'], senderAddress: 'news@a.example'
+            });
+
+            expect(result.unsubscribeResult.success).toBe(true);
+            expect(result.cleanup).toEqual({ messages: 0, error: 'quota' });
+        });
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit tests for RequestScheduler — pacing outbound unsubscribe requests.
+ *
+ * Tests cover:
+ *   - Per-host concurrency and the global in-flight cap
+ *   - Spacing request starts to the per-host rate
+ *   - Holding a host back after Retry-After, and failing fast past maxWaitMs,
+ *     including for requests already waiting
+ */
+
+const RequestScheduler = require('../requestScheduler');
+
+// A task that stays in flight until finish() is called
+function pendingTask() {
+    let finish;
+    const promise = new Promise(resolve => { finish = resolve; });
+    const task = jest.fn(() => promise);
+    return { task, finish: (value) => finish(value) };
+}
+
+// Lets resolved promises run their continuations
+const flush = async () => {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+};
+
+describe('RequestScheduler', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    it('returns the task result', async () => {
+        const scheduler = new RequestScheduler();
+
+        await expect(scheduler.run('esp.example', async () => 'done')).resolves.toBe('done');
+    });
+
+    it('limits concurrent requests to one host', async () => {
+        const scheduler = new RequestScheduler({ perHostConcurrency: 1, perHostRate: 1000 });
+        const first = pendingTask();
+        const second = pendingTask();
+
+        const running = scheduler.run('esp.example', first.task);
+        scheduler.run('esp.example', second.task);
+        await flush();
+        expect(first.task).toHaveBeenCalled();
+        expect(second.task).not.toHaveBeenCalled();
+
+        first.finish('ok');
+        await running;
+        jest.advanceTimersByTime(1);
+        await flush();
+        expect(second.task).toHaveBeenCalled();
+    });
+
+    it('spaces request starts to one host by the per-host rate', async () => {
+        const scheduler = new RequestScheduler({ perHostConcurrency: 5, perHostRate: 2 });
+        const tasks = [jest.fn(), jest.fn(), jest.fn()];
+        tasks.forEach(task => scheduler.run('esp.example', task));
+
+        await flush();
+        expect(tasks.map(task => task.mock.calls.length)).toEqual([1, 0, 0]);
+
+        jest.advanceTimersByTime(500);
+        await flush();
+        expect(tasks.map(task => task.mock.calls.length)).toEqual([1, 1, 0]);
+
+        jest.advanceTimersByTime(500);
+        await flush();
+        expect(tasks.map(task => task.mock.calls.length)).toEqual([1, 1, 1]);
+    });
+
+    it('does not slow down requests to other hosts', async () => {
+        const scheduler = new RequestScheduler({ perHostRate: 1 });
+        const a = jest.fn();
+        const b = jest.fn();
+
+        scheduler.run('a.example', a);
+        scheduler.run('b.example', b);
+        await flush();
+
+        expect(a).toHaveBeenCalled();
+        expect(b).toHaveBeenCalled();
+    });
+
+    it('caps requests in flight across hosts', async () => {
+        const scheduler = new RequestScheduler({ maxInFlight: 2 });
+        const tasks = [pendingTask(), pendingTask(), pendingTask()];
+        const runs = tasks.map(({ task }, i) => scheduler.run(`host${i}.example`, task));
+
+        await flush();
+        expect(tasks.map(({ task }) => task.mock.calls.length)).toEqual([1, 1, 0]);
+
+        tasks[0].finish();
+        await runs[0];
+        await flush();
+        expect(tasks[2].task).toHaveBeenCalled();
+    });
+
+    it('holds a deferred host back until its Retry-After has passed', async () => {
+        const scheduler = new RequestScheduler({ maxWaitMs: 10000 });
+        const task = jest.fn();
+        scheduler.defer('esp.example', 5000);
+
+        scheduler.run('esp.example', task);
+        jest.advanceTimersByTime(4999);
+        await flush();
+        expect(task).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        await flush();
+        expect(task).toHaveBeenCalled();
+    });
+
+    it('fails fast with retryAfterMs when a host is held back longer than maxWaitMs', async () => {
+        const scheduler = new RequestScheduler({ maxWaitMs: 10000 });
+        const task = jest.fn();
+        scheduler.defer('esp.example', 120000);
+
+        await expect(scheduler.run('esp.example', task)).rejects.toMatchObject({ retryAfterMs: 120000 });
+        expect(task).not.toHaveBeenCalled();
+    });
+
+    it('fails a waiting request when a Retry-After holds its host back past maxWaitMs', async () => {
+        const scheduler = new RequestScheduler({ perHostConcurrency: 1, maxWaitMs: 10000 });
+        const first = pendingTask();
+        const second = jest.fn();
+
+        const running = scheduler.run('esp.example', first.task);
+        const waiting = scheduler.run('esp.example', second);
+        await flush();
+
+        // The first request comes back with a long Retry-After
+        scheduler.defer('esp.example', 120000);
+        await expect(waiting).rejects.toMatchObject({ retryAfterMs: 120000 });
+
+        first.finish('throttled');
+        await running;
+        expect(second).not.toHaveBeenCalled();
+        expect(scheduler.waiting).toHaveLength(0);
+    });
+
+    it('keeps a waiting request whose host is held back within maxWaitMs', async () => {
+        const scheduler = new RequestScheduler({ perHostConcurrency: 1, maxWaitMs: 10000 });
+        const first = pendingTask();
+        const second = jest.fn();
+
+        const running = scheduler.run('esp.example', first.task);
+        scheduler.run('esp.example', second);
+        await flush();
+
+        scheduler.defer('esp.example', 5000);
+        first.finish();
+        await running;
+        jest.advanceTimersByTime(5000);
+        await flush();
+        expect(second).toHaveBeenCalled();
+    });
+
+    it('frees the slot when a task throws', async () => {
+        const scheduler = new RequestScheduler({ perHostConcurrency: 1, perHostRate: 1000 });
+
+        await expect(scheduler.run('esp.example', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+        expect(scheduler.inFlight).toBe(0);
+    });
+});
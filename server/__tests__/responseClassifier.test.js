@@ -0,0 +1,58 @@
+/**
+ * Unit tests for responseClassifier — what an unsubscribe endpoint said.
+ *
+ * Tests cover:
+ *   - Status-based outcomes (gone links, auth, errors)
+ *   - Success, expiry, login-wall and error markers in page text
+ *   - Sign-in pages reached through redirects
+ *   - RFC 8058 acknowledgements
+ */
+
+const { classifyResponse } = require('../responseClassifier');
+
+const URL_ = 'https://esp.example/unsubscribe/abc';
+
+const classify = (body, extra = {}) => classifyResponse({ status: 200, url: URL_, body, ...extra }).outcome;
+
+describe('classifyResponse', () => {
+    it('classifies error statuses', () => {
+        expect(classifyResponse({ status: 410 })).toEqual({ outcome: 'expired', reason: 'Unsubscribe link no longer exists' });
+        expect(classifyResponse({ status: 401 }).outcome).toBe('login-required');
+        expect(classifyResponse({ status: 500 })).toEqual({ outcome: 'failed', reason: 'Unsubscribe endpoint answered 500' });
+    });
+
+    it('confirms pages that say the address was unsubscribed', () => {
+        expect(classify('<h1>You have been unsubscribed</h1>')).toBe('confirmed');
+        expect(classify('<p>We\'ve removed you from our mailing list.</p>')).toBe('confirmed');
+        expect(classify('<p>You will no longer receive emails from Shop.</p>')).toBe('confirmed');
+    });
+
+    it('recognises expired and used links', () => {
+        expect(classify('<p>This link has expired. Please use the link in a newer email.</p>')).toBe('expired');
+        expect(classify('<p>Sorry, this unsubscribe token is no longer valid.</p>')).toBe('expired');
+    });
+
+    it('recognises login walls by text, password fields and redirect target', () => {
+        expect(classify('<p>Please log in to manage your subscriptions.</p>')).toBe('login-required');
+        expect(classify('<form><input type="password" name="p"></form>')).toBe('login-required');
+        expect(classify('<h1>Welcome</h1>', { url: 'https://esp.example/account/login?next=/prefs' })).toBe('login-required');
+    });
+
+    it('keeps success pages that also offer a sign-in', () => {
+        expect(classify('<p>You have been unsubscribed.</p><a href="/login">Sign in to manage preferences</a>')).toBe('confirmed');
+    });
+
+    it('recognises error pages served with 200', () => {
+        expect(classify('<h1>Oops! Something went wrong.</h1>')).toBe('failed');
+    });
+
+    it('ignores text in scripts and styles', () => {
+        expect(classify('<script>var msg = "You have been unsubscribed";</script><p>Loading…</p>')).toBe('probable');
+    });
+
+    it('calls silent 2xx responses probable, unless the endpoint acknowledges them', () => {
+        expect(classify('')).toBe('probable');
+        expect(classify('', { acknowledged: true })).toBe('confirmed');
+        expect(classify('<p>Error: unable to process your request</p>', { acknowledged: true })).toBe('failed');
+    });
+});
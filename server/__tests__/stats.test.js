@@ -0,0 +1,132 @@
+/**
+ * Unit tests for stats — per-owner decision statistics.
+ *
+ * Tests cover:
+ *   - Totals, success rate and failure counts
+ *   - Verification results, with senders still sending counted as failures
+ *   - Breakdown by unsubscribe method
+ *   - Day/week/month time series
+ *   - ISO week numbering
+ */
+
+const { computeStats, weekKey } = require('../stats');
+
+// Fixed reference time: Wednesday 2026-03-18, 12:00 UTC
+const NOW = new Date('2026-03-18T12:00:00Z');
+
+function decision(fields) {
+    return {
+        decision: 'unsubscribe',
+        status: 'completed',
+        unsubscribeSuccess: true,
+        unsubscribeMethod: 'rfc8058',
+        timestamp: '2026-03-18T10:00:00Z',
+        ...fields
+    };
+}
+
+describe('computeStats', () => {
+    const sessions = [
+        {
+            completed: true,
+            decisions: [
+                decision({}),
+                decision({ unsubscribeMethod: 'mailto' }),
+                decision({ unsubscribeSuccess: false, unsubscribeMethod: null, status: 'failed' }),
+                decision({ decision: 'keep', unsubscribeSuccess: false, unsubscribeMethod: null })
+            ]
+        },
+        {
+            completed: false,
+            decisions: [
+                decision({ status: 'pending', unsubscribeSuccess: false, unsubscribeMethod: null, timestamp: '2026-03-01T09:00:00Z' }),
+                decision({ unsubscribeMethod: 'http-body', timestamp: '2026-02-10T09:00:00Z' })
+            ]
+        }
+    ];
+
+    it('computes totals, success rate and failures', () => {
+        const stats = computeStats(sessions, NOW);
+
+        expect(stats).toEqual(expect.objectContaining({
+            totalSessions: 2,
+            completedSessions: 1,
+            totalDecisions: 6,
+            totalUnsubscribes: 5,
+            totalKeeps: 1,
+            successfulUnsubscribes: 3,
+            failedUnsubscribes: 1,
+            pendingUnsubscribes: 1,
+            successRate: 75
+        }));
+    });
+
+    it('counts verified unsubscribes and senders still sending', () => {
+        const verified = [{
+            completed: true,
+            decisions: [
+                decision({ verification: { status: 'confirmed' } }),
+                decision({ verification: { status: 'pending' } }),
+                decision({ verification: { status: 'still-sending' } }),
+                decision({ unsubscribeSuccess: false, status: 'failed' })
+            ]
+        }];
+
+        expect(computeStats(verified, NOW)).toEqual(expect.objectContaining({
+            successfulUnsubscribes: 2,
+            failedUnsubscribes: 2,
+            confirmedUnsubscribes: 1,
+            stillSendingUnsubscribes: 1,
+            successRate: 50
+        }));
+    });
+
+    it('counts successful unsubscribes per method', () => {
+        expect(computeStats(sessions, NOW).byMethod).toEqual({
+            rfc8058: 1,
+            'http-header': 0,
+            'http-body': 1,
+            mailto: 1
+        });
+    });
+
+    it('returns a null success rate when nothing has settled', () => {
+        expect(computeStats([], NOW).successRate).toBeNull();
+    });
+
+    it('builds continuous series ending at the current period', () => {
+        const { timeSeries } = computeStats(sessions, NOW);
+
+        expect(timeSeries.day).toHaveLength(30);
+        expect(timeSeries.day[29]).toEqual({
+            period: '2026-03-18', decisions: 4, unsubscribes: 3, keeps: 1, failures: 1
+        });
+        expect(timeSeries.day.find(b => b.period === '2026-03-01').decisions).toBe(1);
+
+        expect(timeSeries.week).toHaveLength(12);
+        expect(timeSeries.week[11].period).toBe('2026-W12');
+        expect(timeSeries.week[11].decisions).toBe(4);
+
+        expect(timeSeries.month.map(b => b.period).slice(-3)).toEqual(['2026-01', '2026-02', '2026-03']);
+        expect(timeSeries.month[11].decisions).toBe(5);
+        expect(timeSeries.month[10].decisions).toBe(1);
+    });
+
+    it('leaves decisions outside the window out of the series but in totals', () => {
+        const old = [{ completed: true, decisions: [decision({ timestamp: '2020-01-01T00:00:00Z' })] }];
+        const stats = computeStats(old, NOW);
+
+        expect(stats.totalDecisions).toBe(1);
+        expect(stats.timeSeries.month.every(b => b.decisions === 0)).toBe(true);
+    });
+});
+
+describe('weekKey', () => {
+    it('uses ISO-8601 week numbering', () => {
+        expect(weekKey(new Date('2026-01-01T00:00:00Z'))).toBe('2026-W01');
+        // Sunday belongs to the week that started the Monday before
+        expect(weekKey(new Date('2026-03-22T23:00:00Z'))).toBe('2026-W12');
+        // Late-December days can belong to week 1 of the next year
+        expect(weekKey(new Date('2024-12-30T00:00:00Z'))).toBe('2025-W01');
+    });
+});
@@ -0,0 +1,260 @@
+/**
+ * Unit tests for the storage adapters — JSON files and SQLite.
+ *
+ * The same contract runs against both adapters: the JSON adapter in a
+ * temporary directory and the SQLite adapter in an in-memory database.
+ *
+ * Tests cover:
+ *   - User lookups, upserts and deletes
+ *   - Sessions with their decisions
+ *   - Transactions: atomic rollback and no lost writes under concurrency
+ *   - Purging leftover copies of deleted records
+ *   - SQLite migrations and the one-time import of the JSON files
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const SqliteStorage = require('../storage/sqliteStorage');
+
+const user = (id, extra = {}) => ({ id, appleUserId: `apple-${id}`, email: `${id}@example.com`, ...extra });
+const session = (id, ownerId, extra = {}) => ({ id, ownerId, startTime: '2026-01-01T00:00:00Z', completed: false, ...extra });
+const decision = (id, extra = {}) => ({ id, emailId: `m-${id}`, decision: 'keep', timestamp: '2026-01-01T00:00:01Z', ...extra });
+
+describe.each(['json', 'sqlite'])('%s storage', (backend) => {
+    let dataDir;
+    let storage;
+
+    beforeEach(async () => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'junkpile-storage-'));
+        storage = createStorage({ backend, dataDir, sqlitePath: ':memory:' });
+        await storage.init();
+    });
+
+    afterEach(() => {
+        if (storage.close) storage.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    describe('users', () => {
+        it('looks users up by id, appleUserId and email', async () => {
+            await storage.users.transaction(tx => {
+                tx.put(user('u1'));
+                tx.put(user('u2'));
+            });
+
+            await storage.users.transaction(tx => {
+                expect(tx.find('id', 'u2').email).toBe('u2@example.com');
+                expect(tx.find('appleUserId', 'apple-u1').id).toBe('u1');
+                expect(tx.find('email', 'u1@example.com').id).toBe('u1');
+                expect(tx.find('id', 'missing')).toBeNull();
+            });
+        });
+
+        it('replaces a user on put and removes it on remove', async () => {
+            await storage.users.transaction(tx => tx.put(user('u1', { name: 'Old' })));
+            await storage.users.transaction(tx => tx.put(user('u1', { name: 'New', email: 'new@example.com' })));
+
+            const found = await storage.users.transaction(tx => tx.find('email', 'new@example.com'));
+            expect(found.name).toBe('New');
+            expect(await storage.users.transaction(tx => tx.all())).toHaveLength(1);
+
+            expect(await storage.users.transaction(tx => tx.remove('u1'))).toBe(true);
+            expect(await storage.users.transaction(tx => tx.remove('u1'))).toBe(false);
+        });
+
+        it('hands out copies that are only saved through put', async () => {
+            await storage.users.transaction(tx => tx.put(user('u1', { name: 'Original' })));
+            await storage.users.transaction(tx => {
+                tx.find('id', 'u1').name = 'Changed';
+            });
+
+            expect((await storage.users.transaction(tx => tx.find('id', 'u1'))).name).toBe('Original');
+        });
+    });
+
+    describe('sessions', () => {
+        it('stores decisions under their session', async () => {
+            await storage.sessions.transaction(tx => {
+                tx.put(session('s1', 'user:a'));
+                tx.put(session('s2', 'user:b'));
+                tx.putDecision('s1', decision('d1'));
+                tx.putDecision('s1', decision('d2'));
+                tx.putDecision('s2', decision('d3'));
+            });
+
+            const sessions = await storage.sessions.transaction(tx => tx.all('user:a'));
+            expect(sessions).toHaveLength(1);
+            expect(sessions[0].decisions.map(d => d.id)).toEqual(['d1', 'd2']);
+
+            const all = await storage.sessions.transaction(tx => tx.all());
+            expect(all.map(s => s.id)).toEqual(['s1', 's2']);
+        });
+
+        it('keeps decisions when the session itself is updated', async () => {
+            await storage.sessions.transaction(tx => {
+                tx.put(session('s1', 'user:a'));
+                tx.putDecision('s1', decision('d1'));
+            });
+            await storage.sessions.transaction(tx => {
+                const s = tx.get('s1');
+                tx.put({ ...s, completed: true, decisions: [] });
+            });
+
+            const s1 = await storage.sessions.transaction(tx => tx.get('s1'));
+            expect(s1.completed).toBe(true);
+            expect(s1.decisions.map(d => d.id)).toEqual(['d1']);
+        });
+
+        it('finds, updates and removes single decisions', async () => {
+            await storage.sessions.transaction(tx => {
+                tx.put(session('s1', 'user:a'));
+                tx.putDecision('s1', decision('d1'));
+                tx.putDecision('s1', decision('d2'));
+            });
+
+            await storage.sessions.transaction(tx => {
+                const found = tx.findDecision('d1');
+                expect(found.session.id).toBe('s1');
+                tx.putDecision('s1', { ...found.decision, status: 'completed' });
+                expect(tx.removeDecision('d2')).toBe(true);
+                expect(tx.findDecision('missing')).toBeNull();
+            });
+
+            const s1 = await storage.sessions.transaction(tx => tx.get('s1'));
+            expect(s1.decisions).toEqual([expect.objectContaining({ id: 'd1', status: 'completed' })]);
+        });
+
+        it('rejects decisions for unknown sessions', async () => {
+            await expect(storage.sessions.transaction(tx => tx.putDecision('missing', decision('d1'))))
+                .rejects.toThrow(/not found/);
+        });
+
+        it('removes everything an owner has', async () => {
+            await storage.sessions.transaction(tx => {
+                tx.put(session('s1', 'user:a'));
+                tx.put(session('s2', 'user:a'));
+                tx.put(session('s3', 'user:b'));
+                tx.putDecision('s1', decision('d1'));
+                tx.putDecision('s2', decision('d2'));
+                tx.putDecision('s3', decision('d3'));
+            });
+
+            expect(await storage.sessions.transaction(tx => tx.removeOwner('user:a')))
+                .toEqual({ sessions: 2, decisions: 2 });
+            expect(await storage.sessions.transaction(tx => tx.all('user:a'))).toEqual([]);
+            expect(await storage.sessions.transaction(tx => tx.findDecision('d3'))).not.toBeNull();
+        });
+    });
+
+    describe('transactions', () => {
+        it('keeps nothing from a transaction that throws', async () => {
+            await expect(storage.users.transaction(tx => {
+                tx.put(user('u1'));
+                throw new Error('boom');
+            })).rejects.toThrow('boom');
+
+            expect(await storage.users.transaction(tx => tx.all())).toEqual([]);
+        });
+
+        it('does not lose concurrent read-modify-write updates', async () => {
+            await storage.users.transaction(tx => tx.put(user('u1', { count: 0 })));
+
+            await Promise.all(Array.from({ length: 20 }, () => storage.users.transaction(tx => {
+                const current = tx.find('id', 'u1');
+                tx.put({ ...current, count: current.count + 1 });
+            })));
+
+            expect((await storage.users.transaction(tx => tx.find('id', 'u1'))).count).toBe(20);
+        });
+    });
+
+    describe('purgeBackups', () => {
+        it('leaves no backup of a deleted user behind', async () => {
+            await storage.users.transaction(tx => tx.put(user('u1')));
+            await storage.users.transaction(tx => tx.put(user('u2')));
+            await storage.users.transaction(tx => tx.remove('u1'));
+
+            await storage.purgeBackups();
+
+            const leftovers = fs.readdirSync(dataDir).filter(name => name.includes('.bak.'));
+            expect(leftovers).toEqual([]);
+            expect(await storage.users.transaction(tx => tx.all())).toEqual([user('u2')]);
+        });
+    });
+});
+
+describe('SqliteStorage', () => {
+    let dataDir;
+
+    beforeEach(() => {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'junkpile-sqlite-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('migrates a new database to the latest schema version', async () => {
+        const storage = new SqliteStorage({ filePath: path.join(dataDir, 'test.db') });
+        await storage.init();
+
+        expect(storage.db.pragma('user_version', { simple: true })).toBeGreaterThan(0);
+        const indexes = storage.db.prepare("SELECT name FROM sqlite_master WHERE type = 'index'").all()
+            .map(row => row.name);
+        expect(indexes).toEqual(expect.arrayContaining(['users_apple_user_id', 'users_email']));
+        storage.close();
+    });
+
+    it('imports the JSON files once, when the database is created', async () => {
+        fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify({ users: [user('u1')] }));
+        fs.writeFileSync(path.join(dataDir, 'decisions.json'), JSON.stringify({
+            sessions: [{ ...session('s1', 'user:u1'), decisions: [decision('d1')] }]
+        }));
+        const sqlitePath = path.join(dataDir, 'junkpile.db');
+
+        let storage = createStorage({ backend: 'sqlite', dataDir, sqlitePath });
+        await storage.init();
+        expect((await storage.users.transaction(tx => tx.find('appleUserId', 'apple-u1'))).id).toBe('u1');
+        expect((await storage.sessions.transaction(tx => tx.get('s1'))).decisions).toHaveLength(1);
+
+        // Deleted accounts must not come back from the old JSON on restart
+        await storage.users.transaction(tx => tx.remove('u1'));
+        storage.close();
+
+        storage = createStorage({ backend: 'sqlite', dataDir, sqlitePath });
+        await storage.init();
+        expect(await storage.users.transaction(tx => tx.all())).toEqual([]);
+        storage.close();
+    });
+
+    it('tries the import again after one that failed partway', async () => {
+        fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify({ users: [user('u1')] }));
+        fs.writeFileSync(path.join(dataDir, 'decisions.json'), JSON.stringify({
+            sessions: [{ ...session('s1', 'user:u1'), decisions: [decision('d1')] }]
+        }));
+        const sqlitePath = path.join(dataDir, 'junkpile.db');
+
+        // Users go in, then writing the sessions fails
+        jest.spyOn(SqliteStorage.prototype, '_sessionsTransaction').mockImplementationOnce(() => ({
+            put() {
+                throw new Error('disk full');
+            }
+        }));
+        let storage = createStorage({ backend: 'sqlite', dataDir, sqlitePath });
+        await expect(storage.init()).rejects.toThrow('disk full');
+
+        storage = createStorage({ backend: 'sqlite', dataDir, sqlitePath });
+        await storage.init();
+        expect((await storage.users.transaction(tx => tx.find('id', 'u1'))).id).toBe('u1');
+        expect((await storage.sessions.transaction(tx => tx.get('s1'))).decisions).toHaveLength(1);
+        storage.close();
+    });
+
+    it('rejects unknown backends', () => {
+        expect(() => createStorage({ backend: 'mongo', dataDir })).toThrow(/Unknown STORAGE_BACKEND/);
+    });
+});
@@ -0,0 +1,155 @@
+/**
+ * Unit tests for SubscriptionCounter — fast estimated count with background
+ * refinement.
+ *
+ * The email provider is a fake mailbox whose listMessages() pages
+ * through message IDs "<sender>-<n>" and whose getEmailMetadataBatch()
+ * returns headers-only emails from news@<sender>.com.
+ *
+ * Tests cover:
+ *   - Exact count when the sample covers the whole mailbox
+ *   - Estimate from the sample, then the exact figure after refinement
+ *   - One refinement per owner, cached counts and purging
+ *   - Failed refinements keep the estimate
+ */
+
+const SubscriptionCounter = require('../subscriptionCounter');
+
+/**
+ * Fake provider over `ids`, served in list pages of `maxResults`.
+ */
+function fakeGmail(ids) {
+    return {
+        listMessages: jest.fn(async ({ pageToken, maxResults }) => {
+            const start = pageToken ? parseInt(pageToken, 10) : 0;
+            const end = start + maxResults;
+            return {
+                ids: ids.slice(start, end),
+                nextPageToken: end < ids.length ? String(end) : null,
+                resultSizeEstimate: ids.length
+            };
+        }),
+        getEmailMetadataBatch: jest.fn(async (batch) => batch.map(id => ({
+            id,
+            sender: 'News',
+            rawHeaders: { from: `News <news@${id.split('-')[0]}.com>` }
+        })))
+    };
+}
+
+// n messages from each of the given senders, interleaved
+function messages(senders, n) {
+    const ids = [];
+    for (let i = 0; i < n; i++) {
+        for (const sender of senders) ids.push(`${sender}-${i}`);
+    }
+    return ids;
+}
+
+describe('SubscriptionCounter', () => {
+    let counter;
+
+    beforeEach(() => {
+        counter = new SubscriptionCounter({ sampleSize: 10 });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('is exact when the sample is the whole mailbox', async () => {
+        const gmail = fakeGmail(['a-1', 'b-1', 'a-2', 'c-1']);
+
+        const result = await counter.count(gmail, 'user:a');
+
+        expect(result).toEqual(expect.objectContaining({ count: 3, exact: true, status: 'exact' }));
+        expect(counter.refinements.size).toBe(0);
+    });
+
+    it('estimates from the sample, then refines to the exact figure', async () => {
+        // 40 senders, each appearing once, then again: 80 messages, 40 subscriptions
+        const senders = Array.from({ length: 40 }, (_, i) => `s${i}`);
+        const gmail = fakeGmail(messages(senders, 2));
+
+        const first = await counter.count(gmail, 'user:a');
+        expect(first.exact).toBe(false);
+        expect(first.status).toBe('refining');
+        // Every sampled message was a new sender, so the estimate runs high
+        expect(first.count).toBeGreaterThan(10);
+        expect(first.count).toBeLessThanOrEqual(80);
+
+        await counter.refinements.get('user:a');
+
+        const second = await counter.count(gmail, 'user:a');
+        expect(second).toEqual(expect.objectContaining({ count: 40, exact: true, status: 'exact' }));
+    });
+
+    it('does not extrapolate new senders from a sample that stopped finding them', async () => {
+        // 3 senders over 300 messages: the sample sees them all early on
+        const gmail = fakeGmail(messages(['a', 'b', 'c'], 100));
+
+        const result = await counter.count(gmail, 'user:a');
+
+        expect(result.count).toBe(3);
+        expect(result.exact).toBe(false);
+    });
+
+    it('runs one refinement per owner and reuses the count meanwhile', async () => {
+        const gmail = fakeGmail(messages(['a', 'b', 'c'], 100));
+
+        await counter.count(gmail, 'user:a');
+        await counter.count(gmail, 'user:a');
+
+        // One sample list call plus the refinement's walk
+        const sampleCalls = gmail.listMessages.mock.calls.filter(([options]) => options.maxResults === 10);
+        expect(sampleCalls).toHaveLength(1);
+        await counter.refinements.get('user:a');
+    });
+
+    it('extrapolates when refinement hits its message cap', async () => {
+        counter = new SubscriptionCounter({ sampleSize: 10, maxRefineMessages: 500 });
+        const gmail = fakeGmail(messages(['a', 'b'], 600));
+
+        await counter.count(gmail, 'user:a');
+        await counter.refinements.get('user:a');
+
+        const result = await counter.count(gmail, 'user:a');
+        expect(result).toEqual(expect.objectContaining({ count: 2, exact: false, status: 'estimated' }));
+    });
+
+    it('keeps the estimate when refinement fails', async () => {
+        const gmail = fakeGmail(messages(['a', 'b'], 50));
+        gmail.listMessages
+            .mockImplementationOnce(fakeGmail(messages(['a', 'b'], 50)).listMessages)
+            .mockRejectedValueOnce(new Error('rate limited'));
+
+        const first = await counter.count(gmail, 'user:a');
+        await counter.refinements.get('user:a');
+
+        const second = await counter.count(gmail, 'user:a');
+        expect(second).toEqual({ ...first, status: 'estimated' });
+    });
+
+    it('counts again once the cached count expires', async () => {
+        jest.spyOn(Date, 'now').mockReturnValue(1000);
+        const gmail = fakeGmail(['a-1']);
+        await counter.count(gmail, 'user:a');
+
+        Date.now.mockReturnValue(1000 + 16 * 60 * 1000);
+        await counter.count(gmail, 'user:a');
+
+        expect(gmail.listMessages).toHaveBeenCalledTimes(2);
+    });
+
+    it('purges an owner\'s count and discards a refinement in progress', async () => {
+        const gmail = fakeGmail(messages(['a', 'b'], 50));
+        await counter.count(gmail, 'user:a');
+        const refinement = counter.refinements.get('user:a');
+
+        expect(counter.purgeOwner('user:a')).toBe(1);
+        await refinement;
+
+        expect(counter.counts.has('user:a')).toBe(false);
+    });
+});
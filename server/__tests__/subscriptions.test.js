@@ -0,0 +1,176 @@
+/**
+ * Unit tests for subscriptions — sender-level aggregation of scanned emails.
+ *
+ * Tests cover:
+ *   - Grouping by List-Id, then by sender address (not domain)
+ *   - Counts, unread ratio and first/last seen dates
+ *   - Choosing the best unsubscribe data across messages
+ *   - Sending frequency estimates
+ */
+
+const {
+    senderAddress,
+    unsubscribeScore,
+    addEmail,
+    estimateFrequency,
+    toCard
+} = require('../subscriptions');
+
+// Builds an email as returned by GmailService.getEmailDetails()
+function email(id, from, extra = {}) {
+    return {
+        id,
+        sender: from.replace(/\s*<.*>/, ''),
+        subject: `Subject ${id}`,
+        date: '2026-03-01T00:00:00.000Z',
+        unread: false,
+        unsubscribeUrl: 'https://example.com/unsub',
+        unsubscribeData: { httpUrls: ['https://example.com/unsub'], mailtoUrl: null, bodyUrl: null, hasListUnsubscribePost: false },
+        rawHeaders: { from },
+        ...extra
+    };
+}
+
+describe('subscriptions', () => {
+    describe('senderAddress', () => {
+        it('extracts and lower-cases the address', () => {
+            expect(senderAddress('"Shop News" <News@Shop.example>')).toBe('news@shop.example');
+            expect(senderAddress('deals@shop.example')).toBe('deals@shop.example');
+        });
+    });
+
+    describe('addEmail', () => {
+        it('keeps different senders from the same domain apart', () => {
+            const subscriptions = new Map();
+            addEmail(subscriptions, email('m1', 'Shop <news@shop.example>'));
+            addEmail(subscriptions, email('m2', 'Shop Deals <deals@shop.example>'));
+            addEmail(subscriptions, email('m3', 'Shop <NEWS@shop.example>'));
+
+            expect([...subscriptions.keys()]).toEqual(['sender:news@shop.example', 'sender:deals@shop.example']);
+            expect(subscriptions.get('sender:news@shop.example').messageCount).toBe(2);
+        });
+
+        it('groups by List-Id first, so one sender\'s lists stay separate', () => {
+            const subscriptions = new Map();
+            const from = 'Shop <news@shop.example>';
+            addEmail(subscriptions, email('m1', from, { listId: 'deals.shop.example', listName: 'Deals' }));
+            addEmail(subscriptions, email('m2', from, { listId: 'updates.shop.example', listName: 'Product updates' }));
+            addEmail(subscriptions, email('m3', from, { listId: 'deals.shop.example', listName: 'Deals' }));
+            addEmail(subscriptions, email('m4', from));
+
+            expect([...subscriptions.keys()]).toEqual([
+                'list:deals.shop.example',
+                'list:updates.shop.example',
+                'sender:news@shop.example'
+            ]);
+            const deals = subscriptions.get('list:deals.shop.example');
+            expect(deals.messageCount).toBe(2);
+            expect(toCard(deals).listName).toBe('Deals');
+            expect(toCard(deals).subscription.listId).toBe('deals.shop.example');
+        });
+
+        it('reports whether the email created the subscription', () => {
+            const subscriptions = new Map();
+            expect(addEmail(subscriptions, email('m1', 'a@x.example')).created).toBe(true);
+            expect(addEmail(subscriptions, email('m2', 'a@x.example')).created).toBe(false);
+        });
+
+        it('tracks unread counts and the first and last message dates', () => {
+            const subscriptions = new Map();
+            addEmail(subscriptions, email('m1', 'a@x.example', { date: '2026-03-10T00:00:00.000Z', unread: true }));
+            addEmail(subscriptions, email('m2', 'a@x.example', { date: '2026-03-01T00:00:00.000Z' }));
+            const { subscription } = addEmail(subscriptions, email('m3', 'a@x.example', {
+                date: '2026-03-20T00:00:00.000Z', unread: true
+            }));
+
+            expect(subscription.unreadCount).toBe(2);
+            expect(subscription.firstSeen).toBe('2026-03-01T00:00:00.000Z');
+            expect(subscription.lastSeen).toBe('2026-03-20T00:00:00.000Z');
+        });
+
+        it('represents the subscription by the message with the best unsubscribe data', () => {
+            const subscriptions = new Map();
+            const bodyOnly = { httpUrls: [], mailtoUrl: null, bodyUrl: 'https://x.example/u', hasListUnsubscribePost: false };
+            const oneClick = { httpUrls: ['https://x.example/one-click'], mailtoUrl: null, bodyUrl: null, hasListUnsubscribePost: true };
+
+            addEmail(subscriptions, email('m1', 'a@x.example', { unsubscribeData: bodyOnly, date: '2026-03-20T00:00:00.000Z' }));
+            addEmail(subscriptions, email('m2', 'a@x.example', { unsubscribeData: oneClick, date: '2026-03-01T00:00:00.000Z' }));
+            const { subscription } = addEmail(subscriptions, email('m3', 'a@x.example', {
+                unsubscribeData: bodyOnly, date: '2026-03-25T00:00:00.000Z'
+            }));
+
+            expect(subscription.representative.id).toBe('m2');
+        });
+
+        it('prefers the newest message when unsubscribe data is equally good', () => {
+            const subscriptions = new Map();
+            addEmail(subscriptions, email('m1', 'a@x.example', { date: '2026-03-01T00:00:00.000Z' }));
+            const { subscription } = addEmail(subscriptions, email('m2', 'a@x.example', { date: '2026-03-05T00:00:00.000Z' }));
+
+            expect(subscription.representative.id).toBe('m2');
+        });
+    });
+
+    describe('unsubscribeScore', () => {
+        it('ranks one-click over header URLs over mailto over body links', () => {
+            const scores = [
+                { httpUrls: ['https://a'], hasListUnsubscribePost: true },
+                { httpUrls: ['https://a'] },
+                { httpUrls: [], mailtoUrl: 'mailto:u@a' },
+                { httpUrls: [], bodyUrl: 'https://a/u' },
+                null
+            ].map(unsubscribeScore);
+
+            expect(scores).toEqual([...scores].sort((a, b) => b - a));
+            expect(new Set(scores).size).toBe(5);
+        });
+    });
+
+    describe('estimateFrequency', () => {
+        it('labels senders by messages per week', () => {
+            const at = (start, count, everyDays) => ({
+                messageCount: count,
+                firstSeen: start,
+                lastSeen: new Date(Date.parse(start) + (count - 1) * everyDays * 86400000).toISOString()
+            });
+
+            expect(estimateFrequency(at('2026-01-01T00:00:00Z', 30, 1)).label).toBe('daily');
+            expect(estimateFrequency(at('2026-01-01T00:00:00Z', 10, 7))).toEqual({ perWeek: 1, label: 'weekly' });
+            expect(estimateFrequency(at('2026-01-01T00:00:00Z', 6, 30)).label).toBe('monthly');
+            expect(estimateFrequency(at('2026-01-01T00:00:00Z', 3, 90)).label).toBe('occasional');
+        });
+
+        it('needs at least two messages', () => {
+            expect(estimateFrequency({ messageCount: 1, firstSeen: '2026-01-01', lastSeen: '2026-01-01' })).toBeNull();
+        });
+    });
+
+    describe('toCard', () => {
+        it('is the representative email plus a subscription summary', () => {
+            const subscriptions = new Map();
+            addEmail(subscriptions, email('m1', 'News <a@x.example>', { unread: true }));
+            const { subscription } = addEmail(subscriptions, email('m2', 'News <a@x.example>', {
+                date: '2026-03-08T00:00:00.000Z'
+            }));
+
+            const card = toCard(subscription);
+
+            expect(card.id).toBe('m2');
+            expect(card.unsubscribeUrl).toBe('https://example.com/unsub');
+            expect(card.subscription).toEqual({
+                id: 'sender:a@x.example',
+                listId: null,
+                listName: null,
+                senderAddress: 'a@x.example',
+                senderName: 'News',
+                domain: 'x.example',
+                messageCount: 2,
+                unreadCount: 1,
+                unreadRatio: 0.5,
+                firstSeen: '2026-03-01T00:00:00.000Z',
+                lastSeen: '2026-03-08T00:00:00.000Z',
+                frequency: { perWeek: 1, label: 'weekly' }
+            });
+        });
+    });
+});
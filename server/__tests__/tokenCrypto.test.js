@@ -0,0 +1,118 @@
+/**
+ * Unit tests for tokenCrypto — envelope encryption of stored OAuth tokens.
+ *
+ * Tests cover:
+ *   - Round-tripping sealed tokens
+ *   - Plaintext records pass through (transparent migration)
+ *   - Key rotation via TOKEN_ENCRYPTION_KEYS
+ *   - Tamper and context-swap detection
+ *   - Checking the keys at startup
+ */
+
+const crypto = require('crypto');
+const { sealTokens, openTokens, needsReseal, isSealed, checkKeyring } = require('../tokenCrypto');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+describe('tokenCrypto', () => {
+    const tokens = {
+        access_token: 'ya29.access',
+        refresh_token: '1//refresh',
+        expiry_date: 1767225600000
+    };
+    const originalKeys = process.env.TOKEN_ENCRYPTION_KEYS;
+
+    beforeEach(() => {
+        process.env.TOKEN_ENCRYPTION_KEYS = `k1:${key()}`;
+    });
+
+    afterAll(() => {
+        if (originalKeys === undefined) {
+            delete process.env.TOKEN_ENCRYPTION_KEYS;
+        } else {
+            process.env.TOKEN_ENCRYPTION_KEYS = originalKeys;
+        }
+    });
+
+    it('seals secret fields and leaves the rest readable', () => {
+        const sealed = sealTokens(tokens, 'user-1');
+
+        expect(isSealed(sealed)).toBe(true);
+        expect(sealed.expiry_date).toBe(tokens.expiry_date);
+        expect(sealed.sealed.kid).toBe('k1');
+        expect(JSON.stringify(sealed)).not.toContain('refresh');
+        expect(JSON.stringify(sealed)).not.toContain('ya29');
+    });
+
+    it('round-trips sealed tokens', () => {
+        expect(openTokens(sealTokens(tokens, 'user-1'), 'user-1')).toEqual(tokens);
+    });
+
+    it('uses a fresh data key for every seal', () => {
+        const a = sealTokens(tokens, 'user-1');
+        const b = sealTokens(tokens, 'user-1');
+        expect(a.sealed.dek).not.toBe(b.sealed.dek);
+        expect(a.sealed.data).not.toBe(b.sealed.data);
+    });
+
+    it('passes plaintext records through unchanged', () => {
+        expect(openTokens(tokens, 'user-1')).toBe(tokens);
+        expect(openTokens(null, 'user-1')).toBeNull();
+        expect(needsReseal(tokens)).toBe(true);
+    });
+
+    it('refuses to open a blob under another record\'s context', () => {
+        const sealed = sealTokens(tokens, 'user-1');
+        expect(() => openTokens(sealed, 'user-2')).toThrow();
+    });
+
+    it('detects tampering', () => {
+        const sealed = sealTokens(tokens, 'user-1');
+        const raw = Buffer.from(sealed.sealed.data, 'base64');
+        raw[raw.length - 1] ^= 0xff;
+        sealed.sealed.data = raw.toString('base64');
+
+        expect(() => openTokens(sealed, 'user-1')).toThrow();
+    });
+
+    describe('key rotation', () => {
+        it('opens old records with a retired key and flags them for re-sealing', () => {
+            const oldKey = key();
+            process.env.TOKEN_ENCRYPTION_KEYS = `k1:${oldKey}`;
+            const sealed = sealTokens(tokens, 'user-1');
+
+            process.env.TOKEN_ENCRYPTION_KEYS = `k2:${key()},k1:${oldKey}`;
+
+            expect(needsReseal(sealed)).toBe(true);
+            expect(openTokens(sealed, 'user-1')).toEqual(tokens);
+
+            const resealed = sealTokens(sealed, 'user-1');
+            expect(resealed.sealed.kid).toBe('k2');
+            expect(needsReseal(resealed)).toBe(false);
+            expect(openTokens(resealed, 'user-1')).toEqual(tokens);
+        });
+
+        it('fails clearly when the sealing key is no longer configured', () => {
+            const sealed = sealTokens(tokens, 'user-1');
+            process.env.TOKEN_ENCRYPTION_KEYS = `k2:${key()}`;
+
+            expect(() => openTokens(sealed, 'user-1')).toThrow(/"k1" is not configured/);
+        });
+    });
+
+    it('rejects keys of the wrong length', () => {
+        process.env.TOKEN_ENCRYPTION_KEYS = `k1:${Buffer.alloc(16).toString('base64')}`;
+        expect(() => sealTokens(tokens, 'user-1')).toThrow(/32 bytes/);
+    });
+
+    it('checks the keys up front', () => {
+        expect(checkKeyring()).toBe('k1');
+
+        process.env.TOKEN_ENCRYPTION_KEYS = 'k1:replace_with_base64_32_byte_key';
+        expect(() => checkKeyring()).toThrow(/32 bytes/);
+
+        // Unset outside production: the development key
+        process.env.TOKEN_ENCRYPTION_KEYS = '';
+        expect(checkKeyring()).toBe('dev');
+    });
+});
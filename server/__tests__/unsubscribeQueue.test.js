@@ -0,0 +1,402 @@
+/**
+ * Unit tests for UnsubscribeQueue — deferred unsubscribe jobs.
+ *
+ * Tests cover:
+ *   - Jobs wait out the grace period before running
+ *   - Owner-only cancellation inside the undo window
+ *   - Cancellation is refused once a job has started
+ *   - Outcome reporting through onSettled
+ *   - Retries with per-domain exponential backoff and dead-lettering
+ *   - Retry-After from the endpoint lengthens the backoff
+ *   - Persistence across restarts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UnsubscribeQueue = require('../unsubscribeQueue');
+
+// runJob results shaped like GmailService.unsubscribe()
+const succeeded = { success: true, unsubscribeResult: { success: true, method: 'rfc8058', error: null, retryable: false } };
+const transientFailure = { success: true, unsubscribeResult: { success: false, method: null, error: 'All unsubscribe methods failed', retryable: true } };
+const permanentFailure = { success: true, unsubscribeResult: { success: false, method: null, error: 'All unsubscribe methods failed', retryable: false } };
+
+describe('UnsubscribeQueue', () => {
+    let queue;
+    let runJob;
+    let onSettled;
+
+    const jobData = {
+        ownerId: 'user:abc',
+        userId: 'abc',
+        messageId: 'msg-1',
+        unsubscribeData: { httpUrls: ['https://example.com/unsub'] }
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-01-01T00:00:00Z'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        runJob = jest.fn().mockResolvedValue(succeeded);
+        onSettled = jest.fn().mockResolvedValue(undefined);
+        queue = new UnsubscribeQueue({
+            runJob,
+            onSettled,
+            gracePeriodMs: 30000,
+            maxAttempts: 3,
+            baseBackoffMs: 1000
+        });
+    });
+
+    afterEach(() => {
+        queue.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('enqueue', () => {
+        it('creates a pending job that runs after the grace period', () => {
+            const job = queue.enqueue(jobData);
+
+            expect(job.status).toBe('pending');
+            expect(job.runAt).toBe(Date.now() + 30000);
+            expect(queue.get(job.id)).toBe(job);
+        });
+
+        it('uses the provided ID so jobs line up with decisions', () => {
+            const job = queue.enqueue({ ...jobData, id: 'decision-1' });
+            expect(job.id).toBe('decision-1');
+        });
+
+        it('keeps the mailbox the message is in', () => {
+            expect(queue.enqueue(jobData).mailboxId).toBeNull();
+            expect(queue.enqueue({ ...jobData, mailboxId: 'mb2' }).mailboxId).toBe('mb2');
+        });
+    });
+
+    describe('tick', () => {
+        it('does not run jobs still inside the grace period', async () => {
+            queue.enqueue(jobData);
+            jest.advanceTimersByTime(29999);
+
+            expect(await queue.tick()).toBe(0);
+            expect(runJob).not.toHaveBeenCalled();
+        });
+
+        it('runs due jobs with their in-memory credentials', async () => {
+            const tokens = { access_token: 'tok' };
+            const job = queue.enqueue(jobData, tokens);
+            jest.advanceTimersByTime(30000);
+
+            expect(await queue.tick()).toBe(1);
+            expect(runJob).toHaveBeenCalledWith(job, tokens);
+            expect(onSettled).toHaveBeenCalledWith(job, succeeded, null);
+            expect(job.status).toBe('completed');
+            // Settled jobs and their credentials are dropped
+            expect(queue.get(job.id)).toBeNull();
+            expect(queue.credentials.size).toBe(0);
+        });
+
+        it('settles permanent failures without retrying', async () => {
+            runJob.mockResolvedValue(permanentFailure);
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+
+            await queue.tick();
+
+            expect(job.status).toBe('failed');
+            expect(job.attempts).toHaveLength(1);
+            expect(onSettled).toHaveBeenCalledWith(job, permanentFailure, null);
+        });
+    });
+
+    describe('retries', () => {
+        it('retries transient failures after an exponential backoff', async () => {
+            runJob
+                .mockResolvedValueOnce(transientFailure)
+                .mockResolvedValueOnce(transientFailure)
+                .mockResolvedValueOnce(succeeded);
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+
+            await queue.tick();
+            expect(job.status).toBe('pending');
+            expect(job.runAt).toBe(Date.now() + 1000);
+            expect(onSettled).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(1000);
+            await queue.tick();
+            // Second consecutive failure for the domain doubles the delay
+            expect(job.runAt).toBe(Date.now() + 2000);
+
+            jest.advanceTimersByTime(2000);
+            await queue.tick();
+            expect(job.status).toBe('completed');
+            expect(job.attempts.map(a => a.success)).toEqual([false, false, true]);
+            // Success clears the domain's backoff
+            expect(queue.domainBackoff['example.com']).toBeUndefined();
+        });
+
+        it('waits at least as long as the endpoint\'s Retry-After', async () => {
+            runJob.mockResolvedValueOnce({
+                success: true,
+                unsubscribeResult: { ...transientFailure.unsubscribeResult, retryAfterMs: 90000 }
+            });
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+
+            await queue.tick();
+
+            expect(job.status).toBe('pending');
+            expect(job.runAt).toBe(Date.now() + 90000);
+        });
+
+        it('treats thrown errors as transient', async () => {
+            runJob.mockRejectedValueOnce(new Error('Gmail 503'));
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+
+            await queue.tick();
+
+            expect(job.status).toBe('pending');
+            expect(job.attempts[0]).toEqual(expect.objectContaining({
+                success: false, error: 'Gmail 503', retryable: true
+            }));
+            expect(job.runAt).toBe(Date.now() + 1000);
+        });
+
+        it('does not hold back a domain for errors thrown inside the server', async () => {
+            runJob.mockRejectedValueOnce(new Error('Failed to decrypt tokens'));
+            queue.enqueue(jobData);
+            jest.advanceTimersByTime(1);
+            const other = queue.enqueue({ ...jobData, ownerId: 'user:other', messageId: 'msg-2' });
+            jest.advanceTimersByTime(30000);
+
+            // The second owner's job for the same domain still runs
+            expect(await queue.tick()).toBe(2);
+            expect(queue.domainBackoff['example.com']).toBeUndefined();
+            expect(other.status).toBe('completed');
+        });
+
+        it('holds back other jobs for a domain that is backing off', async () => {
+            runJob.mockResolvedValueOnce(transientFailure);
+            queue.enqueue(jobData);
+            jest.advanceTimersByTime(1);
+            const second = queue.enqueue({ ...jobData, messageId: 'msg-2' });
+            jest.advanceTimersByTime(30000);
+
+            // First job fails, so the second (same domain) must wait
+            expect(await queue.tick()).toBe(1);
+            expect(second.attempts).toHaveLength(0);
+            expect(second.runAt).toBe(queue.domainBackoff['example.com'].nextAttemptAt);
+        });
+
+        it('forgets a domain\'s backoff once it has passed and no jobs are left', async () => {
+            runJob.mockResolvedValue(transientFailure);
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+            await queue.tick();
+            jest.advanceTimersByTime(60000);
+            await queue.tick();
+            jest.advanceTimersByTime(60000);
+            await queue.tick();
+            expect(job.status).toBe('dead');
+
+            // Still cooling off from the last failure
+            await queue.tick();
+            expect(queue.domainBackoff['example.com']).toBeDefined();
+
+            jest.advanceTimersByTime(60000);
+            await queue.tick();
+            expect(queue.domainBackoff).toEqual({});
+        });
+
+        it('keeps the backoff of a domain that still has jobs', async () => {
+            runJob.mockResolvedValueOnce(transientFailure);
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+            await queue.tick();
+
+            // The retry is due later than the backoff ends
+            job.runAt = Date.now() + 60000;
+            jest.advanceTimersByTime(1000);
+            await queue.tick();
+
+            expect(queue.domainBackoff['example.com'].failures).toBe(1);
+        });
+
+        it('dead-letters jobs that exhaust their attempts', async () => {
+            runJob.mockResolvedValue(transientFailure);
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+
+            for (let i = 0; i < 3; i++) {
+                await queue.tick();
+                jest.advanceTimersByTime(60000);
+            }
+
+            expect(job.status).toBe('dead');
+            expect(queue.get(job.id)).toBeNull();
+            expect(queue.getDeadLetters('user:abc')).toHaveLength(1);
+            expect(queue.getDeadLetters('user:other')).toHaveLength(0);
+            expect(onSettled).toHaveBeenCalledWith(job, transientFailure, null);
+        });
+
+        it('drops the dead letter when its job is retried', async () => {
+            runJob.mockResolvedValue(transientFailure);
+            const job = queue.enqueue({ ...jobData, id: 'decision-1' });
+            jest.advanceTimersByTime(30000);
+            for (let i = 0; i < 3; i++) {
+                await queue.tick();
+                jest.advanceTimersByTime(60000);
+            }
+            expect(queue.getDeadLetters('user:abc')).toHaveLength(1);
+
+            const retried = queue.enqueue({ ...jobData, id: job.id });
+
+            expect(queue.getDeadLetters('user:abc')).toHaveLength(0);
+            expect(queue.get(job.id)).toBe(retried);
+        });
+
+        it('refuses to cancel a job waiting for a retry', async () => {
+            runJob.mockResolvedValueOnce(transientFailure);
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+            await queue.tick();
+
+            expect(queue.cancel(job.id, 'user:abc').reason).toBe('already-started');
+        });
+    });
+
+    describe('purgeOwner', () => {
+        it('removes an owner\'s queued and dead-lettered jobs only', async () => {
+            runJob.mockResolvedValue(permanentFailure);
+            queue.enqueue(jobData, { access_token: 'tok' });
+            queue.enqueue({ ...jobData, ownerId: 'user:other' });
+            queue.deadLetters.push({ id: 'dead-1', ownerId: 'user:abc' });
+
+            const removed = await queue.purgeOwner('user:abc');
+
+            expect(removed).toEqual({ jobs: 1, deadLetters: 1, backups: 0 });
+            expect([...queue.jobs.values()].map(j => j.ownerId)).toEqual(['user:other']);
+            expect(queue.credentials.size).toBe(0);
+        });
+    });
+
+    describe('persistence', () => {
+        let tmpDir;
+
+        beforeEach(() => {
+            tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'junkpile-queue-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        });
+
+        it('restores queued jobs and backoff state after a restart', async () => {
+            const filePath = path.join(tmpDir, 'jobs.json');
+            runJob.mockResolvedValueOnce(transientFailure);
+
+            const first = new UnsubscribeQueue({ runJob, filePath, gracePeriodMs: 0, baseBackoffMs: 1000 });
+            await first.init();
+            const job = first.enqueue(jobData, { access_token: 'secret' });
+            await first.tick();
+
+            const restarted = new UnsubscribeQueue({ runJob, filePath });
+            await restarted.init();
+
+            const restored = restarted.get(job.id);
+            expect(restored.attempts).toHaveLength(1);
+            expect(restarted.domainBackoff['example.com'].failures).toBe(1);
+            // Credentials are never written to disk
+            expect(fs.readFileSync(filePath, 'utf8')).not.toContain('secret');
+        });
+
+        it('puts jobs that were mid-run back to pending', async () => {
+            const filePath = path.join(tmpDir, 'jobs.json');
+            fs.writeFileSync(filePath, JSON.stringify({
+                jobs: [{ id: 'j1', ownerId: 'user:abc', status: 'running', attempts: [], runAt: 0 }]
+            }));
+
+            const restarted = new UnsubscribeQueue({ runJob, filePath });
+            await restarted.init();
+
+            expect(restarted.get('j1').status).toBe('pending');
+        });
+
+        it('drops the mailto fallback of jobs that were mid-run', async () => {
+            const filePath = path.join(tmpDir, 'jobs.json');
+            const unsubscribeData = { httpUrls: ['https://example.com/unsub'], mailtoUrl: 'mailto:unsub@example.com' };
+            fs.writeFileSync(filePath, JSON.stringify({
+                jobs: [
+                    { id: 'j1', ownerId: 'user:abc', status: 'running', attempts: [], runAt: 0, unsubscribeData },
+                    { id: 'j2', ownerId: 'user:abc', status: 'pending', attempts: [], runAt: 0, unsubscribeData }
+                ]
+            }));
+
+            const restarted = new UnsubscribeQueue({ runJob, filePath });
+            await restarted.init();
+
+            // The unsubscribe email may already have been sent
+            expect(restarted.get('j1').unsubscribeData).toEqual({ httpUrls: ['https://example.com/unsub'], mailtoUrl: null });
+            // Jobs that hadn't started keep it
+            expect(restarted.get('j2').unsubscribeData.mailtoUrl).toBe('mailto:unsub@example.com');
+        });
+
+        it('deletes the job file\'s backups when an owner is purged', async () => {
+            const filePath = path.join(tmpDir, 'jobs.json');
+            fs.writeFileSync(filePath, JSON.stringify({ jobs: [] }));
+            fs.writeFileSync(`${filePath}.bak.1`, JSON.stringify({ jobs: [{ id: 'old', ownerId: 'user:abc' }] }));
+
+            const persisted = new UnsubscribeQueue({ runJob, filePath });
+            await persisted.init();
+
+            // Includes the backup the purge's own write rotated in
+            expect((await persisted.purgeOwner('user:abc')).backups).toBe(2);
+            expect(fs.readdirSync(tmpDir)).toEqual(['jobs.json']);
+        });
+    });
+
+    describe('cancel', () => {
+        it('cancels a pending job for its owner', async () => {
+            const job = queue.enqueue(jobData);
+
+            expect(queue.cancel(job.id, 'user:abc')).toEqual({ cancelled: true });
+
+            jest.advanceTimersByTime(30000);
+            await queue.tick();
+            expect(runJob).not.toHaveBeenCalled();
+        });
+
+        it('refuses to cancel another owner\'s job', () => {
+            const job = queue.enqueue(jobData);
+
+            expect(queue.cancel(job.id, 'user:other')).toEqual({
+                cancelled: false, reason: 'not-found'
+            });
+            expect(queue.get(job.id)).not.toBeNull();
+        });
+
+        it('refuses to cancel a job that has started', async () => {
+            let release;
+            runJob.mockImplementation(() => new Promise(resolve => { release = resolve; }));
+            const job = queue.enqueue(jobData);
+            jest.advanceTimersByTime(30000);
+
+            const ticking = queue.tick();
+            expect(queue.cancel(job.id, 'user:abc')).toEqual({
+                cancelled: false, reason: 'already-started'
+            });
+
+            release({ success: true });
+            await ticking;
+        });
+
+        it('returns not-found for unknown jobs', () => {
+            expect(queue.cancel('missing', 'user:abc').reason).toBe('not-found');
+        });
+    });
+});
@@ -2,19 +2,39 @@
  * Unit tests for UnsubscribeService.
  *
  * Tests cover:
- *   - URL validation and SSRF prevention
+ *   - URL validation and SSRF prevention, and pinning connections to the
+ *     checked addresses
  *   - RFC 8058 one-click POST execution
  *   - HTTP POST/GET fallback logic
+ *   - Submitting confirmation forms on landing pages, or leaving them to the user
+ *   - Classifying responses, and reporting the most useful failure
+ *   - Retry-After and the shared per-host scheduler
  *   - Mailto URL parsing
- *   - Mailto execution with scope checking
+ *   - Mailto execution only when the provider can send mail
  *   - Full cascade orchestration
  */
 
+const http = require('http');
 const UnsubscribeService = require('../unsubscribeService');
 
 // Mock global fetch for HTTP request tests
 const originalFetch = global.fetch;
 
+// A fetch response serving an HTML page
+function htmlPage(html) {
+    return {
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'content-type': 'text/html; charset=utf-8' }),
+        text: async () => html
+    };
+}
+
+// A fetch response redirecting elsewhere
+function redirect(location, status = 302) {
+    return { ok: false, status, headers: new Headers({ location }) };
+}
+
 afterEach(() => {
     // Restore real fetch after each test to prevent cross-test contamination
     global.fetch = originalFetch;
@@ -24,7 +44,8 @@ describe('UnsubscribeService', () => {
     let service;
 
     beforeEach(() => {
-        service = new UnsubscribeService();
+        // Every test host resolves to a public address unless a test says otherwise
+        service = new UnsubscribeService({ lookup: jest.fn().mockResolvedValue([{ address: '93.184.216.34', family: 4 }]) });
         // Silence console.log during tests to keep output clean
         jest.spyOn(console, 'log').mockImplementation(() => {});
         jest.spyOn(console, 'error').mockImplementation(() => {});
@@ -298,48 +319,295 @@ describe('UnsubscribeService', () => {
         });
     });
 
+    // =====================================================================
+    // DNS-aware SSRF checks and manual redirects
+    // =====================================================================
+    describe('checkUrl', () => {
+        it('refuses public names that resolve to private addresses', async () => {
+            for (const address of ['10.0.0.7', 'fd12:3456::1', 'fe80::1', '::ffff:127.0.0.1', '100.64.1.1']) {
+                service.lookup.mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }, { address, family: address.includes(':') ? 6 : 4 }]);
+
+                expect(await service.checkUrl('https://unsub.example.com/x')).toEqual({
+                    valid: false,
+                    reason: 'Host resolves to a private/internal address'
+                });
+            }
+            expect(service.lookup).toHaveBeenCalledWith('unsub.example.com', { all: true });
+        });
+
+        it('returns the addresses it checked', async () => {
+            service.lookup.mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::1', family: 6 }]);
+
+            expect(await service.checkUrl('https://unsub.example.com/x')).toEqual({
+                valid: true,
+                addresses: [{ address: '93.184.216.34', family: 4 }, { address: '2606:2800:220:1::1', family: 6 }]
+            });
+        });
+
+        it('connects to the checked addresses instead of resolving the host again', async () => {
+            // A name that never resolves: the request only gets through if
+            // the connection uses the address checkUrl() handed over
+            const server = http.createServer((req, res) => res.end('You have been unsubscribed'));
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            jest.spyOn(service, 'checkUrl').mockResolvedValue({ valid: true, addresses: [{ address: '127.0.0.1', family: 4 }] });
+
+            try {
+                const result = await service.performHttpUnsubscribe(`http://rebound.invalid:${server.address().port}/unsub`, true);
+                expect(result).toEqual(expect.objectContaining({ success: true, status: 200 }));
+            } finally {
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+
+        it('refuses hosts that do not resolve', async () => {
+            service.lookup.mockRejectedValueOnce(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+            expect((await service.checkUrl('https://gone.example.com/')).valid).toBe(false);
+        });
+
+        it('checks IP literals without a lookup', async () => {
+            expect(await service.checkUrl('https://93.184.216.34/unsub')).toEqual({ valid: true });
+            expect((await service.checkUrl('http://[::ffff:a00:1]/unsub')).valid).toBe(false);
+            expect(service.lookup).not.toHaveBeenCalled();
+        });
+
+        it('rejects IPv6 unique local, link-local and mapped literals in URLs', () => {
+            for (const host of ['[fc00::1]', '[fe80::1%25eth0]', '[::ffff:192.168.0.1]', '[::]', '100.100.0.1']) {
+                expect(service.validateUrl(`http://${host}/unsub`).valid).toBe(false);
+            }
+            expect(service.validateUrl('http://[2606:4700:4700::1111]/unsub').valid).toBe(true);
+        });
+    });
+
+    describe('redirects', () => {
+        it('follows redirects by hand, checking every hop', async () => {
+            service.lookup.mockImplementation(async host => [{ address: host === 'internal.example.com' ? '10.1.1.1' : '93.184.216.34', family: 4 }]);
+            global.fetch = jest.fn().mockResolvedValue(redirect('https://internal.example.com/admin'));
+
+            const result = await service.performHttpUnsubscribe('https://example.com/unsub', true);
+
+            expect(result).toEqual({ success: false, error: 'Host resolves to a private/internal address' });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+            expect(global.fetch.mock.calls[0][1].redirect).toBe('manual');
+        });
+
+        it('gives up after MAX_REDIRECTS redirects', async () => {
+            global.fetch = jest.fn().mockResolvedValue(redirect('/again'));
+
+            const result = await service.performHttpUnsubscribe('https://example.com/unsub', true);
+
+            expect(result).toEqual({ success: false, error: 'Too many redirects' });
+            expect(global.fetch).toHaveBeenCalledTimes(6);
+        });
+
+        it('keeps POSTs through 307 and turns them into GETs through 302', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(redirect('/next', 307))
+                .mockResolvedValueOnce(redirect('/done', 302))
+                .mockResolvedValueOnce({ ok: true, status: 200 });
+
+            await service.performHttpUnsubscribe('https://example.com/unsub', true);
+
+            const calls = global.fetch.mock.calls;
+            expect(calls.map(([url, init]) => `${init.method} ${url}`)).toEqual([
+                'POST https://example.com/unsub',
+                'POST https://example.com/next',
+                'GET https://example.com/done'
+            ]);
+            expect(calls[1][1].body).toBe('List-Unsubscribe=One-Click-Unsubscribe-Post');
+            expect(calls[2][1].body).toBeUndefined();
+            expect(calls[2][1].headers['Content-Type']).toBeUndefined();
+        });
+    });
+
+    // =====================================================================
+    // Landing Pages with a Confirmation Form
+    // =====================================================================
+    describe('landing pages', () => {
+        it('submits the confirmation form on the page', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(redirect('https://lists.example.com/landing'))
+                .mockResolvedValueOnce(htmlPage(
+                    '<form method="post" action="/confirm"><input type="hidden" name="t" value="abc"><button>Confirm</button></form>'
+                ))
+                .mockResolvedValueOnce({ ok: true, status: 200 });
+
+            const result = await service.performHttpUnsubscribe('https://example.com/unsub', false);
+
+            expect(result).toEqual({ success: true, status: 200, outcome: 'probable' });
+            expect(global.fetch.mock.calls[2][0]).toBe('https://lists.example.com/confirm');
+            expect(global.fetch.mock.calls[2][1]).toEqual(expect.objectContaining({
+                method: 'POST',
+                body: 't=abc',
+                credentials: 'omit'
+            }));
+        });
+
+        it('takes success pages at their word instead of submitting their forms', async () => {
+            global.fetch = jest.fn().mockResolvedValueOnce(htmlPage(
+                '<p>You have been unsubscribed from Weekly Deals.</p>'
+                + '<form method="post" action="/unsub-all"><button>Unsubscribe from all emails</button></form>'
+                + '<div class="g-recaptcha"></div>'
+            ));
+
+            const result = await service.performHttpUnsubscribe('https://example.com/unsub', false);
+
+            // Neither an unsubscribe from every list, nor needs-manual for the CAPTCHA
+            expect(result).toEqual({ success: true, status: 200, outcome: 'confirmed' });
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('puts GET form fields in the query', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce({ ok: false, status: 405 })
+                .mockResolvedValueOnce(htmlPage('<form action="/confirm?old=1"><input name="id" value="7"><input type="submit" value="Unsubscribe"></form>'))
+                .mockResolvedValueOnce({ ok: true, status: 200 });
+
+            await service.performHttpUnsubscribe('https://example.com/unsub', false);
+
+            expect(global.fetch.mock.calls[2][0]).toBe('https://example.com/confirm?id=7');
+            expect(global.fetch.mock.calls[2][1].body).toBeUndefined();
+        });
+
+        it('never submits forms to private hosts', async () => {
+            global.fetch = jest.fn().mockResolvedValueOnce(htmlPage(
+                '<form method="post" action="http://10.0.0.5/confirm"><button>Unsubscribe</button></form>'
+            ));
+
+            const result = await service.performHttpUnsubscribe('https://example.com/unsub', false);
+
+            expect(result.success).toBe(false);
+            expect(global.fetch).toHaveBeenCalledTimes(1);
+        });
+
+        it('reports pages that need the user as needs-manual', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(redirect('/landing?u=1', 303))
+                .mockResolvedValueOnce(htmlPage('<form method="post"><div class="h-captcha"></div><button>Unsubscribe</button></form>'));
+
+            const result = await service.execute({ bodyUrl: 'https://example.com/unsub' });
+
+            expect(result).toEqual(expect.objectContaining({
+                success: false,
+                outcome: 'needs-manual',
+                manualUrl: 'https://example.com/landing?u=1',
+                retryable: false
+            }));
+            expect(global.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        it('fails pages that say the link expired, despite the 200', async () => {
+            global.fetch = jest.fn().mockResolvedValue(htmlPage('<p>This link has expired.</p>'));
+
+            const result = await service.execute({ bodyUrl: 'https://example.com/unsub' });
+
+            expect(result).toEqual(expect.objectContaining({
+                success: false,
+                outcome: 'expired',
+                error: 'Unsubscribe link has expired',
+                retryable: false
+            }));
+        });
+
+        it('reports how sure a success is', async () => {
+            global.fetch = jest.fn()
+                .mockResolvedValueOnce(htmlPage('<p>Please sign in to continue.</p>'))
+                .mockResolvedValueOnce(htmlPage('<p>You have been unsubscribed.</p>'));
+
+            const result = await service.execute({
+                httpUrls: ['https://example.com/unsub', 'https://example.com/unsub2']
+            });
+
+            expect(result).toEqual(expect.objectContaining({ success: true, method: 'http-header', outcome: 'confirmed' }));
+        });
+
+        it('does not read responses that aren\'t HTML', async () => {
+            const text = jest.fn();
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: true,
+                status: 200,
+                headers: new Headers({ 'content-type': 'application/json' }),
+                text
+            });
+
+            const result = await service.performHttpUnsubscribe('https://example.com/unsub', false);
+
+            expect(result.success).toBe(true);
+            expect(text).not.toHaveBeenCalled();
+        });
+    });
+
     // =====================================================================
     // Mailto Unsubscribe Execution
     // =====================================================================
     describe('performMailtoUnsubscribe', () => {
-        it('skips when gmailService is null', async () => {
+        it('skips when provider is null', async () => {
             const result = await service.performMailtoUnsubscribe(
                 'mailto:unsub@example.com', null
             );
             expect(result.success).toBe(false);
-            expect(result.error).toMatch(/scope/i);
+            expect(result.error).toMatch(/cannot send/i);
         });
 
-        it('skips when gmailService lacks send scope', async () => {
-            const mockGmail = { hasSendScope: false };
+        it('skips when provider cannot send mail', async () => {
+            const mockProvider = { canSendMail: false };
             const result = await service.performMailtoUnsubscribe(
-                'mailto:unsub@example.com', mockGmail
+                'mailto:unsub@example.com', mockProvider
             );
             expect(result.success).toBe(false);
-            expect(result.error).toMatch(/scope/i);
+            expect(result.error).toMatch(/cannot send/i);
         });
 
-        it('calls sendEmail with correct params when scope available', async () => {
-            const mockGmail = {
-                hasSendScope: true,
-                sendEmail: jest.fn().mockResolvedValue(undefined)
+        it('calls sendMail with correct params when the provider can send', async () => {
+            const mockProvider = {
+                canSendMail: true,
+                sendMail: jest.fn().mockResolvedValue(undefined)
             };
 
             const result = await service.performMailtoUnsubscribe(
-                'mailto:unsub@example.com?subject=Remove%20Me', mockGmail
+                'mailto:unsub@example.com?subject=Remove%20Me', mockProvider
             );
 
             expect(result.success).toBe(true);
-            expect(mockGmail.sendEmail).toHaveBeenCalledWith(
+            expect(mockProvider.sendMail).toHaveBeenCalledWith(
                 'unsub@example.com', 'Remove Me', ''
             );
         });
 
         it('returns failure on invalid mailto URL', async () => {
-            const mockGmail = { hasSendScope: true };
-            const result = await service.performMailtoUnsubscribe('not-mailto', mockGmail);
+            const mockProvider = { canSendMail: true };
+            const result = await service.performMailtoUnsubscribe('not-mailto', mockProvider);
             expect(result.success).toBe(false);
         });
+
+        it('marks temporary send failures as transient', async () => {
+            const failures = [
+                Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }),
+                Object.assign(new Error('Rate limit exceeded'), { code: 429 }),
+                Object.assign(new Error('Backend error'), { response: { status: 503 } }),
+                Object.assign(new Error('Mailbox busy'), { code: 'EMESSAGE', responseCode: 451 })
+            ];
+
+            for (const error of failures) {
+                const mockProvider = { canSendMail: true, sendMail: jest.fn().mockRejectedValue(error) };
+                const result = await service.performMailtoUnsubscribe('mailto:unsub@example.com', mockProvider);
+                expect(result).toEqual({ success: false, error: error.message, transient: true });
+            }
+        });
+
+        it('does not retry sends the server refused for good', async () => {
+            const failures = [
+                Object.assign(new Error('Insufficient permission'), { code: 403 }),
+                Object.assign(new Error('No such user'), { code: 'EENVELOPE', responseCode: 550 }),
+                new Error('No SMTP server configured for this mailbox')
+            ];
+
+            for (const error of failures) {
+                const mockProvider = { canSendMail: true, sendMail: jest.fn().mockRejectedValue(error) };
+                const result = await service.performMailtoUnsubscribe('mailto:unsub@example.com', mockProvider);
+                expect(result.transient).toBe(false);
+            }
+        });
     });
 
     // =====================================================================
@@ -354,7 +622,7 @@ describe('UnsubscribeService', () => {
                 mailtoUrl: 'mailto:unsub@example.com',
                 bodyUrl: 'https://example.com/body-unsub',
                 hasListUnsubscribePost: true,
-                gmailService: null
+                provider: null
             });
 
             expect(result.success).toBe(true);
@@ -374,7 +642,7 @@ describe('UnsubscribeService', () => {
             const result = await service.execute({
                 httpUrls: ['https://example.com/unsub'],
                 hasListUnsubscribePost: true,
-                gmailService: null
+                provider: null
             });
 
             expect(result.success).toBe(true);
@@ -394,7 +662,7 @@ describe('UnsubscribeService', () => {
                 httpUrls: ['https://example.com/unsub'],
                 bodyUrl: 'https://example.com/body-unsub',
                 hasListUnsubscribePost: true,
-                gmailService: null
+                provider: null
             });
 
             expect(result.success).toBe(true);
@@ -405,16 +673,16 @@ describe('UnsubscribeService', () => {
             // All HTTP methods fail
             global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 500 });
 
-            const mockGmail = {
-                hasSendScope: true,
-                sendEmail: jest.fn().mockResolvedValue(undefined)
+            const mockProvider = {
+                canSendMail: true,
+                sendMail: jest.fn().mockResolvedValue(undefined)
             };
 
             const result = await service.execute({
                 httpUrls: ['https://example.com/unsub'],
                 mailtoUrl: 'mailto:unsub@example.com',
                 hasListUnsubscribePost: true,
-                gmailService: mockGmail
+                provider: mockProvider
             });
 
             expect(result.success).toBe(true);
@@ -430,7 +698,7 @@ describe('UnsubscribeService', () => {
                 mailtoUrl: 'mailto:unsub@example.com',
                 bodyUrl: 'https://example.com/body-unsub',
                 hasListUnsubscribePost: true,
-                gmailService: null  // No send scope → mailto skipped
+                provider: null  // No provider → mailto skipped
             });
 
             expect(result.success).toBe(false);
@@ -438,13 +706,124 @@ describe('UnsubscribeService', () => {
             expect(result.error).toMatch(/failed/i);
         });
 
+        it('flags a mailto-only unsubscribe that failed temporarily as retryable', async () => {
+            const mockProvider = {
+                canSendMail: true,
+                sendMail: jest.fn().mockRejectedValue(Object.assign(new Error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' }))
+            };
+
+            const result = await service.execute({
+                mailtoUrl: 'mailto:unsub@example.com',
+                provider: mockProvider
+            });
+
+            expect(result.success).toBe(false);
+            expect(result.attempted).toEqual(['mailto']);
+            expect(result.retryable).toBe(true);
+        });
+
+        it('flags failures caused by 5xx responses as retryable', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503 });
+
+            const result = await service.execute({
+                httpUrls: ['https://example.com/unsub'],
+                hasListUnsubscribePost: true,
+                provider: null
+            });
+
+            expect(result.success).toBe(false);
+            expect(result.retryable).toBe(true);
+        });
+
+        it('reports Retry-After from 429 responses and tells the scheduler', async () => {
+            global.fetch = jest.fn().mockResolvedValue({
+                ok: false, status: 429, headers: new Headers({ 'retry-after': '120' })
+            });
+            const scheduler = { run: jest.fn((host, task) => task()), defer: jest.fn() };
+            service.scheduler = scheduler;
+
+            const result = await service.execute({
+                httpUrls: ['https://example.com/unsub'],
+                hasListUnsubscribePost: true,
+                provider: null
+            });
+
+            expect(result.success).toBe(false);
+            expect(result.retryable).toBe(true);
+            expect(result.retryAfterMs).toBe(120000);
+            expect(scheduler.run).toHaveBeenCalledWith('example.com', expect.any(Function));
+            expect(scheduler.defer).toHaveBeenCalledWith('example.com', 120000);
+        });
+
+        it('starts the request timeout only once the scheduler sends the request', async () => {
+            jest.useFakeTimers();
+            let signal;
+            global.fetch = jest.fn(async (url, init) => {
+                signal = init.signal;
+                return { ok: true, status: 200 };
+            });
+            service.scheduler = {
+                // Longer than the request timeout in a busy host's queue
+                run: jest.fn(async (host, task) => {
+                    jest.advanceTimersByTime(15000);
+                    return task();
+                }),
+                defer: jest.fn()
+            };
+
+            try {
+                const result = await service.execute({
+                    httpUrls: ['https://example.com/unsub'],
+                    hasListUnsubscribePost: true,
+                    provider: null
+                });
+
+                expect(result.success).toBe(true);
+                expect(signal.aborted).toBe(false);
+            } finally {
+                jest.useRealTimers();
+            }
+        });
+
+        it('fails as rate-limited without a request when the host is held back', async () => {
+            global.fetch = jest.fn();
+            service.scheduler = {
+                run: jest.fn().mockRejectedValue(Object.assign(new Error('Host asked to slow down'), { retryAfterMs: 60000 })),
+                defer: jest.fn()
+            };
+
+            const result = await service.execute({
+                httpUrls: ['https://example.com/unsub'],
+                hasListUnsubscribePost: true,
+                provider: null
+            });
+
+            expect(global.fetch).not.toHaveBeenCalled();
+            expect(result.success).toBe(false);
+            expect(result.retryable).toBe(true);
+            expect(result.retryAfterMs).toBe(60000);
+        });
+
+        it('does not flag 4xx failures as retryable', async () => {
+            global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 404 });
+
+            const result = await service.execute({
+                httpUrls: ['https://example.com/unsub'],
+                hasListUnsubscribePost: true,
+                provider: null
+            });
+
+            expect(result.success).toBe(false);
+            expect(result.retryable).toBe(false);
+        });
+
         it('returns failure when no methods available', async () => {
             const result = await service.execute({
                 httpUrls: [],
                 mailtoUrl: null,
                 bodyUrl: null,
                 hasListUnsubscribePost: false,
-                gmailService: null
+                provider: null
             });
 
             expect(result.success).toBe(false);
@@ -459,7 +838,7 @@ describe('UnsubscribeService', () => {
                 httpUrls: [],
                 bodyUrl: 'https://example.com/body-unsub',
                 hasListUnsubscribePost: false,
-                gmailService: null
+                provider: null
             });
 
             expect(result.success).toBe(true);
@@ -472,7 +851,7 @@ describe('UnsubscribeService', () => {
             const result = await service.execute({
                 httpUrls: ['https://example.com/unsub'],
                 hasListUnsubscribePost: false,
-                gmailService: null
+                provider: null
             });
 
             expect(result.success).toBe(true);
@@ -482,6 +861,34 @@ describe('UnsubscribeService', () => {
         });
     });
 
+    // =====================================================================
+    // Transient Failure Detection
+    // =====================================================================
+    describe('isTransientFailure', () => {
+        it('treats timeouts and network errors as transient', () => {
+            expect(service.isTransientFailure({ success: false, error: 'timeout' })).toBe(true);
+            expect(service.isTransientFailure({ success: false, error: 'network-error' })).toBe(true);
+        });
+
+        it('treats 429 and 5xx responses as transient', () => {
+            expect(service.isTransientFailure({ success: false, status: 429 })).toBe(true);
+            expect(service.isTransientFailure({ success: false, status: 502 })).toBe(true);
+        });
+
+        it('treats requests held back by the scheduler as transient', () => {
+            expect(service.isTransientFailure({ success: false, error: 'rate-limited', retryAfterMs: 5000 })).toBe(true);
+        });
+
+        it('treats 4xx responses and blocked URLs as permanent', () => {
+            expect(service.isTransientFailure({ success: false, status: 410 })).toBe(false);
+            expect(service.isTransientFailure({ success: false, error: 'Private/internal host not allowed' })).toBe(false);
+        });
+
+        it('never flags successes', () => {
+            expect(service.isTransientFailure({ success: true, status: 200 })).toBe(false);
+        });
+    });
+
     // =====================================================================
     // Privacy-Safe Logging
     // =====================================================================
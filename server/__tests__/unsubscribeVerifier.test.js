@@ -0,0 +1,158 @@
+/**
+ * Unit tests for UnsubscribeVerifier — checking that senders stop mailing
+ * after an unsubscribe.
+ *
+ * Decisions live in an in-memory decisions file (jsonFile is stubbed, as in
+ * decisionStore.test.js); mailboxes are MemoryProviders.
+ *
+ * Tests cover:
+ *   - Grace period in business days, and the watch window after it
+ *   - Confirmed, still-sending and unverifiable outcomes
+ *   - Saving results, and rescheduling failed checks
+ *   - The worker tick, skipping decisions without stored credentials
+ */
+
+const jsonFile = require('../storage/jsonFile');
+const decisionStore = require('../decisionStore');
+const MemoryProvider = require('../providers/memoryProvider');
+const UnsubscribeVerifier = require('../unsubscribeVerifier');
+
+// Friday 2026-03-13: ten business days later is Friday 2026-03-27
+const UNSUBSCRIBED_AT = new Date('2026-03-13T10:00:00Z');
+const WATCH_FROM = '2026-03-27T10:00:00.000Z';
+
+function mail(id, date) {
+    return {
+        id,
+        sender: 'Shop',
+        subject: `Subject ${id}`,
+        date,
+        unread: true,
+        rawHeaders: { from: 'Shop <news@shop.example>', listUnsubscribe: '<mailto:unsub@shop.example>' }
+    };
+}
+
+describe('UnsubscribeVerifier', () => {
+    let fileContents;
+    let verifier;
+    let provider;
+
+    beforeEach(async () => {
+        fileContents = JSON.stringify({ sessions: [] });
+        jest.spyOn(jsonFile, 'readJson').mockImplementation(async () => JSON.parse(fileContents));
+        jest.spyOn(jsonFile, 'writeJson').mockImplementation(async (file, data) => {
+            fileContents = JSON.stringify(data);
+        });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        provider = new MemoryProvider({ emails: [mail('old', '2026-03-14T08:00:00Z')] });
+        verifier = new UnsubscribeVerifier({ findProvider: async () => provider });
+
+        await decisionStore.addDecision('user:a', {
+            id: 'd1',
+            emailId: 'm1',
+            decision: 'unsubscribe',
+            senderAddress: 'news@shop.example',
+            status: 'completed'
+        });
+        await decisionStore.updateDecision('d1', (decision) => {
+            decision.unsubscribeSuccess = true;
+            decision.verification = verifier.schedule(UNSUBSCRIBED_AT);
+        });
+    });
+
+    afterEach(() => {
+        verifier.stop();
+        jest.restoreAllMocks();
+    });
+
+    const stored = async () => decisionStore.findDecision('user:a', 'd1');
+
+    it('watches from ten business days after the unsubscribe', () => {
+        expect(verifier.schedule(UNSUBSCRIBED_AT)).toEqual({
+            status: 'pending',
+            watchFrom: WATCH_FROM,
+            watchUntil: '2026-04-10T10:00:00.000Z',
+            nextCheckAt: WATCH_FROM,
+            checkedAt: null,
+            messagesSince: 0
+        });
+    });
+
+    it('is not due during the grace period', async () => {
+        expect(verifier.isDue(await stored(), new Date('2026-03-26T10:00:00Z'))).toBe(false);
+        expect(verifier.isDue(await stored(), new Date(WATCH_FROM))).toBe(true);
+    });
+
+    it('ignores mail from the grace period and checks again the next day', async () => {
+        const now = new Date('2026-03-28T10:00:00Z');
+
+        expect(await verifier.checkDue([await stored()], provider, now)).toBe(1);
+
+        expect((await stored()).verification).toEqual(expect.objectContaining({
+            status: 'pending',
+            messagesSince: 0,
+            checkedAt: now.toISOString(),
+            nextCheckAt: '2026-03-29T10:00:00.000Z'
+        }));
+    });
+
+    it('marks senders that mail after the grace period as still sending', async () => {
+        provider.emails.push(mail('new', '2026-03-30T08:00:00Z'));
+
+        await verifier.checkDue([await stored()], provider, new Date('2026-03-31T10:00:00Z'));
+
+        const { verification } = await stored();
+        expect(verification).toEqual(expect.objectContaining({ status: 'still-sending', messagesSince: 1, nextCheckAt: null }));
+        expect(decisionStore.decisionOutcome(await stored())).toBe('still-sending');
+    });
+
+    it('confirms the unsubscribe once the watch window passes quietly', async () => {
+        await verifier.checkDue([await stored()], provider, new Date('2026-04-10T10:00:00Z'));
+
+        expect((await stored()).verification.status).toBe('confirmed');
+    });
+
+    it('marks decisions unverifiable when the mailbox cannot be searched', async () => {
+        provider.countSenderMailSince = undefined;
+
+        await verifier.checkDue([await stored()], provider, new Date('2026-03-28T10:00:00Z'));
+
+        expect((await stored()).verification).toEqual(expect.objectContaining({ status: 'unverifiable', nextCheckAt: null }));
+    });
+
+    it('reschedules checks that fail', async () => {
+        provider.countSenderMailSince = jest.fn().mockRejectedValue(new Error('Mailbox unavailable'));
+
+        await verifier.checkDue([await stored()], provider, new Date('2026-03-28T10:00:00Z'));
+
+        expect((await stored()).verification).toEqual(expect.objectContaining({
+            status: 'pending',
+            nextCheckAt: '2026-03-29T10:00:00.000Z'
+        }));
+    });
+
+    it('checks due decisions across owners, skipping those without credentials', async () => {
+        jest.useFakeTimers();
+        jest.setSystemTime(new Date('2026-03-28T10:00:00Z'));
+        try {
+            await decisionStore.addDecision('google:b@example.com', {
+                id: 'd2',
+                emailId: 'm2',
+                decision: 'unsubscribe',
+                senderAddress: 'news@shop.example',
+                status: 'completed'
+            });
+            await decisionStore.updateDecision('d2', (decision) => {
+                decision.verification = verifier.schedule(UNSUBSCRIBED_AT);
+            });
+            verifier.findProvider = async decision => (decision.ownerId.startsWith('user:') ? provider : null);
+
+            expect(await verifier.tick()).toBe(1);
+            expect((await stored()).verification.checkedAt).toBe('2026-03-28T10:00:00.000Z');
+            expect((await decisionStore.findDecision('google:b@example.com', 'd2')).verification.checkedAt).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
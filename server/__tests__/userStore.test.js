@@ -0,0 +1,196 @@
+/**
+ * Unit tests for userStore — mailboxes and token encryption at rest.
+ *
+ * The users file is replaced with an in-memory string by stubbing the
+ * jsonFile persistence module, so nothing touches data/users.json.
+ *
+ * Tests cover:
+ *   - Tokens are sealed on write and opened on read
+ *   - IMAP credentials are sealed like OAuth tokens
+ *   - Plaintext records are migrated transparently
+ *   - Key rotation re-encrypts existing records
+ *   - Adding, reconnecting, renaming and removing mailboxes
+ *   - Single-mailbox records are moved to `mailboxes` at startup
+ */
+
+const crypto = require('crypto');
+const jsonFile = require('../storage/jsonFile');
+const userStore = require('../userStore');
+
+const key = () => crypto.randomBytes(32).toString('base64');
+
+describe('userStore token encryption', () => {
+    let fileContents;
+    const originalKeys = process.env.TOKEN_ENCRYPTION_KEYS;
+    const gmailTokens = { access_token: 'ya29.access', refresh_token: '1//refresh', expiry_date: 1 };
+
+    const storedUsers = () => JSON.parse(fileContents).users;
+    const gmail = (credentials = gmailTokens) => ({ provider: 'gmail', email: 'a@gmail.com', credentials });
+
+    beforeEach(() => {
+        process.env.TOKEN_ENCRYPTION_KEYS = `k1:${key()}`;
+        fileContents = JSON.stringify({ users: [] });
+        jest.spyOn(jsonFile, 'readJson').mockImplementation(async () => JSON.parse(fileContents));
+        jest.spyOn(jsonFile, 'writeJson').mockImplementation(async (file, data) => {
+            fileContents = JSON.stringify(data);
+        });
+        jest.spyOn(jsonFile, 'ensureJson').mockResolvedValue(undefined);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        if (originalKeys === undefined) {
+            delete process.env.TOKEN_ENCRYPTION_KEYS;
+        } else {
+            process.env.TOKEN_ENCRYPTION_KEYS = originalKeys;
+        }
+    });
+
+    it('never writes tokens in plaintext', async () => {
+        const user = await userStore.createUser({ email: 'a@example.com', authProvider: 'apple' });
+        const mailbox = await userStore.addMailbox(user.id, gmail());
+        await userStore.updateMailbox(user.id, mailbox.id, { credentials: { ...gmailTokens, access_token: 'ya29.new' } });
+
+        expect(fileContents).not.toContain('1//refresh');
+        expect(fileContents).not.toContain('ya29');
+        expect(storedUsers()[0].mailboxes[0].credentials.sealed).toBeDefined();
+    });
+
+    it('seals IMAP mailbox passwords too', async () => {
+        const imapCredentials = { email: 'a@example.com', password: 'app-specific-secret', imapHost: 'imap.example.com' };
+        const user = await userStore.createUser({ email: 'a@example.com', authProvider: 'apple' });
+        await userStore.addMailbox(user.id, { provider: 'imap', email: 'a@example.com', credentials: imapCredentials });
+
+        expect(fileContents).not.toContain('app-specific-secret');
+        expect((await userStore.findById(user.id)).mailboxes[0].credentials).toEqual(imapCredentials);
+    });
+
+    it('returns plaintext tokens from every lookup', async () => {
+        const created = await userStore.createUser({ appleUserId: 'apple-1', email: 'a@example.com', authProvider: 'apple' });
+        const mailbox = await userStore.addMailbox(created.id, gmail());
+        const credentials = user => user.mailboxes[0].credentials;
+
+        expect(mailbox.credentials).toEqual(gmailTokens);
+        expect(credentials(await userStore.findById(created.id))).toEqual(gmailTokens);
+        expect(credentials(await userStore.findByAppleId('apple-1'))).toEqual(gmailTokens);
+        expect(credentials(await userStore.findByEmail('a@example.com'))).toEqual(gmailTokens);
+        expect(credentials(await userStore.updateUser(created.id, { name: 'A' }))).toEqual(gmailTokens);
+    });
+
+    it('migrates plaintext records at startup', async () => {
+        const mailboxes = [{ id: 'mb1', provider: 'gmail', email: 'a@gmail.com', label: null, credentials: gmailTokens }];
+        fileContents = JSON.stringify({ users: [{ id: 'u1', email: 'a@example.com', mailboxes }] });
+
+        // Readable before migration...
+        expect((await userStore.findById('u1')).mailboxes[0].credentials).toEqual(gmailTokens);
+
+        await userStore.initUsersFile();
+
+        // ...and sealed after it, with the same plaintext on read
+        expect(fileContents).not.toContain('1//refresh');
+        expect((await userStore.findById('u1')).mailboxes[0].credentials).toEqual(gmailTokens);
+    });
+
+    it('re-encrypts records under the new key after a rotation', async () => {
+        const oldKey = key();
+        process.env.TOKEN_ENCRYPTION_KEYS = `k1:${oldKey}`;
+        const user = await userStore.createUser({ email: 'a@example.com', authProvider: 'apple' });
+        await userStore.addMailbox(user.id, gmail());
+
+        process.env.TOKEN_ENCRYPTION_KEYS = `k2:${key()},k1:${oldKey}`;
+        expect(await userStore.reencryptTokens()).toBe(1);
+        expect(storedUsers()[0].mailboxes[0].credentials.sealed.kid).toBe('k2');
+
+        // The old key can now be retired
+        process.env.TOKEN_ENCRYPTION_KEYS = process.env.TOKEN_ENCRYPTION_KEYS.split(',')[0];
+        expect((await userStore.findById(user.id)).mailboxes[0].credentials).toEqual(gmailTokens);
+        expect(await userStore.reencryptTokens()).toBe(0);
+    });
+
+    describe('mailboxes', () => {
+        it('adds mailboxes in order, the first being the default', async () => {
+            const user = await userStore.createUser({ email: 'a@example.com', authProvider: 'apple' });
+
+            const personal = await userStore.addMailbox(user.id, gmail());
+            const side = await userStore.addMailbox(user.id, {
+                provider: 'gmail', email: 'side@gmail.com', credentials: gmailTokens, label: 'Side project'
+            });
+
+            const { mailboxes } = await userStore.findById(user.id);
+            expect(mailboxes.map(m => m.id)).toEqual([personal.id, side.id]);
+            expect(mailboxes[1]).toEqual(expect.objectContaining({ provider: 'gmail', email: 'side@gmail.com', label: 'Side project' }));
+            expect(mailboxes[1].connectedAt).toEqual(expect.any(String));
+        });
+
+        it('replaces the credentials when an address is connected again', async () => {
+            const user = await userStore.createUser({ email: 'a@example.com', authProvider: 'apple' });
+            const first = await userStore.addMailbox(user.id, { ...gmail(), label: 'Personal' });
+
+            const again = await userStore.addMailbox(user.id, {
+                ...gmail({ ...gmailTokens, access_token: 'ya29.again' }),
+                email: 'A@Gmail.com'
+            });
+
+            expect(again.id).toBe(first.id);
+            expect(again.label).toBe('Personal');
+            expect((await userStore.findById(user.id)).mailboxes).toHaveLength(1);
+            expect(again.credentials.access_token).toBe('ya29.again');
+        });
+
+        it('renames and removes mailboxes', async () => {
+            const user = await userStore.createUser({ email: 'a@example.com', authProvider: 'apple' });
+            const mailbox = await userStore.addMailbox(user.id, gmail());
+
+            expect((await userStore.updateMailbox(user.id, mailbox.id, { label: 'Work' })).label).toBe('Work');
+            expect(await userStore.updateMailbox(user.id, 'nope', { label: 'Work' })).toBeNull();
+
+            expect(await userStore.removeMailbox(user.id, mailbox.id)).toBe(true);
+            expect(await userStore.removeMailbox(user.id, mailbox.id)).toBe(false);
+            expect((await userStore.findById(user.id)).mailboxes).toEqual([]);
+        });
+
+        it('returns null for unknown users', async () => {
+            expect(await userStore.addMailbox('nobody', gmail())).toBeNull();
+        });
+
+        it('moves single-mailbox records to mailboxes at startup', async () => {
+            const imapCredentials = { email: 'me@fastmail.example', password: 'app-specific-secret' };
+            fileContents = JSON.stringify({
+                users: [
+                    { id: 'u1', email: 'a@example.com', gmailTokens, gmailEmail: 'a@gmail.com' },
+                    { id: 'u2', email: 'b@example.com', gmailTokens, gmailEmail: 'b@gmail.com', imapCredentials, mailProvider: 'imap' },
+                    { id: 'u3', email: 'c@example.com', gmailTokens: null, gmailEmail: null }
+                ]
+            });
+
+            await userStore.initUsersFile();
+
+            const [u1, u2, u3] = storedUsers();
+            expect(u1).not.toHaveProperty('gmailTokens');
+            expect(u1).not.toHaveProperty('gmailEmail');
+            expect(u2).not.toHaveProperty('mailProvider');
+            expect(fileContents).not.toContain('app-specific-secret');
+            expect(u3.mailboxes).toEqual([]);
+
+            const migrated = await userStore.findById('u1');
+            expect(migrated.mailboxes).toEqual([expect.objectContaining({
+                provider: 'gmail', email: 'a@gmail.com', label: null, credentials: gmailTokens
+            })]);
+
+            // The mailbox that was in use stays the default
+            const both = await userStore.findById('u2');
+            expect(both.mailboxes.map(m => [m.provider, m.email])).toEqual([
+                ['imap', 'me@fastmail.example'],
+                ['gmail', 'b@gmail.com']
+            ]);
+            expect(both.mailboxes[0].credentials).toEqual(imapCredentials);
+
+            // Nothing left to move the second time
+            expect(await userStore.migrateMailboxes()).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,154 @@
+/**
+ * accountService.js — Account deletion with full data erasure.
+ *
+ * Backs DELETE /api/account. Deleting an account:
+ *   1. Revokes the caller's Google grants (one per connected Gmail) at
+ *      Google's revocation endpoint, so our copies of the refresh tokens
+ *      stop working even if they leaked
+ *   2. Purges pending and dead-lettered unsubscribe jobs
+ *   3. Erases all sessions and decisions
+ *   4. Drops any cached data derived from the mailbox
+ *   5. Deletes the user record (server users only)
+ *   6. Deletes the backups of the data files, which would otherwise keep
+ *      copies of the erased records for a while
+ *
+ * A receipt of what was removed is returned so the client can show it and
+ * so deletions can be audited without keeping any of the deleted data.
+ *
+ * The revocation endpoint can be pointed at a local stub with
+ * GOOGLE_REVOKE_URL (used in tests).
+ */
+
+const userStore = require('./userStore');
+const decisionStore = require('./decisionStore');
+const storage = require('./storage');
+
+// Google's OAuth 2.0 token revocation endpoint
+const DEFAULT_REVOKE_URL = 'https://oauth2.googleapis.com/revoke';
+
+// Revocation request timeout in milliseconds
+const REVOKE_TIMEOUT_MS = 10000;
+
+/**
+ * Revokes a Google OAuth token. Revoking either the refresh token or an
+ * access token revokes the whole grant, including the refresh token.
+ *
+ * @param {string} token - Refresh or access token to revoke
+ * @returns {Promise<{ revoked: boolean, error?: string }>} Outcome
+ */
+async function revokeGoogleToken(token) {
+    const revokeUrl = process.env.GOOGLE_REVOKE_URL || DEFAULT_REVOKE_URL;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REVOKE_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(revokeUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ token }).toString(),
+            signal: controller.signal
+        });
+
+        if (response.ok) {
+            return { revoked: true };
+        }
+
+        // Google answers 400 invalid_token for tokens that are already dead
+        let error = `HTTP ${response.status}`;
+        try {
+            const data = await response.json();
+            error = data.error || error;
+        } catch {
+            // Non-JSON error body — keep the status
+        }
+        return { revoked: false, error };
+    } catch (error) {
+        return { revoked: false, error: error.name === 'AbortError' ? 'timeout' : error.message };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+/**
+ * Picks the tokens to revoke: for server users, one per Gmail mailbox (its
+ * refresh token if we hold one); otherwise whatever the caller
+ * authenticated with.
+ *
+ * @param {Object|null} user - Server user record, if any
+ * @param {Object|null} authTokens - Tokens from the current request
+ * @returns {string[]} Tokens to revoke
+ */
+function tokensToRevoke(user, authTokens) {
+    const gmailMailboxes = ((user && user.mailboxes) || []).filter(mailbox => mailbox.provider === 'gmail');
+    if (gmailMailboxes.length > 0) {
+        return gmailMailboxes
+            .map(({ credentials }) => credentials && (credentials.refresh_token || credentials.access_token))
+            .filter(Boolean);
+    }
+    if (authTokens && authTokens.refresh_token) return [authTokens.refresh_token];
+    if (authTokens && authTokens.access_token) return [authTokens.access_token];
+    return [];
+}
+
+/**
+ * Deletes an account and everything stored for it.
+ *
+ * Erasure continues even if revocation fails (the user asked for their
+ * data to go); the receipt records the revocation outcome either way.
+ *
+ * @param {Object} account
+ * @param {string} account.ownerId - Owner ID used by decisions and jobs
+ * @param {Object|null} account.user - Server user record (Apple users), if any
+ * @param {Object|null} account.authTokens - Tokens from the current request
+ * @param {Object} deps
+ * @param {Object} deps.unsubscribeQueue - UnsubscribeQueue holding the owner's jobs
+ * @param {Function} [deps.purgeCachedData] - async (ownerId) => number of cache entries removed
+ * @returns {Promise<Object>} Deletion receipt
+ */
+async function deleteAccount(account, deps) {
+    const { ownerId, user = null, authTokens = null } = account;
+
+    // Step 1: Revoke the Google grants while we still have the tokens
+    const outcomes = [];
+    for (const token of tokensToRevoke(user, authTokens)) {
+        outcomes.push(await revokeGoogleToken(token));
+    }
+    // Revoked only if every grant was; otherwise report the first failure
+    const revocation = outcomes.length === 0
+        ? { revoked: false, error: 'No Google token on file' }
+        : (outcomes.find(outcome => !outcome.revoked) || outcomes[0]);
+    if (!revocation.revoked) {
+        console.log(`Account deletion: token revocation failed error="${revocation.error}"`);
+    }
+
+    // Step 2: Pending and dead-lettered unsubscribe jobs
+    const jobs = await deps.unsubscribeQueue.purgeOwner(ownerId);
+
+    // Step 3: Sessions and decisions
+    const history = await decisionStore.deleteOwnerData(ownerId);
+
+    // Step 4: Cached mailbox-derived data
+    const cachedEntries = deps.purgeCachedData ? await deps.purgeCachedData(ownerId) : 0;
+
+    // Step 5: The user record itself
+    const userDeleted = user ? await userStore.deleteUser(user.id) : false;
+
+    // Step 6: Backups taken before the erasure (the job file's went in step 2)
+    const backupsCleared = (jobs.backups || 0) + await storage.purgeBackups();
+
+    return {
+        deletedAt: new Date().toISOString(),
+        userRecord: userDeleted,
+        sessions: history.sessions,
+        decisions: history.decisions,
+        pendingJobs: jobs.jobs,
+        failedJobs: jobs.deadLetters,
+        cachedEntries,
+        backupsCleared,
+        googleTokenRevoked: revocation.revoked,
+        googleRevokeError: revocation.revoked ? null : revocation.error
+    };
+}
+
+module.exports = { deleteAccount, revokeGoogleToken };
@@ -0,0 +1,45 @@
+/**
+ * cleanupPolicy.js — What happens to a sender's mail after unsubscribing.
+ *
+ * Unsubscribing stops new mail, but what's already there stays in the
+ * inbox. A cleanup policy is a list of actions applied, once an unsubscribe
+ * succeeds, to every message from that sender still in the mailbox:
+ *
+ *   read     Mark as read
+ *   archive  Take out of the inbox
+ *   label    Apply the "Junkpile/Unsubscribed" label
+ *   trash    Move to trash (the other actions are moot then)
+ *
+ * Each server user has one policy, stored on the user record as
+ * cleanupPolicy (see userStore.js). The default, an empty list, leaves mail
+ * alone apart from the email the decision was made on, which is marked
+ * processed as always. Providers apply policies with the optional
+ * cleanUpSender() capability (see providers/index.js).
+ */
+
+const CLEANUP_ACTIONS = ['read', 'archive', 'label', 'trash'];
+
+// Label applied by the "label" action
+const CLEANUP_LABEL = 'Junkpile/Unsubscribed';
+
+/**
+ * Validates a policy from the client and puts it in canonical form:
+ * known actions only, each once, in CLEANUP_ACTIONS order. Trash makes the
+ * other actions pointless, so a policy with it is just ['trash'].
+ *
+ * @param {*} actions - Policy as sent by the client
+ * @returns {string[]|null} Normalized policy, or null if it isn't valid
+ */
+function normalizeCleanupPolicy(actions) {
+    if (!Array.isArray(actions) || actions.some(action => !CLEANUP_ACTIONS.includes(action))) {
+        return null;
+    }
+    if (actions.includes('trash')) return ['trash'];
+    return CLEANUP_ACTIONS.filter(action => actions.includes(action));
+}
+
+module.exports = {
+    CLEANUP_ACTIONS,
+    CLEANUP_LABEL,
+    normalizeCleanupPolicy
+};
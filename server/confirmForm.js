@@ -0,0 +1,192 @@
+/**
+ * confirmForm.js — Finds the confirmation form on an unsubscribe landing page.
+ *
+ * Many unsubscribe links (especially body links, see emailParsing.js) don't
+ * unsubscribe anything by themselves: they open a page with a "Confirm" or
+ * "Unsubscribe" button. UnsubscribeService fetches the page, asks
+ * findConfirmForm() what's on it, and submits the form when there's exactly
+ * one that can be filled in without the user:
+ *
+ *   - A form counts when one of its submit buttons (or its action) reads
+ *     like an unsubscribe: "unsubscribe", "opt out", "confirm", "remove me".
+ *   - Hidden fields, prefilled fields and checked boxes are sent as a
+ *     browser would, plus the name/value of the button that was "clicked".
+ *     Select menus (usually an optional reason) are left out.
+ *
+ * Pages that need the user are reported as manual: CAPTCHAs, password or
+ * empty required fields, several candidate forms, or unsubscribe buttons
+ * outside any form (script-driven pages).
+ *
+ * HTML is matched with regular expressions, like the body-link fallback in
+ * emailParsing.js; this is a heuristic for common ESP pages, not a parser.
+ */
+
+// Words on a submit button (or in a form action) that mark a confirmation form
+const CONFIRM_WORDS = /unsubscribe|opt[\s-]?out|confirm|remove me|stop (?:receiving|sending)/i;
+
+// Widgets that mean a person has to be there
+const CAPTCHA_MARKERS = /g-recaptcha|h-captcha|cf-turnstile|captcha/i;
+
+// Input types a browser submits as name=value when they have a value
+const VALUE_INPUTS = ['hidden', 'text', 'email', 'number', 'tel', 'search', 'url', ''];
+
+/**
+ * Decodes the HTML entities that show up in attribute values.
+ *
+ * @param {string} value - Raw attribute value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+    return value
+        .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+        .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, '\'')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Reads one attribute from an opening tag.
+ *
+ * @param {string} tag - Opening tag, e.g. '<input type="hidden" name="t">'
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded value, '' for a bare attribute, or null if absent
+ */
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}(?:\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+)))?(?=[\\s/>])`, 'i'));
+    if (!match) return null;
+    return decodeEntities(match[1] ?? match[2] ?? match[3] ?? '');
+}
+
+/**
+ * Strips tags and collapses whitespace.
+ *
+ * @param {string} html - HTML fragment
+ * @returns {string} Plain text
+ */
+function textOf(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lists a form's submit controls with their labels.
+ *
+ * @param {string} body - HTML between <form> and </form>
+ * @returns {Array<{ tag: string, label: string }>}
+ */
+function submitControls(body) {
+    const controls = [];
+    for (const [, tag, inner] of body.matchAll(/(<button\b[^>]*>)([\s\S]*?)<\/button>/gi)) {
+        const type = (attribute(tag, 'type') || 'submit').toLowerCase();
+        if (type === 'submit') controls.push({ tag, label: textOf(inner) || attribute(tag, 'value') || '' });
+    }
+    for (const [tag] of body.matchAll(/<input\b[^>]*>/gi)) {
+        const type = (attribute(tag, 'type') || '').toLowerCase();
+        if (type === 'submit' || type === 'image') {
+            controls.push({ tag, label: attribute(tag, 'value') || attribute(tag, 'alt') || '' });
+        }
+    }
+    return controls;
+}
+
+/**
+ * Collects the fields a browser would submit, or says why it can't be
+ * done without the user.
+ *
+ * @param {string} body - HTML between <form> and </form>
+ * @returns {{ fields: Array<[string, string]> }|{ manual: string }}
+ */
+function formFields(body) {
+    const fields = [];
+    for (const [tag] of body.matchAll(/<input\b[^>]*>/gi)) {
+        const type = (attribute(tag, 'type') || '').toLowerCase();
+        const name = attribute(tag, 'name');
+        const value = attribute(tag, 'value');
+
+        if (type === 'password') return { manual: 'Page asks for a password' };
+        if (attribute(tag, 'required') !== null && !value && type !== 'checkbox' && type !== 'radio') {
+            return { manual: 'Form needs information only the user can give' };
+        }
+        if (!name || attribute(tag, 'disabled') !== null) continue;
+
+        if (type === 'checkbox' || type === 'radio') {
+            if (attribute(tag, 'checked') !== null) fields.push([name, value ?? 'on']);
+        } else if (VALUE_INPUTS.includes(type)) {
+            fields.push([name, value || '']);
+        }
+    }
+    for (const [, tag, inner] of body.matchAll(/(<textarea\b[^>]*>)([\s\S]*?)<\/textarea>/gi)) {
+        const name = attribute(tag, 'name');
+        if (attribute(tag, 'required') !== null && !inner.trim()) {
+            return { manual: 'Form needs information only the user can give' };
+        }
+        if (name) fields.push([name, decodeEntities(inner)]);
+    }
+    return { fields };
+}
+
+/**
+ * Looks for the confirmation form on an unsubscribe landing page.
+ *
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - URL the page was served from (after redirects),
+ *   for resolving relative form actions
+ * @returns {null|{ form: { method: string, action: string, fields: Array<[string, string]> } }|{ manual: string }}
+ *   null when the page has nothing to confirm; the form to submit; or why
+ *   the user has to finish on the page themselves
+ */
+function findConfirmForm(html, pageUrl) {
+    if (!html) return null;
+
+    const candidates = [];
+    let outside = html;
+    for (const [whole, openTag, body] of html.matchAll(/(<form\b[^>]*>)([\s\S]*?)<\/form>/gi)) {
+        outside = outside.replace(whole, '');
+        const button = submitControls(body).find(control => CONFIRM_WORDS.test(control.label));
+        const action = attribute(openTag, 'action') || '';
+        if (button || CONFIRM_WORDS.test(action)) {
+            candidates.push({ openTag, body, button });
+        }
+    }
+
+    if (candidates.length === 0) {
+        // A lone unsubscribe button with no form is wired up by script
+        const stray = submitControls(outside).some(control => CONFIRM_WORDS.test(control.label));
+        return stray ? { manual: 'Unsubscribe button needs a browser' } : null;
+    }
+    if (candidates.length > 1) {
+        return { manual: 'Page has several unsubscribe forms' };
+    }
+    if (CAPTCHA_MARKERS.test(html)) {
+        return { manual: 'Page has a CAPTCHA' };
+    }
+
+    const { openTag, body, button } = candidates[0];
+    const collected = formFields(body);
+    if (collected.manual) return collected;
+
+    const fields = collected.fields;
+    const buttonName = button ? attribute(button.tag, 'name') : null;
+    if (buttonName) fields.push([buttonName, attribute(button.tag, 'value') || '']);
+
+    let action;
+    try {
+        action = new URL(attribute(openTag, 'action') || pageUrl, pageUrl).toString();
+    } catch {
+        return { manual: 'Form has an invalid action' };
+    }
+
+    return {
+        form: {
+            method: (attribute(openTag, 'method') || 'get').toUpperCase() === 'POST' ? 'POST' : 'GET',
+            action,
+            fields
+        }
+    };
+}
+
+module.exports = {
+    findConfirmForm
+};
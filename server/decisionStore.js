@@ -0,0 +1,405 @@
+/**
+ * decisionStore.js — Per-user swipe sessions and decision history.
+ *
+ * Stores sessions through the configured storage backend (see
+ * storage/index.js): data/decisions.json by default, the same file the
+ * server has always used, or SQLite. Every session belongs to an owner — "user:<id>" for
+ * server users (Apple Sign-In) or "google:<email>" for callers identified
+ * by their Google account — and all reads and writes are scoped to it.
+ * Sessions written before ownership existed have no ownerId and are never
+ * returned to anyone.
+ *
+ * Session shape:
+ * {
+ *   id: string (UUID),
+ *   ownerId: string,
+ *   startTime: string (ISO),
+ *   completed: boolean,
+ *   completedAt: string (ISO) | null,
+ *   decisions: [{
+ *     id: string (UUID),             // Also the unsubscribe job ID
+ *     ownerId: string,
+ *     emailId: string,               // Gmail message ID
+ *     mailboxId: string | null,      // Mailbox the email is in (server users)
+ *     sender: string | null,         // Cleaned sender name
+ *     senderAddress: string | null,  // Lower-cased From address
+ *     subject: string | null,
+ *     decision: "unsubscribe" | "keep",
+ *     timestamp: string (ISO),
+ *     status: "pending" | "completed" | "failed" | "dead",
+ *     unsubscribeMethod: string | null,
+ *     unsubscribeSuccess: boolean,   // Set once the unsubscribe job settles
+ *     unsubscribeOutcome: string | null, // What the endpoint said: "confirmed",
+ *                                    // "probable", "expired", "login-required",
+ *                                    // "needs-manual" or "failed" (see responseClassifier.js)
+ *     unsubscribeError: string | null,
+ *     manualUrl: string | null,      // Page the user has to confirm the
+ *                                    // unsubscribe on, when it couldn't be automated
+ *     cleanedUpMessages: number,     // Sender's messages cleaned up afterwards
+ *                                    // (see cleanupPolicy.js); set on settle
+ *     filter: {                      // Mailbox filter for the sender's future
+ *       id: string,                  // mail, if the user made one
+ *       action: "archive" | "trash",
+ *       createdAt: string (ISO)
+ *     } | null,
+ *     verification: object | null    // Whether the sender stopped mailing after a
+ *                                    // successful unsubscribe (see unsubscribeVerifier.js)
+ *   }]
+ * }
+ */
+
+const crypto = require('crypto');
+const { getStorage, initStorage } = require('./storage');
+
+// Page size limits for history queries
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Prepares decision storage (creates the decisions file or runs database
+ * migrations). Called once at server startup.
+ */
+async function initDecisionsFile() {
+    await initStorage();
+}
+
+/**
+ * Runs a transaction against the sessions collection.
+ *
+ * @param {Function} fn - (tx) => result, see storage/index.js
+ * @returns {Promise<*>} fn's return value
+ */
+function transaction(fn) {
+    return getStorage().sessions.transaction(fn);
+}
+
+/**
+ * Builds a new, open session for an owner.
+ *
+ * @param {string} ownerId - Session owner
+ * @returns {Object} Session record
+ */
+function newSession(ownerId) {
+    return {
+        id: crypto.randomUUID(),
+        ownerId,
+        startTime: new Date().toISOString(),
+        completed: false,
+        completedAt: null,
+        decisions: []
+    };
+}
+
+/**
+ * Marks a session completed and records a summary of its decisions.
+ *
+ * @param {Object} session - Session to close (mutated in place)
+ */
+function closeSession(session) {
+    session.completed = true;
+    session.completedAt = new Date().toISOString();
+    session.summary = {
+        totalDecisions: session.decisions.length,
+        unsubscribes: session.decisions.filter(d => d.decision === 'unsubscribe').length,
+        keeps: session.decisions.filter(d => d.decision === 'keep').length
+    };
+}
+
+/**
+ * Starts a new swipe session for an owner. Any session the owner still
+ * has open is completed first, so each owner has at most one open session.
+ *
+ * @param {string} ownerId - Session owner
+ * @returns {Promise<Object>} The new session
+ */
+async function startSession(ownerId) {
+    return transaction(tx => {
+        for (const session of tx.all(ownerId)) {
+            if (!session.completed) {
+                closeSession(session);
+                tx.put(session);
+            }
+        }
+
+        const session = newSession(ownerId);
+        tx.put(session);
+        return session;
+    });
+}
+
+/**
+ * Completes one of an owner's sessions.
+ *
+ * @param {string} ownerId - Session owner
+ * @param {string} sessionId - Session to complete
+ * @returns {Promise<Object|null>} The completed session, or null if the
+ *   owner has no such session. Already-completed sessions are returned as-is.
+ */
+async function completeSession(ownerId, sessionId) {
+    return transaction(tx => {
+        const session = tx.get(sessionId);
+
+        if (!session || session.ownerId !== ownerId) {
+            return null;
+        }
+
+        if (!session.completed) {
+            closeSession(session);
+            tx.put(session);
+        }
+        return session;
+    });
+}
+
+/**
+ * Finds one of an owner's sessions by ID.
+ *
+ * @param {string} ownerId - Session owner
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object|null>} Session, or null if not found
+ */
+async function findSession(ownerId, sessionId) {
+    const session = await transaction(tx => tx.get(sessionId));
+    return session && session.ownerId === ownerId ? session : null;
+}
+
+/**
+ * Lists sessions, optionally only those of a single owner.
+ *
+ * @param {string} [ownerId] - Restrict to this owner's sessions
+ * @returns {Promise<Array>} Session records
+ */
+async function listSessions(ownerId) {
+    return transaction(tx => tx.all(ownerId));
+}
+
+/**
+ * Records a decision in one of the owner's sessions: the given session if
+ * a sessionId is passed, otherwise the owner's open session (one is started
+ * if none is open).
+ *
+ * @param {string} ownerId - Decision owner
+ * @param {Object} decisionData - Decision fields (emailId, decision, sender, ...)
+ * @param {string} [sessionId] - Target session
+ * @returns {Promise<{ decision: Object|null, session: Object|null, error?: string }>}
+ *   error is "session-not-found" or "session-completed" when nothing was recorded
+ */
+async function addDecision(ownerId, decisionData, sessionId) {
+    return transaction(tx => {
+        let session;
+        if (sessionId) {
+            session = tx.get(sessionId);
+            if (!session || session.ownerId !== ownerId) {
+                return { decision: null, session: null, error: 'session-not-found' };
+            }
+            if (session.completed) {
+                return { decision: null, session, error: 'session-completed' };
+            }
+        } else {
+            session = tx.all(ownerId).find(s => !s.completed);
+            if (!session) {
+                session = newSession(ownerId);
+                tx.put(session);
+            }
+        }
+
+        const decision = {
+            id: decisionData.id || crypto.randomUUID(),
+            ownerId,
+            emailId: decisionData.emailId,
+            mailboxId: decisionData.mailboxId || null,
+            sender: decisionData.sender || null,
+            senderAddress: decisionData.senderAddress || null,
+            subject: decisionData.subject || null,
+            decision: decisionData.decision,
+            timestamp: new Date().toISOString(),
+            status: decisionData.status || 'completed',
+            unsubscribeMethod: null,
+            unsubscribeSuccess: false,
+            unsubscribeError: null,
+            filter: null
+        };
+
+        tx.putDecision(session.id, decision);
+        session.decisions.push(decision);
+        return { decision, session };
+    });
+}
+
+/**
+ * Looks up one of an owner's decisions.
+ *
+ * @param {string} ownerId - Decision owner
+ * @param {string} decisionId - The decision's ID
+ * @returns {Promise<Object|null>} Decision, or null if not found or not the owner's
+ */
+async function findDecision(ownerId, decisionId) {
+    const found = await transaction(tx => tx.findDecision(decisionId));
+    return found && found.decision.ownerId === ownerId ? found.decision : null;
+}
+
+/**
+ * Lists an owner's decisions that have a mailbox filter, newest first.
+ *
+ * @param {string} ownerId - Decision owner
+ * @returns {Promise<Array>} Decision records
+ */
+async function listFilters(ownerId) {
+    const sessions = await listSessions(ownerId);
+    return sessions
+        .flatMap(session => session.decisions)
+        .filter(decision => decision.filter)
+        .sort((a, b) => b.filter.createdAt.localeCompare(a.filter.createdAt));
+}
+
+/**
+ * Applies an update to a single decision record, wherever it lives.
+ * The updater receives the decision and its session; returning false
+ * removes the decision from the session instead.
+ *
+ * @param {string} decisionId - The decision's ID
+ * @param {Function} updater - (decision, session) => boolean|void
+ * @returns {Promise<boolean>} True if the decision was found
+ */
+async function updateDecision(decisionId, updater) {
+    return transaction(tx => {
+        const found = tx.findDecision(decisionId);
+        if (!found) {
+            return false;
+        }
+
+        if (updater(found.decision, found.session) === false) {
+            tx.removeDecision(decisionId);
+        } else {
+            tx.putDecision(found.session.id, found.decision);
+        }
+        return true;
+    });
+}
+
+/**
+ * Deletes every session (and so every decision) belonging to an owner.
+ * Used for account deletion.
+ *
+ * @param {string} ownerId - Owner whose history to erase
+ * @returns {Promise<{ sessions: number, decisions: number }>} How many were removed
+ */
+async function deleteOwnerData(ownerId) {
+    return transaction(tx => tx.removeOwner(ownerId));
+}
+
+/**
+ * Summarises what happened to a decision, for display in history.
+ *
+ * @param {Object} decision - Decision record
+ * @returns {string} "kept", "pending", "unsubscribed", "still-sending",
+ *   "needs-manual", "expired", "login-required" or "failed"
+ */
+function decisionOutcome(decision) {
+    if (decision.decision === 'keep') return 'kept';
+    if (decision.status === 'pending') return 'pending';
+    if (!decision.unsubscribeSuccess) {
+        if (decision.manualUrl) return 'needs-manual';
+        return ['expired', 'login-required'].includes(decision.unsubscribeOutcome)
+            ? decision.unsubscribeOutcome
+            : 'failed';
+    }
+    return decision.verification && decision.verification.status === 'still-sending'
+        ? 'still-sending'
+        : 'unsubscribed';
+}
+
+/**
+ * Encodes a history cursor from the last decision on a page.
+ *
+ * @param {Object} decision - Last decision returned
+ * @returns {string} Opaque base64url cursor
+ */
+function encodeCursor(decision) {
+    return Buffer.from(`${decision.timestamp}|${decision.id}`).toString('base64url');
+}
+
+/**
+ * Decodes a history cursor.
+ *
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{ timestamp: string, id: string }|null} Position, or null if malformed
+ */
+function decodeCursor(cursor) {
+    const decoded = Buffer.from(cursor, 'base64url').toString('utf8');
+    const separator = decoded.indexOf('|');
+    if (separator === -1) return null;
+    return { timestamp: decoded.substring(0, separator), id: decoded.substring(separator + 1) };
+}
+
+/**
+ * Pages through an owner's decisions, newest first.
+ *
+ * @param {string} ownerId - Decision owner
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Page size (default 50, max 200)
+ * @param {string} [options.cursor] - nextCursor from the previous page
+ * @param {string} [options.sessionId] - Restrict to one session
+ * @returns {Promise<{ decisions: Array, nextCursor: string|null }>}
+ */
+async function getHistory(ownerId, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sessions = await listSessions(ownerId);
+
+    let entries = [];
+    for (const session of sessions) {
+        if (options.sessionId && session.id !== options.sessionId) continue;
+        for (const decision of session.decisions) {
+            entries.push({ decision, sessionId: session.id });
+        }
+    }
+
+    // Newest first; ID breaks ties between decisions in the same millisecond
+    const compare = (a, b) => (b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id));
+    entries.sort((a, b) => compare(a.decision, b.decision));
+
+    if (options.cursor) {
+        const position = decodeCursor(options.cursor);
+        if (position) {
+            entries = entries.filter(e => compare(position, e.decision) < 0);
+        }
+    }
+
+    const page = entries.slice(0, limit);
+    const decisions = page.map(({ decision, sessionId }) => ({
+        id: decision.id,
+        sessionId,
+        emailId: decision.emailId,
+        sender: decision.sender || null,
+        subject: decision.subject || null,
+        decision: decision.decision,
+        method: decision.unsubscribeMethod || null,
+        outcome: decisionOutcome(decision),
+        unsubscribeOutcome: decision.unsubscribeOutcome || null,
+        error: decision.unsubscribeError || null,
+        manualUrl: decision.manualUrl || null,
+        filter: decision.filter || null,
+        verification: decision.verification ? decision.verification.status : null,
+        timestamp: decision.timestamp
+    }));
+
+    return {
+        decisions,
+        nextCursor: entries.length > limit ? encodeCursor(page[page.length - 1].decision) : null
+    };
+}
+
+module.exports = {
+    initDecisionsFile,
+    startSession,
+    completeSession,
+    findSession,
+    listSessions,
+    addDecision,
+    findDecision,
+    listFilters,
+    updateDecision,
+    deleteOwnerData,
+    getHistory,
+    decisionOutcome
+};
@@ -0,0 +1,125 @@
+/**
+ * emailParsing.js — Provider-independent parsing of email headers and bodies.
+ *
+ * Every email provider (see providers/index.js) turns raw headers into the
+ * same email shape, so the unsubscribe cascade and subscription grouping
+ * behave identically whichever mailbox a message came from. GmailService
+ * and ImapProvider both build on these functions.
+ */
+
+/**
+ * Extracts all unsubscribe-related data from email headers and body.
+ *
+ * Parses the List-Unsubscribe header (RFC 2369) for both HTTP and mailto URLs,
+ * checks for the List-Unsubscribe-Post header (RFC 8058), and falls back to
+ * searching the HTML body for unsubscribe links.
+ *
+ * @param {string} listUnsubscribeHeader - Value of the List-Unsubscribe header
+ * @param {string} listUnsubscribePostHeader - Value of the List-Unsubscribe-Post header
+ * @param {string|null} htmlBody - Decoded HTML body (for the body fallback);
+ *   empty or null skips the fallback
+ * @returns {object} Structured unsubscribe data:
+ *   - httpUrls: string[] — HTTP(S) URLs from the header
+ *   - mailtoUrl: string|null — First mailto: URL from the header
+ *   - bodyUrl: string|null — URL from email body HTML (fallback)
+ *   - hasListUnsubscribePost: boolean — RFC 8058 support
+ *   - primaryUrl: string|null — Best available URL for display/backward compat
+ */
+function extractUnsubscribeData(listUnsubscribeHeader, listUnsubscribePostHeader, htmlBody) {
+    const httpUrls = [];
+    let mailtoUrl = null;
+    let bodyUrl = null;
+
+    // Parse all URLs from the List-Unsubscribe header (RFC 2369)
+    // Format: <url1>, <url2>, ... — angle-bracket delimited, comma-separated
+    if (listUnsubscribeHeader) {
+        const urlMatches = listUnsubscribeHeader.matchAll(/<([^>]+)>/g);
+        for (const match of urlMatches) {
+            const url = match[1].trim();
+            if (/^https?:\/\//i.test(url)) {
+                // HTTP or HTTPS URL
+                httpUrls.push(url);
+            } else if (/^mailto:/i.test(url) && !mailtoUrl) {
+                // mailto URL — keep only the first one
+                mailtoUrl = url;
+            }
+        }
+    }
+
+    // Fallback: search the email body HTML for an unsubscribe link
+    // Only used if no header URLs were found
+    if (httpUrls.length === 0 && !mailtoUrl && htmlBody) {
+        const unsubscribeMatch = htmlBody.match(
+            /<a[^>]*href=["']([^"']*unsubscribe[^"']*)["'][^>]*>/i
+        );
+        if (unsubscribeMatch) {
+            bodyUrl = unsubscribeMatch[1];
+        }
+    }
+
+    // Check for RFC 8058 List-Unsubscribe-Post header
+    // Value is typically: "List-Unsubscribe=One-Click-Unsubscribe-Post"
+    const hasListUnsubscribePost = !!(
+        listUnsubscribePostHeader &&
+        listUnsubscribePostHeader.trim().length > 0
+    );
+
+    // Primary URL for backward compatibility with iOS app:
+    // prefer first HTTP URL from header, then body URL
+    const primaryUrl = httpUrls[0] || bodyUrl || null;
+
+    return {
+        httpUrls,
+        mailtoUrl,
+        bodyUrl,
+        hasListUnsubscribePost,
+        primaryUrl
+    };
+}
+
+/**
+ * Cleans a "From" header to extract just the sender name.
+ * Strips email address portion and surrounding quotes.
+ * Example: '"Newsletter Team" <news@example.com>' → 'Newsletter Team'
+ *
+ * @param {string} from - Raw From header value
+ * @returns {string} Cleaned sender name
+ */
+function cleanSender(from) {
+    // Extract name from "Name <email@domain.com>" format
+    const nameMatch = from.match(/^([^<]+)</);
+    if (nameMatch) {
+        return nameMatch[1].trim().replace(/['"]/g, '');
+    }
+    return from;
+}
+
+/**
+ * Parses a List-Id header (RFC 2919) into the list's identifier and its
+ * human-readable name.
+ * Example: '"Weekly Deals" <deals.shop.example>' → { listId: 'deals.shop.example', listName: 'Weekly Deals' }
+ *
+ * @param {string} header - Raw List-Id header value
+ * @returns {{ listId: string|null, listName: string|null }} Lower-cased
+ *   identifier and display name; null when absent
+ */
+function parseListId(header) {
+    if (!header || !header.trim()) {
+        return { listId: null, listName: null };
+    }
+
+    // Usual form: optional phrase, then the identifier in angle brackets.
+    // Some senders omit the brackets and send the bare identifier.
+    const match = header.match(/^(.*)<([^>]+)>\s*$/s);
+    const phrase = match ? match[1] : '';
+    const listId = (match ? match[2] : header).trim().toLowerCase();
+    const listName = phrase.trim().replace(/^"(.*)"$/s, '$1').replace(/\\(.)/g, '$1').trim();
+
+    return { listId: listId || null, listName: listName || null };
+}
+
+module.exports = {
+    extractUnsubscribeData,
+    cleanSender,
+    parseListId
+};
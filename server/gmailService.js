@@ -1,21 +1,261 @@
 const { google } = require('googleapis');
-const UnsubscribeService = require('./unsubscribeService');
+const subscriptions = require('./subscriptions');
+const emailParsing = require('./emailParsing');
+const { CLEANUP_LABEL } = require('./cleanupPolicy');
+
+// Headers requested by metadata-only message fetches
+const METADATA_HEADERS = ['From', 'Subject', 'List-Unsubscribe', 'List-Unsubscribe-Post', 'List-Id'];
+
+// Most message fetches kept in flight at once
+const FETCH_CONCURRENCY = 10;
+
+// Labels of new messages an incremental sync ignores
+const SKIPPED_LABELS = ['SENT', 'DRAFT', 'SPAM', 'TRASH'];
+
+// Most of a sender's messages one cleanup touches
+const MAX_CLEANUP_MESSAGES = 5000;
+
+// Most message IDs Gmail accepts in one batchModify call
+const BATCH_MODIFY_SIZE = 1000;
+
+// What a sender filter does with future mail, as Gmail filter actions
+const FILTER_ACTIONS = {
+    archive: { removeLabelIds: ['INBOX'] },
+    trash: { addLabelIds: ['TRASH'] }
+};
+
+/**
+ * Maps over items with at most `limit` calls of fn in flight at once.
+ * Results keep the order of the input.
+ *
+ * @param {Array} items - Inputs
+ * @param {number} limit - Concurrency limit
+ * @param {Function} fn - async (item) => result
+ * @returns {Promise<Array>} Results
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Builds the Gmail search for a sender's mail. The address goes into a
+ * search query, so anything that could widen it is refused.
+ *
+ * @param {string} senderAddress - Lower-cased From address
+ * @returns {string} Search query
+ * @throws If the address isn't a plain address
+ */
+function senderQuery(senderAddress) {
+    if (!/^[^\s"()]+@[^\s"()]+$/.test(senderAddress || '')) {
+        throw new Error('Invalid sender address');
+    }
+    return `from:"${senderAddress}"`;
+}
 
 /**
  * GmailService — Handles all Gmail API interactions.
  *
+ * The first email provider (see providers/index.js): listCandidates(),
+ * getDetails(), markProcessed(), canSendMail and sendMail() make up the
+ * provider interface; the other public methods are Gmail's own or optional
+ * capabilities.
+ *
  * Responsible for:
- *   - Fetching emails with unsubscribe options
+ *   - Scanning for subscriptions (senders with unsubscribe options)
  *   - Extracting unsubscribe data from headers and body (RFC 2369, RFC 8058)
- *   - Executing unsubscribe actions (delegates to UnsubscribeService)
  *   - Sending emails via Gmail API (for mailto-based unsubscribe)
  */
 class GmailService {
     constructor(oauth2Client) {
+        this.name = 'gmail';
         this.oauth2Client = oauth2Client;
         this.gmail = google.gmail({ version: 'v1', auth: oauth2Client });
     }
 
+    /**
+     * Provider interface: whether sendMail() may be used.
+     * @returns {boolean}
+     */
+    get canSendMail() {
+        return this.hasSendScope;
+    }
+
+    /**
+     * Provider interface: one page of subscription cards.
+     * @see getEmailsWithUnsubscribe
+     */
+    listCandidates(options) {
+        return this.getEmailsWithUnsubscribe(options);
+    }
+
+    /**
+     * Provider interface: one email with its body and unsubscribe data.
+     * @see getEmailDetails
+     */
+    getDetails(messageId) {
+        return this.getEmailDetails(messageId);
+    }
+
+    /**
+     * Provider interface: sends a plain-text email.
+     * @see sendEmail
+     */
+    sendMail(to, subject, body) {
+        return this.sendEmail(to, subject, body);
+    }
+
+    /**
+     * Provider interface: marks an email as handled by removing its UNREAD label.
+     *
+     * @param {string} messageId - Gmail message ID
+     * @returns {Promise<void>}
+     */
+    async markProcessed(messageId) {
+        await this.gmail.users.messages.modify({
+            userId: 'me',
+            id: messageId,
+            requestBody: {
+                removeLabelIds: ['UNREAD'],
+                addLabelIds: []
+            }
+        });
+    }
+
+    /**
+     * Optional capability: applies a cleanup policy (see cleanupPolicy.js)
+     * to every message from a sender, wherever it is in the mailbox.
+     * Needs the gmail.modify scope.
+     *
+     * @param {string} senderAddress - Lower-cased From address
+     * @param {string[]} actions - Normalized cleanup policy
+     * @returns {Promise<{ messages: number }>} Number of messages cleaned up
+     */
+    async cleanUpSender(senderAddress, actions) {
+        const query = senderQuery(senderAddress);
+        const ids = [];
+        let pageToken = null;
+        do {
+            const response = await this.gmail.users.messages.list({
+                userId: 'me',
+                q: query,
+                maxResults: 500,
+                ...(pageToken ? { pageToken } : {})
+            });
+            ids.push(...(response.data.messages || []).map(msg => msg.id));
+            pageToken = response.data.nextPageToken || null;
+        } while (pageToken && ids.length < MAX_CLEANUP_MESSAGES);
+        ids.splice(MAX_CLEANUP_MESSAGES);
+
+        if (ids.length === 0 || actions.length === 0) return { messages: 0 };
+
+        if (actions.includes('trash')) {
+            await mapWithConcurrency(ids, FETCH_CONCURRENCY, id =>
+                this.gmail.users.messages.trash({ userId: 'me', id }));
+            return { messages: ids.length };
+        }
+
+        const addLabelIds = actions.includes('label') ? [await this.getLabelId(CLEANUP_LABEL)] : [];
+        const removeLabelIds = [
+            ...(actions.includes('read') ? ['UNREAD'] : []),
+            ...(actions.includes('archive') ? ['INBOX'] : [])
+        ];
+        for (let i = 0; i < ids.length; i += BATCH_MODIFY_SIZE) {
+            await this.gmail.users.messages.batchModify({
+                userId: 'me',
+                requestBody: { ids: ids.slice(i, i + BATCH_MODIFY_SIZE), addLabelIds, removeLabelIds }
+            });
+        }
+        return { messages: ids.length };
+    }
+
+    /**
+     * Optional capability: counts mail from a sender received after a
+     * point in time, anywhere in the mailbox (spam and trash included, so
+     * mail a filter throws away still counts). Used by unsubscribe
+     * verification; counts stop at 100.
+     *
+     * @param {string} senderAddress - Lower-cased From address
+     * @param {Date} since - Only count mail received after this
+     * @returns {Promise<number>} Number of messages
+     */
+    async countSenderMailSince(senderAddress, since) {
+        const response = await this.gmail.users.messages.list({
+            userId: 'me',
+            q: `${senderQuery(senderAddress)} after:${Math.floor(since.getTime() / 1000)}`,
+            includeSpamTrash: true,
+            maxResults: 100
+        });
+        return (response.data.messages || []).length;
+    }
+
+    /**
+     * Optional capability: creates a Gmail filter that archives or trashes
+     * all future mail from a sender, for senders that ignore unsubscribes.
+     * Needs the gmail.settings.basic scope; without it Gmail refuses with 403.
+     *
+     * @param {string} senderAddress - Lower-cased From address
+     * @param {string} action - "archive" or "trash"
+     * @returns {Promise<string>} Filter ID, for deleteSenderFilter()
+     */
+    async createSenderFilter(senderAddress, action) {
+        if (!FILTER_ACTIONS[action]) {
+            throw new Error(`Unknown filter action: ${action}`);
+        }
+
+        const response = await this.gmail.users.settings.filters.create({
+            userId: 'me',
+            requestBody: {
+                criteria: { from: senderAddress },
+                action: FILTER_ACTIONS[action]
+            }
+        });
+        return response.data.id;
+    }
+
+    /**
+     * Optional capability: deletes a filter made by createSenderFilter().
+     * Filters the user already deleted in Gmail count as deleted.
+     *
+     * @param {string} filterId - Filter ID
+     * @returns {Promise<void>}
+     */
+    async deleteSenderFilter(filterId) {
+        try {
+            await this.gmail.users.settings.filters.delete({ userId: 'me', id: filterId });
+        } catch (error) {
+            if (error.code !== 404) throw error;
+        }
+    }
+
+    /**
+     * Finds a user label by name, creating it if the mailbox doesn't have it.
+     *
+     * @param {string} name - Label name; "/" nests it ("Junkpile/Unsubscribed")
+     * @returns {Promise<string>} Label ID
+     */
+    async getLabelId(name) {
+        const response = await this.gmail.users.labels.list({ userId: 'me' });
+        const existing = (response.data.labels || []).find(label => label.name === name);
+        if (existing) return existing.id;
+
+        const created = await this.gmail.users.labels.create({
+            userId: 'me',
+            requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }
+        });
+        return created.data.id;
+    }
+
     /**
      * Checks if the current OAuth credentials include gmail.send scope.
      * Required for mailto-based unsubscribe. Currently returns false
@@ -39,51 +279,321 @@ class GmailService {
     }
 
     /**
-     * Fetches emails that contain unsubscribe options from the user's inbox.
-     * Searches for emails with "unsubscribe" or "list-unsubscribe" in the last 30 days,
-     * then deduplicates by sender domain (one email per sender).
+     * Builds the Gmail search query for the mailbox scan.
+     *
+     * @param {number} lookbackDays - How far back to search
+     * @returns {string} Gmail search query
+     */
+    buildScanQuery(lookbackDays) {
+        return `unsubscribe OR list-unsubscribe newer_than:${lookbackDays}d`;
+    }
+
+    /**
+     * Lists one page of message IDs matching the scan query.
+     *
+     * @param {Object} options
+     * @param {number} options.lookbackDays - Search window in days
+     * @param {string|null} [options.pageToken] - nextPageToken from the previous page
+     * @param {number} [options.maxResults=100] - Page size (Gmail allows up to 500)
+     * @returns {Promise<{ ids: string[], nextPageToken: string|null, resultSizeEstimate: number }>}
+     */
+    async listMessages({ lookbackDays, pageToken = null, maxResults = 100 }) {
+        const response = await this.gmail.users.messages.list({
+            userId: 'me',
+            q: this.buildScanQuery(lookbackDays),
+            maxResults,
+            ...(pageToken ? { pageToken } : {})
+        });
+
+        return {
+            ids: (response.data.messages || []).map(msg => msg.id),
+            nextPageToken: response.data.nextPageToken || null,
+            resultSizeEstimate: response.data.resultSizeEstimate || 0
+        };
+    }
+
+    /**
+     * Scans the user's inbox for subscriptions (senders with unsubscribe
+     * options) and returns a card for each one found.
+     *
+     * Every matching message is folded into its subscription (see
+     * subscriptions.js), so a card carries the sender's message count,
+     * unread ratio and best unsubscribe data rather than one arbitrary email.
      *
-     * @returns {Promise<Array>} Array of email objects with unsubscribe data
+     * Follows messages.list's nextPageToken until at least `limit` new
+     * subscriptions have been found, the search is exhausted, or `maxPages`
+     * list pages have been read. Whole list pages are processed, so slightly
+     * more than `limit` cards can come back; the caller trims them.
+     *
+     * Messages are fetched metadata-only (see getEmailMetadata()), so cards
+     * carry no htmlBody unless the body was needed for its unsubscribe link;
+     * clients load it with getEmailHtml() when the card is shown.
+     *
+     * @param {Object} [options]
+     * @param {string|null} [options.pageToken] - Where to resume (nextPageToken from a previous call)
+     * @param {number} [options.lookbackDays=30] - Search window in days
+     * @param {number} [options.limit=50] - Stop once this many new subscriptions were found
+     * @param {number} [options.maxPages=5] - Most messages.list pages to read in one call
+     * @param {number} [options.pageSize=100] - messages.list page size
+     * @param {Map<string, Object>} [options.subscriptions] - Subscriptions from earlier
+     *   calls of the same scan; updated in place with every message seen
+     * @returns {Promise<{ emails: Array, nextPageToken: string|null, resultSizeEstimate: number }>}
+     *   emails holds one card per subscription first seen in this call
      */
-    async getEmailsWithUnsubscribe() {
+    async getEmailsWithUnsubscribe(options = {}) {
+        const {
+            lookbackDays = 30,
+            limit = 50,
+            maxPages = 5,
+            pageSize = 100,
+            subscriptions: known = new Map()
+        } = options;
+        let pageToken = options.pageToken || null;
+
         try {
-            // Search for emails with unsubscribe links in the last 30 days
-            const response = await this.gmail.users.messages.list({
-                userId: 'me',
-                q: 'unsubscribe OR list-unsubscribe newer_than:30d',
-                maxResults: 50
-            });
+            const found = [];
+            let resultSizeEstimate = 0;
+
+            for (let page = 0; page < maxPages; page++) {
+                const list = await this.listMessages({ lookbackDays, pageToken, maxResults: pageSize });
+                pageToken = list.nextPageToken;
+                resultSizeEstimate = list.resultSizeEstimate || resultSizeEstimate;
+
+                found.push(...await this.foldMessages(list.ids, known));
 
-            if (!response.data.messages) {
-                return [];
+                if (!pageToken || found.length >= limit) {
+                    break;
+                }
             }
 
-            // Fetch full details for each email
-            const emails = await Promise.all(
-                response.data.messages.map(msg => this.getEmailDetails(msg.id))
-            );
+            // Cards are built last so they include every message from this call
+            return { emails: found.map(subscriptions.toCard), nextPageToken: pageToken, resultSizeEstimate };
+        } catch (error) {
+            console.error('Error fetching emails:', error);
+            throw error;
+        }
+    }
 
-            // Filter and deduplicate by sender domain
-            const seenDomains = new Set();
-            const uniqueEmails = [];
+    /**
+     * Fetches messages and folds them into their subscriptions, in two
+     * phases: headers only for every message, then the full message only
+     * where the body-link fallback is needed (no List-Unsubscribe header and
+     * a subscription not seen yet). Header-less messages of a known
+     * subscription still count towards it.
+     *
+     * @param {string[]} messageIds - Gmail message IDs, newest first
+     * @param {Map<string, Object>} known - Subscriptions by ID (updated in place)
+     * @returns {Promise<Object[]>} Subscriptions these messages created
+     */
+    async foldMessages(messageIds, known) {
+        const metadata = await this.getEmailMetadataBatch(messageIds);
+
+        const needBody = metadata.filter(email => email
+            && !email.rawHeaders.listUnsubscribe
+            && !known.has(subscriptions.subscriptionKey(email)));
+        const details = await mapWithConcurrency(
+            needBody, FETCH_CONCURRENCY, email => this.getEmailDetails(email.id)
+        );
+        const fullById = new Map(details.filter(Boolean).map(email => [email.id, email]));
+
+        const created = [];
+        for (const meta of metadata) {
+            if (!meta) continue;
+            const email = meta.rawHeaders.listUnsubscribe
+                ? this.withHeaderUnsubscribeData(meta)
+                : fullById.get(meta.id);
+            if (email && email.unsubscribeUrl) {
+                const result = subscriptions.addEmail(known, email);
+                if (result.created) created.push(result.subscription);
+            } else if (!email && known.has(subscriptions.subscriptionKey(meta))) {
+                subscriptions.addEmail(known, meta);
+            }
+        }
+        return created;
+    }
 
-            for (const email of emails) {
-                if (email && email.unsubscribeUrl) {
-                    const domain = this.extractDomain(email.sender);
-                    if (!seenDomains.has(domain)) {
-                        seenDomains.add(domain);
-                        uniqueEmails.push(email);
+    /**
+     * Returns the mailbox's current history ID, the starting point for a
+     * later getEmailsSince().
+     *
+     * @returns {Promise<string>} Gmail history ID
+     */
+    async getHistoryId() {
+        const profile = await this.gmail.users.getProfile({ userId: 'me' });
+        return profile.data.historyId;
+    }
+
+    /**
+     * Picks up messages added since a history ID (users.history.list) and
+     * folds them into known subscriptions, for refreshing a completed scan
+     * without searching the whole mailbox again.
+     *
+     * Sent mail, drafts, spam and trash are skipped, as the scan's search
+     * skips them.
+     *
+     * @param {string} startHistoryId - History ID from getHistoryId() or a previous call
+     * @param {Map<string, Object>} known - Subscriptions from the earlier scan (updated in place)
+     * @returns {Promise<{ emails: Array, historyId: string, added: number }|{ expired: true }>}
+     *   emails holds a card per subscription first seen since startHistoryId;
+     *   historyId is where to continue next time. expired means Google no
+     *   longer keeps history that far back and a full scan is needed.
+     */
+    async getEmailsSince(startHistoryId, known) {
+        const ids = [];
+        let historyId = startHistoryId;
+        let pageToken = null;
+
+        try {
+            do {
+                const response = await this.gmail.users.history.list({
+                    userId: 'me',
+                    startHistoryId,
+                    historyTypes: ['messageAdded'],
+                    maxResults: 500,
+                    ...(pageToken ? { pageToken } : {})
+                });
+
+                for (const record of response.data.history || []) {
+                    for (const { message } of record.messagesAdded || []) {
+                        const labels = message.labelIds || [];
+                        if (!SKIPPED_LABELS.some(label => labels.includes(label))) {
+                            ids.push(message.id);
+                        }
                     }
                 }
+                historyId = response.data.historyId || historyId;
+                pageToken = response.data.nextPageToken || null;
+            } while (pageToken);
+        } catch (error) {
+            // Gmail answers 404 when startHistoryId is older than the history it keeps
+            if (error.code === 404) {
+                return { expired: true };
             }
+            throw error;
+        }
 
-            return uniqueEmails;
+        // History runs oldest first; the scan works newest first
+        const unique = [...new Set(ids)].reverse();
+        const created = await this.foldMessages(unique, known);
+
+        return { emails: created.map(subscriptions.toCard), historyId, added: unique.length };
+    }
+
+    /**
+     * Builds the header-derived fields of an email object from a Gmail
+     * message (any format that includes headers).
+     *
+     * @param {object} message - Gmail message resource
+     * @returns {object} Email object without body or unsubscribe data
+     */
+    describeMessage(message) {
+        const headers = message.payload.headers || [];
+
+        // Helper to find a header by name (case-insensitive)
+        const getHeader = (name) => {
+            const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+            return header ? header.value : '';
+        };
+
+        const from = getHeader('From');
+        const listIdHeader = getHeader('List-Id');
+        const { listId, listName } = this.parseListId(listIdHeader);
+
+        return {
+            id: message.id,
+            sender: this.cleanSender(from),
+            subject: getHeader('Subject'),
+            // When Gmail received the message, and whether it's still unread
+            date: message.internalDate
+                ? new Date(parseInt(message.internalDate, 10)).toISOString()
+                : null,
+            unread: (message.labelIds || []).includes('UNREAD'),
+            // Mailing list this message came from (RFC 2919), if any
+            listId,
+            listName,
+            // Gmail API's pre-sanitized snippet — plain text with no HTML/CSS.
+            // Used as the primary preview text on iOS to avoid CSS leakage.
+            snippet: message.snippet || '',
+            rawHeaders: {
+                from,
+                listUnsubscribe: getHeader('List-Unsubscribe'),
+                listUnsubscribePost: getHeader('List-Unsubscribe-Post'),
+                listId: listIdHeader
+            }
+        };
+    }
+
+    /**
+     * Fetches only the headers the scan needs for a single email
+     * (format: 'metadata'). Much cheaper than getEmailDetails(): no body is
+     * downloaded or decoded.
+     *
+     * @param {string} messageId - Gmail message ID
+     * @returns {Promise<object|null>} Email object without body or unsubscribe
+     *   data, or null on error
+     */
+    async getEmailMetadata(messageId) {
+        try {
+            const response = await this.gmail.users.messages.get({
+                userId: 'me',
+                id: messageId,
+                format: 'metadata',
+                metadataHeaders: METADATA_HEADERS
+            });
+            return this.describeMessage(response.data);
         } catch (error) {
-            console.error('Error fetching emails:', error);
-            throw error;
+            console.error('Error fetching email metadata:', error);
+            return null;
         }
     }
 
+    /**
+     * Fetches metadata for many emails, a few at a time.
+     *
+     * @param {string[]} messageIds - Gmail message IDs
+     * @returns {Promise<Array<object|null>>} Results in input order (null for failures)
+     */
+    async getEmailMetadataBatch(messageIds) {
+        return mapWithConcurrency(messageIds, FETCH_CONCURRENCY, id => this.getEmailMetadata(id));
+    }
+
+    /**
+     * Adds unsubscribe data parsed from the List-Unsubscribe headers alone to
+     * a metadata-only email (no body-link fallback).
+     *
+     * @param {object} email - From getEmailMetadata()
+     * @returns {object} The email with unsubscribeUrl and unsubscribeData
+     */
+    withHeaderUnsubscribeData(email) {
+        const unsubscribeData = this.extractUnsubscribeData(
+            email.rawHeaders.listUnsubscribe,
+            email.rawHeaders.listUnsubscribePost,
+            null
+        );
+        return {
+            ...email,
+            unsubscribeUrl: unsubscribeData.primaryUrl,
+            unsubscribeData
+        };
+    }
+
+    /**
+     * Fetches the HTML body of one email, for showing a card whose scan
+     * result came without it.
+     *
+     * @param {string} messageId - Gmail message ID
+     * @returns {Promise<string>} HTML body, or '' if the message has none
+     * @throws When the message can't be fetched (e.g. unknown ID, 404)
+     */
+    async getEmailHtml(messageId) {
+        const response = await this.gmail.users.messages.get({
+            userId: 'me',
+            id: messageId,
+            format: 'full'
+        });
+        return this.getEmailBody(response.data.payload);
+    }
+
     /**
      * Fetches full details for a single email by message ID.
      * Extracts headers, body, and all unsubscribe-related data.
@@ -100,46 +610,24 @@ class GmailService {
             });
 
             const message = response.data;
-            const headers = message.payload.headers;
-
-            // Helper to find a header by name (case-insensitive)
-            const getHeader = (name) => {
-                const header = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
-                return header ? header.value : '';
-            };
-
-            const from = getHeader('From');
-            const subject = getHeader('Subject');
-            const listUnsubscribe = getHeader('List-Unsubscribe');
-            const listUnsubscribePost = getHeader('List-Unsubscribe-Post');
+            const email = this.describeMessage(message);
 
             // Extract all unsubscribe data from headers and body
             const unsubscribeData = this.extractUnsubscribeData(
-                listUnsubscribe,
-                listUnsubscribePost,
+                email.rawHeaders.listUnsubscribe,
+                email.rawHeaders.listUnsubscribePost,
                 message.payload
             );
 
-            // Get email body HTML for display
-            const htmlBody = this.getEmailBody(message.payload);
-
             return {
+                ...email,
                 id: messageId,
-                sender: this.cleanSender(from),
-                subject: subject,
-                htmlBody: htmlBody,
-                // Gmail API's pre-sanitized snippet — plain text with no HTML/CSS.
-                // Used as the primary preview text on iOS to avoid CSS leakage.
-                snippet: message.snippet || '',
+                // Get email body HTML for display
+                htmlBody: this.getEmailBody(message.payload),
                 // primaryUrl maintains backward compatibility with iOS app
                 unsubscribeUrl: unsubscribeData.primaryUrl,
                 // Full unsubscribe data for server-side execution
-                unsubscribeData: unsubscribeData,
-                rawHeaders: {
-                    from,
-                    listUnsubscribe,
-                    listUnsubscribePost
-                }
+                unsubscribeData: unsubscribeData
             };
         } catch (error) {
             console.error('Error fetching email details:', error);
@@ -181,95 +669,40 @@ class GmailService {
 
     /**
      * Extracts all unsubscribe-related data from email headers and body.
-     *
-     * Parses the List-Unsubscribe header (RFC 2369) for both HTTP and mailto URLs,
-     * checks for the List-Unsubscribe-Post header (RFC 8058), and falls back to
-     * searching the HTML body for unsubscribe links.
+     * @see emailParsing.extractUnsubscribeData
      *
      * @param {string} listUnsubscribeHeader - Value of the List-Unsubscribe header
      * @param {string} listUnsubscribePostHeader - Value of the List-Unsubscribe-Post header
-     * @param {object} payload - Gmail message payload (for body fallback)
-     * @returns {object} Structured unsubscribe data:
-     *   - httpUrls: string[] — HTTP(S) URLs from the header
-     *   - mailtoUrl: string|null — First mailto: URL from the header
-     *   - bodyUrl: string|null — URL from email body HTML (fallback)
-     *   - hasListUnsubscribePost: boolean — RFC 8058 support
-     *   - primaryUrl: string|null — Best available URL for display/backward compat
+     * @param {object|null} payload - Gmail message payload (for body fallback);
+     *   null skips the fallback
+     * @returns {object} Structured unsubscribe data
      */
     extractUnsubscribeData(listUnsubscribeHeader, listUnsubscribePostHeader, payload) {
-        const httpUrls = [];
-        let mailtoUrl = null;
-        let bodyUrl = null;
-
-        // Parse all URLs from the List-Unsubscribe header (RFC 2369)
-        // Format: <url1>, <url2>, ... — angle-bracket delimited, comma-separated
-        if (listUnsubscribeHeader) {
-            const urlMatches = listUnsubscribeHeader.matchAll(/<([^>]+)>/g);
-            for (const match of urlMatches) {
-                const url = match[1].trim();
-                if (/^https?:\/\//i.test(url)) {
-                    // HTTP or HTTPS URL
-                    httpUrls.push(url);
-                } else if (/^mailto:/i.test(url) && !mailtoUrl) {
-                    // mailto URL — keep only the first one
-                    mailtoUrl = url;
-                }
-            }
-        }
-
-        // Fallback: search the email body HTML for an unsubscribe link
-        // Only used if no header URLs were found
-        if (httpUrls.length === 0 && !mailtoUrl) {
-            const htmlBody = this.getEmailBody(payload);
-            if (htmlBody) {
-                const unsubscribeMatch = htmlBody.match(
-                    /<a[^>]*href=["']([^"']*unsubscribe[^"']*)["'][^>]*>/i
-                );
-                if (unsubscribeMatch) {
-                    bodyUrl = unsubscribeMatch[1];
-                }
-            }
-        }
-
-        // Check for RFC 8058 List-Unsubscribe-Post header
-        // Value is typically: "List-Unsubscribe=One-Click-Unsubscribe-Post"
-        const hasListUnsubscribePost = !!(
-            listUnsubscribePostHeader &&
-            listUnsubscribePostHeader.trim().length > 0
+        return emailParsing.extractUnsubscribeData(
+            listUnsubscribeHeader,
+            listUnsubscribePostHeader,
+            payload ? this.getEmailBody(payload) : null
         );
-
-        // Primary URL for backward compatibility with iOS app:
-        // prefer first HTTP URL from header, then body URL
-        const primaryUrl = httpUrls[0] || bodyUrl || null;
-
-        return {
-            httpUrls,
-            mailtoUrl,
-            bodyUrl,
-            hasListUnsubscribePost,
-            primaryUrl
-        };
     }
 
     /**
      * Cleans a "From" header to extract just the sender name.
-     * Strips email address portion and surrounding quotes.
-     * Example: '"Newsletter Team" <news@example.com>' → 'Newsletter Team'
-     *
-     * @param {string} from - Raw From header value
-     * @returns {string} Cleaned sender name
+     * @see emailParsing.cleanSender
      */
     cleanSender(from) {
-        // Extract name from "Name <email@domain.com>" format
-        const nameMatch = from.match(/^([^<]+)</);
-        if (nameMatch) {
-            return nameMatch[1].trim().replace(/['"]/g, '');
-        }
-        return from;
+        return emailParsing.cleanSender(from);
+    }
+
+    /**
+     * Parses a List-Id header (RFC 2919).
+     * @see emailParsing.parseListId
+     */
+    parseListId(header) {
+        return emailParsing.parseListId(header);
     }
 
     /**
-     * Extracts the domain from a sender string for deduplication.
+     * Extracts the domain from a sender string.
      *
      * @param {string} from - Sender string (may contain name and email)
      * @returns {string} Domain portion of the email address
@@ -279,68 +712,9 @@ class GmailService {
         return emailMatch ? emailMatch[1] : from;
     }
 
-    /**
-     * Executes the unsubscribe action for an email.
-     *
-     * Delegates to UnsubscribeService for the actual HTTP/mailto execution,
-     * then always marks the email as read regardless of unsubscribe outcome.
-     * This ensures the email is processed even if unsubscribe fails.
-     *
-     * @param {string} messageId - Gmail message ID
-     * @param {object} unsubscribeData - Structured data from extractUnsubscribeData()
-     * @returns {Promise<object>} Result with processing status and unsubscribe details
-     */
-    async unsubscribe(messageId, unsubscribeData) {
-        const unsubService = new UnsubscribeService();
-
-        // Step 1: Execute actual unsubscribe via the cascade
-        let unsubscribeResult;
-        try {
-            unsubscribeResult = await unsubService.execute({
-                httpUrls: unsubscribeData.httpUrls || [],
-                mailtoUrl: unsubscribeData.mailtoUrl || null,
-                bodyUrl: unsubscribeData.bodyUrl || null,
-                hasListUnsubscribePost: unsubscribeData.hasListUnsubscribePost || false,
-                gmailService: this     // Pass self for mailto fallback (if scope available)
-            });
-        } catch (error) {
-            // Unsubscribe execution failed — log but don't block email processing
-            console.error('Error during unsubscribe execution:', error.message);
-            unsubscribeResult = {
-                success: false,
-                method: null,
-                attempted: [],
-                error: error.message
-            };
-        }
-
-        // Step 2: Always mark the email as read (preserves original behavior)
-        try {
-            await this.gmail.users.messages.modify({
-                userId: 'me',
-                id: messageId,
-                requestBody: {
-                    removeLabelIds: ['UNREAD'],
-                    addLabelIds: []
-                }
-            });
-        } catch (error) {
-            console.error('Error marking email as read:', error.message);
-        }
-
-        // Step 3: Return combined result
-        return {
-            success: true,    // The email "processing" always succeeds
-            unsubscribeResult: unsubscribeResult,
-            message: unsubscribeResult.success
-                ? `Unsubscribed via ${unsubscribeResult.method}`
-                : 'Email processed but unsubscribe may not have completed'
-        };
-    }
-
     /**
      * Sends an email via Gmail API.
-     * Used by UnsubscribeService for mailto-based unsubscribe.
+     * Used (as sendMail()) by UnsubscribeService for mailto-based unsubscribe.
      * Requires gmail.send scope in the OAuth credentials.
      *
      * @param {string} to - Recipient email address
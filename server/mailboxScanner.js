@@ -0,0 +1,220 @@
+/**
+ * mailboxScanner.js — Paged mailbox scan with server-side cursors.
+ *
+ * /api/emails used to return whatever one 50-message search of the last
+ * 30 days turned up. The scanner walks the whole lookback window instead,
+ * a page of subscription cards (one per sender, see subscriptions.js) at a
+ * time. Each response carries an opaque cursor; the
+ * next request with that cursor continues where the last one stopped, so a
+ * user with 400 newsletters eventually sees all of them.
+ *
+ * Cursor state lives in memory, keyed by a random ID and bound to the owner
+ * who started the scan:
+ * {
+ *   ownerId: string,
+ *   lookbackDays: number,          // Fixed for the life of the scan
+ *   pageToken: string | null,      // Gmail nextPageToken to resume from
+ *   started: boolean,              // False until Gmail has been searched once
+ *   historyId: string | null,      // Mailbox history ID from before the scan
+ *                                  // started, until handed to MailboxSync
+ *   subscriptions: Map,            // Every subscription found so far, by ID
+ *   pending: string[],             // IDs of subscriptions not yet returned
+ *   expiresAt: number              // ms timestamp
+ * }
+ *
+ * A subscription is only returned once, but keeps aggregating messages
+ * found on later pages; a card's counts cover the scan up to the point it
+ * was returned.
+ *
+ * With a MailboxSync, a scan that runs to the end is kept, and the owner's
+ * next scan is an incremental refresh of it (see mailboxSync.js): every
+ * subscription is known up front, senders first seen since come first, and
+ * Gmail is only asked for new messages.
+ *
+ * Cursors expire after CURSOR_TTL_MS of inactivity. An unknown or expired
+ * cursor is reported as such so the client can start over.
+ */
+
+const crypto = require('crypto');
+const { toCard } = require('./subscriptions');
+const { inScope } = require('./mailboxes');
+
+// Defaults for the scan window and page size
+const DEFAULT_LOOKBACK_DAYS = 365;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+const MAX_LOOKBACK_DAYS = 3650;
+
+// How long an idle cursor is kept
+const CURSOR_TTL_MS = 30 * 60 * 1000;
+
+// Upper bound on cursors held at once; the oldest are dropped first
+const MAX_CURSORS = 1000;
+
+class MailboxScanner {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.lookbackDays=365] - Default search window in days
+     * @param {number} [options.limit=50] - Default senders per page
+     * @param {number} [options.cursorTtlMs] - Idle cursor lifetime
+     * @param {MailboxSync} [options.sync] - Keeps completed scans for
+     *   incremental refreshes; without one every scan starts from scratch
+     */
+    constructor(options = {}) {
+        this.lookbackDays = options.lookbackDays || DEFAULT_LOOKBACK_DAYS;
+        this.limit = options.limit || DEFAULT_LIMIT;
+        this.cursorTtlMs = options.cursorTtlMs || CURSOR_TTL_MS;
+        this.sync = options.sync || null;
+
+        // Map<cursorId, state>; insertion order doubles as age order
+        this.cursors = new Map();
+    }
+
+    /**
+     * Returns the next page of senders for an owner.
+     *
+     * @param {Object} provider - Email provider bound to the owner's mailbox (see providers/index.js)
+     * @param {string} ownerId - Who is scanning
+     * @param {Object} [options]
+     * @param {string} [options.cursor] - nextCursor from the previous page
+     * @param {number} [options.limit] - Senders per page (max 200)
+     * @param {number} [options.lookbackDays] - Search window; ignored when resuming
+     * @returns {Promise<{ emails: Array, nextCursor: string|null, error?: string }>}
+     *   error is "cursor-not-found" when the cursor is unknown, expired or
+     *   belongs to someone else
+     */
+    async scan(provider, ownerId, options = {}) {
+        this._expire();
+
+        const limit = clamp(options.limit, this.limit, MAX_LIMIT);
+        let state;
+
+        if (options.cursor) {
+            state = this.cursors.get(options.cursor);
+            if (!state || state.ownerId !== ownerId) {
+                return { emails: [], nextCursor: null, error: 'cursor-not-found' };
+            }
+            this.cursors.delete(options.cursor);
+        } else {
+            state = await this._start(provider, ownerId,
+                clamp(options.lookbackDays, this.lookbackDays, MAX_LOOKBACK_DAYS));
+        }
+
+        // Only hit Gmail if the senders left over from last time don't fill the page
+        if (state.pending.length < limit && (!state.started || state.pageToken)) {
+            const result = await provider.listCandidates({
+                pageToken: state.pageToken,
+                lookbackDays: state.lookbackDays,
+                limit: limit - state.pending.length,
+                subscriptions: state.subscriptions
+            });
+            state.started = true;
+            state.pageToken = result.nextPageToken;
+            state.pending.push(...result.emails.map(card => card.subscription.id));
+
+            // The whole window has been searched: keep it for next time
+            if (!state.pageToken && this.sync && state.historyId) {
+                this.sync.save(ownerId, state);
+                state.historyId = null;
+            }
+        }
+
+        // Build cards now, so leftovers include messages found since
+        const emails = state.pending.splice(0, limit).map(id => toCard(state.subscriptions.get(id)));
+
+        if (state.pending.length === 0 && !state.pageToken) {
+            return { emails, nextCursor: null };
+        }
+
+        const nextCursor = crypto.randomBytes(16).toString('base64url');
+        state.expiresAt = Date.now() + this.cursorTtlMs;
+        this.cursors.set(nextCursor, state);
+        while (this.cursors.size > MAX_CURSORS) {
+            this.cursors.delete(this.cursors.keys().next().value);
+        }
+        return { emails, nextCursor };
+    }
+
+    /**
+     * Builds the state for a new scan: an incremental refresh of the owner's
+     * last completed scan if there is one, otherwise a fresh search.
+     *
+     * @param {Object} provider - Email provider bound to the owner's mailbox (see providers/index.js)
+     * @param {string} ownerId - Who is scanning
+     * @param {number} lookbackDays - Search window
+     * @returns {Promise<Object>} Cursor state
+     * @private
+     */
+    async _start(provider, ownerId, lookbackDays) {
+        const state = {
+            ownerId,
+            lookbackDays,
+            pageToken: null,
+            subscriptions: new Map(),
+            pending: [],
+            started: false,
+            historyId: null
+        };
+        // Incremental refreshes need a provider that tracks changes
+        if (!this.sync || typeof provider.getEmailsSince !== 'function') return state;
+
+        const synced = await this.sync.refresh(provider, ownerId, lookbackDays);
+        if (synced) {
+            // Nothing left to search; serve new senders first, then the rest
+            const created = new Set(synced.created);
+            state.subscriptions = synced.subscriptions;
+            state.pending = [...synced.created, ...[...synced.subscriptions.keys()].filter(id => !created.has(id))];
+            state.started = true;
+            return state;
+        }
+
+        // Taken before searching, so messages arriving mid-scan are picked
+        // up by the next refresh
+        state.historyId = await provider.getHistoryId();
+        return state;
+    }
+
+    /**
+     * Drops every cursor belonging to an owner (account deletion), or to one
+     * of their mailboxes when given a mailbox scope (see mailboxes.js).
+     *
+     * @param {string} ownerId - Owner (or mailbox scope) whose scans to discard
+     * @returns {number} Number of cursors removed
+     */
+    purgeOwner(ownerId) {
+        let removed = 0;
+        for (const [id, state] of this.cursors) {
+            if (inScope(state.ownerId, ownerId)) {
+                this.cursors.delete(id);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Removes expired cursors.
+     * @private
+     */
+    _expire() {
+        const now = Date.now();
+        for (const [id, state] of this.cursors) {
+            if (state.expiresAt <= now) this.cursors.delete(id);
+        }
+    }
+}
+
+/**
+ * Parses a positive integer option, falling back to a default and capping it.
+ *
+ * @param {*} value - Raw value (number or query string)
+ * @param {number} fallback - Used when value is missing or invalid
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, fallback, max) {
+    const parsed = parseInt(value, 10);
+    return Math.min(parsed > 0 ? parsed : fallback, max);
+}
+
+module.exports = MailboxScanner;
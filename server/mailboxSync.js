@@ -0,0 +1,176 @@
+/**
+ * mailboxSync.js — Incremental refresh of completed mailbox scans.
+ *
+ * A full scan (mailboxScanner.js) searches the whole lookback window. Once
+ * one has run to the end, its subscriptions are kept along with the
+ * mailbox's Gmail history ID from when the scan started. The next scan for
+ * that owner asks Gmail only for messages added since (users.history.list),
+ * folds them into the kept subscriptions and is served from those, so a
+ * daily check-in costs a couple of API calls instead of a full scan.
+ *
+ * Sync state lives in server memory only, keyed by owner, and is never
+ * written to disk (see PRIVACY_POLICY.md):
+ * {
+ *   ownerId: string,
+ *   lookbackDays: number,          // Window of the scan the state came from
+ *   historyId: string,             // Where the next refresh continues from
+ *   subscriptions: Map,            // Subscriptions by ID
+ *   syncedAt: string (ISO),
+ *   expiresAt: number              // ms timestamp
+ * }
+ *
+ * A full scan is needed again when there is no state (first visit, server
+ * restart), it has expired, the scan asks for a different window, or Google
+ * reports the history ID as too old to continue from.
+ */
+
+const { inScope } = require('./mailboxes');
+
+// How long sync state is kept after its last refresh
+const SYNC_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Upper bound on owners with sync state; the least recently synced are dropped first
+const MAX_SYNC_STATES = 500;
+
+class MailboxSync {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttlMs] - How long state is kept after its last refresh
+     * @param {number} [options.maxStates] - Most owners kept at once
+     */
+    constructor(options = {}) {
+        this.ttlMs = options.ttlMs || SYNC_TTL_MS;
+        this.maxStates = options.maxStates || MAX_SYNC_STATES;
+
+        // Map<ownerId, state>; insertion order doubles as age order
+        this.states = new Map();
+        // Map<ownerId, Promise> for refreshes in progress
+        this.refreshes = new Map();
+    }
+
+    /**
+     * Brings an owner's kept subscriptions up to date with the messages
+     * added since the last sync.
+     *
+     * Concurrent refreshes for one owner share a single Gmail round trip, so
+     * no message is counted twice.
+     *
+     * @param {Object} provider - Email provider bound to the owner's mailbox
+     * @param {string} ownerId - Whose mailbox to refresh
+     * @param {number} lookbackDays - Window the caller wants to scan
+     * @returns {Promise<{ subscriptions: Map, created: string[], added: number }|null>}
+     *   The updated subscriptions, the IDs of those first seen in this
+     *   refresh and how many new messages were read; null when a full scan
+     *   is needed instead
+     */
+    async refresh(provider, ownerId, lookbackDays) {
+        this._expire();
+
+        const state = this.states.get(ownerId);
+        if (!state || state.lookbackDays !== lookbackDays) {
+            return null;
+        }
+
+        if (!this.refreshes.has(ownerId)) {
+            const refresh = this._refresh(provider, state)
+                .finally(() => this.refreshes.delete(ownerId));
+            this.refreshes.set(ownerId, refresh);
+        }
+        return this.refreshes.get(ownerId);
+    }
+
+    /**
+     * Keeps the result of a completed full scan.
+     *
+     * @param {string} ownerId - Who scanned
+     * @param {Object} scan
+     * @param {number} scan.lookbackDays - Window the scan covered
+     * @param {string} scan.historyId - Mailbox history ID from before the scan started
+     * @param {Map<string, Object>} scan.subscriptions - Everything the scan found
+     */
+    save(ownerId, { lookbackDays, historyId, subscriptions }) {
+        // Bodies are loaded on demand; don't hold on to any the scan fetched
+        for (const subscription of subscriptions.values()) {
+            if (subscription.representative.htmlBody !== undefined) {
+                const { htmlBody, ...representative } = subscription.representative;
+                subscription.representative = representative;
+            }
+        }
+
+        this.states.delete(ownerId);
+        this.states.set(ownerId, {
+            ownerId,
+            lookbackDays,
+            historyId,
+            subscriptions,
+            syncedAt: new Date().toISOString(),
+            expiresAt: Date.now() + this.ttlMs
+        });
+        while (this.states.size > this.maxStates) {
+            this.states.delete(this.states.keys().next().value);
+        }
+    }
+
+    /**
+     * Drops an owner's sync state (account deletion), or one mailbox's when
+     * given a mailbox scope (see mailboxes.js). A refresh in progress
+     * finishes but its result is not kept.
+     *
+     * @param {string} ownerId - Owner (or mailbox scope) whose state to discard
+     * @returns {number} Number of entries removed
+     */
+    purgeOwner(ownerId) {
+        let removed = 0;
+        for (const key of [...this.states.keys()]) {
+            if (inScope(key, ownerId)) {
+                this.states.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Reads history since the state's history ID and folds it in.
+     * @private
+     */
+    async _refresh(provider, state) {
+        const result = await provider.getEmailsSince(state.historyId, state.subscriptions);
+
+        if (result.expired) {
+            console.log('Sync history expired; falling back to a full scan');
+            if (this.states.get(state.ownerId) === state) {
+                this.states.delete(state.ownerId);
+            }
+            return null;
+        }
+
+        state.historyId = result.historyId;
+        state.syncedAt = new Date().toISOString();
+        state.expiresAt = Date.now() + this.ttlMs;
+        if (this.states.get(state.ownerId) === state) {
+            // Move to the back of the age order
+            this.states.delete(state.ownerId);
+            this.states.set(state.ownerId, state);
+        }
+
+        return {
+            subscriptions: state.subscriptions,
+            created: result.emails.map(card => card.subscription.id),
+            added: result.added
+        };
+    }
+
+    /**
+     * Removes expired state.
+     * @private
+     */
+    _expire() {
+        const now = Date.now();
+        for (const [ownerId, state] of this.states) {
+            if (state.expiresAt <= now) this.states.delete(ownerId);
+        }
+    }
+}
+
+module.exports = MailboxSync;
@@ -0,0 +1,72 @@
+/**
+ * mailboxes.js — Helpers for the mailboxes connected to a user account.
+ *
+ * Server users can connect several mailboxes (a personal Gmail and a
+ * side-project inbox, say); they are stored on the user record (see
+ * userStore.js). Routes pick one with a `mailbox` query parameter or
+ * `mailboxId` body field, and fall back to the first (default) mailbox.
+ *
+ * Scan state, sync state and counts are cached per mailbox under a scope
+ * key "<ownerId>/<mailboxId>". Purging an owner ID also purges every scope
+ * under it (see inScope()).
+ */
+
+/**
+ * Finds one of a user's mailboxes.
+ *
+ * @param {Object|null} user - Server user record
+ * @param {string|null} [mailboxId] - Mailbox ID; omitted means the default
+ * @returns {Object|null} Mailbox, or null if there is no such mailbox
+ */
+function findMailbox(user, mailboxId = null) {
+    const mailboxes = (user && user.mailboxes) || [];
+    if (!mailboxId) return mailboxes[0] || null;
+    return mailboxes.find(mailbox => mailbox.id === mailboxId) || null;
+}
+
+/**
+ * A mailbox as shown to clients, without its credentials.
+ *
+ * @param {Object} mailbox - Stored mailbox
+ * @returns {{ id: string, provider: string, email: string, label: string, connectedAt: string }}
+ */
+function publicMailbox(mailbox) {
+    return {
+        id: mailbox.id,
+        provider: mailbox.provider,
+        email: mailbox.email,
+        label: mailbox.label || mailbox.email,
+        connectedAt: mailbox.connectedAt
+    };
+}
+
+/**
+ * The cache key for data derived from one of an owner's mailboxes.
+ *
+ * @param {string} ownerId - Owner ID ("user:<id>" or "google:<email>")
+ * @param {string|null} mailboxId - Mailbox ID; null for token-only callers,
+ *   who have just the one mailbox
+ * @returns {string} Scope key
+ */
+function mailboxScope(ownerId, mailboxId) {
+    return mailboxId ? `${ownerId}/${mailboxId}` : ownerId;
+}
+
+/**
+ * Checks whether a cache key falls under a scope: it is the scope itself,
+ * or one of its mailboxes when the scope is an owner ID.
+ *
+ * @param {string} key - Cache key (owner ID or mailbox scope)
+ * @param {string} scope - Owner ID or mailbox scope being purged
+ * @returns {boolean}
+ */
+function inScope(key, scope) {
+    return key === scope || key.startsWith(`${scope}/`);
+}
+
+module.exports = {
+    findMailbox,
+    publicMailbox,
+    mailboxScope,
+    inScope
+};
@@ -0,0 +1,120 @@
+/**
+ * microsoftAuth.js — Microsoft identity platform OAuth for Outlook mailboxes.
+ *
+ * Exchanges the authorization code the iOS app obtains from Microsoft's
+ * sign-in page for Graph tokens, and refreshes them. Tokens are stored as
+ * the credentials of an Outlook mailbox (see userStore.js) and used by
+ * providers/outlookProvider.js.
+ *
+ * The iOS app is a public client: it signs in with PKCE and sends the code
+ * verifier along with the code. OUTLOOK_CLIENT_SECRET is only needed if
+ * the app registration is a confidential (web) client.
+ *
+ * Token endpoint: {MICROSOFT_LOGIN_URL}/{OUTLOOK_TENANT}/oauth2/v2.0/token
+ */
+
+// Delegated Graph permissions: read and flag mail, send mailto unsubscribes,
+// read the mailbox address. offline_access grants a refresh token.
+const OUTLOOK_SCOPES = ['offline_access', 'User.Read', 'Mail.ReadWrite', 'Mail.Send'];
+
+/**
+ * Checks whether an Outlook app registration is configured.
+ *
+ * @returns {boolean} True if OUTLOOK_CLIENT_ID is set
+ */
+function hasOutlookCredentials() {
+    return !!process.env.OUTLOOK_CLIENT_ID;
+}
+
+/**
+ * Posts a grant to Microsoft's token endpoint.
+ *
+ * @param {Object} grant - Grant-specific form fields
+ * @returns {Promise<Object>} Token response (access_token, refresh_token, expires_in, scope)
+ * @throws With Microsoft's error description when the grant is refused
+ */
+async function requestToken(grant) {
+    const loginUrl = process.env.MICROSOFT_LOGIN_URL || 'https://login.microsoftonline.com';
+    const tenant = process.env.OUTLOOK_TENANT || 'common';
+
+    const params = new URLSearchParams({
+        client_id: process.env.OUTLOOK_CLIENT_ID,
+        scope: OUTLOOK_SCOPES.join(' '),
+        ...grant
+    });
+    if (process.env.OUTLOOK_CLIENT_SECRET) {
+        params.set('client_secret', process.env.OUTLOOK_CLIENT_SECRET);
+    }
+
+    const response = await fetch(`${loginUrl}/${tenant}/oauth2/v2.0/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: params.toString()
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        throw new Error(data.error_description || data.error || 'Token request failed');
+    }
+
+    return data;
+}
+
+/**
+ * Exchanges an authorization code from the app for Graph tokens.
+ *
+ * @param {string} code - Authorization code
+ * @param {string|null} codeVerifier - PKCE code verifier the app signed in with
+ * @returns {Promise<Object>} Token response
+ */
+function exchangeOutlookCode(code, codeVerifier) {
+    const grant = {
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: process.env.OUTLOOK_REDIRECT_URI || 'msauth.com.junkpile.app://auth'
+    };
+    if (codeVerifier) {
+        grant.code_verifier = codeVerifier;
+    }
+    return requestToken(grant);
+}
+
+/**
+ * Gets a new access token with a refresh token. Microsoft rotates refresh
+ * tokens, so the response usually carries a new one to store.
+ *
+ * @param {string} refreshToken - Stored refresh token
+ * @returns {Promise<Object>} Token response
+ */
+function refreshOutlookToken(refreshToken) {
+    return requestToken({
+        grant_type: 'refresh_token',
+        refresh_token: refreshToken
+    });
+}
+
+/**
+ * Converts a token response to the stored credentials shape, keeping the
+ * previous refresh token if Microsoft didn't send a new one.
+ *
+ * @param {Object} data - Token response
+ * @param {Object|null} [previous] - Currently stored credentials
+ * @returns {{ access_token: string, refresh_token: string, expiry_date: number|null, scope: string }}
+ */
+function toStoredTokens(data, previous = null) {
+    return {
+        access_token: data.access_token,
+        refresh_token: data.refresh_token || (previous && previous.refresh_token) || null,
+        expiry_date: data.expires_in ? Date.now() + (data.expires_in * 1000) : null,
+        scope: data.scope || (previous && previous.scope) || ''
+    };
+}
+
+module.exports = {
+    OUTLOOK_SCOPES,
+    hasOutlookCredentials,
+    exchangeOutlookCode,
+    refreshOutlookToken,
+    toStoredTokens
+};
@@ -0,0 +1,436 @@
+/**
+ * imapProvider.js — Email provider for IMAP mailboxes (Fastmail, iCloud,
+ * company servers).
+ *
+ * Implements the provider interface (see providers/index.js) over the
+ * user's INBOX: candidates are found with an IMAP SEARCH for messages that
+ * carry a List-Unsubscribe header, parsed with the same emailParsing.js
+ * logic GmailService uses, marked \Seen once processed, and mailto
+ * unsubscribes are sent through the account's SMTP server.
+ *
+ * Credentials (stored encrypted as an "imap" mailbox on the user record):
+ * {
+ *   email: string,               // Address mail is sent from
+ *   username: string,            // IMAP/SMTP login (often the address)
+ *   password: string,            // Usually an app-specific password
+ *   imapHost: string,
+ *   imapPort: number,            // Default 993
+ *   imapSecure: boolean,         // Implicit TLS; default true
+ *   smtpHost: string | null,     // No SMTP host → no mailto unsubscribes
+ *   smtpPort: number,            // Default 465
+ *   smtpSecure: boolean          // Default true
+ * }
+ *
+ * Message IDs are "<uidValidity>-<uid>", so an ID stops resolving (instead
+ * of pointing at another message) if the server renumbers the mailbox.
+ * Every call opens its own connection and logs out when done. Hosts come
+ * from the user, so with a resolveHost option each IMAP and SMTP host is
+ * checked again right before connecting; a name that has started resolving
+ * to an internal address since the mailbox was connected is refused. The
+ * connection then goes to the address that was checked rather than
+ * resolving the name again; TLS still verifies the certificate against the
+ * name.
+ */
+
+const { ImapFlow } = require('imapflow');
+const nodemailer = require('nodemailer');
+const { simpleParser } = require('mailparser');
+const { extractUnsubscribeData, cleanSender, parseListId } = require('../emailParsing');
+const { addEmail, toCard } = require('../subscriptions');
+
+const MAILBOX = 'INBOX';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Headers fetched for scan results (no bodies)
+const HEADER_FIELDS = ['from', 'subject', 'date', 'list-unsubscribe', 'list-unsubscribe-post', 'list-id'];
+
+// Messages fetched per round trip while scanning
+const DEFAULT_PAGE_SIZE = 100;
+
+// Network timeouts for IMAP and SMTP
+const TIMEOUT_MS = 15000;
+
+// Longest plain-text preview kept as the snippet
+const SNIPPET_LENGTH = 200;
+
+class ImapProvider {
+    /**
+     * @param {Object} credentials - See the module comment
+     * @param {Object} [options]
+     * @param {number} [options.pageSize=100] - Messages fetched per round trip
+     * @param {Function} [options.resolveHost] - async (host) =>
+     *   { problem: string|null, address: string|null }; refuses hosts the
+     *   server must not connect to (problem set) and names the checked
+     *   address to connect to (null to connect by name)
+     */
+    constructor(credentials, options = {}) {
+        this.name = 'imap';
+        this.credentials = credentials;
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.resolveHost = options.resolveHost || null;
+    }
+
+    /**
+     * Provider interface: mailto unsubscribes need an SMTP server.
+     * @returns {boolean}
+     */
+    get canSendMail() {
+        return !!this.credentials.smtpHost;
+    }
+
+    /**
+     * Signs in and opens the INBOX, to check credentials before storing them.
+     *
+     * @returns {Promise<void>}
+     * @throws When the server can't be reached or rejects the login
+     */
+    async verify() {
+        await this._withInbox(async () => {});
+    }
+
+    /**
+     * Provider interface: one page of subscription cards, newest messages
+     * first. Follows the same paging contract as
+     * GmailService.getEmailsWithUnsubscribe(); page tokens mark the UID the
+     * next page continues below.
+     *
+     * @param {Object} [options]
+     * @param {string|null} [options.pageToken] - nextPageToken from a previous call
+     * @param {number} [options.lookbackDays=30] - Search window in days
+     * @param {number} [options.limit=50] - Stop once this many new subscriptions were found
+     * @param {number} [options.maxPages=5] - Most fetch round trips in one call
+     * @param {Map<string, Object>} [options.subscriptions] - Subscriptions from
+     *   earlier calls of the same scan; updated in place
+     * @returns {Promise<{ emails: Array, nextPageToken: string|null }>}
+     */
+    async listCandidates(options = {}) {
+        const { lookbackDays = 30, limit = 50, maxPages = 5, subscriptions: known = new Map() } = options;
+
+        return this._withInbox(async (client, uidValidity) => {
+            const uids = await this._searchCandidates(client, uidValidity, lookbackDays, options.pageToken);
+            const found = [];
+            let offset = 0;
+
+            for (let page = 0; page < maxPages && offset < uids.length; page++) {
+                const batch = uids.slice(offset, offset + this.pageSize);
+                offset += batch.length;
+
+                for (const email of await this._fetchHeaders(client, uidValidity, batch)) {
+                    // A List-Unsubscribe header with no usable link
+                    if (!email.unsubscribeUrl) continue;
+                    const { subscription, created } = addEmail(known, email);
+                    if (created) found.push(subscription);
+                }
+
+                if (found.length >= limit) break;
+            }
+
+            return {
+                emails: found.map(toCard),
+                nextPageToken: offset < uids.length ? `${uidValidity}-${uids[offset - 1]}` : null
+            };
+        });
+    }
+
+    /**
+     * Optional capability: one page of candidate message IDs, newest first
+     * (used by the fast subscription count).
+     *
+     * @param {Object} options
+     * @param {number} options.lookbackDays - Search window in days
+     * @param {string|null} [options.pageToken] - nextPageToken from the previous page
+     * @param {number} [options.maxResults=100] - Page size
+     * @returns {Promise<{ ids: string[], nextPageToken: string|null, resultSizeEstimate: number }>}
+     */
+    async listMessages({ lookbackDays, pageToken = null, maxResults = 100 }) {
+        return this._withInbox(async (client, uidValidity) => {
+            const uids = await this._searchCandidates(client, uidValidity, lookbackDays, pageToken);
+            const page = uids.slice(0, maxResults);
+            return {
+                ids: page.map(uid => `${uidValidity}-${uid}`),
+                nextPageToken: uids.length > page.length ? `${uidValidity}-${page[page.length - 1]}` : null,
+                resultSizeEstimate: uids.length
+            };
+        });
+    }
+
+    /**
+     * Optional capability: headers-only emails for many messages.
+     *
+     * @param {string[]} messageIds - IDs from listMessages()
+     * @returns {Promise<Array<object|null>>} Results in input order (null when
+     *   a message no longer exists)
+     */
+    async getEmailMetadataBatch(messageIds) {
+        return this._withInbox(async (client, uidValidity) => {
+            const uids = messageIds.map(id => parseMessageId(id, uidValidity)).filter(Boolean);
+            const emails = await this._fetchHeaders(client, uidValidity, uids);
+            const byId = new Map(emails.map(email => [email.id, email]));
+            return messageIds.map(id => byId.get(id) || null);
+        });
+    }
+
+    /**
+     * Provider interface: one email with its body and unsubscribe data
+     * (including the body-link fallback).
+     *
+     * @param {string} messageId - "<uidValidity>-<uid>"
+     * @returns {Promise<object|null>} Email, or null if it can't be fetched
+     */
+    async getDetails(messageId) {
+        try {
+            return await this._withInbox(async (client, uidValidity) => {
+                const uid = parseMessageId(messageId, uidValidity);
+                if (!uid) return null;
+
+                const message = await client.fetchOne(uid, { uid: true, flags: true, internalDate: true, source: true }, { uid: true });
+                if (!message || !message.source) return null;
+
+                const parsed = await simpleParser(message.source);
+                const email = describeMessage(messageId, message, parsed);
+                const htmlBody = parsed.html || parsed.textAsHtml || '';
+                const unsubscribeData = extractUnsubscribeData(
+                    email.rawHeaders.listUnsubscribe,
+                    email.rawHeaders.listUnsubscribePost,
+                    htmlBody
+                );
+
+                return {
+                    ...email,
+                    snippet: (parsed.text || '').replace(/\s+/g, ' ').trim().slice(0, SNIPPET_LENGTH),
+                    htmlBody,
+                    unsubscribeUrl: unsubscribeData.primaryUrl,
+                    unsubscribeData
+                };
+            });
+        } catch (error) {
+            console.error('Error fetching IMAP message:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Optional capability: the HTML body of one email.
+     *
+     * @param {string} messageId - "<uidValidity>-<uid>"
+     * @returns {Promise<string>} HTML body, or '' if the message has none
+     * @throws With code 404 when the message doesn't exist
+     */
+    async getEmailHtml(messageId) {
+        const email = await this.getDetails(messageId);
+        if (!email) {
+            throw Object.assign(new Error('Message not found'), { code: 404 });
+        }
+        return email.htmlBody;
+    }
+
+    /**
+     * Provider interface: marks an email as handled by setting \Seen.
+     *
+     * @param {string} messageId - "<uidValidity>-<uid>"
+     * @returns {Promise<void>}
+     */
+    async markProcessed(messageId) {
+        await this._withInbox(async (client, uidValidity) => {
+            const uid = parseMessageId(messageId, uidValidity);
+            if (uid) {
+                await client.messageFlagsAdd([uid], ['\\Seen'], { uid: true });
+            }
+        });
+    }
+
+    /**
+     * Provider interface: sends a plain-text email through the account's
+     * SMTP server.
+     *
+     * @param {string} to - Recipient email address
+     * @param {string} subject - Subject (defaults to 'Unsubscribe')
+     * @param {string} body - Plain-text body (may be empty)
+     * @returns {Promise<void>}
+     */
+    async sendMail(to, subject, body) {
+        if (!this.canSendMail) {
+            throw new Error('No SMTP server configured for this mailbox');
+        }
+
+        const { email, username, password, smtpHost, smtpPort = 465, smtpSecure = true } = this.credentials;
+        const target = await this._connectTarget(smtpHost);
+        const transport = nodemailer.createTransport({
+            ...target,
+            port: smtpPort,
+            secure: smtpSecure,
+            auth: { user: username || email, pass: password },
+            connectionTimeout: TIMEOUT_MS,
+            greetingTimeout: TIMEOUT_MS,
+            socketTimeout: TIMEOUT_MS
+        });
+
+        try {
+            await transport.sendMail({
+                from: email,
+                to,
+                subject: subject || 'Unsubscribe',
+                text: body || ''
+            });
+        } finally {
+            transport.close();
+        }
+    }
+
+    /**
+     * Where to connect for a host: the address resolveHost checked, with the
+     * name kept for TLS, or the name itself without resolveHost.
+     *
+     * @param {string} host - IMAP or SMTP host about to be connected to
+     * @returns {Promise<{ host: string, servername?: string }>} Connection options
+     * @throws When the host is refused
+     * @private
+     */
+    async _connectTarget(host) {
+        if (!this.resolveHost) return { host };
+        const { problem, address } = await this.resolveHost(host);
+        if (problem) {
+            throw new Error(`Mail server ${host} refused: ${problem}`);
+        }
+        return address ? { host: address, servername: host } : { host };
+    }
+
+    /**
+     * Connects, locks the INBOX for the duration of fn, and logs out.
+     *
+     * @param {Function} fn - async (client, uidValidity) => result
+     * @returns {Promise<*>} fn's result
+     * @private
+     */
+    async _withInbox(fn) {
+        const { email, username, password, imapHost, imapPort = 993, imapSecure = true } = this.credentials;
+        const target = await this._connectTarget(imapHost);
+        const client = new ImapFlow({
+            ...target,
+            port: imapPort,
+            secure: imapSecure,
+            auth: { user: username || email, pass: password },
+            logger: false,
+            disableAutoIdle: true,
+            connectionTimeout: TIMEOUT_MS,
+            greetingTimeout: TIMEOUT_MS,
+            socketTimeout: TIMEOUT_MS
+        });
+
+        // Connection errors also reject the pending command; without a
+        // listener they would be thrown as unhandled 'error' events
+        client.on('error', (error) => {
+            console.error('IMAP connection error:', error.message);
+        });
+
+        try {
+            await client.connect();
+        } catch (error) {
+            client.close();
+            throw error;
+        }
+
+        try {
+            const lock = await client.getMailboxLock(MAILBOX);
+            try {
+                return await fn(client, String(client.mailbox.uidValidity));
+            } finally {
+                lock.release();
+            }
+        } finally {
+            await client.logout().catch(() => client.close());
+        }
+    }
+
+    /**
+     * UIDs of messages with a List-Unsubscribe header in the window, newest
+     * first, below the page token's UID if one is given. A token from before
+     * the mailbox was renumbered restarts from the top.
+     * @private
+     */
+    async _searchCandidates(client, uidValidity, lookbackDays, pageToken) {
+        const since = new Date(Date.now() - lookbackDays * DAY_MS);
+        const uids = (await client.search({ since, header: { 'list-unsubscribe': '' } }, { uid: true })) || [];
+        const below = (pageToken && parseMessageId(pageToken, uidValidity)) || Infinity;
+        return uids.filter(uid => uid < below).sort((a, b) => b - a);
+    }
+
+    /**
+     * Fetches the scan headers of some messages and builds email objects
+     * with header-only unsubscribe data, newest first.
+     * @private
+     */
+    async _fetchHeaders(client, uidValidity, uids) {
+        if (uids.length === 0) return [];
+
+        const emails = [];
+        const fetched = client.fetch(uids, { uid: true, flags: true, internalDate: true, headers: HEADER_FIELDS }, { uid: true });
+        for await (const message of fetched) {
+            const parsed = await simpleParser(message.headers);
+            const email = describeMessage(`${uidValidity}-${message.uid}`, message, parsed);
+            const unsubscribeData = extractUnsubscribeData(
+                email.rawHeaders.listUnsubscribe,
+                email.rawHeaders.listUnsubscribePost,
+                null
+            );
+            emails.push({ ...email, uid: message.uid, unsubscribeUrl: unsubscribeData.primaryUrl, unsubscribeData });
+        }
+
+        return emails
+            .sort((a, b) => b.uid - a.uid)
+            .map(({ uid, ...email }) => email);
+    }
+}
+
+/**
+ * Reads the UID out of a message ID, if it belongs to this mailbox.
+ *
+ * @param {string} messageId - "<uidValidity>-<uid>"
+ * @param {string} uidValidity - The mailbox's current UIDVALIDITY
+ * @returns {number|null} UID, or null for malformed or stale IDs
+ */
+function parseMessageId(messageId, uidValidity) {
+    const match = /^(\d+)-(\d+)$/.exec(messageId || '');
+    return match && match[1] === uidValidity ? parseInt(match[2], 10) : null;
+}
+
+/**
+ * Builds the header-derived fields of an email object, matching
+ * GmailService.describeMessage().
+ *
+ * @param {string} id - Message ID
+ * @param {Object} message - imapflow fetch result (flags, internalDate)
+ * @param {Object} parsed - mailparser result for the headers or whole message
+ * @returns {Object} Email object without body or unsubscribe data
+ */
+function describeMessage(id, message, parsed) {
+    // Raw (unfolded) header values; mailparser restructures List-* headers
+    const header = (name) => {
+        const line = parsed.headerLines.find(h => h.key === name);
+        return line ? line.line.slice(line.line.indexOf(':') + 1).replace(/\r?\n[ \t]+/g, ' ').trim() : '';
+    };
+
+    const from = parsed.from ? parsed.from.text : header('from');
+    const listIdHeader = header('list-id');
+    const { listId, listName } = parseListId(listIdHeader);
+    const date = message.internalDate || parsed.date || null;
+
+    return {
+        id,
+        sender: cleanSender(from),
+        subject: parsed.subject || '',
+        date: date ? new Date(date).toISOString() : null,
+        unread: !(message.flags && message.flags.has('\\Seen')),
+        listId,
+        listName,
+        snippet: '',
+        rawHeaders: {
+            from,
+            listUnsubscribe: header('list-unsubscribe'),
+            listUnsubscribePost: header('list-unsubscribe-post'),
+            listId: listIdHeader
+        }
+    };
+}
+
+module.exports = ImapProvider;
@@ -0,0 +1,115 @@
+/**
+ * providers/index.js — Email provider interface and registry.
+ *
+ * Routes and workers talk to a user's mailbox through a provider rather
+ * than constructing GmailService themselves, so other mailboxes (Outlook,
+ * IMAP) can sit behind the same routes and tests can run against an
+ * in-memory fake (memoryProvider.js).
+ *
+ * A provider is an object bound to one mailbox's credentials with:
+ *
+ *   name: string                                   // Registry name, e.g. "gmail"
+ *   listCandidates(options) → Promise<{ emails, nextPageToken }>
+ *       One page of subscription cards, as GmailService.getEmailsWithUnsubscribe()
+ *       (options: pageToken, lookbackDays, limit, subscriptions)
+ *   getDetails(messageId) → Promise<Email|null>    // Full email, null if unavailable
+ *   markProcessed(messageId) → Promise<void>       // E.g. mark as read
+ *   canSendMail: boolean                           // Whether sendMail() may be used
+ *   sendMail(to, subject, body) → Promise<void>    // Plain-text message (mailto unsubscribes)
+ *
+ * and, optionally:
+ *
+ *   getEmailHtml(messageId) → Promise<string>      // Body only, for lazy card bodies
+ *   listMessages(options), getEmailMetadataBatch(ids)
+ *       Headers-only listing, used by the fast subscription count
+ *   getHistoryId(), getEmailsSince(historyId, subscriptions)
+ *       Change tracking, used by incremental sync (see mailboxSync.js)
+ *   cleanUpSender(senderAddress, actions) → Promise<{ messages }>
+ *       Applies a cleanup policy to a sender's mail (see cleanupPolicy.js)
+ *   createSenderFilter(senderAddress, action) → Promise<filterId>,
+ *   deleteSenderFilter(filterId) → Promise<void>
+ *       Server-side filters archiving ("archive") or trashing ("trash")
+ *       a sender's future mail
+ *   countSenderMailSince(senderAddress, since) → Promise<number>
+ *       Mail from a sender since a date, for unsubscribe verification
+ *       (see unsubscribeVerifier.js)
+ *
+ * Email shape (what every provider returns; see GmailService.describeMessage()):
+ * {
+ *   id, sender, subject, date, unread, listId, listName, snippet,
+ *   rawHeaders: { from, listUnsubscribe, listUnsubscribePost, listId },
+ *   htmlBody?, unsubscribeUrl, unsubscribeData   // From extractUnsubscribeData()
+ * }
+ *
+ * Each provider is registered with a function building it from a
+ * mailbox's credentials. Server users' mailboxes are stored on their user
+ * record (see mailboxes.js), each naming its provider; token-only callers
+ * have one Gmail mailbox, whose tokens come with the request.
+ */
+
+const { findMailbox } = require('../mailboxes');
+
+// Provider for credentials that come with the request
+const DEFAULT_PROVIDER = 'gmail';
+
+// Map<name, { create(credentials) }>
+const registry = new Map();
+
+/**
+ * Registers (or replaces) a provider.
+ *
+ * @param {string} name - Provider name, as stored in mailbox.provider
+ * @param {Object} definition
+ * @param {Function} definition.create - (credentials, mailbox) → provider;
+ *   mailbox is { userId, mailboxId } for a stored mailbox (so refreshed
+ *   credentials can be saved back), null for request credentials
+ */
+function registerProvider(name, { create }) {
+    registry.set(name, { create });
+}
+
+/**
+ * Builds a provider from credentials.
+ *
+ * @param {string} name - Provider name
+ * @param {Object} credentials - Mailbox credentials
+ * @param {Object|null} [mailbox] - { userId, mailboxId } of a stored mailbox
+ * @returns {Object} Provider
+ * @throws {Error} When the provider isn't registered
+ */
+function createProvider(name, credentials, mailbox = null) {
+    const definition = registry.get(name);
+    if (!definition) {
+        throw new Error(`Unknown mail provider: ${name}`);
+    }
+    return definition.create(credentials, mailbox);
+}
+
+/**
+ * Builds the provider for one of a caller's mailboxes.
+ *
+ * @param {Object|null} user - Server user record, or null for token-only callers
+ * @param {Object|null} [requestCredentials] - Credentials that came with the
+ *   request (a Google access token or web session tokens); used when the
+ *   caller has no stored mailboxes
+ * @param {string|null} [mailboxId] - Which of the user's mailboxes; omitted
+ *   means their default (first) mailbox
+ * @returns {Object|null} Provider, or null when no such mailbox is connected
+ * @throws {Error} When the mailbox's provider isn't registered
+ */
+function resolveProvider(user, requestCredentials = null, mailboxId = null) {
+    if (user && user.mailboxes && user.mailboxes.length > 0) {
+        const mailbox = findMailbox(user, mailboxId);
+        return mailbox
+            ? createProvider(mailbox.provider, mailbox.credentials, { userId: user.id, mailboxId: mailbox.id })
+            : null;
+    }
+    if (mailboxId || !requestCredentials) return null;
+    return createProvider(DEFAULT_PROVIDER, requestCredentials);
+}
+
+module.exports = {
+    registerProvider,
+    createProvider,
+    resolveProvider
+};
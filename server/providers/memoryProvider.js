@@ -0,0 +1,124 @@
+/**
+ * memoryProvider.js — In-memory email provider for tests and local development.
+ *
+ * Implements the provider interface (see providers/index.js) over a fixed
+ * list of emails already in the shape GmailService returns, newest first.
+ * Everything the provider is asked to do is recorded (`processed`, `sent`,
+ * `cleanups`) so tests can assert on it without a real mailbox.
+ */
+
+const { addEmail, toCard, senderAddress: addressOf } = require('../subscriptions');
+
+class MemoryProvider {
+    /**
+     * @param {Object} [options]
+     * @param {Object[]} [options.emails] - Mailbox contents, newest first; emails
+     *   without unsubscribeUrl are listed but never become cards
+     * @param {boolean} [options.canSendMail=true] - Whether sendMail() is allowed
+     * @param {number} [options.pageSize=100] - Emails per listing page
+     */
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.emails = options.emails || [];
+        this.canSendMail = options.canSendMail !== false;
+        this.pageSize = options.pageSize || 100;
+
+        // Message IDs passed to markProcessed(), in order
+        this.processed = [];
+        // Messages passed to sendMail(): { to, subject, body }
+        this.sent = [];
+        // Calls of cleanUpSender(): { senderAddress, actions }
+        this.cleanups = [];
+    }
+
+    /**
+     * Pages through the mailbox and folds emails into subscriptions, like
+     * GmailService.getEmailsWithUnsubscribe(). Page tokens are offsets.
+     */
+    async listCandidates(options = {}) {
+        const { limit = 50, subscriptions = new Map() } = options;
+        let offset = options.pageToken ? parseInt(options.pageToken, 10) : 0;
+        const found = [];
+
+        while (offset < this.emails.length && found.length < limit) {
+            for (const email of this.emails.slice(offset, offset + this.pageSize)) {
+                if (!email.unsubscribeUrl) continue;
+                const { subscription, created } = addEmail(subscriptions, email);
+                if (created) found.push(subscription);
+            }
+            offset += this.pageSize;
+        }
+
+        return {
+            emails: found.map(toCard),
+            nextPageToken: offset < this.emails.length ? String(offset) : null
+        };
+    }
+
+    async listMessages({ pageToken = null, maxResults = 100 } = {}) {
+        const offset = pageToken ? parseInt(pageToken, 10) : 0;
+        const end = offset + maxResults;
+        return {
+            ids: this.emails.slice(offset, end).map(email => email.id),
+            nextPageToken: end < this.emails.length ? String(end) : null,
+            resultSizeEstimate: this.emails.length
+        };
+    }
+
+    async getEmailMetadataBatch(messageIds) {
+        return messageIds.map((id) => {
+            const email = this._find(id);
+            if (!email) return null;
+            const { htmlBody, unsubscribeUrl, unsubscribeData, ...metadata } = email;
+            return metadata;
+        });
+    }
+
+    async getDetails(messageId) {
+        return this._find(messageId);
+    }
+
+    async getEmailHtml(messageId) {
+        const email = this._find(messageId);
+        if (!email) {
+            throw Object.assign(new Error('Message not found'), { code: 404 });
+        }
+        return email.htmlBody || '';
+    }
+
+    async markProcessed(messageId) {
+        this.processed.push(messageId);
+        const email = this._find(messageId);
+        if (email) email.unread = false;
+    }
+
+    async sendMail(to, subject, body) {
+        if (!this.canSendMail) {
+            throw new Error('Sending is not enabled for this mailbox');
+        }
+        this.sent.push({ to, subject, body });
+    }
+
+    async cleanUpSender(senderAddress, actions) {
+        this.cleanups.push({ senderAddress, actions });
+        const emails = this.emails.filter(email => addressOf(email.rawHeaders.from) === senderAddress);
+        if (actions.includes('read')) {
+            for (const email of emails) email.unread = false;
+        }
+        return { messages: emails.length };
+    }
+
+    async countSenderMailSince(senderAddress, since) {
+        return this.emails.filter(email => addressOf(email.rawHeaders.from) === senderAddress
+            && new Date(email.date) > since).length;
+    }
+
+    /**
+     * @private
+     */
+    _find(messageId) {
+        return this.emails.find(email => email.id === messageId) || null;
+    }
+}
+
+module.exports = MemoryProvider;
@@ -0,0 +1,381 @@
+/**
+ * outlookProvider.js — Email provider for Outlook / Microsoft 365 mailboxes
+ * through Microsoft Graph.
+ *
+ * Implements the provider interface (see providers/index.js) over the
+ * user's Inbox with Graph's message endpoints: messages are listed newest
+ * first with their internet headers, those carrying List-Unsubscribe are
+ * parsed with the same emailParsing.js logic GmailService uses, processed
+ * messages are marked read, and mailto unsubscribes go out through
+ * /me/sendMail.
+ *
+ * Graph can't filter on headers, so candidates are found by reading every
+ * Inbox message in the window and keeping the ones with a List-Unsubscribe
+ * header. Messages without one (body-link-only senders) are not scanned;
+ * getDetails() still applies the body fallback.
+ *
+ * Tokens come from the connect-outlook flow (see microsoftAuth.js) and are
+ * stored as the credentials of an "outlook" mailbox on the user record:
+ * { access_token, refresh_token, expiry_date, scope }
+ *
+ * Access tokens last about an hour, and the unsubscribe queue runs long
+ * after the request that queued a job. So, like Google's OAuth client, the
+ * provider refreshes the access token itself: before a request once
+ * expiry_date has passed, and once more if Graph answers 401 anyway. The
+ * rotated tokens are handed to onTokens to be stored.
+ */
+
+const { extractUnsubscribeData, cleanSender, parseListId } = require('../emailParsing');
+const { refreshOutlookToken, toStoredTokens } = require('../microsoftAuth');
+const { addEmail, toCard } = require('../subscriptions');
+
+const DEFAULT_BASE_URL = 'https://graph.microsoft.com/v1.0';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Message fields read for scan results (no bodies)
+const LIST_FIELDS = ['id', 'subject', 'from', 'receivedDateTime', 'isRead', 'bodyPreview', 'internetMessageHeaders'];
+
+// Messages per Graph list page
+const DEFAULT_PAGE_SIZE = 100;
+
+// Access tokens this close to expiry are refreshed before use
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+class OutlookProvider {
+    /**
+     * @param {Object} tokens - Stored mailbox credentials (access_token,
+     *   refresh_token, expiry_date, scope)
+     * @param {Object} [options]
+     * @param {string} [options.baseUrl] - Graph endpoint; defaults to
+     *   GRAPH_BASE_URL or https://graph.microsoft.com/v1.0
+     * @param {number} [options.pageSize=100] - Messages per list page
+     * @param {Function} [options.onTokens] - async (tokens) => void; stores
+     *   refreshed tokens
+     */
+    constructor(tokens, options = {}) {
+        this.name = 'outlook';
+        this.tokens = tokens;
+        this.baseUrl = (options.baseUrl || process.env.GRAPH_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+        this.onTokens = options.onTokens || null;
+        // In-flight refresh, shared by concurrent requests
+        this.refreshing = null;
+    }
+
+    /**
+     * Provider interface: mailto unsubscribes need the Mail.Send permission.
+     * @returns {boolean}
+     */
+    get canSendMail() {
+        return /(^|[\s/])Mail\.Send(\s|$)/i.test(this.tokens.scope || '');
+    }
+
+    /**
+     * The signed-in mailbox's address.
+     *
+     * @returns {Promise<string>} Email address
+     */
+    async getProfile() {
+        const me = await this._request('GET', '/me?$select=mail,userPrincipalName');
+        return me.mail || me.userPrincipalName;
+    }
+
+    /**
+     * Provider interface: one page of subscription cards, newest messages
+     * first. Follows the same paging contract as
+     * GmailService.getEmailsWithUnsubscribe(); page tokens are Graph
+     * @odata.nextLink URLs.
+     *
+     * @param {Object} [options]
+     * @param {string|null} [options.pageToken] - nextPageToken from a previous call
+     * @param {number} [options.lookbackDays=30] - Search window in days
+     * @param {number} [options.limit=50] - Stop once this many new subscriptions were found
+     * @param {number} [options.maxPages=5] - Most list pages to read in one call
+     * @param {Map<string, Object>} [options.subscriptions] - Subscriptions from
+     *   earlier calls of the same scan; updated in place
+     * @returns {Promise<{ emails: Array, nextPageToken: string|null }>}
+     */
+    async listCandidates(options = {}) {
+        const { lookbackDays = 30, limit = 50, maxPages = 5, subscriptions: known = new Map() } = options;
+        let url = options.pageToken ? this._checkPageToken(options.pageToken) : this._listUrl(lookbackDays);
+        const found = [];
+
+        for (let page = 0; page < maxPages && url; page++) {
+            const response = await this._request('GET', url);
+            url = response['@odata.nextLink'] || null;
+
+            for (const message of response.value || []) {
+                const email = describeMessage(message);
+                if (!email.rawHeaders.listUnsubscribe) continue;
+
+                const unsubscribeData = extractUnsubscribeData(
+                    email.rawHeaders.listUnsubscribe,
+                    email.rawHeaders.listUnsubscribePost,
+                    null
+                );
+                if (!unsubscribeData.primaryUrl) continue;
+
+                const { subscription, created } = addEmail(known, {
+                    ...email,
+                    unsubscribeUrl: unsubscribeData.primaryUrl,
+                    unsubscribeData
+                });
+                if (created) found.push(subscription);
+            }
+
+            if (found.length >= limit) break;
+        }
+
+        return {
+            emails: found.map(toCard),
+            nextPageToken: url
+        };
+    }
+
+    /**
+     * Provider interface: one email with its body and unsubscribe data
+     * (including the body-link fallback).
+     *
+     * @param {string} messageId - Graph message ID
+     * @returns {Promise<object|null>} Email, or null if it can't be fetched
+     */
+    async getDetails(messageId) {
+        try {
+            const message = await this._getMessage(messageId, [...LIST_FIELDS, 'body']);
+            const email = describeMessage(message);
+            const htmlBody = messageHtml(message);
+            const unsubscribeData = extractUnsubscribeData(
+                email.rawHeaders.listUnsubscribe,
+                email.rawHeaders.listUnsubscribePost,
+                htmlBody
+            );
+
+            return {
+                ...email,
+                htmlBody,
+                unsubscribeUrl: unsubscribeData.primaryUrl,
+                unsubscribeData
+            };
+        } catch (error) {
+            console.error('Error fetching Outlook message:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Optional capability: the HTML body of one email.
+     *
+     * @param {string} messageId - Graph message ID
+     * @returns {Promise<string>} HTML body, or '' if the message has none
+     * @throws With code 404 when the message doesn't exist
+     */
+    async getEmailHtml(messageId) {
+        return messageHtml(await this._getMessage(messageId, ['body']));
+    }
+
+    /**
+     * Provider interface: marks an email as handled by marking it read.
+     *
+     * @param {string} messageId - Graph message ID
+     * @returns {Promise<void>}
+     */
+    async markProcessed(messageId) {
+        await this._request('PATCH', `/me/messages/${encodeURIComponent(messageId)}`, { isRead: true });
+    }
+
+    /**
+     * Provider interface: sends a plain-text email from the mailbox. The
+     * copy isn't kept in Sent Items.
+     *
+     * @param {string} to - Recipient email address
+     * @param {string} subject - Subject (defaults to 'Unsubscribe')
+     * @param {string} body - Plain-text body (may be empty)
+     * @returns {Promise<void>}
+     */
+    async sendMail(to, subject, body) {
+        if (!this.canSendMail) {
+            throw new Error('Mail.Send permission was not granted for this mailbox');
+        }
+
+        await this._request('POST', '/me/sendMail', {
+            message: {
+                subject: subject || 'Unsubscribe',
+                body: { contentType: 'Text', content: body || '' },
+                toRecipients: [{ emailAddress: { address: to } }]
+            },
+            saveToSentItems: false
+        });
+    }
+
+    /**
+     * First list page URL for the scan window.
+     * @private
+     */
+    _listUrl(lookbackDays) {
+        const since = new Date(Date.now() - lookbackDays * DAY_MS).toISOString();
+        const query = new URLSearchParams({
+            $filter: `receivedDateTime ge ${since}`,
+            $orderby: 'receivedDateTime desc',
+            $select: LIST_FIELDS.join(','),
+            $top: String(this.pageSize)
+        });
+        return `/me/mailFolders/inbox/messages?${query}`;
+    }
+
+    /**
+     * Page tokens are Graph URLs; only follow ones pointing at Graph, so a
+     * forged token can't send the access token elsewhere.
+     * @private
+     */
+    _checkPageToken(pageToken) {
+        if (!pageToken.startsWith(`${this.baseUrl}/`)) {
+            throw new Error('Invalid page token');
+        }
+        return pageToken;
+    }
+
+    /**
+     * @private
+     */
+    _getMessage(messageId, fields) {
+        const query = new URLSearchParams({ $select: fields.join(',') });
+        return this._request('GET', `/me/messages/${encodeURIComponent(messageId)}?${query}`, null, {
+            Prefer: 'outlook.body-content-type="html"'
+        });
+    }
+
+    /**
+     * Calls Graph with the access token, refreshing it when it has expired
+     * or Graph refuses it.
+     *
+     * @param {string} method - HTTP method
+     * @param {string} pathOrUrl - Path below baseUrl, or a full nextLink URL
+     * @param {Object|null} [body] - JSON body
+     * @param {Object} [headers] - Extra request headers
+     * @returns {Promise<Object|null>} Parsed JSON, or null for empty responses
+     * @throws With code set to the HTTP status when Graph returns an error
+     * @private
+     */
+    async _request(method, pathOrUrl, body = null, headers = {}) {
+        const url = pathOrUrl.startsWith('/') ? `${this.baseUrl}${pathOrUrl}` : pathOrUrl;
+        const { expiry_date: expiryDate, refresh_token: refreshToken } = this.tokens;
+        if (refreshToken && expiryDate && expiryDate - EXPIRY_MARGIN_MS <= Date.now()) {
+            await this._refresh();
+        }
+
+        const send = () => fetch(url, {
+            method,
+            headers: {
+                Authorization: `Bearer ${this.tokens.access_token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        let response = await send();
+        if (response.status === 401 && this.tokens.refresh_token) {
+            await this._refresh();
+            response = await send();
+        }
+
+        const text = await response.text();
+
+        if (!response.ok) {
+            // Gateways in front of Graph answer with HTML error pages
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch {
+                // Keep the status text
+            }
+            const message = (data && data.error && data.error.message) || response.statusText;
+            throw Object.assign(new Error(`Graph ${method} failed: ${message}`), { code: response.status });
+        }
+
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Gets a new access token with the refresh token and hands the rotated
+     * tokens to onTokens. Concurrent callers share one refresh.
+     *
+     * @returns {Promise<void>}
+     * @throws When Microsoft refuses the refresh token
+     * @private
+     */
+    _refresh() {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                const data = await refreshOutlookToken(this.tokens.refresh_token);
+                this.tokens = toStoredTokens(data, this.tokens);
+                if (this.onTokens) {
+                    try {
+                        await this.onTokens(this.tokens);
+                    } catch (error) {
+                        console.error('Failed to store refreshed Outlook tokens:', error.message);
+                    }
+                }
+            })().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+}
+
+/**
+ * Builds the header-derived fields of an email object from a Graph
+ * message, matching GmailService.describeMessage().
+ *
+ * @param {Object} message - Graph message resource
+ * @returns {Object} Email object without body or unsubscribe data
+ */
+function describeMessage(message) {
+    const headers = message.internetMessageHeaders || [];
+    const header = (name) => {
+        const found = headers.find(h => h.name.toLowerCase() === name);
+        return found ? found.value : '';
+    };
+
+    const address = (message.from && message.from.emailAddress) || {};
+    const from = address.name && address.name !== address.address
+        ? `${address.name} <${address.address}>`
+        : (address.address || header('from'));
+    const listIdHeader = header('list-id');
+    const { listId, listName } = parseListId(listIdHeader);
+
+    return {
+        id: message.id,
+        sender: cleanSender(from),
+        subject: message.subject || '',
+        date: message.receivedDateTime || null,
+        unread: message.isRead === false,
+        listId,
+        listName,
+        snippet: message.bodyPreview || '',
+        rawHeaders: {
+            from,
+            listUnsubscribe: header('list-unsubscribe'),
+            listUnsubscribePost: header('list-unsubscribe-post'),
+            listId: listIdHeader
+        }
+    };
+}
+
+/**
+ * The body of a Graph message as HTML. Bodies are requested as HTML; a
+ * plain-text body that comes back anyway is escaped into a <pre>.
+ *
+ * @param {Object} message - Graph message with body
+ * @returns {string} HTML body, or ''
+ */
+function messageHtml(message) {
+    const body = message.body || {};
+    if (!body.content) return '';
+    if ((body.contentType || '').toLowerCase() === 'html') return body.content;
+    const escaped = body.content.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    return `<pre>${escaped}</pre>`;
+}
+
+module.exports = OutlookProvider;
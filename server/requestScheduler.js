@@ -0,0 +1,178 @@
+/**
+ * requestScheduler.js — Paces outbound unsubscribe requests per host.
+ *
+ * Unsubscribe links cluster on a few ESP click domains (Mailchimp,
+ * SendGrid...), so swiping away thirty newsletters can mean thirty to sixty
+ * requests to one host in a row. UnsubscribeService sends every request
+ * through one shared scheduler, which:
+ *
+ *   - runs at most perHostConcurrency requests to a host at once,
+ *   - starts at most perHostRate requests per second to a host,
+ *   - keeps at most maxInFlight requests in flight overall, and
+ *   - holds a host back after it answers 429/503 with Retry-After
+ *     (see defer()).
+ *
+ * Requests wait their turn in arrival order, for at most maxWaitMs behind
+ * a held-back host. A request whose host is held back past that — when it
+ * arrives, or by a Retry-After that comes in while it waits — is not kept
+ * waiting: run() rejects with retryAfterMs set, and the unsubscribe queue
+ * retries the job later (see unsubscribeQueue.js).
+ */
+
+// Requests to one host running at the same time
+const DEFAULT_PER_HOST_CONCURRENCY = 2;
+
+// Requests started per second against one host
+const DEFAULT_PER_HOST_RATE = 2;
+
+// Requests in flight across all hosts
+const DEFAULT_MAX_IN_FLIGHT = 8;
+
+// Longest a request waits for a host that asked us to back off
+const DEFAULT_MAX_WAIT_MS = 10000;
+
+// Longest a Retry-After is honoured for (longer ones are capped)
+const MAX_DEFER_MS = 60 * 60 * 1000;
+
+/**
+ * The error run() rejects with when a host is held back too long.
+ *
+ * @param {number} retryAfterMs - How long until the host may be tried again
+ * @returns {Error} Error with retryAfterMs set
+ */
+function slowDownError(retryAfterMs) {
+    return Object.assign(new Error('Host asked to slow down'), { retryAfterMs });
+}
+
+class RequestScheduler {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.perHostConcurrency=2] - Concurrent requests per host
+     * @param {number} [options.perHostRate=2] - Requests started per second per host
+     * @param {number} [options.maxInFlight=8] - Concurrent requests overall
+     * @param {number} [options.maxWaitMs=10000] - Longest wait for a deferred host
+     */
+    constructor(options = {}) {
+        this.perHostConcurrency = options.perHostConcurrency ?? DEFAULT_PER_HOST_CONCURRENCY;
+        this.intervalMs = 1000 / (options.perHostRate ?? DEFAULT_PER_HOST_RATE);
+        this.maxInFlight = options.maxInFlight ?? DEFAULT_MAX_IN_FLIGHT;
+        this.maxWaitMs = options.maxWaitMs ?? DEFAULT_MAX_WAIT_MS;
+
+        // host → { active, nextStartAt, deferredUntil }
+        this.hosts = new Map();
+        // Requests waiting for a slot, oldest first: { host, start, fail, deadline }
+        this.waiting = [];
+        this.inFlight = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Runs a request once the host and the global limit allow it.
+     *
+     * @param {string} host - Host the request goes to
+     * @param {Function} task - async () => result; sends the request
+     * @returns {Promise<*>} The task's result
+     * @throws With retryAfterMs set when the host is held back past
+     *   maxWaitMs from now, on arrival or while waiting; otherwise whatever
+     *   the task throws
+     */
+    async run(host, task) {
+        const state = this._host(host);
+        const now = Date.now();
+        if (state.deferredUntil - now > this.maxWaitMs) {
+            throw slowDownError(state.deferredUntil - now);
+        }
+
+        await new Promise((start, fail) => {
+            this.waiting.push({ host, start, fail, deadline: now + this.maxWaitMs });
+            this._pump();
+        });
+
+        try {
+            return await task();
+        } finally {
+            state.active--;
+            this.inFlight--;
+            this._pump();
+        }
+    }
+
+    /**
+     * Holds a host back, e.g. after a 429 or 503 with Retry-After.
+     *
+     * @param {string} host - Host to hold back
+     * @param {number} delayMs - How long (capped at an hour)
+     */
+    defer(host, delayMs) {
+        const state = this._host(host);
+        state.deferredUntil = Math.max(state.deferredUntil, Date.now() + Math.min(delayMs, MAX_DEFER_MS));
+        // Lets requests already waiting for the host give up now
+        this._pump();
+    }
+
+    /**
+     * @private
+     */
+    _host(host) {
+        let state = this.hosts.get(host);
+        if (!state) {
+            state = { active: 0, nextStartAt: 0, deferredUntil: 0 };
+            this.hosts.set(host, state);
+        }
+        return state;
+    }
+
+    /**
+     * Starts every waiting request that may start now, oldest first, and
+     * sets a timer for the earliest one held back by rate or Retry-After.
+     * Requests whose host is now held back past their deadline are
+     * rejected.
+     * @private
+     */
+    _pump() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const now = Date.now();
+        let wakeAt = Infinity;
+        this.waiting = this.waiting.filter(({ host, start, fail, deadline }) => {
+            const state = this.hosts.get(host);
+            if (state.deferredUntil > deadline) {
+                fail(slowDownError(state.deferredUntil - now));
+                return false;
+            }
+            if (this.inFlight >= this.maxInFlight || state.active >= this.perHostConcurrency) {
+                return true;
+            }
+            const startAt = Math.max(state.nextStartAt, state.deferredUntil);
+            if (startAt > now) {
+                wakeAt = Math.min(wakeAt, startAt);
+                return true;
+            }
+
+            state.active++;
+            state.nextStartAt = now + this.intervalMs;
+            this.inFlight++;
+            start();
+            return false;
+        });
+
+        if (wakeAt !== Infinity) {
+            this.timer = setTimeout(() => this._pump(), wakeAt - now);
+            // Don't keep the process alive just for waiting requests
+            if (this.timer.unref) this.timer.unref();
+        }
+
+        // Forget hosts with nothing going on
+        for (const [host, state] of this.hosts) {
+            if (state.active === 0 && Math.max(state.nextStartAt, state.deferredUntil) <= now
+                && !this.waiting.some(waiter => waiter.host === host)) {
+                this.hosts.delete(host);
+            }
+        }
+    }
+}
+
+module.exports = RequestScheduler;
@@ -0,0 +1,120 @@
+/**
+ * responseClassifier.js — Reads what an unsubscribe endpoint actually said.
+ *
+ * A 2xx status only means the endpoint answered. The page behind it may
+ * say the link expired, ask the user to sign in, or show an error.
+ * classifyResponse() looks at the status, the URL the request ended up at
+ * (after redirects) and the page text, and sorts the response into:
+ *
+ *   confirmed       The page says the address was unsubscribed, or the
+ *                   endpoint is an RFC 8058 one-click endpoint that accepted
+ *                   the request (a 2xx is its acknowledgement)
+ *   probable        2xx with nothing either way on the page
+ *   expired         The link is no longer valid (expired, used, 404/410)
+ *   login-required  The page wants the user to sign in first
+ *   failed          Any other error status, or a page reporting an error
+ *
+ * Text markers are English-only and checked in that order of trust:
+ * expiry, then success, then login walls, then errors. A success page
+ * that also links to "sign in to manage preferences" is still a success.
+ */
+
+const EXPIRED_MARKERS = [
+    /(?:link|token|request|url) (?:has|is) (?:expired|no longer valid|invalid)/,
+    /(?:expired|invalid) (?:unsubscribe )?(?:link|token)/,
+    /(?:has|have) already been used/,
+    /no longer (?:valid|available|active)/
+];
+
+const SUCCESS_MARKERS = [
+    /(?:you(?:'ve| have)? been|you are now|you're now|successfully|has been|was) unsubscribed/,
+    /unsubscribed? (?:was )?successful(?:ly)?/,
+    /removed (?:you |your (?:email|address) )?from (?:our|the|this|all) (?:\w+ )?(?:mailing |email )?lists?/,
+    /(?:will|won't|will not) (?:no longer )?receive (?:any )?(?:more |further )?(?:emails|messages|mail)/,
+    /no longer receive/,
+    /(?:you(?:'ve| have)? |successfully )opted out/,
+    /subscription (?:has been |was )?(?:cancelled|canceled)/
+];
+
+const LOGIN_MARKERS = [
+    /(?:please )?(?:log|sign) ?in to (?:continue|unsubscribe|manage|update|your account)/,
+    /you (?:must|need to) (?:be )?(?:log|sign)(?:ged)? ?in/,
+    /session (?:has )?expired/
+];
+
+const ERROR_MARKERS = [
+    /something went wrong/,
+    /an (?:unexpected )?error (?:has )?occurred/,
+    /(?:unable|failed) to (?:process|unsubscribe|complete)/,
+    /please try again later/
+];
+
+// Paths that mean a redirect landed on a sign-in page
+const LOGIN_PATH = /\/(?:login|log-in|signin|sign-in|sso|auth(?:orize)?)(?:[/?#.]|$)/i;
+
+/**
+ * Turns page HTML into lower-cased text for marker matching.
+ *
+ * @param {string} html - Page HTML (or plain text)
+ * @returns {string} Visible text
+ */
+function pageText(html) {
+    return html
+        .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&#39;|&apos;|&rsquo;/g, '\'')
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+}
+
+/**
+ * Classifies the response of an unsubscribe request.
+ *
+ * @param {object} response
+ * @param {number} response.status - HTTP status
+ * @param {string|null} [response.url] - URL the request ended up at, after redirects
+ * @param {string} [response.body] - Page HTML or text; '' when not read
+ * @param {boolean} [response.acknowledged=false] - The endpoint promises a
+ *   2xx means done (RFC 8058 one-click)
+ * @returns {{ outcome: string, reason: string|null }} Outcome, and for the
+ *   failing ones a message for the user
+ */
+function classifyResponse({ status, url = null, body = '', acknowledged = false }) {
+    if (status === 404 || status === 410) {
+        return { outcome: 'expired', reason: 'Unsubscribe link no longer exists' };
+    }
+    if (status === 401) {
+        return { outcome: 'login-required', reason: 'Unsubscribe page requires signing in' };
+    }
+    if (status < 200 || status >= 300) {
+        return { outcome: 'failed', reason: `Unsubscribe endpoint answered ${status}` };
+    }
+
+    const text = pageText(body || '');
+    let path = '';
+    try {
+        path = url ? new URL(url).pathname : '';
+    } catch {
+        // Keep going with the page text alone
+    }
+
+    if (EXPIRED_MARKERS.some(marker => marker.test(text))) {
+        return { outcome: 'expired', reason: 'Unsubscribe link has expired' };
+    }
+    if (SUCCESS_MARKERS.some(marker => marker.test(text))) {
+        return { outcome: 'confirmed', reason: null };
+    }
+    if (LOGIN_PATH.test(path) || /<input\b[^>]*type=["']?password/i.test(body || '')
+        || LOGIN_MARKERS.some(marker => marker.test(text))) {
+        return { outcome: 'login-required', reason: 'Unsubscribe page requires signing in' };
+    }
+    if (ERROR_MARKERS.some(marker => marker.test(text))) {
+        return { outcome: 'failed', reason: 'Unsubscribe page reported an error' };
+    }
+    return { outcome: acknowledged ? 'confirmed' : 'probable', reason: null };
+}
+
+module.exports = {
+    classifyResponse
+};
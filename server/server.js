@@ -4,12 +4,29 @@ const bodyParser = require('body-parser');
 const session = require('express-session');
 const cors = require('cors');
 const path = require('path');
-const fs = require('fs').promises;
+const crypto = require('crypto');
 const { google } = require('googleapis');
 const GmailService = require('./gmailService');
+const providers = require('./providers');
+const ImapProvider = require('./providers/imapProvider');
+const OutlookProvider = require('./providers/outlookProvider');
+const UnsubscribeService = require('./unsubscribeService');
 const { verifyAppleToken } = require('./appleAuth');
+const { findMailbox, publicMailbox, mailboxScope } = require('./mailboxes');
+const { normalizeCleanupPolicy } = require('./cleanupPolicy');
+const { senderAddress } = require('./subscriptions');
+const microsoftAuth = require('./microsoftAuth');
 const { generateSessionToken, verifySessionToken } = require('./sessionToken');
 const userStore = require('./userStore');
+const decisionStore = require('./decisionStore');
+const { computeStats } = require('./stats');
+const { deleteAccount } = require('./accountService');
+const UnsubscribeQueue = require('./unsubscribeQueue');
+const UnsubscribeVerifier = require('./unsubscribeVerifier');
+const RequestScheduler = require('./requestScheduler');
+const MailboxScanner = require('./mailboxScanner');
+const MailboxSync = require('./mailboxSync');
+const SubscriptionCounter = require('./subscriptionCounter');
 
 const app = express();
 // Use Railway's injected PORT in production, fall back to 3000 for local dev
@@ -32,8 +49,8 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok' });
 });
 
-// Data file path
-const DATA_FILE = path.join(__dirname, '../data/decisions.json');
+// Data file path for unsubscribe job state (decisions and users have their own stores)
+const JOBS_FILE = path.join(__dirname, '../data/unsubscribe_jobs.json');
 
 // OAuth2 Client — used for web auth flow (session-based)
 const oauth2Client = new google.auth.OAuth2(
@@ -42,6 +59,43 @@ const oauth2Client = new google.auth.OAuth2(
     process.env.GMAIL_REDIRECT_URI || 'http://localhost:3000/auth/google/callback'
 );
 
+/**
+ * Creates a standalone OAuth2 client for background work.
+ * The shared oauth2Client has its credentials swapped on every request,
+ * so jobs that run outside a request get a client of their own.
+ *
+ * @param {Object} tokens - Gmail OAuth tokens to attach
+ * @returns {Object} Configured google.auth.OAuth2 instance
+ */
+function createOAuthClient(tokens) {
+    const client = new google.auth.OAuth2(
+        process.env.GMAIL_CLIENT_ID,
+        process.env.GMAIL_CLIENT_SECRET,
+        process.env.GMAIL_REDIRECT_URI || 'http://localhost:3000/auth/google/callback'
+    );
+    client.setCredentials(tokens);
+    return client;
+}
+
+// Email providers. Server users' mailboxes are connected with the
+// connect-gmail, connect-outlook and connect-imap routes (or POST
+// /api/mailboxes) and stored on their user record; Google users without
+// an account send Gmail tokens with each request.
+providers.registerProvider('gmail', {
+    create: tokens => new GmailService(createOAuthClient(tokens))
+});
+providers.registerProvider('imap', {
+    create: credentials => new ImapProvider(credentials, { resolveHost: resolveMailHost })
+});
+providers.registerProvider('outlook', {
+    // Access tokens are refreshed by the provider; store the rotated ones
+    create: (tokens, mailbox) => new OutlookProvider(tokens, {
+        onTokens: mailbox
+            ? refreshed => userStore.updateMailbox(mailbox.userId, mailbox.mailboxId, { credentials: refreshed })
+            : null
+    })
+});
+
 /**
  * Exchange a mobile auth code directly with Google's token endpoint.
  * The googleapis OAuth2 library doesn't handle public (secretless) clients
@@ -107,20 +161,6 @@ async function refreshMobileToken(refreshToken) {
     return data;
 }
 
-// Initialize data file, creating the data/ directory if it doesn't exist.
-// The data/ directory is gitignored, so it won't exist on first deploy.
-async function initDataFile() {
-    try {
-        // Ensure the parent directory exists (gitignored, won't be in the repo)
-        const dataDir = path.dirname(DATA_FILE);
-        await fs.mkdir(dataDir, { recursive: true });
-
-        await fs.access(DATA_FILE);
-    } catch {
-        await fs.writeFile(DATA_FILE, JSON.stringify({ sessions: [] }, null, 2));
-    }
-}
-
 // Check if Gmail credentials are configured
 function hasGmailCredentials() {
     return !!(process.env.GMAIL_CLIENT_ID && process.env.GMAIL_CLIENT_SECRET);
@@ -192,10 +232,11 @@ app.post('/api/auth/mobile', async (req, res) => {
 /**
  * Refresh an expired access token using the refresh token.
  * Handles both direct refresh tokens (Google users) and server-side
- * stored tokens (Apple users who connected Gmail).
+ * stored tokens (Apple users who connected Gmail). Apple users with more
+ * than one Gmail mailbox pass mailboxId; the first Gmail mailbox is the default.
  */
 app.post('/api/auth/refresh', async (req, res) => {
-    const { refresh_token, platform } = req.body;
+    const { refresh_token, platform, mailboxId } = req.body;
 
     // Check if this is an Apple user refreshing via their session token.
     // Apple users' Gmail refresh tokens are stored server-side.
@@ -208,7 +249,10 @@ app.post('/api/auth/refresh', async (req, res) => {
             // Apple user — refresh using server-stored Gmail refresh token
             try {
                 const user = await userStore.findById(sessionPayload.userId);
-                if (!user || !user.gmailTokens || !user.gmailTokens.refresh_token) {
+                const mailbox = user && (mailboxId
+                    ? findMailbox(user, mailboxId)
+                    : user.mailboxes.find(m => m.provider === 'gmail'));
+                if (!mailbox || mailbox.provider !== 'gmail' || !mailbox.credentials.refresh_token) {
                     return res.status(400).json({
                         success: false,
                         error: 'No Gmail connection found. Please connect Gmail first.'
@@ -218,17 +262,17 @@ app.post('/api/auth/refresh', async (req, res) => {
                 // Use the server-stored refresh token to get a new access token.
                 // Gmail tokens for Apple users were obtained via the iOS client,
                 // so we must refresh via direct POST (no client secret).
-                const data = await refreshMobileToken(user.gmailTokens.refresh_token);
+                const data = await refreshMobileToken(mailbox.credentials.refresh_token);
 
                 // Convert expires_in to absolute timestamp for storage
                 const expiryDate = data.expires_in
                     ? Date.now() + (data.expires_in * 1000)
                     : null;
 
-                // Update the stored tokens on the user record
-                await userStore.updateUser(user.id, {
-                    gmailTokens: {
-                        ...user.gmailTokens,
+                // Update the stored tokens on the mailbox
+                await userStore.updateMailbox(user.id, mailbox.id, {
+                    credentials: {
+                        ...mailbox.credentials,
                         access_token: data.access_token,
                         expiry_date: expiryDate
                     }
@@ -315,13 +359,15 @@ app.get('/api/auth/validate', async (req, res) => {
         try {
             const user = await userStore.findById(sessionPayload.userId);
             if (user) {
+                const gmailMailbox = user.mailboxes.find(m => m.provider === 'gmail');
                 return res.json({
                     valid: true,
                     email: user.email,
                     name: user.name,
                     provider: user.authProvider,
-                    gmailConnected: !!user.gmailTokens,
-                    gmailEmail: user.gmailEmail || null
+                    gmailConnected: !!gmailMailbox,
+                    gmailEmail: gmailMailbox ? gmailMailbox.email : null,
+                    mailboxes: user.mailboxes.map(publicMailbox)
                 });
             }
         } catch (err) {
@@ -438,10 +484,12 @@ app.post('/api/auth/apple', async (req, res) => {
  *
  * The user already signed in with Apple (has a server session token).
  * Now they're authorizing Gmail access via a separate Google OAuth flow.
- * We exchange the Google auth code for tokens and store them on the user record.
+ * We exchange the Google auth code for tokens and store them as one of the
+ * user's mailboxes (reconnecting an address already connected replaces its
+ * tokens). Optional `label` names the mailbox.
  */
-app.post('/api/auth/connect-gmail', async (req, res) => {
-    const { code, platform } = req.body;
+async function connectGmail(req, res) {
+    const { code, platform, label } = req.body;
 
     // Validate required parameters
     if (!code) {
@@ -508,19 +556,25 @@ app.post('/api/auth/connect-gmail', async (req, res) => {
             ? Date.now() + (tokens.expires_in * 1000)
             : null;
 
-        await userStore.updateUser(user.id, {
-            gmailTokens: {
+        const mailbox = await userStore.addMailbox(user.id, {
+            provider: 'gmail',
+            email: gmailEmail,
+            label: mailboxLabel(label),
+            credentials: {
                 access_token: tokens.access_token,
                 refresh_token: tokens.refresh_token,
                 expiry_date: expiryDate
-            },
-            gmailEmail: gmailEmail
+            }
         });
 
+        // Scans and counts cached from an earlier connection no longer apply
+        purgeCachedData(mailboxScope(`user:${user.id}`, mailbox.id));
+
         // Return tokens to the app so it can use them directly for Gmail API calls
         res.json({
             success: true,
             email: gmailEmail,
+            mailbox: publicMailbox(mailbox),
             access_token: tokens.access_token,
             refresh_token: tokens.refresh_token,
             expires_in: tokens.expires_in || 3600
@@ -533,6 +587,404 @@ app.post('/api/auth/connect-gmail', async (req, res) => {
             error: error.message || 'Failed to connect Gmail'
         });
     }
+}
+
+app.post('/api/auth/connect-gmail', connectGmail);
+
+/**
+ * Normalizes a mailbox label from the client.
+ *
+ * @param {*} label - Label as sent by the client
+ * @returns {string|null} Trimmed label (at most 100 characters), or null
+ */
+function mailboxLabel(label) {
+    return typeof label === 'string' && label.trim() ? label.trim().slice(0, 100) : null;
+}
+
+/**
+ * Checks an IMAP or SMTP host name from the client. Hosts are reached from
+ * the server, so names that are or resolve to private/internal addresses
+ * are refused (as for unsubscribe URLs) unless IMAP_ALLOW_PRIVATE_HOSTS=true,
+ * for self-hosted setups. ImapProvider runs the same check before every
+ * connection, since DNS can change after the mailbox was connected, and
+ * connects to the address returned here so the name can't be re-pointed
+ * between the check and the connection.
+ *
+ * @param {*} host - Host name as sent by the client
+ * @returns {Promise<{ problem: string|null, address: string|null }>} Why the
+ *   host is refused (null if it is fine), and the checked address to connect
+ *   to (null to connect by name)
+ */
+async function resolveMailHost(host) {
+    if (typeof host !== 'string' || !/^[A-Za-z0-9.-]+$/.test(host)) {
+        return { problem: 'Invalid host name', address: null };
+    }
+    if (process.env.IMAP_ALLOW_PRIVATE_HOSTS === 'true') {
+        return { problem: null, address: null };
+    }
+    const check = await new UnsubscribeService().checkUrl(`https://${host}/`);
+    if (!check.valid) {
+        return { problem: check.reason, address: null };
+    }
+    return { problem: null, address: check.addresses ? check.addresses[0].address : null };
+}
+
+/**
+ * Parses a port number from the client, falling back to a default.
+ *
+ * @param {*} value - Port as sent by the client
+ * @param {number} fallback - Port used when none was sent
+ * @returns {number|null} Port, or null if it isn't a valid port
+ */
+function mailPort(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const port = Number(value);
+    return Number.isInteger(port) && port > 0 && port < 65536 ? port : null;
+}
+
+/**
+ * Connect an IMAP mailbox (Fastmail, iCloud, a company server...) to an
+ * existing account, alongside or instead of Gmail.
+ *
+ * Body: { email, username?, password, imapHost, imapPort?, imapSecure?,
+ *         smtpHost?, smtpPort?, smtpSecure?, label? }
+ *
+ * The login is checked against the IMAP server before it is stored. Without
+ * smtpHost the mailbox can be scanned but mailto unsubscribes are skipped.
+ */
+async function connectImap(req, res) {
+    const { email, username, password, imapHost, smtpHost, label } = req.body;
+
+    // Authenticate — requires a valid server session token
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authorization required'
+        });
+    }
+
+    const sessionPayload = verifySessionToken(authHeader.substring(7));
+    if (!sessionPayload) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired session token'
+        });
+    }
+
+    if (typeof email !== 'string' || !email.includes('@') || typeof password !== 'string' || !password) {
+        return res.status(400).json({
+            success: false,
+            error: 'Email address and password are required'
+        });
+    }
+
+    const imapPort = mailPort(req.body.imapPort, 993);
+    const smtpPort = mailPort(req.body.smtpPort, 465);
+    const hostProblem = (await resolveMailHost(imapHost)).problem
+        || (smtpHost ? (await resolveMailHost(smtpHost)).problem : null);
+    if (hostProblem || !imapPort || !smtpPort) {
+        return res.status(400).json({
+            success: false,
+            error: hostProblem || 'Invalid port'
+        });
+    }
+
+    const credentials = {
+        email,
+        username: typeof username === 'string' && username ? username : email,
+        password,
+        imapHost,
+        imapPort,
+        imapSecure: req.body.imapSecure !== false,
+        smtpHost: smtpHost || null,
+        smtpPort,
+        smtpSecure: req.body.smtpSecure !== false
+    };
+
+    try {
+        const user = await userStore.findById(sessionPayload.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        try {
+            await new ImapProvider(credentials, { resolveHost: resolveMailHost }).verify();
+        } catch (error) {
+            console.error('Connect IMAP login failed:', error.message);
+            return res.status(401).json({
+                success: false,
+                error: 'Could not sign in to the mail server. Check the host, username and password.'
+            });
+        }
+
+        const mailbox = await userStore.addMailbox(user.id, {
+            provider: 'imap',
+            email,
+            label: mailboxLabel(label),
+            credentials
+        });
+
+        // Scans and counts cached from an earlier connection no longer apply
+        purgeCachedData(mailboxScope(`user:${user.id}`, mailbox.id));
+
+        res.json({
+            success: true,
+            email,
+            mailbox: publicMailbox(mailbox),
+            canSendMail: !!credentials.smtpHost
+        });
+
+    } catch (error) {
+        console.error('Connect IMAP error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to connect mailbox'
+        });
+    }
+}
+
+app.post('/api/auth/connect-imap', connectImap);
+
+/**
+ * Connect an Outlook / Microsoft 365 mailbox to an existing account,
+ * alongside or instead of Gmail.
+ *
+ * Body: { code, codeVerifier?, label? } — the authorization code (and PKCE
+ * verifier) the app got from Microsoft's sign-in page for the OUTLOOK_SCOPES.
+ * Tokens stay on the server, which refreshes them as needed (see
+ * outlookProvider.js); the app can also refresh them with refresh-outlook.
+ */
+async function connectOutlook(req, res) {
+    const { code, codeVerifier, label } = req.body;
+
+    if (!code) {
+        return res.status(400).json({
+            success: false,
+            error: 'Microsoft authorization code is required'
+        });
+    }
+
+    // Authenticate — requires a valid server session token
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authorization required'
+        });
+    }
+
+    const sessionPayload = verifySessionToken(authHeader.substring(7));
+    if (!sessionPayload) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired session token'
+        });
+    }
+
+    if (!microsoftAuth.hasOutlookCredentials()) {
+        return res.status(503).json({
+            success: false,
+            error: 'Outlook credentials not configured on server'
+        });
+    }
+
+    try {
+        const user = await userStore.findById(sessionPayload.userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const data = await microsoftAuth.exchangeOutlookCode(code, codeVerifier || null);
+        const outlookTokens = microsoftAuth.toStoredTokens(data);
+        const provider = new OutlookProvider(outlookTokens);
+        const outlookEmail = await provider.getProfile();
+
+        const mailbox = await userStore.addMailbox(user.id, {
+            provider: 'outlook',
+            email: outlookEmail,
+            label: mailboxLabel(label),
+            credentials: outlookTokens
+        });
+
+        // Scans and counts cached from an earlier connection no longer apply
+        purgeCachedData(mailboxScope(`user:${user.id}`, mailbox.id));
+
+        res.json({
+            success: true,
+            email: outlookEmail,
+            mailbox: publicMailbox(mailbox),
+            canSendMail: provider.canSendMail,
+            expires_in: data.expires_in || 3600
+        });
+
+    } catch (error) {
+        console.error('Connect Outlook error:', error);
+        res.status(401).json({
+            success: false,
+            error: error.message || 'Failed to connect Outlook'
+        });
+    }
+}
+
+app.post('/api/auth/connect-outlook', connectOutlook);
+
+/**
+ * Refresh the server-stored Outlook access token. Microsoft access tokens
+ * last about an hour; the app calls this when requests start returning
+ * needsAuth, like /api/auth/refresh for Gmail. Body: { mailboxId? } — the
+ * first Outlook mailbox is the default.
+ */
+app.post('/api/auth/refresh-outlook', async (req, res) => {
+    const authHeader = req.headers.authorization;
+    const sessionPayload = authHeader && authHeader.startsWith('Bearer ')
+        ? verifySessionToken(authHeader.substring(7))
+        : null;
+
+    if (!sessionPayload) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or expired session token'
+        });
+    }
+
+    try {
+        const { mailboxId } = req.body;
+        const user = await userStore.findById(sessionPayload.userId);
+        const mailbox = user && (mailboxId
+            ? findMailbox(user, mailboxId)
+            : user.mailboxes.find(m => m.provider === 'outlook'));
+        if (!mailbox || mailbox.provider !== 'outlook' || !mailbox.credentials.refresh_token) {
+            return res.status(400).json({
+                success: false,
+                error: 'No Outlook connection found. Please connect Outlook first.'
+            });
+        }
+
+        const data = await microsoftAuth.refreshOutlookToken(mailbox.credentials.refresh_token);
+        await userStore.updateMailbox(user.id, mailbox.id, {
+            credentials: microsoftAuth.toStoredTokens(data, mailbox.credentials)
+        });
+
+        res.json({
+            success: true,
+            expires_in: data.expires_in || 3600
+        });
+
+    } catch (error) {
+        console.error('Outlook token refresh error:', error);
+        res.status(401).json({
+            success: false,
+            error: 'Failed to refresh Outlook token. Please reconnect Outlook.'
+        });
+    }
+});
+
+// =============================================================================
+// MAILBOXES
+// Server users can connect several mailboxes (see mailboxes.js). Cards from
+// /api/emails carry their mailbox; pass its id back as ?mailbox= or
+// mailboxId to work on that mailbox.
+// =============================================================================
+
+/**
+ * Middleware for routes that manage a server user's mailboxes: requires a
+ * server session token. Runs after authenticateRequest.
+ */
+function requireServerUser(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Mailboxes can only be managed with a server session'
+        });
+    }
+    return next();
+}
+
+// List the caller's mailboxes; the first is the default
+app.get('/api/mailboxes', authenticateRequest, requireServerUser, (req, res) => {
+    res.json({ success: true, mailboxes: req.user.mailboxes.map(publicMailbox) });
+});
+
+// Connect a mailbox. Body: { provider: "gmail" | "outlook" | "imap", label?,
+// ... } plus the fields of the matching /api/auth/connect-* route. The
+// connect handlers check the session token themselves too (they also serve
+// those routes), but the route doesn't rely on that.
+app.post('/api/mailboxes', authenticateRequest, requireServerUser, (req, res) => {
+    const connect = { gmail: connectGmail, outlook: connectOutlook, imap: connectImap }[req.body.provider];
+    if (!connect) {
+        return res.status(400).json({
+            success: false,
+            error: 'provider must be "gmail", "outlook" or "imap"'
+        });
+    }
+    return connect(req, res);
+});
+
+// Rename a mailbox. Body: { label } — an empty label goes back to the address.
+app.patch('/api/mailboxes/:id', authenticateRequest, requireServerUser, async (req, res) => {
+    const { label } = req.body;
+    if (label !== null && label !== undefined && typeof label !== 'string') {
+        return res.status(400).json({ success: false, error: 'label must be a string' });
+    }
+
+    try {
+        const mailbox = await userStore.updateMailbox(req.user.id, req.params.id, { label: mailboxLabel(label) });
+        if (!mailbox) {
+            return res.status(404).json({ success: false, error: 'Mailbox not found' });
+        }
+        res.json({ success: true, mailbox: publicMailbox(mailbox) });
+    } catch (error) {
+        console.error('Error renaming mailbox:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Disconnect a mailbox: deletes its credentials and cached scans. Decision
+// history is kept. Pending unsubscribes for it still run their HTTP methods.
+app.delete('/api/mailboxes/:id', authenticateRequest, requireServerUser, async (req, res) => {
+    try {
+        const removed = await userStore.removeMailbox(req.user.id, req.params.id);
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Mailbox not found' });
+        }
+        purgeCachedData(mailboxScope(`user:${req.user.id}`, req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error removing mailbox:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Cleanup policy: what happens to a sender's other mail once an unsubscribe
+// from them succeeds (see cleanupPolicy.js). Body: { actions: [...] } with
+// any of "read", "archive", "label", "trash"; [] turns cleanup off.
+app.get('/api/cleanup-policy', authenticateRequest, requireServerUser, (req, res) => {
+    res.json({ success: true, actions: req.user.cleanupPolicy || [] });
+});
+
+app.put('/api/cleanup-policy', authenticateRequest, requireServerUser, async (req, res) => {
+    const actions = normalizeCleanupPolicy(req.body.actions);
+    if (!actions) {
+        return res.status(400).json({
+            success: false,
+            error: 'actions must be a list of "read", "archive", "label" and "trash"'
+        });
+    }
+
+    try {
+        await userStore.updateUser(req.user.id, { cleanupPolicy: actions });
+        res.json({ success: true, actions });
+    } catch (error) {
+        console.error('Error saving cleanup policy:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 // =============================================================================
@@ -550,7 +1002,7 @@ app.post('/api/auth/connect-gmail', async (req, res) => {
  * 2. Session cookies (web)
  *
  * Sets req.authTokens (for Gmail API calls) and optionally req.user
- * (for Apple users whose Gmail tokens are stored server-side).
+ * (for Apple users, whose mailboxes are stored server-side).
  */
 async function authenticateRequest(req, res, next) {
     // Check for Bearer token (mobile)
@@ -566,9 +1018,9 @@ async function authenticateRequest(req, res, next) {
                 const user = await userStore.findById(sessionPayload.userId);
                 if (user) {
                     req.user = user;
-                    // Provide Gmail tokens if connected, otherwise leave authTokens null.
-                    // Endpoints that require Gmail access should check req.authTokens.
-                    req.authTokens = user.gmailTokens || null;
+                    // Their mailboxes' credentials are on the user record
+                    // (see mailProviderFor); none come with the request.
+                    req.authTokens = null;
                     return next();
                 }
             } catch (err) {
@@ -603,26 +1055,242 @@ async function authenticateRequest(req, res, next) {
     });
 }
 
-// =============================================================================
-// WEB AUTH ROUTES (original session-based authentication)
-// =============================================================================
+// Google identities resolved from access tokens, keyed by a token hash.
+// Entries live for IDENTITY_CACHE_TTL_MS so we don't ask Gmail on every request.
+const identityCache = new Map();
+const IDENTITY_CACHE_TTL_MS = 10 * 60 * 1000;
 
-// Auth routes
-app.get('/api/auth/url', (req, res) => {
-    if (!hasGmailCredentials()) {
-        return res.json({
+/**
+ * Middleware that identifies who owns the data an authenticated request
+ * touches, and sets req.ownerId. Runs after authenticateRequest.
+ *
+ * Server users (Apple Sign-In) are "user:<id>". Callers with only a Google
+ * token (mobile Google sign-in, web sessions) are "google:<email>", using
+ * the Gmail profile address — the one identity every Gmail token can read.
+ */
+async function resolveOwner(req, res, next) {
+    if (req.user) {
+        req.ownerId = `user:${req.user.id}`;
+        return next();
+    }
+
+    // Web sessions remember their owner once resolved
+    if (req.session && req.session.ownerId && req.session.tokens === req.authTokens) {
+        req.ownerId = req.session.ownerId;
+        return next();
+    }
+
+    const accessToken = req.authTokens && req.authTokens.access_token;
+    if (!accessToken) {
+        return res.status(401).json({
             success: false,
-            error: 'Gmail credentials not configured',
-            needsSetup: true
+            needsAuth: true,
+            error: 'Authentication required'
         });
     }
 
-    const authUrl = oauth2Client.generateAuthUrl({
-        access_type: 'offline',
-        scope: [
-            'https://www.googleapis.com/auth/gmail.readonly',
-            'https://www.googleapis.com/auth/gmail.modify',
-            'https://www.googleapis.com/auth/gmail.send'      // Required for mailto-based unsubscribe
+    const cacheKey = crypto.createHash('sha256').update(accessToken).digest('hex');
+    const cached = identityCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        req.ownerId = cached.ownerId;
+        return next();
+    }
+
+    try {
+        const gmail = google.gmail({ version: 'v1', auth: createOAuthClient(req.authTokens) });
+        const profile = await gmail.users.getProfile({ userId: 'me' });
+        const ownerId = `google:${profile.data.emailAddress.toLowerCase()}`;
+
+        // Drop expired entries before adding, so the cache can't grow unbounded
+        for (const [key, entry] of identityCache) {
+            if (entry.expiresAt <= Date.now()) identityCache.delete(key);
+        }
+        identityCache.set(cacheKey, { ownerId, expiresAt: Date.now() + IDENTITY_CACHE_TTL_MS });
+
+        if (req.session && req.session.tokens === req.authTokens) {
+            req.session.ownerId = ownerId;
+        }
+        req.ownerId = ownerId;
+        return next();
+    } catch (error) {
+        console.error('Identity lookup failed:', error.message);
+        return res.status(401).json({
+            success: false,
+            needsAuth: true,
+            error: 'Authentication expired. Please sign in again.'
+        });
+    }
+}
+
+/**
+ * The mailbox a request asks for: the `mailbox` query parameter or the
+ * `mailboxId` body field. Null means the default mailbox.
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} Mailbox ID
+ */
+function requestedMailbox(req) {
+    const mailboxId = req.query.mailbox || (req.body && req.body.mailboxId);
+    return typeof mailboxId === 'string' && mailboxId ? mailboxId : null;
+}
+
+/**
+ * Builds the email provider for the caller's mailbox (see providers/index.js).
+ *
+ * @param {Object} req - Request that went through authenticateRequest
+ * @param {string|null} [mailboxId] - Mailbox to use; defaults to the requested one
+ * @returns {Object|null} Provider, or null when no such mailbox is connected
+ */
+function mailProviderFor(req, mailboxId = requestedMailbox(req)) {
+    return providers.resolveProvider(req.user || null, req.authTokens, mailboxId);
+}
+
+/**
+ * Middleware that sets req.mailProvider (and req.mailboxId) for routes that
+ * need one of the caller's mailboxes. Runs after authenticateRequest.
+ */
+function requireMailProvider(req, res, next) {
+    const mailboxId = requestedMailbox(req);
+    const provider = mailProviderFor(req, mailboxId);
+    if (!provider && mailboxId) {
+        return res.status(404).json({ success: false, error: 'Mailbox not found' });
+    }
+    if (!provider) {
+        return res.status(401).json({
+            success: false,
+            needsAuth: true,
+            error: 'No mailbox connected. Connect your email account first.'
+        });
+    }
+    const mailbox = req.user ? findMailbox(req.user, mailboxId) : null;
+    req.mailProvider = provider;
+    req.mailboxId = mailbox ? mailbox.id : null;
+    return next();
+}
+
+// =============================================================================
+// DEFERRED UNSUBSCRIBE QUEUE
+// Unsubscribe decisions wait out a grace period before running, so the
+// client's Undo can cancel them server-side via DELETE /api/decision/:id.
+// Transient failures are retried with per-domain backoff; job state is
+// persisted to data/unsubscribe_jobs.json and survives restarts.
+// =============================================================================
+
+/**
+ * Reads an integer setting from the environment.
+ *
+ * @param {string} name - Environment variable name
+ * @returns {number|undefined} Parsed value, or undefined if unset
+ */
+function envInt(name) {
+    return process.env[name] ? parseInt(process.env[name], 10) : undefined;
+}
+
+// One scheduler for every outbound unsubscribe request, so requests to the
+// same ESP host are paced across jobs (see requestScheduler.js)
+const requestScheduler = new RequestScheduler({
+    perHostConcurrency: envInt('UNSUBSCRIBE_HOST_CONCURRENCY'),
+    perHostRate: envInt('UNSUBSCRIBE_HOST_RATE'),
+    maxInFlight: envInt('UNSUBSCRIBE_MAX_IN_FLIGHT')
+});
+
+const unsubscribeQueue = new UnsubscribeQueue({
+    filePath: JOBS_FILE,
+    gracePeriodMs: envInt('UNSUBSCRIBE_GRACE_PERIOD_MS'),
+    maxAttempts: envInt('UNSUBSCRIBE_MAX_ATTEMPTS'),
+    baseBackoffMs: envInt('UNSUBSCRIBE_RETRY_BASE_MS'),
+
+    // Run the unsubscribe cascade with the freshest credentials available:
+    // those stored on the user record for server users, request tokens otherwise.
+    runJob: async (job, authTokens) => {
+        const user = job.userId ? await userStore.findById(job.userId) : null;
+        const provider = providers.resolveProvider(user, authTokens, job.mailboxId || null);
+
+        if (provider) {
+            return new UnsubscribeService({ scheduler: requestScheduler }).processMessage(provider, job.messageId, job.unsubscribeData, {
+                cleanup: (user && user.cleanupPolicy) || [],
+                senderAddress: job.senderAddress || null
+            });
+        }
+
+        // No mailbox credentials (e.g. a token-only job resumed after a restart,
+        // or the mailbox was removed since).
+        // The HTTP methods don't need the mailbox, so run the cascade without
+        // the mailto fallback and skip marking the email as processed.
+        const unsubscribeResult = await new UnsubscribeService({ scheduler: requestScheduler }).execute({
+            ...job.unsubscribeData,
+            provider: null
+        });
+        return { success: true, unsubscribeResult };
+    },
+
+    // Record the final outcome on the decision the job belongs to
+    onSettled: async (job, result, error) => {
+        const unsubscribeResult = result ? result.unsubscribeResult : null;
+        await decisionStore.updateDecision(job.id, (decision) => {
+            decision.status = job.status;
+            decision.unsubscribeMethod = unsubscribeResult ? unsubscribeResult.method : null;
+            decision.unsubscribeSuccess = !!(unsubscribeResult && unsubscribeResult.success);
+            decision.unsubscribeOutcome = unsubscribeResult ? unsubscribeResult.outcome || null : null;
+            decision.unsubscribeError = error
+                ? error.message
+                : (unsubscribeResult ? unsubscribeResult.error : null);
+            decision.attempts = job.attempts.length;
+            // Landing page the user has to finish the unsubscribe on
+            decision.manualUrl = unsubscribeResult && unsubscribeResult.outcome === 'needs-manual'
+                ? unsubscribeResult.manualUrl
+                : null;
+            decision.cleanedUpMessages = result && result.cleanup ? result.cleanup.messages : 0;
+            decision.executedAt = new Date().toISOString();
+            // Watch the sender for mail that shows the unsubscribe was ignored
+            decision.verification = decision.unsubscribeSuccess && decision.senderAddress
+                ? unsubscribeVerifier.schedule()
+                : null;
+        });
+    }
+});
+
+// =============================================================================
+// UNSUBSCRIBE VERIFICATION
+// After a successful unsubscribe the sender gets a grace period, then their
+// mail is watched; decisions end up "confirmed" or "still-sending" (see
+// unsubscribeVerifier.js). Still-sending senders can be retried or filtered.
+// =============================================================================
+
+const unsubscribeVerifier = new UnsubscribeVerifier({
+    graceBusinessDays: envInt('VERIFY_GRACE_BUSINESS_DAYS'),
+    watchDays: envInt('VERIFY_WATCH_DAYS'),
+
+    // Server users' decisions are checked with the stored credentials of the
+    // mailbox they were made in; token-only callers have none
+    findProvider: async (decision) => {
+        if (!decision.ownerId.startsWith('user:')) return null;
+        const user = await userStore.findById(decision.ownerId.substring('user:'.length));
+        return user ? providers.resolveProvider(user, null, decision.mailboxId || null) : null;
+    }
+});
+
+// =============================================================================
+// WEB AUTH ROUTES (original session-based authentication)
+// =============================================================================
+
+// Auth routes
+app.get('/api/auth/url', (req, res) => {
+    if (!hasGmailCredentials()) {
+        return res.json({
+            success: false,
+            error: 'Gmail credentials not configured',
+            needsSetup: true
+        });
+    }
+
+    const authUrl = oauth2Client.generateAuthUrl({
+        access_type: 'offline',
+        scope: [
+            'https://www.googleapis.com/auth/gmail.readonly',
+            'https://www.googleapis.com/auth/gmail.modify',
+            'https://www.googleapis.com/auth/gmail.send',     // Required for mailto-based unsubscribe
+            'https://www.googleapis.com/auth/gmail.settings.basic'  // Sender filters
         ]
     });
 
@@ -647,18 +1315,130 @@ app.get('/auth/google/callback', async (req, res) => {
 });
 
 // Get emails endpoint
-// Updated to support both session (web) and Bearer token (mobile) authentication
-app.get('/api/emails', authenticateRequest, async (req, res) => {
+// Updated to support both session (web) and Bearer token (mobile) authentication.
+// Returns one page of senders from a scan of the whole lookback window;
+// pass the returned nextCursor as ?cursor= to get the next page.
+// Query: limit (senders per page), lookbackDays (first page only), cursor,
+// mailbox (one mailbox's senders; all of them, merged, if omitted). A merged
+// page lists mailboxes that failed in mailboxErrors and still returns the rest.
+// Once a scan has run to the end, the owner's next scan only picks up
+// messages added since (Gmail history API) instead of starting over.
+const mailboxSync = new MailboxSync();
+const mailboxScanner = new MailboxScanner({
+    lookbackDays: envInt('SCAN_LOOKBACK_DAYS'),
+    limit: envInt('SCAN_PAGE_SIZE'),
+    sync: mailboxSync
+});
+
+// Cursor entry for a mailbox whose first page failed: start it over
+const RESCAN_CURSOR = 'rescan';
+
+/**
+ * Scans every mailbox of a server user at once. Each page takes an equal
+ * share of senders from each mailbox that still has some; the cursor is
+ * the per-mailbox scanner cursors packed into one string.
+ *
+ * A mailbox that fails doesn't sink the page: the others' senders are
+ * returned, the failure is reported in mailboxErrors, and the failed
+ * mailbox keeps its cursor so the next page tries it again. Only when
+ * every mailbox fails is the first error thrown.
+ *
+ * @param {Object} req - Request from a server user with several mailboxes
+ * @returns {Promise<{ emails: Array, nextCursor: string|null, error?: string, mailboxErrors?: Array }>}
+ *   mailboxErrors: [{ mailbox, error, needsAuth }] for the mailboxes that failed
+ */
+async function scanAllMailboxes(req) {
+    let cursors = null;
+    if (req.query.cursor) {
+        try {
+            cursors = JSON.parse(Buffer.from(req.query.cursor, 'base64url').toString('utf8'));
+        } catch (error) {
+            cursors = null;
+        }
+        if (!cursors || typeof cursors !== 'object' || Array.isArray(cursors)) {
+            return { emails: [], nextCursor: null, error: 'cursor-not-found' };
+        }
+    }
+
+    // Mailboxes missing from a cursor have been scanned to the end
+    const mailboxes = req.user.mailboxes.filter(mailbox => !cursors || cursors[mailbox.id]);
+    const limit = parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : mailboxScanner.limit;
+    const share = Math.ceil(limit / Math.max(mailboxes.length, 1));
+
+    const emails = [];
+    const nextCursors = {};
+    const failures = [];
+    for (const mailbox of mailboxes) {
+        const cursor = cursors ? cursors[mailbox.id] : undefined;
+        let result;
+        try {
+            result = await mailboxScanner.scan(
+                providers.createProvider(mailbox.provider, mailbox.credentials, { userId: req.user.id, mailboxId: mailbox.id }),
+                mailboxScope(req.ownerId, mailbox.id),
+                {
+                    cursor: cursor === RESCAN_CURSOR ? undefined : cursor,
+                    limit: share,
+                    lookbackDays: req.query.lookbackDays
+                }
+            );
+        } catch (error) {
+            console.error(`Error scanning mailbox ${mailbox.id}:`, error.message);
+            failures.push({ mailbox, error });
+            nextCursors[mailbox.id] = cursor || RESCAN_CURSOR;
+            continue;
+        }
+        if (result.error) return result;
+
+        const tag = publicMailbox(mailbox);
+        emails.push(...result.emails.map(email => ({ ...email, mailbox: tag })));
+        if (result.nextCursor) nextCursors[mailbox.id] = result.nextCursor;
+    }
+
+    if (failures.length > 0 && failures.length === mailboxes.length) {
+        throw failures[0].error;
+    }
+
+    const nextCursor = Object.keys(nextCursors).length > 0
+        ? Buffer.from(JSON.stringify(nextCursors)).toString('base64url')
+        : null;
+    const mailboxErrors = failures.map(({ mailbox, error }) => {
+        const needsAuth = error.code === 401 || /invalid_grant|unauthorized_client/.test(error.message);
+        return {
+            mailbox: publicMailbox(mailbox),
+            error: needsAuth
+                ? 'Authentication expired. Please reconnect this mailbox.'
+                : 'Could not fetch emails from this mailbox.',
+            needsAuth
+        };
+    });
+    return { emails, nextCursor, mailboxErrors: mailboxErrors.length > 0 ? mailboxErrors : undefined };
+}
+
+app.get('/api/emails', authenticateRequest, resolveOwner, requireMailProvider, async (req, res) => {
     try {
-        // Use tokens from middleware (works for both web and mobile)
-        oauth2Client.setCredentials(req.authTokens);
-        const gmailService = new GmailService(oauth2Client);
+        const merge = !req.query.mailbox && req.user && req.user.mailboxes.length > 1;
+        const { emails, nextCursor, error, mailboxErrors } = merge
+            ? await scanAllMailboxes(req)
+            : await mailboxScanner.scan(req.mailProvider, mailboxScope(req.ownerId, req.mailboxId), {
+                cursor: req.query.cursor,
+                limit: req.query.limit,
+                lookbackDays: req.query.lookbackDays
+            });
 
-        const emails = await gmailService.getEmailsWithUnsubscribe();
+        if (error) {
+            return res.status(410).json({
+                success: false,
+                error: 'Scan cursor expired or not found. Start again without a cursor.'
+            });
+        }
 
+        const mailbox = !merge && req.user ? findMailbox(req.user, req.mailboxId) : null;
         res.json({
             success: true,
-            emails: emails
+            emails: mailbox ? emails.map(email => ({ ...email, mailbox: publicMailbox(mailbox) })) : emails,
+            nextCursor,
+            hasMore: !!nextCursor,
+            mailboxErrors
         });
     } catch (error) {
         console.error('Error fetching emails:', error);
@@ -679,11 +1459,101 @@ app.get('/api/emails', authenticateRequest, async (req, res) => {
     }
 });
 
+// Email body endpoint
+// Scan results are fetched headers-only, so cards usually come without
+// htmlBody. Clients load it here for the card being shown, passing
+// ?mailbox= with the card's mailbox ID.
+app.get('/api/emails/:id/body', authenticateRequest, requireMailProvider, async (req, res) => {
+    // Gmail and IMAP IDs are alphanumeric with - and _; Graph IDs add = padding
+    if (!/^[A-Za-z0-9_=-]+$/.test(req.params.id)) {
+        return res.status(400).json({ success: false, error: 'Invalid message ID' });
+    }
+
+    try {
+        const provider = req.mailProvider;
+        let htmlBody;
+        if (typeof provider.getEmailHtml === 'function') {
+            htmlBody = await provider.getEmailHtml(req.params.id);
+        } else {
+            const details = await provider.getDetails(req.params.id);
+            if (!details) {
+                return res.status(404).json({ success: false, error: 'Email not found' });
+            }
+            htmlBody = details.htmlBody || '';
+        }
+
+        res.json({ success: true, id: req.params.id, htmlBody });
+    } catch (error) {
+        if (error.code === 404) {
+            return res.status(404).json({ success: false, error: 'Email not found' });
+        }
+
+        console.error('Error fetching email body:', error);
+
+        if (error.code === 401 || error.message.includes('invalid_grant') || error.message.includes('unauthorized_client')) {
+            return res.status(401).json({
+                success: false,
+                needsAuth: true,
+                error: 'Authentication expired. Please sign in again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Subscription count endpoint (onboarding: "you have N subscriptions").
+// Answers within seconds from a metadata-only sample and Gmail's size
+// estimate, then refines to an exact figure in the background. Poll until
+// status is "exact" (or stop at whatever figure is good enough).
+// Counts the default mailbox unless ?mailbox= names another.
+const subscriptionCounter = new SubscriptionCounter({
+    lookbackDays: envInt('SCAN_LOOKBACK_DAYS')
+});
+
+app.get('/api/subscriptions/count', authenticateRequest, resolveOwner, requireMailProvider, async (req, res) => {
+    if (typeof req.mailProvider.listMessages !== 'function') {
+        return res.status(501).json({
+            success: false,
+            error: 'Subscription counts are not available for this mailbox'
+        });
+    }
+
+    try {
+        const result = await subscriptionCounter.count(req.mailProvider, mailboxScope(req.ownerId, req.mailboxId));
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Error counting subscriptions:', error);
+
+        if (error.code === 401 || error.message.includes('invalid_grant') || error.message.includes('unauthorized_client')) {
+            return res.status(401).json({
+                success: false,
+                needsAuth: true,
+                error: 'Authentication expired. Please sign in again.'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 // Save decision endpoint
-// Updated to support both session (web) and Bearer token (mobile) authentication
-app.post('/api/decision', authenticateRequest, async (req, res) => {
+// Updated to support both session (web) and Bearer token (mobile) authentication.
+// Decisions are recorded in the caller's own session (the open one, or the
+// sessionId given). Unsubscribe decisions are queued, not executed: the
+// cascade runs once the grace period passes, and DELETE /api/decision/:id
+// can cancel it until then. mailboxId names the mailbox the email is in
+// (the card's mailbox.id); without it each of the caller's mailboxes is tried.
+app.post('/api/decision', authenticateRequest, resolveOwner, async (req, res) => {
     try {
-        const { emailId, decision } = req.body;
+        const { emailId, decision, sessionId } = req.body;
 
         // Validate required fields
         if (!emailId || !decision) {
@@ -701,58 +1571,81 @@ app.post('/api/decision', authenticateRequest, async (req, res) => {
             });
         }
 
-        // If unsubscribe, execute the actual unsubscribe via cascade
-        // (RFC 8058 one-click → HTTP header URLs → HTTP body URL → mailto fallback)
-        let unsubResult = null;
-        if (decision === 'unsubscribe' && req.authTokens) {
-            oauth2Client.setCredentials(req.authTokens);
-            const gmailService = new GmailService(oauth2Client);
-
-            // Get the email to find all unsubscribe data (headers + body)
-            const emailDetails = await gmailService.getEmailDetails(emailId);
-            if (emailDetails && emailDetails.unsubscribeData) {
-                unsubResult = await gmailService.unsubscribe(emailId, emailDetails.unsubscribeData);
+        // A decision can only go into a session the caller owns and hasn't completed
+        if (sessionId) {
+            const session = await decisionStore.findSession(req.ownerId, sessionId);
+            if (!session) {
+                return res.status(404).json({ success: false, error: 'Session not found' });
+            }
+            if (session.completed) {
+                return res.status(409).json({ success: false, error: 'Session is already completed' });
             }
         }
 
-        // Read existing data
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const jsonData = JSON.parse(data);
+        // Without a mailboxId, look in each of the caller's mailboxes
+        const mailboxId = requestedMailbox(req);
+        const mailboxIds = !mailboxId && req.user
+            ? req.user.mailboxes.map(mailbox => mailbox.id)
+            : [mailboxId];
+        if (mailboxId && req.user && !findMailbox(req.user, mailboxId)) {
+            return res.status(404).json({ success: false, error: 'Mailbox not found' });
+        }
 
-        // Find or create current session
-        let currentSession = jsonData.sessions.find(s => !s.completed);
-        if (!currentSession) {
-            currentSession = {
-                id: Date.now().toString(),
-                startTime: new Date().toISOString(),
-                decisions: [],
-                completed: false
-            };
-            jsonData.sessions.push(currentSession);
+        // Look up the email for its sender (shown in history) and, for
+        // unsubscribes, all of its unsubscribe data (headers + body)
+        let emailDetails = null;
+        let emailMailboxId = null;
+        for (const id of mailboxIds) {
+            const provider = mailProviderFor(req, id);
+            emailDetails = provider ? await provider.getDetails(emailId) : null;
+            if (emailDetails) {
+                emailMailboxId = id;
+                break;
+            }
         }
 
-        // Add decision (include unsubscribe method used, if any)
-        currentSession.decisions.push({
+        const decisionId = crypto.randomUUID();
+        const willUnsubscribe = decision === 'unsubscribe' && !!(emailDetails && emailDetails.unsubscribeData);
+
+        const { decision: record, error } = await decisionStore.addDecision(req.ownerId, {
+            id: decisionId,
             emailId,
+            mailboxId: emailMailboxId,
             decision,
-            timestamp: new Date().toISOString(),
-            unsubscribeMethod: unsubResult?.unsubscribeResult?.method || null
-        });
+            sender: emailDetails ? emailDetails.sender : null,
+            senderAddress: emailDetails ? senderAddress(emailDetails.rawHeaders.from) : null,
+            subject: emailDetails ? emailDetails.subject : null,
+            status: willUnsubscribe ? 'pending' : 'completed'
+        }, sessionId);
+
+        if (!record) {
+            return res.status(409).json({ success: false, error: `Could not record decision: ${error}` });
+        }
 
-        // Save data
-        await fs.writeFile(DATA_FILE, JSON.stringify(jsonData, null, 2));
+        // Queue the unsubscribe only once the decision it reports to exists
+        let job = null;
+        if (willUnsubscribe) {
+            job = unsubscribeQueue.enqueue({
+                id: decisionId,
+                ownerId: req.ownerId,
+                userId: req.user ? req.user.id : null,
+                mailboxId: emailMailboxId,
+                messageId: emailId,
+                senderAddress: senderAddress(emailDetails.rawHeaders.from),
+                unsubscribeData: emailDetails.unsubscribeData
+            }, req.authTokens);
+        }
 
-        // Return response with unsubscribe execution details
         res.json({
             success: true,
+            decisionId,
+            status: record.status,
+            undoableUntil: job ? new Date(job.runAt).toISOString() : null,
             message: decision === 'unsubscribe'
-                ? (unsubResult?.unsubscribeResult?.success
-                    ? 'Unsubscribed successfully'
-                    : 'Unsubscribe attempted - may require manual confirmation')
-                : 'Email kept',
-            unsubscribeResult: decision === 'unsubscribe'
-                ? unsubResult?.unsubscribeResult
-                : undefined
+                ? (job
+                    ? 'Unsubscribe scheduled'
+                    : 'No unsubscribe option found for this email')
+                : 'Email kept'
         });
     } catch (error) {
         console.error('Error saving decision:', error);
@@ -760,6 +1653,423 @@ app.post('/api/decision', authenticateRequest, async (req, res) => {
     }
 });
 
+// Undo a decision — cancels the pending unsubscribe job (if any) and
+// removes the decision from history. Fails with 409 once the job has started,
+// or while the decision has a sender filter (remove that first).
+app.delete('/api/decision/:id', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const decisionId = req.params.id;
+
+        const existing = await decisionStore.findDecision(req.ownerId, decisionId);
+        if (existing && existing.filter) {
+            return res.status(409).json({
+                success: false,
+                error: 'Remove the filter for this sender before undoing the decision'
+            });
+        }
+
+        // A queued job must be cancelled before the decision can go
+        if (unsubscribeQueue.get(decisionId)) {
+            const outcome = unsubscribeQueue.cancel(decisionId, req.ownerId);
+            if (!outcome.cancelled && outcome.reason === 'already-started') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Unsubscribe is already in progress and can no longer be undone'
+                });
+            }
+        }
+
+        let conflict = false;
+        let owned = false;
+        await decisionStore.updateDecision(decisionId, (decision) => {
+            if (decision.ownerId !== req.ownerId) return true;
+            owned = true;
+            // Unsubscribes that already ran can't be taken back
+            if (decision.decision === 'unsubscribe' && decision.status !== 'pending') {
+                conflict = true;
+                return true;
+            }
+            return false;
+        });
+
+        if (!owned) {
+            return res.status(404).json({
+                success: false,
+                error: 'Decision not found'
+            });
+        }
+
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                error: 'Unsubscribe has already been sent and can no longer be undone'
+            });
+        }
+
+        res.json({ success: true, message: 'Decision undone' });
+    } catch (error) {
+        console.error('Error undoing decision:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// SENDER FILTERS
+// For senders that ignore unsubscribes: a mailbox filter (Gmail's
+// users.settings.filters) that archives or trashes their future mail.
+// Each filter belongs to the decision it was made for, so it shows up in
+// history and can be removed from here.
+// =============================================================================
+
+/**
+ * Loads the decision a filter route works on, and the provider for the
+ * mailbox its email is in. Sends the error response when either is missing.
+ *
+ * @returns {Promise<{ decision: Object, provider: Object }|null>}
+ */
+async function filterTarget(req, res) {
+    const decision = await decisionStore.findDecision(req.ownerId, req.params.id);
+    if (!decision) {
+        res.status(404).json({ success: false, error: 'Decision not found' });
+        return null;
+    }
+
+    const provider = mailProviderFor(req, decision.mailboxId || null);
+    if (!provider) {
+        res.status(401).json({
+            success: false,
+            needsAuth: true,
+            error: 'The mailbox this decision was made in is no longer connected'
+        });
+        return null;
+    }
+    if (typeof provider.createSenderFilter !== 'function') {
+        res.status(501).json({ success: false, error: 'Filters are not available for this mailbox' });
+        return null;
+    }
+    return { decision, provider };
+}
+
+/**
+ * Sends the response for a mailbox error from a filter route.
+ */
+function filterError(res, error, action) {
+    console.error(`Error ${action} filter:`, error);
+
+    // Tokens from before filters existed lack gmail.settings.basic
+    if (error.code === 403) {
+        return res.status(403).json({
+            success: false,
+            needsAuth: true,
+            error: 'Reconnect your mailbox to allow Junkpile to manage filters'
+        });
+    }
+    if (error.code === 401 || error.message.includes('invalid_grant')) {
+        return res.status(401).json({
+            success: false,
+            needsAuth: true,
+            error: 'Authentication expired. Please sign in again.'
+        });
+    }
+    return res.status(500).json({ success: false, error: error.message });
+}
+
+// List the caller's filters, newest first
+app.get('/api/filters', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const decisions = await decisionStore.listFilters(req.ownerId);
+        res.json({
+            success: true,
+            filters: decisions.map(decision => ({
+                decisionId: decision.id,
+                mailboxId: decision.mailboxId || null,
+                sender: decision.sender,
+                senderAddress: decision.senderAddress,
+                ...decision.filter
+            }))
+        });
+    } catch (error) {
+        console.error('Error listing filters:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Filter the sender of a decision. Body: { action: "archive" | "trash" }
+app.post('/api/decision/:id/filter', authenticateRequest, resolveOwner, async (req, res) => {
+    const { action } = req.body;
+    if (!['archive', 'trash'].includes(action)) {
+        return res.status(400).json({ success: false, error: 'action must be "archive" or "trash"' });
+    }
+
+    try {
+        const target = await filterTarget(req, res);
+        if (!target) return;
+        const { decision, provider } = target;
+
+        if (!decision.senderAddress) {
+            return res.status(409).json({ success: false, error: 'The sender of this decision is unknown' });
+        }
+        if (decision.filter) {
+            return res.status(409).json({ success: false, error: 'This sender is already filtered' });
+        }
+
+        const filter = {
+            id: await provider.createSenderFilter(decision.senderAddress, action),
+            action,
+            createdAt: new Date().toISOString()
+        };
+        await decisionStore.updateDecision(decision.id, (stored) => {
+            stored.filter = filter;
+        });
+
+        res.json({ success: true, filter });
+    } catch (error) {
+        filterError(res, error, 'creating');
+    }
+});
+
+// Remove the filter made for a decision
+app.delete('/api/decision/:id/filter', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const target = await filterTarget(req, res);
+        if (!target) return;
+        const { decision, provider } = target;
+
+        if (!decision.filter) {
+            return res.status(404).json({ success: false, error: 'This decision has no filter' });
+        }
+
+        await provider.deleteSenderFilter(decision.filter.id);
+        await decisionStore.updateDecision(decision.id, (stored) => {
+            stored.filter = null;
+        });
+
+        res.json({ success: true });
+    } catch (error) {
+        filterError(res, error, 'removing');
+    }
+});
+
+// List the caller's verified unsubscribes, newest first. Senders still
+// sending come with the follow-ups on offer: "retry" (POST
+// /api/decision/:id/retry), "filter" and "block" (POST
+// /api/decision/:id/filter with action "archive" and "trash").
+app.get('/api/verifications', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const decisions = (await decisionStore.listSessions(req.ownerId))
+            .flatMap(session => session.decisions)
+            .filter(decision => decision.verification);
+
+        // The worker can't reach token-only callers' mailboxes; check them now
+        const provider = req.user ? null : mailProviderFor(req);
+        if (provider) {
+            await unsubscribeVerifier.checkDue(decisions, provider);
+        }
+
+        decisions.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+        res.json({
+            success: true,
+            verifications: decisions.map(decision => {
+                const stillSending = decision.verification.status === 'still-sending';
+                return {
+                    decisionId: decision.id,
+                    mailboxId: decision.mailboxId || null,
+                    sender: decision.sender,
+                    senderAddress: decision.senderAddress,
+                    unsubscribedAt: decision.executedAt || null,
+                    ...decision.verification,
+                    filter: decision.filter || null,
+                    offers: stillSending
+                        ? (decision.filter ? ['retry'] : ['retry', 'filter', 'block'])
+                        : []
+                };
+            })
+        });
+    } catch (error) {
+        console.error('Error listing verifications:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Try unsubscribing again from a sender that is still sending (or whose
+// unsubscribe failed). The decision goes back to pending and the job runs
+// after the usual grace period; unsubscribe data is re-read from the
+// original email.
+app.post('/api/decision/:id/retry', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const decision = await decisionStore.findDecision(req.ownerId, req.params.id);
+        if (!decision || decision.decision !== 'unsubscribe') {
+            return res.status(404).json({ success: false, error: 'Decision not found' });
+        }
+        if (!['still-sending', 'failed'].includes(decisionStore.decisionOutcome(decision))) {
+            return res.status(409).json({
+                success: false,
+                error: 'Only failed unsubscribes and senders still sending can be retried'
+            });
+        }
+
+        const provider = mailProviderFor(req, decision.mailboxId || null);
+        if (!provider) {
+            return res.status(401).json({
+                success: false,
+                needsAuth: true,
+                error: 'The mailbox this decision was made in is no longer connected'
+            });
+        }
+
+        const emailDetails = await provider.getDetails(decision.emailId);
+        if (!emailDetails || !emailDetails.unsubscribeData) {
+            return res.status(410).json({
+                success: false,
+                error: 'The email this decision was made on is no longer available'
+            });
+        }
+
+        await decisionStore.updateDecision(decision.id, (stored) => {
+            stored.status = 'pending';
+            stored.unsubscribeSuccess = false;
+            stored.unsubscribeOutcome = null;
+            stored.unsubscribeError = null;
+            stored.verification = null;
+        });
+        const job = unsubscribeQueue.enqueue({
+            id: decision.id,
+            ownerId: req.ownerId,
+            userId: req.user ? req.user.id : null,
+            mailboxId: decision.mailboxId || null,
+            messageId: decision.emailId,
+            senderAddress: decision.senderAddress,
+            unsubscribeData: emailDetails.unsubscribeData
+        }, req.authTokens);
+
+        res.json({
+            success: true,
+            decisionId: decision.id,
+            status: 'pending',
+            runAt: new Date(job.runAt).toISOString()
+        });
+    } catch (error) {
+        console.error('Error retrying unsubscribe:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// SESSIONS & HISTORY
+// Each caller has their own swipe sessions and decision history
+// =============================================================================
+
+// Start a new swipe session (completes any session the caller still has open)
+app.post('/api/sessions', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const session = await decisionStore.startSession(req.ownerId);
+        res.json({ success: true, session: sessionSummary(session) });
+    } catch (error) {
+        console.error('Error starting session:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Mark a swipe session as completed
+app.post('/api/sessions/:id/complete', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const session = await decisionStore.completeSession(req.ownerId, req.params.id);
+        if (!session) {
+            return res.status(404).json({ success: false, error: 'Session not found' });
+        }
+        res.json({ success: true, session: sessionSummary(session) });
+    } catch (error) {
+        console.error('Error completing session:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Page through the caller's past decisions, newest first. Each has an
+// outcome (see decisionStore.decisionOutcome()) and, once its unsubscribe
+// ran, the unsubscribeOutcome read from the endpoint's response (see
+// responseClassifier.js): "probable" successes are ones the page didn't confirm.
+// Query: limit (default 50, max 200), cursor (from nextCursor), sessionId (optional)
+app.get('/api/history', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const { limit, cursor, sessionId } = req.query;
+        const page = await decisionStore.getHistory(req.ownerId, { limit, cursor, sessionId });
+        res.json({ success: true, ...page });
+    } catch (error) {
+        console.error('Error getting history:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Shapes a session for API responses (decisions are served by /api/history).
+ *
+ * @param {Object} session - Session record from decisionStore
+ * @returns {Object} Session without its decision list
+ */
+function sessionSummary(session) {
+    return {
+        id: session.id,
+        startTime: session.startTime,
+        completed: session.completed,
+        completedAt: session.completedAt || null,
+        decisionCount: session.decisions.length,
+        summary: session.summary || null
+    };
+}
+
+// =============================================================================
+// ACCOUNT MANAGEMENT
+// =============================================================================
+
+/**
+ * Drops everything cached in memory for an owner. Called on account deletion.
+ *
+ * @param {string} ownerId - Owner whose cached data to drop
+ * @returns {number} Number of cache entries removed
+ */
+function purgeCachedData(ownerId) {
+    let removed = 0;
+    for (const [key, entry] of identityCache) {
+        if (entry.ownerId === ownerId) {
+            identityCache.delete(key);
+            removed++;
+        }
+    }
+    removed += mailboxScanner.purgeOwner(ownerId);
+    removed += mailboxSync.purgeOwner(ownerId);
+    removed += subscriptionCounter.purgeOwner(ownerId);
+    return removed;
+}
+
+// Permanently delete the caller's account: revokes their Google grant and
+// erases their user record, decisions, unsubscribe jobs and cached data.
+// Required by the App Store and our privacy policy. Returns a receipt.
+app.delete('/api/account', authenticateRequest, resolveOwner, async (req, res) => {
+    try {
+        const receipt = await deleteAccount({
+            ownerId: req.ownerId,
+            user: req.user || null,
+            authTokens: req.authTokens
+        }, { unsubscribeQueue, purgeCachedData });
+
+        console.log(`Account deleted: owner-type=${req.user ? 'user' : 'google'} decisions=${receipt.decisions} jobs=${receipt.pendingJobs}`);
+
+        // Web sessions end with the account
+        if (req.session) {
+            req.session.destroy();
+        }
+
+        res.json({
+            success: true,
+            message: 'Account deleted',
+            receipt
+        });
+    } catch (error) {
+        console.error('Error deleting account:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Logout endpoint — handles both web sessions and Apple user sessions
 app.post('/api/logout', async (req, res) => {
     // Check if this is an Apple user logging out (server session token)
@@ -770,14 +2080,12 @@ app.post('/api/logout', async (req, res) => {
 
         if (sessionPayload) {
             // Apple user — the session token will naturally expire.
-            // Optionally clear Gmail tokens from user record for clean logout.
+            // Disconnect their mailboxes too, for a clean logout.
             try {
-                await userStore.updateUser(sessionPayload.userId, {
-                    gmailTokens: null,
-                    gmailEmail: null
-                });
+                await userStore.updateUser(sessionPayload.userId, { mailboxes: [] });
+                purgeCachedData(`user:${sessionPayload.userId}`);
             } catch (err) {
-                console.error('Error clearing Gmail tokens on logout:', err);
+                console.error('Error clearing mailboxes on logout:', err);
             }
         }
     }
@@ -790,20 +2098,12 @@ app.post('/api/logout', async (req, res) => {
     res.json({ success: true });
 });
 
-// Get statistics endpoint
-app.get('/api/stats', async (req, res) => {
+// Get statistics endpoint — the caller's own decisions only, with a
+// success rate, failure count, per-method breakdown and day/week/month series
+app.get('/api/stats', authenticateRequest, resolveOwner, async (req, res) => {
     try {
-        const data = await fs.readFile(DATA_FILE, 'utf8');
-        const jsonData = JSON.parse(data);
-
-        const stats = {
-            totalSessions: jsonData.sessions.length,
-            completedSessions: jsonData.sessions.filter(s => s.completed).length,
-            totalDecisions: jsonData.sessions.reduce((acc, s) => acc + s.decisions.length, 0),
-            totalUnsubscribes: jsonData.sessions.reduce((acc, s) =>
-                acc + s.decisions.filter(d => d.decision === 'unsubscribe').length, 0
-            )
-        };
+        const sessions = await decisionStore.listSessions(req.ownerId);
+        const stats = computeStats(sessions);
 
         res.json({ success: true, stats });
     } catch (error) {
@@ -812,8 +2112,14 @@ app.get('/api/stats', async (req, res) => {
     }
 });
 
-// Start server — initialize both decisions and users data files
-Promise.all([initDataFile(), userStore.initUsersFile()]).then(() => {
+// Start server — initialize the decisions, users and unsubscribe job data files
+Promise.all([decisionStore.initDecisionsFile(), userStore.initUsersFile(), unsubscribeQueue.init()]).then(() => {
+    // Start the worker that runs unsubscribes once their undo window closes
+    // and retries the ones that failed transiently
+    unsubscribeQueue.start();
+    // And the one that checks whether unsubscribed senders stopped mailing
+    unsubscribeVerifier.start();
+
     // Bind to 0.0.0.0 so Railway's reverse proxy can reach the container
     app.listen(PORT, '0.0.0.0', () => {
         console.log(`Junkpile server running on port ${PORT}`);
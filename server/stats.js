@@ -0,0 +1,187 @@
+/**
+ * stats.js — Decision statistics for a single owner.
+ *
+ * Turns an owner's sessions (from decisionStore) into the numbers shown on
+ * the Stats screen: totals, unsubscribe success rate and failures,
+ * verification results (see unsubscribeVerifier.js), a
+ * breakdown by unsubscribe method, and day/week/month time series.
+ *
+ * All periods are computed in UTC. Series are continuous (periods with no
+ * activity are included with zero counts) and end at the current period.
+ */
+
+// Unsubscribe methods reported by UnsubscribeService.execute()
+const METHODS = ['rfc8058', 'http-header', 'http-body', 'mailto'];
+
+// How many periods each time series covers
+const SERIES_LENGTH = {
+    day: 30,
+    week: 12,
+    month: 12
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Formats a date as its UTC day key, e.g. "2026-03-14".
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Day key
+ */
+function dayKey(date) {
+    return date.toISOString().substring(0, 10);
+}
+
+/**
+ * Formats a date as its ISO-8601 week key, e.g. "2026-W11".
+ * Weeks start on Monday; week 1 is the week containing the first Thursday.
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Week key
+ */
+function weekKey(date) {
+    const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    // Move to the Thursday of this week — its year is the ISO week-year
+    const dayOfWeek = d.getUTCDay() || 7;
+    d.setUTCDate(d.getUTCDate() + 4 - dayOfWeek);
+    const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((d - yearStart) / DAY_MS + 1) / 7);
+    return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Formats a date as its UTC month key, e.g. "2026-03".
+ *
+ * @param {Date} date - Date to format
+ * @returns {string} Month key
+ */
+function monthKey(date) {
+    return date.toISOString().substring(0, 7);
+}
+
+/**
+ * Builds the ordered list of period keys for a series ending at `now`.
+ *
+ * @param {string} granularity - "day", "week" or "month"
+ * @param {Date} now - End of the series
+ * @returns {string[]} Period keys, oldest first
+ */
+function periodKeys(granularity, now) {
+    const keys = [];
+    for (let i = SERIES_LENGTH[granularity] - 1; i >= 0; i--) {
+        if (granularity === 'day') {
+            keys.push(dayKey(new Date(now.getTime() - i * DAY_MS)));
+        } else if (granularity === 'week') {
+            keys.push(weekKey(new Date(now.getTime() - i * 7 * DAY_MS)));
+        } else {
+            keys.push(monthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1))));
+        }
+    }
+    return keys;
+}
+
+/**
+ * Classifies a decision for counting purposes. Unsubscribes the sender
+ * ignored (verification found them still sending) count as failures.
+ *
+ * @param {Object} decision - Decision record
+ * @returns {string} "keep", "pending", "success" or "failure"
+ */
+function classify(decision) {
+    if (decision.decision === 'keep') return 'keep';
+    if (decision.status === 'pending') return 'pending';
+    if (!decision.unsubscribeSuccess) return 'failure';
+    return verificationStatus(decision) === 'still-sending' ? 'failure' : 'success';
+}
+
+/**
+ * @param {Object} decision - Decision record
+ * @returns {string|null} Verification status, or null if never verified
+ */
+function verificationStatus(decision) {
+    return decision.verification ? decision.verification.status : null;
+}
+
+/**
+ * Computes statistics for one owner's sessions.
+ *
+ * @param {Array} sessions - The owner's session records
+ * @param {Date} [now] - Reference time for the series (defaults to now)
+ * @returns {Object} Stats:
+ *   - totalSessions, completedSessions, totalDecisions, totalUnsubscribes, totalKeeps
+ *   - successfulUnsubscribes, failedUnsubscribes, pendingUnsubscribes
+ *   - confirmedUnsubscribes, stillSendingUnsubscribes — verification results
+ *   - successRate: number|null — percent of settled unsubscribes that succeeded
+ *   - byMethod: { [method]: number } — successful unsubscribes per method
+ *   - timeSeries: { day|week|month: [{ period, decisions, unsubscribes, keeps, failures }] }
+ */
+function computeStats(sessions, now = new Date()) {
+    const counts = { keep: 0, pending: 0, success: 0, failure: 0 };
+    const verified = { confirmed: 0, 'still-sending': 0 };
+    const byMethod = Object.fromEntries(METHODS.map(method => [method, 0]));
+
+    // Empty, continuous buckets for each series
+    const timeSeries = {};
+    const bucketIndex = {};
+    for (const granularity of Object.keys(SERIES_LENGTH)) {
+        timeSeries[granularity] = periodKeys(granularity, now).map(period => ({
+            period,
+            decisions: 0,
+            unsubscribes: 0,
+            keeps: 0,
+            failures: 0
+        }));
+        bucketIndex[granularity] = new Map(timeSeries[granularity].map(b => [b.period, b]));
+    }
+    const keyFor = { day: dayKey, week: weekKey, month: monthKey };
+
+    let totalDecisions = 0;
+    for (const session of sessions) {
+        for (const decision of session.decisions) {
+            totalDecisions++;
+            const kind = classify(decision);
+            counts[kind]++;
+            if (verificationStatus(decision) in verified) {
+                verified[verificationStatus(decision)]++;
+            }
+
+            if (kind === 'success' && decision.unsubscribeMethod in byMethod) {
+                byMethod[decision.unsubscribeMethod]++;
+            }
+
+            const timestamp = new Date(decision.timestamp);
+            if (isNaN(timestamp)) continue;
+
+            for (const granularity of Object.keys(keyFor)) {
+                const bucket = bucketIndex[granularity].get(keyFor[granularity](timestamp));
+                if (!bucket) continue; // Outside the series window
+                bucket.decisions++;
+                if (kind === 'keep') bucket.keeps++;
+                else bucket.unsubscribes++;
+                if (kind === 'failure') bucket.failures++;
+            }
+        }
+    }
+
+    const settled = counts.success + counts.failure;
+
+    return {
+        totalSessions: sessions.length,
+        completedSessions: sessions.filter(s => s.completed).length,
+        totalDecisions,
+        totalUnsubscribes: totalDecisions - counts.keep,
+        totalKeeps: counts.keep,
+        successfulUnsubscribes: counts.success,
+        failedUnsubscribes: counts.failure,
+        pendingUnsubscribes: counts.pending,
+        confirmedUnsubscribes: verified.confirmed,
+        stillSendingUnsubscribes: verified['still-sending'],
+        successRate: settled > 0
+            ? Math.round((counts.success / settled) * 1000) / 10
+            : null,
+        byMethod,
+        timeSeries
+    };
+}
+
+module.exports = { computeStats, weekKey };
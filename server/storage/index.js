@@ -0,0 +1,129 @@
+/**
+ * storage/index.js — Pluggable storage backend for users and decisions.
+ *
+ * userStore and decisionStore keep their business logic and talk to one of
+ * two adapters through the same interface:
+ *
+ *   json    — data/users.json and data/decisions.json (the original format)
+ *   sqlite  — an embedded SQLite database (data/junkpile.db by default)
+ *
+ * The backend is chosen with STORAGE_BACKEND (defaults to "json"). The
+ * SQLite file location can be overridden with SQLITE_PATH. When a new
+ * SQLite database is created and the JSON files exist, their contents are
+ * imported once, so switching backends keeps existing accounts.
+ *
+ * Interface. Each adapter exposes two collections, `users` and `sessions`.
+ * All access goes through `collection.transaction(fn)`: fn receives a
+ * transaction object with the synchronous methods below, runs atomically
+ * with respect to every other transaction on that collection, and its
+ * return value resolves the returned promise. If fn throws, nothing it
+ * wrote is kept. Records handed to fn are copies — write changes back with
+ * put()/putDecision().
+ *
+ *   users:
+ *     find(field, value)           → user | null   (field: id, appleUserId, email)
+ *     all()                        → user[]
+ *     put(user)                    → inserts or replaces by user.id
+ *     remove(id)                   → boolean
+ *
+ *   sessions:
+ *     all(ownerId?)                → session[] (each with its decisions)
+ *     get(sessionId)               → session | null
+ *     put(session)                 → inserts or updates the session's own
+ *                                    fields; its decisions are left alone
+ *     putDecision(sessionId, decision) → inserts or replaces by decision.id
+ *     findDecision(decisionId)     → { decision, session } | null
+ *     removeDecision(decisionId)   → boolean
+ *     removeOwner(ownerId)         → { sessions, decisions } removed
+ *
+ * Adapters also expose purgeBackups(), which removes copies of deleted
+ * records kept outside the live data (JSON backup files, SQLite free pages
+ * and WAL) after an account is erased.
+ */
+
+const path = require('path');
+const JsonStorage = require('./jsonStorage');
+
+// Data directory — shared with the unsubscribe job file (gitignored)
+const DATA_DIR = path.join(__dirname, '../../data');
+
+let storage = null;
+let initPromise = null;
+
+/**
+ * Creates a storage adapter.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.backend] - "json" or "sqlite" (default: STORAGE_BACKEND or "json")
+ * @param {string} [options.dataDir] - Directory for the JSON files
+ * @param {string} [options.sqlitePath] - SQLite database file, or ":memory:"
+ * @returns {JsonStorage|SqliteStorage} Adapter (call init() before use)
+ * @throws {Error} If the backend is unknown
+ */
+function createStorage(options = {}) {
+    const backend = options.backend || process.env.STORAGE_BACKEND || 'json';
+    const dataDir = options.dataDir || DATA_DIR;
+    const json = new JsonStorage({
+        usersFile: path.join(dataDir, 'users.json'),
+        decisionsFile: path.join(dataDir, 'decisions.json')
+    });
+
+    if (backend === 'json') {
+        return json;
+    }
+
+    if (backend === 'sqlite') {
+        // Required lazily so JSON deployments don't need the native module
+        // (better-sqlite3 is an optional dependency)
+        let SqliteStorage;
+        try {
+            SqliteStorage = require('./sqliteStorage');
+        } catch (error) {
+            if (error.code !== 'MODULE_NOT_FOUND') throw error;
+            throw new Error('STORAGE_BACKEND "sqlite" needs better-sqlite3 — install it with: npm install better-sqlite3');
+        }
+        return new SqliteStorage({
+            filePath: options.sqlitePath || process.env.SQLITE_PATH || path.join(dataDir, 'junkpile.db'),
+            importFrom: json
+        });
+    }
+
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "json" or "sqlite")`);
+}
+
+/**
+ * Returns the process-wide storage adapter, creating it on first use.
+ *
+ * @returns {JsonStorage|SqliteStorage} Adapter
+ */
+function getStorage() {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+}
+
+/**
+ * Initializes the process-wide adapter (creates files, runs migrations).
+ * Safe to call more than once; later calls share the first call's promise.
+ *
+ * @returns {Promise<void>}
+ */
+function initStorage() {
+    if (!initPromise) {
+        initPromise = getStorage().init();
+    }
+    return initPromise;
+}
+
+/**
+ * Removes leftover copies of deleted records from the process-wide
+ * adapter. See purgeBackups() above.
+ *
+ * @returns {Promise<number>} Number of backup files deleted
+ */
+function purgeBackups() {
+    return getStorage().purgeBackups();
+}
+
+module.exports = { createStorage, getStorage, initStorage, purgeBackups };
@@ -0,0 +1,196 @@
+/**
+ * jsonFile.js — Crash-safe persistence for the JSON data files.
+ *
+ * Shared by the JSON storage adapter (users.json, decisions.json) and the
+ * unsubscribe job file. It guarantees three things:
+ *
+ *   1. Serialized access — withLock() queues work per file, so a burst of
+ *      swipes can't interleave their read-modify-write cycles and drop a
+ *      decision.
+ *   2. Atomic writes — data is written and fsynced to a temp file in the
+ *      same directory, then renamed over the original. A crash leaves
+ *      either the old file or the new one, never half of each.
+ *   3. Rotating backups — before a write replaces the file, the previous
+ *      version is copied to <file>.bak.1 (older copies shift to .bak.2,
+ *      .bak.3). Rotation happens at most once per BACKUP_INTERVAL_MS so a
+ *      burst of writes doesn't churn through every backup. If the file
+ *      can't be parsed, readJson() falls back to the newest good backup.
+ *      clearBackups() deletes them, so erased data doesn't live on in an
+ *      older generation.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// How many backup generations to keep next to each file
+const BACKUP_COUNT = 3;
+
+// Minimum time between backup rotations of the same file
+const BACKUP_INTERVAL_MS = 60 * 1000;
+
+// Per-file queues of pending work, keyed by absolute path
+const locks = new Map();
+
+// When each file's backups were last rotated, keyed by absolute path
+const lastBackupAt = new Map();
+
+/**
+ * Runs fn once every earlier withLock() call on the same file has
+ * finished. Only coordinates work inside this process.
+ *
+ * @param {string} filePath - File to lock
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn's result
+ */
+function withLock(filePath, fn) {
+    const key = path.resolve(filePath);
+    const previous = locks.get(key) || Promise.resolve();
+    const result = previous.then(fn, fn);
+
+    // Keep the queue going whether or not this call fails, and drop it
+    // once nothing else is waiting
+    const tail = result.catch(() => {});
+    locks.set(key, tail);
+    tail.then(() => {
+        if (locks.get(key) === tail) locks.delete(key);
+    });
+
+    return result;
+}
+
+/**
+ * Path of a backup generation.
+ *
+ * @param {string} filePath - Data file
+ * @param {number} generation - 1 is the newest
+ * @returns {string} Backup path
+ */
+function backupPath(filePath, generation) {
+    return `${filePath}.bak.${generation}`;
+}
+
+/**
+ * Reads and parses a JSON file. If the file exists but can't be parsed,
+ * the newest backup that parses is returned instead.
+ *
+ * @param {string} filePath - File to read
+ * @returns {Promise<*>} Parsed contents
+ * @throws {Error} ENOENT if the file doesn't exist; the parse error if no
+ *   backup can be read either
+ */
+async function readJson(filePath) {
+    const data = await fs.readFile(filePath, 'utf8');
+    try {
+        return JSON.parse(data);
+    } catch (parseError) {
+        for (let generation = 1; generation <= BACKUP_COUNT; generation++) {
+            try {
+                const backup = JSON.parse(await fs.readFile(backupPath(filePath, generation), 'utf8'));
+                console.error(`jsonFile: ${filePath} is corrupt, recovered from backup ${generation}`);
+                return backup;
+            } catch {
+                // Missing or corrupt too — try the next generation
+            }
+        }
+        throw parseError;
+    }
+}
+
+/**
+ * Shifts the backups down one generation and copies the current file to
+ * generation 1. Skipped if the file was backed up recently.
+ *
+ * @param {string} filePath - Data file about to be replaced
+ */
+async function rotateBackups(filePath) {
+    const key = path.resolve(filePath);
+    const now = Date.now();
+    if (now - (lastBackupAt.get(key) || 0) < BACKUP_INTERVAL_MS) return;
+
+    try {
+        await fs.access(filePath);
+    } catch {
+        return; // Nothing to back up yet
+    }
+
+    for (let generation = BACKUP_COUNT - 1; generation >= 1; generation--) {
+        try {
+            await fs.rename(backupPath(filePath, generation), backupPath(filePath, generation + 1));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    await fs.copyFile(filePath, backupPath(filePath, 1));
+    lastBackupAt.set(key, now);
+}
+
+/**
+ * Deletes every backup generation of a file. The next write starts a
+ * fresh generation 1 from the current contents.
+ *
+ * @param {string} filePath - Data file
+ * @returns {Promise<number>} Number of backups deleted
+ */
+function clearBackups(filePath) {
+    return withLock(filePath, async () => {
+        let deleted = 0;
+        for (let generation = 1; generation <= BACKUP_COUNT; generation++) {
+            try {
+                await fs.unlink(backupPath(filePath, generation));
+                deleted++;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        lastBackupAt.delete(path.resolve(filePath));
+        return deleted;
+    });
+}
+
+/**
+ * Atomically replaces a JSON file: writes a temp file, fsyncs it and
+ * renames it over the original, after rotating backups. Call inside
+ * withLock() when the write depends on what was read.
+ *
+ * @param {string} filePath - File to write
+ * @param {*} data - Value to serialize
+ */
+async function writeJson(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    try {
+        await rotateBackups(filePath);
+        await fs.rename(tempPath, filePath);
+    } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Creates a JSON file (and its directory) with initial contents if it
+ * doesn't exist yet.
+ *
+ * @param {string} filePath - File to create
+ * @param {*} initialData - Contents for a new file
+ */
+async function ensureJson(filePath, initialData) {
+    // Ensure the data/ directory exists (gitignored, won't be in the repo)
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+        await fs.access(filePath);
+    } catch {
+        await withLock(filePath, () => writeJson(filePath, initialData));
+    }
+}
+
+module.exports = { withLock, readJson, writeJson, ensureJson, clearBackups };
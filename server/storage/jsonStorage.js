@@ -0,0 +1,226 @@
+/**
+ * jsonStorage.js — JSON file storage adapter.
+ *
+ * Keeps users in data/users.json ({ users: [...] }) and sessions, with
+ * their decisions nested inside, in data/decisions.json ({ sessions: [...] }),
+ * exactly as the server has always stored them. See storage/index.js for
+ * the transaction interface.
+ *
+ * Each transaction reads the file, runs against the parsed copy and writes
+ * the file back if anything changed. File access goes through jsonFile.js:
+ * transactions on the same file are queued one behind another, and writes
+ * are atomic with rotating backups.
+ */
+
+const jsonFile = require('./jsonFile');
+
+/**
+ * One JSON file holding a single top-level array, with queued transactions.
+ */
+class JsonCollection {
+    /**
+     * @param {string} filePath - JSON file location
+     * @param {string} key - Name of the top-level array ("users" or "sessions")
+     * @param {Function} createTransaction - (records, markDirty) => transaction object
+     */
+    constructor(filePath, key, createTransaction) {
+        this.filePath = filePath;
+        this.key = key;
+        this.createTransaction = createTransaction;
+    }
+
+    /**
+     * Creates the file with an empty array if it doesn't exist yet.
+     */
+    async init() {
+        await jsonFile.ensureJson(this.filePath, { [this.key]: [] });
+    }
+
+    /**
+     * Runs fn against the file's contents, after every earlier transaction
+     * on this file has finished.
+     *
+     * @param {Function} fn - (tx) => result; must be synchronous
+     * @returns {Promise<*>} fn's return value
+     */
+    transaction(fn) {
+        return jsonFile.withLock(this.filePath, async () => {
+            const records = (await jsonFile.readJson(this.filePath))[this.key] || [];
+
+            let dirty = false;
+            const result = fn(this.createTransaction(records, () => { dirty = true; }));
+
+            if (dirty) {
+                await jsonFile.writeJson(this.filePath, { [this.key]: records });
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Reads the file without queueing — used to import into another backend.
+     *
+     * @returns {Promise<Array|null>} Records, or null if the file doesn't exist
+     */
+    async readAll() {
+        try {
+            return (await jsonFile.readJson(this.filePath))[this.key] || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+}
+
+/**
+ * Builds the users transaction over the parsed users array.
+ *
+ * @param {Array} users - Parsed records (mutated in place)
+ * @param {Function} markDirty - Flags the file for writing
+ * @returns {Object} Users transaction
+ */
+function usersTransaction(users, markDirty) {
+    return {
+        find(field, value) {
+            const user = users.find(u => u[field] === value);
+            return user ? structuredClone(user) : null;
+        },
+
+        all() {
+            return structuredClone(users);
+        },
+
+        put(user) {
+            const index = users.findIndex(u => u.id === user.id);
+            if (index === -1) {
+                users.push(structuredClone(user));
+            } else {
+                users[index] = structuredClone(user);
+            }
+            markDirty();
+        },
+
+        remove(id) {
+            const index = users.findIndex(u => u.id === id);
+            if (index === -1) return false;
+            users.splice(index, 1);
+            markDirty();
+            return true;
+        }
+    };
+}
+
+/**
+ * Builds the sessions transaction over the parsed sessions array.
+ *
+ * @param {Array} sessions - Parsed records (mutated in place)
+ * @param {Function} markDirty - Flags the file for writing
+ * @returns {Object} Sessions transaction
+ */
+function sessionsTransaction(sessions, markDirty) {
+    const locate = (decisionId) => {
+        for (const session of sessions) {
+            const index = session.decisions.findIndex(d => d.id === decisionId);
+            if (index !== -1) return { session, index };
+        }
+        return null;
+    };
+
+    return {
+        all(ownerId) {
+            return structuredClone(ownerId ? sessions.filter(s => s.ownerId === ownerId) : sessions);
+        },
+
+        get(sessionId) {
+            const session = sessions.find(s => s.id === sessionId);
+            return session ? structuredClone(session) : null;
+        },
+
+        put(session) {
+            const index = sessions.findIndex(s => s.id === session.id);
+            if (index === -1) {
+                sessions.push({ ...structuredClone(session), decisions: [] });
+            } else {
+                sessions[index] = { ...structuredClone(session), decisions: sessions[index].decisions };
+            }
+            markDirty();
+        },
+
+        putDecision(sessionId, decision) {
+            const session = sessions.find(s => s.id === sessionId);
+            if (!session) {
+                throw new Error(`Session ${sessionId} not found`);
+            }
+            const index = session.decisions.findIndex(d => d.id === decision.id);
+            if (index === -1) {
+                session.decisions.push(structuredClone(decision));
+            } else {
+                session.decisions[index] = structuredClone(decision);
+            }
+            markDirty();
+        },
+
+        findDecision(decisionId) {
+            const found = locate(decisionId);
+            if (!found) return null;
+            const session = structuredClone(found.session);
+            return { decision: session.decisions[found.index], session };
+        },
+
+        removeDecision(decisionId) {
+            const found = locate(decisionId);
+            if (!found) return false;
+            found.session.decisions.splice(found.index, 1);
+            markDirty();
+            return true;
+        },
+
+        removeOwner(ownerId) {
+            const owned = sessions.filter(s => s.ownerId === ownerId);
+            if (owned.length > 0) {
+                const kept = sessions.filter(s => s.ownerId !== ownerId);
+                sessions.splice(0, sessions.length, ...kept);
+                markDirty();
+            }
+            return {
+                sessions: owned.length,
+                decisions: owned.reduce((acc, s) => acc + s.decisions.length, 0)
+            };
+        }
+    };
+}
+
+class JsonStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.usersFile - Path to users.json
+     * @param {string} options.decisionsFile - Path to decisions.json
+     */
+    constructor({ usersFile, decisionsFile }) {
+        this.backend = 'json';
+        this.users = new JsonCollection(usersFile, 'users', usersTransaction);
+        this.sessions = new JsonCollection(decisionsFile, 'sessions', sessionsTransaction);
+    }
+
+    /**
+     * Creates any missing data files.
+     */
+    async init() {
+        await Promise.all([this.users.init(), this.sessions.init()]);
+    }
+
+    /**
+     * Deletes the backup generations of both data files.
+     *
+     * @returns {Promise<number>} Number of backup files deleted
+     */
+    async purgeBackups() {
+        const counts = await Promise.all([
+            jsonFile.clearBackups(this.users.filePath),
+            jsonFile.clearBackups(this.sessions.filePath)
+        ]);
+        return counts[0] + counts[1];
+    }
+}
+
+module.exports = JsonStorage;
@@ -0,0 +1,338 @@
+/**
+ * sqliteStorage.js — Embedded SQLite storage adapter (better-sqlite3).
+ *
+ * Stores users, sessions and decisions in one database file. Each row keeps
+ * the full record as JSON in a `data` column, plus the columns lookups
+ * filter on (id, appleUserId, email, owner, session), which are indexed.
+ * See storage/index.js for the transaction interface.
+ *
+ * better-sqlite3 is synchronous, so a transaction runs start to finish
+ * inside one SQLite transaction without yielding to other requests; a
+ * throw rolls all of it back.
+ *
+ * Schema changes are numbered migrations tracked in PRAGMA user_version.
+ * Add new ones to the end of MIGRATIONS — never edit one that has shipped.
+ * A new database gets its migrations, the JSON import and the version bump
+ * in one transaction, so an import that fails halfway leaves version 0 and
+ * is tried again on the next start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema migrations, applied in order. Index + 1 is the schema version.
+const MIGRATIONS = [
+    // 1: users, sessions and decisions
+    `
+    CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        apple_user_id TEXT,
+        email TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX users_apple_user_id ON users (apple_user_id);
+    CREATE INDEX users_email ON users (email);
+
+    CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        owner_id TEXT,
+        completed INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX sessions_owner ON sessions (owner_id, completed);
+
+    CREATE TABLE decisions (
+        id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL REFERENCES sessions (id),
+        owner_id TEXT,
+        timestamp TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX decisions_session ON decisions (session_id);
+    CREATE INDEX decisions_owner ON decisions (owner_id, timestamp);
+    `
+];
+
+// User record fields that can be looked up, and their indexed columns
+const USER_LOOKUP_COLUMNS = {
+    id: 'id',
+    appleUserId: 'apple_user_id',
+    email: 'email'
+};
+
+/**
+ * A collection whose transactions run inside a SQLite transaction.
+ */
+class SqliteCollection {
+    /**
+     * @param {Database} db - Open database
+     * @param {Object} tx - Transaction object handed to every fn
+     */
+    constructor(db, tx) {
+        this.db = db;
+        this.tx = tx;
+    }
+
+    /**
+     * Runs fn inside a SQLite transaction.
+     *
+     * @param {Function} fn - (tx) => result; must be synchronous
+     * @returns {Promise<*>} fn's return value
+     */
+    async transaction(fn) {
+        return this.db.transaction(() => fn(this.tx))();
+    }
+}
+
+class SqliteStorage {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - Database file, or ":memory:"
+     * @param {Object} [options.importFrom] - JsonStorage to import from when
+     *   the database is created
+     */
+    constructor({ filePath, importFrom = null }) {
+        this.backend = 'sqlite';
+        this.filePath = filePath;
+        this.importFrom = importFrom;
+        this.db = null;
+        this.users = null;
+        this.sessions = null;
+    }
+
+    /**
+     * Opens the database, applies pending migrations and, for a brand new
+     * database, imports the existing JSON files.
+     */
+    async init() {
+        if (this.db) return;
+
+        if (this.filePath !== ':memory:') {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        }
+
+        // Read the JSON files up front; the import itself happens in the
+        // same transaction as the migrations
+        const legacy = this.importFrom
+            ? {
+                users: await this.importFrom.users.readAll(),
+                sessions: await this.importFrom.sessions.readAll()
+            }
+            : null;
+
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+
+        const fromVersion = this.db.pragma('user_version', { simple: true });
+        let users;
+        let sessions;
+        try {
+            this.db.transaction(() => {
+                for (let version = fromVersion; version < MIGRATIONS.length; version++) {
+                    this.db.exec(MIGRATIONS[version]);
+                }
+                users = this._usersTransaction();
+                sessions = this._sessionsTransaction();
+                if (fromVersion === 0 && legacy) {
+                    this._import(legacy, users, sessions);
+                }
+                // Only bumped once everything above has gone through
+                this.db.pragma(`user_version = ${MIGRATIONS.length}`);
+            })();
+        } catch (error) {
+            this.close();
+            throw error;
+        }
+
+        this.users = new SqliteCollection(this.db, users);
+        this.sessions = new SqliteCollection(this.db, sessions);
+    }
+
+    /**
+     * SQLite keeps no backup files, but deleted rows linger in free pages
+     * and the write-ahead log until they are overwritten. Checkpointing
+     * and vacuuming clears them out of both.
+     *
+     * @returns {Promise<number>} Always 0 — there are no backup files
+     */
+    async purgeBackups() {
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+        this.db.exec('VACUUM');
+        return 0;
+    }
+
+    /**
+     * Closes the database.
+     */
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Copies records from the JSON files into a fresh database. Runs inside
+     * init()'s migration transaction.
+     *
+     * @param {{ users: Array|null, sessions: Array|null }} legacy - Parsed JSON contents
+     * @param {Object} usersTx - Users transaction object
+     * @param {Object} sessionsTx - Sessions transaction object
+     */
+    _import(legacy, usersTx, sessionsTx) {
+        const users = legacy.users || [];
+        const sessions = legacy.sessions || [];
+        if (users.length === 0 && sessions.length === 0) return;
+
+        users.forEach(user => usersTx.put(user));
+        for (const session of sessions) {
+            sessionsTx.put(session);
+            for (const decision of session.decisions || []) {
+                sessionsTx.putDecision(session.id, decision);
+            }
+        }
+        console.log(`sqliteStorage: imported ${users.length} user(s) and ${sessions.length} session(s) from JSON`);
+    }
+
+    _usersTransaction() {
+        const db = this.db;
+        const findBy = Object.fromEntries(Object.entries(USER_LOOKUP_COLUMNS).map(([field, column]) => [
+            field,
+            db.prepare(`SELECT data FROM users WHERE ${column} = ? ORDER BY rowid LIMIT 1`)
+        ]));
+        const all = db.prepare('SELECT data FROM users ORDER BY rowid');
+        const upsert = db.prepare(`
+            INSERT INTO users (id, apple_user_id, email, data) VALUES (@id, @appleUserId, @email, @data)
+            ON CONFLICT (id) DO UPDATE SET
+                apple_user_id = excluded.apple_user_id, email = excluded.email, data = excluded.data
+        `);
+        const remove = db.prepare('DELETE FROM users WHERE id = ?');
+
+        return {
+            find(field, value) {
+                if (!findBy[field]) {
+                    throw new Error(`Users can't be looked up by "${field}"`);
+                }
+                const row = findBy[field].get(value);
+                return row ? JSON.parse(row.data) : null;
+            },
+
+            all() {
+                return all.all().map(row => JSON.parse(row.data));
+            },
+
+            put(user) {
+                upsert.run({
+                    id: user.id,
+                    appleUserId: user.appleUserId || null,
+                    email: user.email || null,
+                    data: JSON.stringify(user)
+                });
+            },
+
+            remove(id) {
+                return remove.run(id).changes > 0;
+            }
+        };
+    }
+
+    _sessionsTransaction() {
+        const db = this.db;
+        const allSessions = db.prepare('SELECT data FROM sessions ORDER BY rowid');
+        const ownerSessions = db.prepare('SELECT data FROM sessions WHERE owner_id = ? ORDER BY rowid');
+        const getSession = db.prepare('SELECT data FROM sessions WHERE id = ?');
+        const sessionOwner = db.prepare('SELECT owner_id FROM sessions WHERE id = ?');
+        const upsertSession = db.prepare(`
+            INSERT INTO sessions (id, owner_id, completed, data) VALUES (@id, @ownerId, @completed, @data)
+            ON CONFLICT (id) DO UPDATE SET
+                owner_id = excluded.owner_id, completed = excluded.completed, data = excluded.data
+        `);
+
+        const allDecisions = db.prepare('SELECT session_id, data FROM decisions ORDER BY rowid');
+        const ownerDecisions = db.prepare('SELECT session_id, data FROM decisions WHERE owner_id = ? ORDER BY rowid');
+        const sessionDecisions = db.prepare('SELECT session_id, data FROM decisions WHERE session_id = ? ORDER BY rowid');
+        const getDecision = db.prepare('SELECT session_id, data FROM decisions WHERE id = ?');
+        const upsertDecision = db.prepare(`
+            INSERT INTO decisions (id, session_id, owner_id, timestamp, data)
+            VALUES (@id, @sessionId, @ownerId, @timestamp, @data)
+            ON CONFLICT (id) DO UPDATE SET
+                session_id = excluded.session_id, owner_id = excluded.owner_id,
+                timestamp = excluded.timestamp, data = excluded.data
+        `);
+        const removeDecision = db.prepare('DELETE FROM decisions WHERE id = ?');
+        const removeOwnerDecisions = db.prepare(
+            'DELETE FROM decisions WHERE session_id IN (SELECT id FROM sessions WHERE owner_id = ?)'
+        );
+        const removeOwnerSessions = db.prepare('DELETE FROM sessions WHERE owner_id = ?');
+
+        // Attaches decision rows to their session records
+        const assemble = (sessionRows, decisionRows) => {
+            const sessions = sessionRows.map(row => ({ ...JSON.parse(row.data), decisions: [] }));
+            const byId = new Map(sessions.map(s => [s.id, s]));
+            for (const row of decisionRows) {
+                const session = byId.get(row.session_id);
+                if (session) session.decisions.push(JSON.parse(row.data));
+            }
+            return sessions;
+        };
+
+        const get = (sessionId) => {
+            const row = getSession.get(sessionId);
+            return row ? assemble([row], sessionDecisions.all(sessionId))[0] : null;
+        };
+
+        return {
+            all(ownerId) {
+                return ownerId
+                    ? assemble(ownerSessions.all(ownerId), ownerDecisions.all(ownerId))
+                    : assemble(allSessions.all(), allDecisions.all());
+            },
+
+            get,
+
+            put(session) {
+                const { decisions, ...fields } = session;
+                upsertSession.run({
+                    id: session.id,
+                    ownerId: session.ownerId || null,
+                    completed: session.completed ? 1 : 0,
+                    data: JSON.stringify(fields)
+                });
+            },
+
+            putDecision(sessionId, decision) {
+                const session = sessionOwner.get(sessionId);
+                if (!session) {
+                    throw new Error(`Session ${sessionId} not found`);
+                }
+                upsertDecision.run({
+                    id: decision.id,
+                    sessionId,
+                    ownerId: session.owner_id,
+                    timestamp: decision.timestamp || null,
+                    data: JSON.stringify(decision)
+                });
+            },
+
+            findDecision(decisionId) {
+                const row = getDecision.get(decisionId);
+                if (!row) return null;
+                const session = get(row.session_id);
+                return { decision: session.decisions.find(d => d.id === decisionId), session };
+            },
+
+            removeDecision(decisionId) {
+                return removeDecision.run(decisionId).changes > 0;
+            },
+
+            removeOwner(ownerId) {
+                const decisions = removeOwnerDecisions.run(ownerId).changes;
+                const sessions = removeOwnerSessions.run(ownerId).changes;
+                return { sessions, decisions };
+            }
+        };
+    }
+}
+
+module.exports = SqliteStorage;
@@ -0,0 +1,253 @@
+/**
+ * subscriptionCounter.js — Fast "you have N subscriptions" figure for onboarding.
+ *
+ * A full scan (mailboxScanner.js) fetches the headers of every message in
+ * the lookback window, page by page, and takes minutes on a busy mailbox.
+ * The counter answers within seconds instead:
+ *
+ *   1. List one page of messages matching the scan query and fetch only
+ *      their headers (format: 'metadata').
+ *   2. Count the distinct subscriptions in that sample (same grouping as
+ *      subscriptions.js) and extrapolate to Gmail's resultSizeEstimate using
+ *      the rate at which the second half of the sample still turned up new
+ *      subscriptions. If the sample is the whole result set, the count is exact.
+ *   3. Start a background refinement that walks every page, again metadata
+ *      only, and replaces the estimate with the exact figure when done.
+ *
+ * Counts are kept in memory per owner:
+ * {
+ *   ownerId: string,
+ *   count: number,
+ *   exact: boolean,
+ *   status: 'estimated' | 'refining' | 'exact',
+ *   updatedAt: string (ISO),
+ *   expiresAt: number              // ms timestamp
+ * }
+ *
+ * Every message the scan query matches is counted, so the figure can run
+ * slightly above the number of cards /api/emails returns (which also drops
+ * messages where no unsubscribe link could be extracted).
+ */
+
+const { subscriptionKey } = require('./subscriptions');
+const { inScope } = require('./mailboxes');
+
+// Defaults for the scan window and sample size
+const DEFAULT_LOOKBACK_DAYS = 365;
+const DEFAULT_SAMPLE_SIZE = 100;
+
+// How long a count is reused before it is computed again
+const COUNT_TTL_MS = 15 * 60 * 1000;
+
+// Messages per list call during refinement (Gmail allows up to 500)
+const REFINE_PAGE_SIZE = 500;
+
+// Refinement gives up on an exact figure past this many messages and
+// extrapolates from what it saw instead
+const MAX_REFINE_MESSAGES = 20000;
+
+class SubscriptionCounter {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.lookbackDays=365] - Search window in days
+     * @param {number} [options.sampleSize=100] - Messages sampled for the estimate
+     * @param {number} [options.ttlMs] - How long a count is reused
+     * @param {number} [options.maxRefineMessages] - Cap on messages refinement reads
+     */
+    constructor(options = {}) {
+        this.lookbackDays = options.lookbackDays || DEFAULT_LOOKBACK_DAYS;
+        this.sampleSize = options.sampleSize || DEFAULT_SAMPLE_SIZE;
+        this.ttlMs = options.ttlMs || COUNT_TTL_MS;
+        this.maxRefineMessages = options.maxRefineMessages || MAX_REFINE_MESSAGES;
+
+        // Map<ownerId, count entry>
+        this.counts = new Map();
+        // Map<ownerId, Promise> for refinements in progress
+        this.refinements = new Map();
+    }
+
+    /**
+     * Returns the owner's subscription count: the exact figure if one is
+     * known, otherwise a fresh estimate (starting a refinement for it).
+     *
+     * @param {Object} provider - Email provider bound to the owner's mailbox
+     * @param {string} ownerId - Whose mailbox to count
+     * @returns {Promise<{ count: number, exact: boolean, status: string, updatedAt: string }>}
+     */
+    async count(provider, ownerId) {
+        const cached = this.counts.get(ownerId);
+        if (cached && (this.refinements.has(ownerId) || cached.expiresAt > Date.now())) {
+            return publicView(cached);
+        }
+
+        const sample = await provider.listMessages({
+            lookbackDays: this.lookbackDays,
+            maxResults: this.sampleSize
+        });
+        const tally = newTally();
+        addMessages(tally, await provider.getEmailMetadataBatch(sample.ids));
+
+        if (!sample.nextPageToken) {
+            return publicView(this._store(ownerId, tally.keys.size, true));
+        }
+
+        const total = Math.max(sample.resultSizeEstimate, tally.messages);
+        const entry = this._store(ownerId, extrapolate(tally, total), false);
+        this._refine(provider, ownerId, sample.resultSizeEstimate);
+        return publicView(entry);
+    }
+
+    /**
+     * Drops an owner's counts (account deletion), or one mailbox's when
+     * given a mailbox scope (see mailboxes.js). A refinement in progress
+     * finishes but its result is discarded.
+     *
+     * @param {string} ownerId - Owner (or mailbox scope) whose counts to discard
+     * @returns {number} Number of entries removed
+     */
+    purgeOwner(ownerId) {
+        for (const key of [...this.refinements.keys()]) {
+            if (inScope(key, ownerId)) this.refinements.delete(key);
+        }
+        let removed = 0;
+        for (const key of [...this.counts.keys()]) {
+            if (inScope(key, ownerId)) {
+                this.counts.delete(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Starts counting every message in the background, unless a refinement
+     * for this owner is already running.
+     *
+     * @param {Object} provider - Email provider bound to the owner's mailbox
+     * @param {string} ownerId - Whose mailbox to count
+     * @param {number} resultSizeEstimate - Gmail's estimate, for the fallback
+     * @returns {Promise<void>} Settles when the refinement is done
+     * @private
+     */
+    _refine(provider, ownerId, resultSizeEstimate) {
+        if (this.refinements.has(ownerId)) return this.refinements.get(ownerId);
+
+        this.counts.get(ownerId).status = 'refining';
+
+        const refinement = (async () => {
+            const tally = newTally();
+            let pageToken = null;
+            do {
+                const page = await provider.listMessages({
+                    lookbackDays: this.lookbackDays,
+                    pageToken,
+                    maxResults: REFINE_PAGE_SIZE
+                });
+                addMessages(tally, await provider.getEmailMetadataBatch(page.ids));
+                pageToken = page.nextPageToken;
+            } while (pageToken && tally.messages < this.maxRefineMessages);
+
+            return pageToken
+                ? { count: extrapolate(tally, Math.max(resultSizeEstimate, tally.messages)), exact: false }
+                : { count: tally.keys.size, exact: true };
+        })()
+            .then(({ count, exact }) => {
+                if (this.refinements.get(ownerId) === refinement) {
+                    this._store(ownerId, count, exact);
+                }
+            })
+            .catch((error) => {
+                console.error('Error refining subscription count:', error.message);
+                const entry = this.counts.get(ownerId);
+                if (entry && this.refinements.get(ownerId) === refinement) {
+                    entry.status = 'estimated';
+                }
+            })
+            .finally(() => {
+                if (this.refinements.get(ownerId) === refinement) {
+                    this.refinements.delete(ownerId);
+                }
+            });
+
+        this.refinements.set(ownerId, refinement);
+        return refinement;
+    }
+
+    /**
+     * Records a count for an owner.
+     * @private
+     */
+    _store(ownerId, count, exact) {
+        const entry = {
+            ownerId,
+            count,
+            exact,
+            status: exact ? 'exact' : 'estimated',
+            updatedAt: new Date().toISOString(),
+            expiresAt: Date.now() + this.ttlMs
+        };
+        this.counts.set(ownerId, entry);
+        return entry;
+    }
+}
+
+/**
+ * Running count of messages and distinct subscriptions, remembering the
+ * position of each message that introduced a new subscription.
+ */
+function newTally() {
+    return { messages: 0, keys: new Set(), newAt: [] };
+}
+
+/**
+ * Folds metadata results into a tally. Failed fetches (null) are skipped.
+ *
+ * @param {Object} tally - From newTally()
+ * @param {Array<Object|null>} emails - From GmailService.getEmailMetadataBatch()
+ */
+function addMessages(tally, emails) {
+    for (const email of emails) {
+        if (!email) continue;
+        const key = subscriptionKey(email);
+        if (!tally.keys.has(key)) {
+            tally.keys.add(key);
+            tally.newAt.push(tally.messages);
+        }
+        tally.messages++;
+    }
+}
+
+/**
+ * Extrapolates a tally to the whole result set. The messages not yet seen
+ * are assumed to turn up new subscriptions at the rate the second half of
+ * the tally did; the first half is skipped because the biggest senders are
+ * discovered there and would inflate the rate.
+ *
+ * @param {Object} tally - From newTally()
+ * @param {number} total - Estimated number of matching messages
+ * @returns {number} Estimated distinct subscriptions
+ */
+function extrapolate(tally, total) {
+    if (tally.messages === 0) return 0;
+    const half = Math.floor(tally.messages / 2);
+    const rate = tally.newAt.filter(index => index >= half).length / (tally.messages - half);
+    const estimate = tally.keys.size + (total - tally.messages) * rate;
+    return Math.round(Math.min(estimate, total));
+}
+
+/**
+ * The fields of a count entry returned to clients.
+ *
+ * @param {Object} entry - Count entry
+ * @returns {{ count: number, exact: boolean, status: string, updatedAt: string }}
+ */
+function publicView(entry) {
+    return {
+        count: entry.count,
+        exact: entry.exact,
+        status: entry.status,
+        updatedAt: entry.updatedAt
+    };
+}
+
+module.exports = SubscriptionCounter;
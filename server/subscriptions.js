@@ -0,0 +1,202 @@
+/**
+ * subscriptions.js — Sender-level subscription aggregation.
+ *
+ * A swipe card represents a subscription, not a single email. Every
+ * message a scan turns up is folded into the Subscription it belongs to.
+ * Messages carrying a List-Id header (RFC 2919) are grouped by list
+ * ("list:deals.shop.example"), so a sender running several lists from one
+ * address gets a card per list and can drop one without losing the others.
+ * Everything else is grouped by sender address ("sender:news@example.com"),
+ * so two senders on the same domain stay separate too.
+ *
+ * Subscription shape:
+ * {
+ *   id: string,                    // Grouping key
+ *   listId: string | null,         // RFC 2919 list identifier, if grouped by list
+ *   listName: string | null,       // The list's display name from List-Id
+ *   senderAddress: string,         // Lower-cased From address
+ *   senderName: string,            // Cleaned display name
+ *   domain: string,
+ *   messageCount: number,
+ *   unreadCount: number,
+ *   firstSeen: string (ISO) | null,  // null until a dated message is seen
+ *   lastSeen: string (ISO) | null,
+ *   representative: Object,        // Email whose unsubscribe data is best;
+ *                                  // the card shows (and a swipe acts on) it
+ *   unsubscribeScore: number       // Rank of the representative's unsubscribe data
+ * }
+ *
+ * The card handed to clients is the representative email (so existing
+ * clients keep working) plus a `subscription` summary with the counts,
+ * unread ratio and estimated sending frequency.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Sending frequency labels, by minimum messages per week
+const FREQUENCY_LABELS = [
+    { label: 'daily', minPerWeek: 5 },
+    { label: 'weekly', minPerWeek: 0.8 },
+    { label: 'monthly', minPerWeek: 0.2 },
+    { label: 'occasional', minPerWeek: 0 }
+];
+
+/**
+ * Extracts the email address from a From header, lower-cased.
+ * Example: '"News" <News@Example.com>' → 'news@example.com'
+ *
+ * @param {string} from - Raw From header value
+ * @returns {string} Address, or the trimmed header if none is found
+ */
+function senderAddress(from) {
+    const angle = (from || '').match(/<([^>]+@[^>]+)>/);
+    const bare = (from || '').match(/[\w.+-]+@[\w.-]+/);
+    const address = angle ? angle[1] : (bare ? bare[0] : (from || ''));
+    return address.trim().toLowerCase();
+}
+
+/**
+ * Grouping key for an email: its List-Id when it has one, otherwise its
+ * sender address.
+ *
+ * @param {Object} email - Email from GmailService.getEmailDetails()
+ * @returns {string} Subscription ID
+ */
+function subscriptionKey(email) {
+    if (email.listId) {
+        return `list:${email.listId}`;
+    }
+    return `sender:${senderAddress(email.rawHeaders.from)}`;
+}
+
+/**
+ * Ranks unsubscribe data by how reliably the server can act on it:
+ * RFC 8058 one-click > HTTP header URL > mailto > body link > nothing.
+ *
+ * @param {Object|null} data - unsubscribeData from extractUnsubscribeData()
+ * @returns {number} Score, higher is better
+ */
+function unsubscribeScore(data) {
+    if (!data) return 0;
+    const httpUrls = data.httpUrls || [];
+    if (data.hasListUnsubscribePost && httpUrls.some(url => /^https:/i.test(url))) return 4;
+    if (httpUrls.length > 0) return 3;
+    if (data.mailtoUrl) return 2;
+    if (data.bodyUrl) return 1;
+    return 0;
+}
+
+/**
+ * Folds one email into its subscription, creating the subscription if this
+ * is the first message seen from it.
+ *
+ * The representative email is the one with the best unsubscribe data; on
+ * a tie the most recent message wins, so cards show fresh content.
+ *
+ * @param {Map<string, Object>} subscriptions - Subscriptions by ID (updated in place)
+ * @param {Object} email - Email from GmailService.getEmailDetails()
+ * @returns {{ subscription: Object, created: boolean }} The subscription, and
+ *   whether this email created it
+ */
+function addEmail(subscriptions, email) {
+    const id = subscriptionKey(email);
+    const seenAt = email.date || null;
+    const score = unsubscribeScore(email.unsubscribeData);
+
+    let subscription = subscriptions.get(id);
+    const created = !subscription;
+
+    if (created) {
+        subscription = {
+            id,
+            listId: email.listId || null,
+            listName: email.listName || null,
+            senderAddress: senderAddress(email.rawHeaders.from),
+            senderName: email.sender,
+            domain: senderAddress(email.rawHeaders.from).split('@')[1] || '',
+            messageCount: 0,
+            unreadCount: 0,
+            firstSeen: seenAt,
+            lastSeen: seenAt,
+            representative: email,
+            unsubscribeScore: score
+        };
+        subscriptions.set(id, subscription);
+    }
+
+    subscription.messageCount++;
+    if (email.unread) subscription.unreadCount++;
+    if (seenAt && (!subscription.firstSeen || seenAt < subscription.firstSeen)) {
+        subscription.firstSeen = seenAt;
+    }
+    if (seenAt && (!subscription.lastSeen || seenAt > subscription.lastSeen)) {
+        subscription.lastSeen = seenAt;
+        subscription.senderName = email.sender;
+        subscription.listName = email.listName || subscription.listName;
+    }
+
+    const current = subscription.representative;
+    if (!created && (score > subscription.unsubscribeScore
+        || (score === subscription.unsubscribeScore && seenAt && seenAt > (current.date || '')))) {
+        subscription.representative = email;
+        subscription.unsubscribeScore = score;
+    }
+
+    return { subscription, created };
+}
+
+/**
+ * Estimates how often a subscription sends, from the messages seen so far.
+ *
+ * @param {Object} subscription - Subscription record
+ * @returns {{ perWeek: number, label: string }|null} Messages per week and a
+ *   label, or null with fewer than two messages to go on
+ */
+function estimateFrequency(subscription) {
+    if (subscription.messageCount < 2 || !subscription.firstSeen) return null;
+
+    // Spread of n messages covers n - 1 intervals; never divide by less than a day
+    const span = Math.max(Date.parse(subscription.lastSeen) - Date.parse(subscription.firstSeen), DAY_MS);
+    const perWeek = ((subscription.messageCount - 1) / span) * WEEK_MS;
+    const { label } = FREQUENCY_LABELS.find(f => perWeek >= f.minPerWeek);
+
+    return { perWeek: Math.round(perWeek * 10) / 10, label };
+}
+
+/**
+ * Builds the card for a subscription: its representative email plus a
+ * summary of the subscription.
+ *
+ * @param {Object} subscription - Subscription record
+ * @returns {Object} Card (an email object with a `subscription` field)
+ */
+function toCard(subscription) {
+    return {
+        ...subscription.representative,
+        listName: subscription.listName,
+        subscription: {
+            id: subscription.id,
+            listId: subscription.listId,
+            listName: subscription.listName,
+            senderAddress: subscription.senderAddress,
+            senderName: subscription.senderName,
+            domain: subscription.domain,
+            messageCount: subscription.messageCount,
+            unreadCount: subscription.unreadCount,
+            unreadRatio: Math.round((subscription.unreadCount / subscription.messageCount) * 100) / 100,
+            firstSeen: subscription.firstSeen,
+            lastSeen: subscription.lastSeen,
+            frequency: estimateFrequency(subscription)
+        }
+    };
+}
+
+module.exports = {
+    senderAddress,
+    subscriptionKey,
+    unsubscribeScore,
+    addEmail,
+    estimateFrequency,
+    toCard
+};
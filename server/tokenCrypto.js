@@ -0,0 +1,227 @@
+/**
+ * tokenCrypto.js — Envelope encryption for OAuth tokens stored at rest.
+ *
+ * Each sealed token object gets its own random data key (DEK). The token
+ * fields are encrypted with the DEK using AES-256-GCM, and the DEK itself
+ * is encrypted ("wrapped") with a key-encryption key (KEK) taken from the
+ * environment. A copied data/ directory is useless without the KEK.
+ *
+ * Keys are configured in TOKEN_ENCRYPTION_KEYS as a comma-separated list of
+ * "keyId:base64key" pairs (32-byte keys). The first entry is the active key
+ * used for new writes; the rest are only used to decrypt records sealed
+ * before a rotation. To rotate, put the new key first and keep the old one
+ * listed until userStore has re-encrypted every record at startup.
+ *
+ * Sealed shape (non-secret fields such as expiry_date stay readable):
+ * {
+ *   expiry_date: number,
+ *   sealed: {
+ *     v: 1,
+ *     kid: string,           // Which KEK wrapped the data key
+ *     dek: string,           // Wrapped data key: base64(iv | tag | ciphertext)
+ *     data: string           // Encrypted secret fields: base64(iv | tag | ciphertext)
+ *   }
+ * }
+ *
+ * The TOKEN_ENCRYPTION_KEYS environment variable MUST be set in production.
+ */
+
+const crypto = require('crypto');
+
+// Token fields that are encrypted; everything else is stored as-is
+const SECRET_FIELDS = ['access_token', 'refresh_token', 'id_token', 'password'];
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const KEY_BYTES = 32;
+const FORMAT_VERSION = 1;
+
+// Development-only key — MUST be overridden in production.
+const DEV_KEY_ID = 'dev';
+const DEV_KEY = crypto.createHash('sha256').update('junkpile-dev-token-key').digest();
+
+let cachedKeyring = null;
+let cachedKeySpec = null;
+
+/**
+ * Parses TOKEN_ENCRYPTION_KEYS into a keyring. Re-parsed whenever the
+ * variable changes so tests and rotations pick up new values.
+ *
+ * @returns {{ activeId: string, keys: Map<string, Buffer> }} Keyring
+ * @throws {Error} If the variable is malformed, or missing in production
+ */
+function getKeyring() {
+    const spec = process.env.TOKEN_ENCRYPTION_KEYS || '';
+    if (cachedKeyring && spec === cachedKeySpec) {
+        return cachedKeyring;
+    }
+
+    const keys = new Map();
+    let activeId = null;
+
+    for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+            throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like "keyId:base64key"');
+        }
+        const id = entry.substring(0, separator);
+        const key = Buffer.from(entry.substring(separator + 1), 'base64');
+        if (key.length !== KEY_BYTES) {
+            throw new Error(`Token encryption key "${id}" must be ${KEY_BYTES} bytes (base64-encoded)`);
+        }
+        keys.set(id, key);
+        activeId = activeId || id;
+    }
+
+    if (!activeId) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('TOKEN_ENCRYPTION_KEYS must be set in production');
+        }
+        keys.set(DEV_KEY_ID, DEV_KEY);
+        activeId = DEV_KEY_ID;
+    }
+
+    cachedKeyring = { activeId, keys };
+    cachedKeySpec = spec;
+    return cachedKeyring;
+}
+
+/**
+ * Encrypts a buffer with AES-256-GCM.
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {Buffer} plaintext - Data to encrypt
+ * @param {string} aad - Additional authenticated data (binds ciphertext to its context)
+ * @returns {string} base64(iv | tag | ciphertext)
+ */
+function encrypt(key, plaintext, aad) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+/**
+ * Decrypts the output of encrypt().
+ *
+ * @param {Buffer} key - 32-byte key
+ * @param {string} encoded - base64(iv | tag | ciphertext)
+ * @param {string} aad - The AAD used when encrypting
+ * @returns {Buffer} Plaintext
+ * @throws {Error} If the key, AAD or data don't match
+ */
+function decrypt(key, encoded, aad) {
+    const raw = Buffer.from(encoded, 'base64');
+    const iv = raw.subarray(0, IV_BYTES);
+    const tag = raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES);
+    const ciphertext = raw.subarray(IV_BYTES + TAG_BYTES);
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Checks whether a token object is sealed.
+ *
+ * @param {Object|null} tokens - Stored token object
+ * @returns {boolean} True if it carries a sealed envelope
+ */
+function isSealed(tokens) {
+    return !!(tokens && tokens.sealed && tokens.sealed.v === FORMAT_VERSION);
+}
+
+/**
+ * Checks whether a stored token object should be (re-)sealed: it is still
+ * plaintext, or it was sealed with a key that is no longer active.
+ *
+ * @param {Object|null} tokens - Stored token object
+ * @returns {boolean} True if sealTokens() should be applied again
+ */
+function needsReseal(tokens) {
+    if (!tokens) return false;
+    if (!isSealed(tokens)) {
+        return SECRET_FIELDS.some(field => tokens[field]);
+    }
+    return tokens.sealed.kid !== getKeyring().activeId;
+}
+
+/**
+ * Seals the secret fields of a token object with the active key.
+ * Already-sealed objects are opened first, so this also re-seals records
+ * written under an older key.
+ *
+ * @param {Object|null} tokens - Plaintext (or sealed) token object
+ * @param {string} context - Record context, e.g. the user ID; a sealed blob
+ *   only opens under the same context, so blobs can't be swapped between users
+ * @returns {Object|null} Sealed token object
+ */
+function sealTokens(tokens, context) {
+    if (!tokens) return tokens;
+
+    const plain = isSealed(tokens) ? openTokens(tokens, context) : tokens;
+
+    const secrets = {};
+    const rest = {};
+    for (const [field, value] of Object.entries(plain)) {
+        if (SECRET_FIELDS.includes(field)) {
+            secrets[field] = value;
+        } else {
+            rest[field] = value;
+        }
+    }
+
+    const { activeId, keys } = getKeyring();
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+
+    return {
+        ...rest,
+        sealed: {
+            v: FORMAT_VERSION,
+            kid: activeId,
+            dek: encrypt(keys.get(activeId), dataKey, `dek:${context}`),
+            data: encrypt(dataKey, Buffer.from(JSON.stringify(secrets)), `data:${context}`)
+        }
+    };
+}
+
+/**
+ * Opens a sealed token object. Plaintext objects (records written before
+ * encryption existed) are returned unchanged, so migration is transparent.
+ *
+ * @param {Object|null} tokens - Stored token object
+ * @param {string} context - Same context passed to sealTokens()
+ * @returns {Object|null} Plaintext token object
+ * @throws {Error} If the sealing key is unknown or the data was tampered with
+ */
+function openTokens(tokens, context) {
+    if (!isSealed(tokens)) return tokens;
+
+    const { kid, dek, data } = tokens.sealed;
+    const kek = getKeyring().keys.get(kid);
+    if (!kek) {
+        throw new Error(`Token encryption key "${kid}" is not configured`);
+    }
+
+    const dataKey = decrypt(kek, dek, `dek:${context}`);
+    const secrets = JSON.parse(decrypt(dataKey, data, `data:${context}`).toString('utf8'));
+
+    const { sealed, ...rest } = tokens;
+    return { ...rest, ...secrets };
+}
+
+/**
+ * Parses TOKEN_ENCRYPTION_KEYS up front, so a malformed or missing key
+ * stops the server at startup instead of failing the first token write.
+ *
+ * @returns {string} ID of the active key
+ * @throws {Error} If the keys are malformed, or missing in production
+ */
+function checkKeyring() {
+    return getKeyring().activeId;
+}
+
+module.exports = { sealTokens, openTokens, needsReseal, isSealed, checkKeyring };
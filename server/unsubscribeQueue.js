@@ -0,0 +1,504 @@
+/**
+ * unsubscribeQueue.js — Persistent unsubscribe job worker with retries.
+ *
+ * A left swipe no longer fires the unsubscribe request inline. Instead the
+ * decision is saved as a pending job that only runs once its grace period
+ * has passed. Until then the job can be cancelled, which is what lets the
+ * iOS Undo button take back a mistaken swipe before anything leaves the server.
+ *
+ * Jobs that fail transiently (timeouts, network errors, 429/5xx) are retried
+ * with exponential backoff, never sooner than the endpoint's Retry-After.
+ * Backoff is tracked per sender domain, so one
+ * flaky ESP endpoint delays every job aimed at it instead of being hammered
+ * by each of them in turn. Errors thrown by runJob itself (missing
+ * credentials, a provider that can't be built) say nothing about the
+ * endpoint, so they back off only the job that hit them. A domain's backoff
+ * is forgotten once it has passed and no jobs for the domain are left.
+ * After maxAttempts a job is moved to the dead-letter
+ * list for good. All state is written atomically to data/unsubscribe_jobs.json
+ * so pending and retrying jobs survive a server restart.
+ *
+ * Job shape:
+ * {
+ *   id: string (UUID),             // Same ID as the decision record it belongs to
+ *   ownerId: string,               // Who may cancel the job
+ *   userId: string | null,         // Server user ID (Apple users) for token lookup
+ *   mailboxId: string | null,      // Which of the user's mailboxes (default if null)
+ *   messageId: string,             // Message ID in that mailbox
+ *   unsubscribeData: object,       // From GmailService.extractUnsubscribeData()
+ *   senderAddress: string | null,  // Sender whose mail cleanup applies to
+ *   domain: string,                // Unsubscribe endpoint's domain (backoff key)
+ *   status: "pending" | "running" | "completed" | "failed" | "dead" | "cancelled",
+ *   attempts: [{ at: string (ISO), success: boolean, method: string|null,
+ *                error: string|null, retryable: boolean }],
+ *   createdAt: string (ISO),
+ *   runAt: number (ms timestamp)   // Earliest time the worker may execute it
+ * }
+ *
+ * Persisted file shape:
+ * {
+ *   jobs: Job[],                   // Pending and retrying jobs
+ *   deadLetters: Job[],            // Jobs that exhausted their attempts
+ *   domainBackoff: { [domain]: { failures: number, nextAttemptAt: number } }
+ * }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const jsonFile = require('./storage/jsonFile');
+
+// Default grace period before a pending unsubscribe is executed (1 minute)
+const DEFAULT_GRACE_PERIOD_MS = 60000;
+
+// How often the worker checks for jobs whose grace period has passed
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+// Attempts per job before it is dead-lettered
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// First retry delay; doubles with each consecutive failure for the domain
+const DEFAULT_BASE_BACKOFF_MS = 60000;
+
+// Upper bound on a single backoff delay (6 hours)
+const DEFAULT_MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+// Dead-lettered jobs kept on disk; oldest are dropped beyond this
+const MAX_DEAD_LETTERS = 500;
+
+class UnsubscribeQueue {
+
+    /**
+     * @param {object} options
+     * @param {Function} options.runJob - async (job, authTokens) => result; performs the unsubscribe.
+     *   The result's unsubscribeResult ({ success, method, error, retryable, retryAfterMs }) drives retries.
+     * @param {Function} [options.onSettled] - async (job, result|null, error|null) => void;
+     *   called once a job reaches a final state (completed, failed or dead)
+     * @param {string} [options.filePath] - Where to persist job state; in-memory only if omitted
+     * @param {number} [options.gracePeriodMs] - Delay before a job becomes runnable
+     * @param {number} [options.pollIntervalMs] - Worker polling interval
+     * @param {number} [options.maxAttempts] - Attempts before a job is dead-lettered
+     * @param {number} [options.baseBackoffMs] - First retry delay for a failing domain
+     * @param {number} [options.maxBackoffMs] - Cap on the retry delay
+     */
+    constructor(options) {
+        this.runJob = options.runJob;
+        this.onSettled = options.onSettled || (async () => {});
+        this.filePath = options.filePath || null;
+        this.gracePeriodMs = options.gracePeriodMs ?? DEFAULT_GRACE_PERIOD_MS;
+        this.pollIntervalMs = options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+        this.maxAttempts = options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+        this.baseBackoffMs = options.baseBackoffMs ?? DEFAULT_BASE_BACKOFF_MS;
+        this.maxBackoffMs = options.maxBackoffMs ?? DEFAULT_MAX_BACKOFF_MS;
+
+        this.jobs = new Map();
+        this.deadLetters = [];
+        this.domainBackoff = {};
+        // Auth tokens are held in memory only, keyed by job ID, and dropped
+        // as soon as the job settles or is cancelled. They are never persisted,
+        // so jobs resumed after a restart run without them.
+        this.credentials = new Map();
+        this.timer = null;
+        this.ticking = false;
+        this.saving = Promise.resolve();
+    }
+
+    /**
+     * Loads persisted job state. Jobs that were mid-run when the server
+     * stopped are put back to pending, minus their mailto fallback: the
+     * unsubscribe email may already have gone out, and a second one would
+     * be sent rather than ignored. Hitting an HTTP unsubscribe endpoint
+     * twice is harmless. Called once at server startup.
+     */
+    async init() {
+        if (!this.filePath) return;
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        let state;
+        try {
+            state = await jsonFile.readJson(this.filePath);
+        } catch {
+            // No state yet — start empty and create the file
+            await this._persist();
+            return;
+        }
+
+        for (const job of state.jobs || []) {
+            if (job.status === 'running') {
+                job.status = 'pending';
+                if (job.unsubscribeData && job.unsubscribeData.mailtoUrl) {
+                    job.unsubscribeData = { ...job.unsubscribeData, mailtoUrl: null };
+                }
+            }
+            this.jobs.set(job.id, job);
+        }
+        this.deadLetters = state.deadLetters || [];
+        this.domainBackoff = state.domainBackoff || {};
+    }
+
+    /**
+     * Adds a pending unsubscribe job. It becomes runnable after the grace period.
+     * A job retried under the ID of a dead-lettered one takes its place: the
+     * dead letter is dropped so the job isn't reported as both failed and pending.
+     *
+     * @param {object} jobData
+     * @param {string} [jobData.id] - Job ID (defaults to a new UUID)
+     * @param {string} jobData.ownerId - Identity allowed to cancel the job
+     * @param {string|null} [jobData.userId] - Server user ID, if any
+     * @param {string|null} [jobData.mailboxId] - The user's mailbox the message is in
+     * @param {string} jobData.messageId - Gmail message ID
+     * @param {object} jobData.unsubscribeData - Structured unsubscribe data
+     * @param {string|null} [jobData.senderAddress] - Sender's address, for cleanup
+     * @param {object|null} [authTokens] - Gmail tokens to use when the job runs
+     * @returns {object} The queued job
+     */
+    enqueue(jobData, authTokens = null) {
+        const job = {
+            id: jobData.id || crypto.randomUUID(),
+            ownerId: jobData.ownerId,
+            userId: jobData.userId || null,
+            mailboxId: jobData.mailboxId || null,
+            messageId: jobData.messageId,
+            unsubscribeData: jobData.unsubscribeData,
+            senderAddress: jobData.senderAddress || null,
+            domain: this._jobDomain(jobData.unsubscribeData),
+            status: 'pending',
+            attempts: [],
+            createdAt: new Date().toISOString(),
+            runAt: Date.now() + this.gracePeriodMs
+        };
+
+        this.jobs.set(job.id, job);
+        this.deadLetters = this.deadLetters.filter(dead => dead.id !== job.id);
+        if (authTokens) {
+            this.credentials.set(job.id, authTokens);
+        }
+        this._schedulePersist();
+        return job;
+    }
+
+    /**
+     * Looks up a queued job by ID.
+     *
+     * @param {string} jobId - Job ID
+     * @returns {object|null} The job, or null if unknown
+     */
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    /**
+     * Lists dead-lettered jobs, optionally for a single owner.
+     *
+     * @param {string} [ownerId] - Restrict to this owner's jobs
+     * @returns {Array} Jobs that gave up for good, oldest first
+     */
+    getDeadLetters(ownerId) {
+        return ownerId
+            ? this.deadLetters.filter(job => job.ownerId === ownerId)
+            : [...this.deadLetters];
+    }
+
+    /**
+     * Cancels a pending job. Only the job's owner may cancel it, and only
+     * while it is still inside its grace period (before its first attempt).
+     *
+     * @param {string} jobId - Job ID
+     * @param {string} ownerId - Identity of the caller
+     * @returns {{ cancelled: boolean, reason?: string }} Outcome; reason is
+     *   "not-found" or "already-started" when nothing was cancelled
+     */
+    cancel(jobId, ownerId) {
+        const job = this.jobs.get(jobId);
+        if (!job || job.ownerId !== ownerId) {
+            return { cancelled: false, reason: 'not-found' };
+        }
+
+        if (job.status !== 'pending' || job.attempts.length > 0) {
+            return { cancelled: false, reason: 'already-started' };
+        }
+
+        job.status = 'cancelled';
+        this.jobs.delete(jobId);
+        this.credentials.delete(jobId);
+        this._schedulePersist();
+        return { cancelled: true };
+    }
+
+    /**
+     * Removes every queued and dead-lettered job belonging to an owner,
+     * along with any credentials held for them. Used for account deletion,
+     * so the job file's backups are deleted too.
+     *
+     * @param {string} ownerId - Owner whose jobs to purge
+     * @returns {Promise<{ jobs: number, deadLetters: number, backups: number }>} How many were removed
+     */
+    async purgeOwner(ownerId) {
+        let jobs = 0;
+        for (const job of [...this.jobs.values()]) {
+            if (job.ownerId !== ownerId) continue;
+            // A running job can't be stopped, but its record still goes
+            this.jobs.delete(job.id);
+            this.credentials.delete(job.id);
+            jobs++;
+        }
+
+        const before = this.deadLetters.length;
+        this.deadLetters = this.deadLetters.filter(job => job.ownerId !== ownerId);
+
+        await this._persist();
+        const backups = this.filePath ? await jsonFile.clearBackups(this.filePath) : 0;
+        return { jobs, deadLetters: before - this.deadLetters.length, backups };
+    }
+
+    /**
+     * Runs every pending job whose grace period (or retry delay) has passed
+     * and whose domain is not backing off. Jobs run one at a time;
+     * overlapping ticks are skipped.
+     *
+     * @returns {Promise<number>} Number of jobs executed
+     */
+    async tick() {
+        if (this.ticking) return 0;
+        this.ticking = true;
+
+        let executed = 0;
+        try {
+            this._pruneDomainBackoff();
+
+            const due = [...this.jobs.values()]
+                .filter(job => job.status === 'pending' && job.runAt <= Date.now())
+                .sort((a, b) => a.runAt - b.runAt);
+
+            for (const job of due) {
+                // Re-check in case the job was cancelled while an earlier one ran
+                if (job.status !== 'pending') continue;
+
+                // Skip jobs whose domain started backing off during this tick
+                const backoff = this.domainBackoff[job.domain];
+                if (backoff && backoff.nextAttemptAt > Date.now()) {
+                    job.runAt = Math.max(job.runAt, backoff.nextAttemptAt);
+                    continue;
+                }
+
+                await this._execute(job);
+                executed++;
+            }
+        } finally {
+            this.ticking = false;
+        }
+
+        await this._persist();
+        return executed;
+    }
+
+    /**
+     * Executes a single attempt of a job, then either settles it or
+     * schedules a retry.
+     *
+     * @param {object} job - The job to run
+     * @private
+     */
+    async _execute(job) {
+        job.status = 'running';
+        const authTokens = this.credentials.get(job.id) || null;
+
+        let result = null;
+        let error = null;
+        try {
+            result = await this.runJob(job, authTokens);
+        } catch (err) {
+            console.error(`Unsubscribe job ${job.id} failed:`, err.message);
+            error = err;
+        }
+
+        // Thrown errors (e.g. a Gmail API hiccup) are retried, but only
+        // failures the endpoint itself reported count against its domain
+        const unsubscribeResult = result ? result.unsubscribeResult : null;
+        const succeeded = !error && !!(unsubscribeResult && unsubscribeResult.success);
+        const retryable = error ? true : !!(unsubscribeResult && unsubscribeResult.retryable);
+
+        job.attempts.push({
+            at: new Date().toISOString(),
+            success: succeeded,
+            method: unsubscribeResult ? unsubscribeResult.method : null,
+            error: error ? error.message : (unsubscribeResult ? unsubscribeResult.error : null),
+            retryable: !succeeded && retryable
+        });
+
+        if (succeeded) {
+            delete this.domainBackoff[job.domain];
+            job.status = 'completed';
+        } else if (retryable) {
+            const delay = error
+                ? this._jobBackoff(job)
+                : this._recordDomainFailure(job.domain, (unsubscribeResult && unsubscribeResult.retryAfterMs) || 0);
+            if (job.attempts.length < this.maxAttempts) {
+                // Leave it queued for another go once the domain has cooled off
+                job.status = 'pending';
+                job.runAt = Date.now() + delay;
+                console.log(`Unsubscribe: domain=${job.domain} job=${job.id} attempt=${job.attempts.length} retry-in=${delay}ms`);
+                return;
+            }
+            job.status = 'dead';
+            this._deadLetter(job);
+        } else {
+            job.status = 'failed';
+        }
+
+        this.jobs.delete(job.id);
+        this.credentials.delete(job.id);
+
+        try {
+            await this.onSettled(job, result, error);
+        } catch (err) {
+            console.error(`Unsubscribe job ${job.id} settle handler failed:`, err.message);
+        }
+    }
+
+    /**
+     * Records a transient failure for a domain and returns the delay before
+     * the next attempt against it: baseBackoffMs * 2^(failures - 1), or the
+     * endpoint's Retry-After if longer, capped.
+     *
+     * @param {string} domain - Backoff key
+     * @param {number} [minDelayMs=0] - Retry-After asked for by the endpoint
+     * @returns {number} Delay in milliseconds
+     * @private
+     */
+    _recordDomainFailure(domain, minDelayMs = 0) {
+        const entry = this.domainBackoff[domain] || { failures: 0, nextAttemptAt: 0 };
+        entry.failures += 1;
+        const delay = Math.min(
+            Math.max(this.baseBackoffMs * Math.pow(2, entry.failures - 1), minDelayMs),
+            this.maxBackoffMs
+        );
+        entry.nextAttemptAt = Date.now() + delay;
+        this.domainBackoff[domain] = entry;
+        return delay;
+    }
+
+    /**
+     * Forgets the backoff of domains that have cooled off and have no jobs
+     * left, so the map doesn't keep every domain that ever failed. Domains
+     * with queued jobs keep theirs: the failure count sets the next delay.
+     *
+     * @private
+     */
+    _pruneDomainBackoff() {
+        const now = Date.now();
+        const live = new Set([...this.jobs.values()].map(job => job.domain));
+        for (const [domain, entry] of Object.entries(this.domainBackoff)) {
+            if (entry.nextAttemptAt <= now && !live.has(domain)) {
+                delete this.domainBackoff[domain];
+            }
+        }
+    }
+
+    /**
+     * Returns the delay before retrying a job whose attempt failed inside
+     * the server rather than at the endpoint: baseBackoffMs * 2^(attempts - 1),
+     * capped. The domain's backoff is left alone.
+     *
+     * @param {object} job - Job whose latest attempt failed
+     * @returns {number} Delay in milliseconds
+     * @private
+     */
+    _jobBackoff(job) {
+        return Math.min(this.baseBackoffMs * Math.pow(2, job.attempts.length - 1), this.maxBackoffMs);
+    }
+
+    /**
+     * Moves a job to the dead-letter list, trimming the oldest entries.
+     *
+     * @param {object} job - Job that exhausted its attempts
+     * @private
+     */
+    _deadLetter(job) {
+        console.log(`Unsubscribe: domain=${job.domain} job=${job.id} gave-up attempts=${job.attempts.length}`);
+        this.deadLetters.push({ ...job, deadAt: new Date().toISOString() });
+        if (this.deadLetters.length > MAX_DEAD_LETTERS) {
+            this.deadLetters.splice(0, this.deadLetters.length - MAX_DEAD_LETTERS);
+        }
+    }
+
+    /**
+     * Picks the domain a job's requests will hit, used as its backoff key.
+     * Prefers the first header URL (what the cascade tries first), then the
+     * body URL, then the mailto recipient's domain.
+     *
+     * @param {object} unsubscribeData - Structured unsubscribe data
+     * @returns {string} Lowercase domain, or 'unknown'
+     * @private
+     */
+    _jobDomain(unsubscribeData) {
+        const data = unsubscribeData || {};
+        const url = (data.httpUrls && data.httpUrls[0]) || data.bodyUrl;
+        if (url) {
+            try {
+                return new URL(url).hostname.toLowerCase();
+            } catch {
+                // Fall through to mailto
+            }
+        }
+        if (data.mailtoUrl) {
+            const match = data.mailtoUrl.match(/@([^?>\s]+)/);
+            if (match) return match[1].toLowerCase();
+        }
+        return 'unknown';
+    }
+
+    /**
+     * Queues a write of the current state without waiting for it.
+     * @private
+     */
+    _schedulePersist() {
+        this._persist().catch(err => console.error('Failed to persist unsubscribe jobs:', err));
+    }
+
+    /**
+     * Writes the current state to disk. Writes are chained so they never
+     * interleave.
+     *
+     * @returns {Promise<void>}
+     * @private
+     */
+    _persist() {
+        if (!this.filePath) return Promise.resolve();
+
+        this.saving = this.saving.catch(() => {}).then(() => {
+            const state = {
+                jobs: [...this.jobs.values()],
+                deadLetters: this.deadLetters,
+                domainBackoff: this.domainBackoff
+            };
+            return jsonFile.withLock(this.filePath, () => jsonFile.writeJson(this.filePath, state));
+        });
+        return this.saving;
+    }
+
+    /**
+     * Starts the background worker. Safe to call more than once.
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(err => console.error('Unsubscribe worker error:', err));
+        }, this.pollIntervalMs);
+        // Don't keep the process alive just for the worker
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Stops the background worker. Pending jobs stay queued.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = UnsubscribeQueue;
@@ -5,30 +5,246 @@
  *   1. RFC 8058 one-click POST (most reliable, modern ESPs)
  *   2. HTTP POST/GET to List-Unsubscribe header URLs
  *   3. HTTP POST/GET to unsubscribe URL found in email body
- *   4. Mailto fallback (requires gmail.send scope — deferred)
+ *   4. Mailto fallback (requires a provider that can send mail)
+ *
+ * Landing pages: an HTTP URL that answers with a page asking to confirm
+ * (see confirmForm.js) has its form submitted, under the same URL checks.
+ * Pages that need the user (CAPTCHAs, required fields) fail as
+ * "needs-manual", with the page URL so the user can finish there.
+ *
+ * Outcomes: HTTP responses are classified from their status, final URL and
+ * page text (see responseClassifier.js) as confirmed, probable, expired,
+ * login-required or failed. Only confirmed and probable count as success;
+ * a sent mailto is probable.
  *
  * Security:
  *   - All URLs validated before requests (SSRF prevention)
  *   - Private IPs, non-HTTP protocols, and embedded credentials rejected
+ *   - Hosts resolved, and refused if any address they resolve to is private;
+ *     the request then connects only to those checked addresses
+ *   - Redirects followed by hand, each hop checked again, at most 5
+ *   - Requests paced per host when a RequestScheduler is given (see
+ *     requestScheduler.js), and hosts answering 429/503 with Retry-After
+ *     left alone for that long
  *   - Logs domain-only, never full URLs (which may contain PII/tokens)
  *   - No cookies or credentials sent to third-party unsubscribe endpoints
- *   - 10-second timeout on all HTTP requests
+ *   - 10-second timeout on all HTTP requests, counted from when each
+ *     request is actually sent (time spent waiting for the scheduler
+ *     doesn't count)
  */
 
 // HTTP request timeout in milliseconds
 const REQUEST_TIMEOUT_MS = 10000;
 
-// Maximum redirects allowed (native fetch default is 20, we restrict further)
+// Maximum redirects followed per request (see _fetch())
 const MAX_REDIRECTS = 5;
 
 // User-Agent string for outbound unsubscribe requests
 const USER_AGENT = 'Junkpile-Unsubscribe/1.0';
 
+// Landing pages larger than this aren't searched for confirmation forms
+const MAX_PAGE_CHARS = 512 * 1024;
+
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+const { findConfirmForm } = require('./confirmForm');
+const { classifyResponse } = require('./responseClassifier');
+
+// Failure outcomes worth reporting over a plain failure, most useful first
+const FAILURE_OUTCOMES = ['needs-manual', 'expired', 'login-required'];
+
+// Statuses that carry a Location to follow
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Statuses whose Retry-After header is obeyed
+const THROTTLE_STATUSES = [429, 503];
+
+// Socket errors from a mail send that are worth retrying later
+const TRANSIENT_SEND_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ECONNECTION', 'ESOCKET'];
+
+// IPv4 ranges that are not publicly routable: [first octets, prefix length]
+const PRIVATE_IPV4_RANGES = [
+    [[0, 0, 0, 0], 8],          // "This" network, 0.0.0.0
+    [[10, 0, 0, 0], 8],         // Private (RFC 1918)
+    [[100, 64, 0, 0], 10],      // Carrier-grade NAT
+    [[127, 0, 0, 0], 8],        // Loopback
+    [[169, 254, 0, 0], 16],     // Link-local, cloud metadata
+    [[172, 16, 0, 0], 12],      // Private (RFC 1918)
+    [[192, 0, 0, 0], 24],       // IETF protocol assignments
+    [[192, 0, 2, 0], 24],       // Documentation
+    [[192, 168, 0, 0], 16],     // Private (RFC 1918)
+    [[198, 18, 0, 0], 15],      // Benchmarking
+    [[198, 51, 100, 0], 24],    // Documentation
+    [[203, 0, 113, 0], 24],     // Documentation
+    [[224, 0, 0, 0], 4],        // Multicast
+    [[240, 0, 0, 0], 4]         // Reserved, broadcast
+];
+
+/**
+ * Reads the Retry-After header of a 429 or 503 response.
+ *
+ * @param {Response} response - Fetch response
+ * @returns {number|null} Delay in milliseconds (seconds or HTTP date), or
+ *   null when there is none
+ */
+function readRetryAfter(response) {
+    if (!THROTTLE_STATUSES.includes(response.status) || !response.headers) return null;
+    const value = (response.headers.get('retry-after') || '').trim();
+    if (!value) return null;
+    if (/^\d+$/.test(value)) return parseInt(value, 10) * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * A timeout for one unsubscribe request, passed to _fetch(). It only
+ * starts once a request is sent, and start() gives every redirect hop a
+ * fresh signal and a full REQUEST_TIMEOUT_MS; the last one also covers
+ * reading the response body. Call clear() when done with the response.
+ *
+ * @returns {{ start: () => AbortSignal, clear: () => void }}
+ */
+function requestTimeout() {
+    let controller = null;
+    let timer = null;
+    return {
+        start() {
+            clearTimeout(timer);
+            controller = new AbortController();
+            timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+            return controller.signal;
+        },
+        clear() {
+            clearTimeout(timer);
+        }
+    };
+}
+
+/**
+ * A fetch() dispatcher that connects only to addresses checkUrl() has
+ * vetted, instead of resolving the host name again when connecting. A DNS
+ * server that answers differently the second time (rebinding) can't steer
+ * the request elsewhere. TLS still verifies the certificate against the
+ * host name. Close it once the response has been read.
+ *
+ * @param {Array<{ address: string, family: number }>} addresses - Vetted addresses
+ * @returns {Agent} undici dispatcher
+ */
+function pinnedDispatcher(addresses) {
+    return new Agent({
+        connect: {
+            lookup(hostname, options, callback) {
+                const candidates = options.family
+                    ? addresses.filter(({ family }) => family === options.family)
+                    : addresses;
+                if (candidates.length === 0) {
+                    callback(Object.assign(new Error(`No checked address for ${hostname}`), { code: 'ENOTFOUND' }));
+                } else if (options.all) {
+                    callback(null, candidates);
+                } else {
+                    callback(null, candidates[0].address, candidates[0].family);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Checks whether an IPv4 address is private, reserved or otherwise not
+ * publicly routable.
+ *
+ * @param {number[]} octets - The four octets
+ * @returns {boolean}
+ */
+function isPrivateIpv4(octets) {
+    const value = ((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0;
+    return PRIVATE_IPV4_RANGES.some(([start, bits]) => {
+        const base = ((start[0] << 24) | (start[1] << 16) | (start[2] << 8) | start[3]) >>> 0;
+        const mask = (~0 << (32 - bits)) >>> 0;
+        return ((value & mask) >>> 0) === base;
+    });
+}
+
+/**
+ * Expands an IPv6 address into its eight 16-bit groups.
+ *
+ * @param {string} address - IPv6 address (no brackets or zone)
+ * @returns {number[]} Eight groups
+ */
+function ipv6Groups(address) {
+    let text = address;
+    // A dotted IPv4 tail (::ffff:1.2.3.4) stands for the last two groups
+    const tail = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+    if (tail) {
+        const [a, b, c, d] = tail.slice(1).map(Number);
+        text = `${text.slice(0, tail.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+    }
+    const [head, rest] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const restGroups = rest === undefined ? [] : (rest ? rest.split(':') : []);
+    const missing = 8 - headGroups.length - restGroups.length;
+    return [...headGroups, ...Array(rest === undefined ? 0 : missing).fill('0'), ...restGroups]
+        .map(group => parseInt(group, 16));
+}
+
+/**
+ * Checks whether an IPv6 address is private, local or otherwise not
+ * publicly routable. Addresses that embed an IPv4 address (mapped,
+ * compatible, NAT64, 6to4) are judged by that address.
+ *
+ * @param {string} address - IPv6 address (no brackets or zone)
+ * @returns {boolean}
+ */
+function isPrivateIpv6(address) {
+    const g = ipv6Groups(address);
+    const v4 = (high, low) => [high >> 8, high & 0xff, low >> 8, low & 0xff];
+
+    if (g.slice(0, 7).every(group => group === 0) && g[7] <= 1) return true;       // ::, ::1
+    if (g.slice(0, 5).every(group => group === 0) && (g[5] === 0xffff || g[5] === 0)) {
+        return isPrivateIpv4(v4(g[6], g[7]));                                      // ::ffff:a.b.c.d, ::a.b.c.d
+    }
+    if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(group => group === 0)) {
+        return isPrivateIpv4(v4(g[6], g[7]));                                      // NAT64 64:ff9b::/96
+    }
+    if (g[0] === 0x2002) return isPrivateIpv4(v4(g[1], g[2]));                     // 6to4
+    if ((g[0] & 0xfe00) === 0xfc00) return true;                                   // Unique local fc00::/7
+    if ((g[0] & 0xffc0) === 0xfe80 || (g[0] & 0xffc0) === 0xfec0) return true;     // Link-/site-local
+    if ((g[0] & 0xff00) === 0xff00) return true;                                   // Multicast
+    if (g[0] === 0x2001 && g[1] === 0x0db8) return true;                           // Documentation
+    return false;
+}
+
+/**
+ * Checks whether an IP address (v4 or v6) is private or reserved.
+ *
+ * @param {string} address - IP address
+ * @returns {boolean} True for anything that isn't a public unicast address
+ */
+function isPrivateAddress(address) {
+    const version = net.isIP(address);
+    if (version === 4) return isPrivateIpv4(address.split('.').map(Number));
+    if (version === 6) return isPrivateIpv6(address.split('%')[0]);
+    return true;
+}
+
 class UnsubscribeService {
+    /**
+     * @param {object} [options]
+     * @param {Function} [options.lookup] - dns.promises.lookup-compatible
+     *   resolver, called as lookup(hostname, { all: true })
+     * @param {RequestScheduler|null} [options.scheduler] - Paces requests per
+     *   host; share one across instances. Requests go out unpaced without it.
+     */
+    constructor(options = {}) {
+        this.lookup = options.lookup || dns.promises.lookup;
+        this.scheduler = options.scheduler || null;
+    }
 
     /**
      * Validates a URL is safe to request (SSRF prevention).
      * Rejects private IPs, non-HTTP protocols, embedded credentials, and malformed URLs.
+     * Only the URL itself is checked; checkUrl() also resolves the host.
      *
      * @param {string} url - The URL to validate
      * @returns {{ valid: boolean, reason?: string }} Validation result
@@ -62,48 +278,59 @@ class UnsubscribeService {
     }
 
     /**
-     * Checks if a hostname resolves to a private/internal address.
-     * Covers RFC 1918, loopback, link-local, and common internal hostnames.
+     * Validates a URL like validateUrl(), then resolves its host and checks
+     * every address it resolves to, so public names pointing at internal
+     * addresses are refused too.
+     *
+     * The checked addresses are returned so the connection can be pinned
+     * to them (see pinnedDispatcher()); resolving the name again when
+     * connecting would let a rebinding DNS server swap them out.
+     *
+     * @param {string} url - The URL to validate
+     * @returns {Promise<{ valid: boolean, reason?: string, addresses?: Array<{ address: string, family: number }> }>}
+     *   Validation result; addresses is set for valid URLs with a host name
+     */
+    async checkUrl(url) {
+        const validation = this.validateUrl(url);
+        if (!validation.valid) return validation;
+
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname)) return validation;
+
+        let addresses;
+        try {
+            addresses = await this.lookup(hostname, { all: true });
+        } catch {
+            return { valid: false, reason: 'Host does not resolve' };
+        }
+        if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+            return { valid: false, reason: 'Host resolves to a private/internal address' };
+        }
+        return { ...validation, addresses };
+    }
+
+    /**
+     * Checks if a hostname is a private/internal address. Covers every
+     * non-public IPv4 and IPv6 range (including IPv4-mapped IPv6, unique
+     * local and link-local addresses) and common internal hostnames.
      *
-     * @param {string} hostname - Lowercase hostname to check
+     * @param {string} hostname - Lowercase hostname to check (IPv6 in brackets or bare)
      * @returns {boolean} True if the host is private/internal
      * @private
      */
     _isPrivateHost(hostname) {
         // Reject localhost variants
-        if (hostname === 'localhost' || hostname === 'localhost.localdomain') {
+        if (hostname === 'localhost' || hostname === 'localhost.localdomain' || hostname.endsWith('.localhost')) {
             return true;
         }
 
         // Reject common metadata endpoints (cloud SSRF targets)
-        if (hostname === '169.254.169.254' || hostname === 'metadata.google.internal') {
+        if (hostname === 'metadata.google.internal') {
             return true;
         }
 
-        // Check for IPv4 private ranges
-        const ipv4Match = hostname.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
-        if (ipv4Match) {
-            const [, a, b] = ipv4Match.map(Number);
-            // 127.x.x.x — loopback
-            if (a === 127) return true;
-            // 10.x.x.x — Class A private
-            if (a === 10) return true;
-            // 172.16.0.0 – 172.31.255.255 — Class B private
-            if (a === 172 && b >= 16 && b <= 31) return true;
-            // 192.168.x.x — Class C private
-            if (a === 192 && b === 168) return true;
-            // 0.0.0.0 — unspecified
-            if (a === 0 && b === 0) return true;
-            // 169.254.x.x — link-local
-            if (a === 169 && b === 254) return true;
-        }
-
-        // Check for IPv6 loopback (::1) and private ranges
-        if (hostname === '::1' || hostname === '[::1]') {
-            return true;
-        }
-
-        return false;
+        const address = hostname.replace(/^\[|\]$/g, '');
+        return net.isIP(address) !== 0 && isPrivateAddress(address);
     }
 
     /**
@@ -125,11 +352,15 @@ class UnsubscribeService {
      * Performs an HTTP unsubscribe request to a validated URL.
      *
      * For RFC 8058 one-click: sends POST with standard body.
-     * For regular URLs: tries POST first, falls back to GET on failure.
+     * For regular URLs: tries POST first, falls back to GET on failure, then
+     * submits the page's confirmation form if it has one.
      *
      * @param {string} url - Validated unsubscribe URL
      * @param {boolean} isOneClick - Whether to use RFC 8058 one-click POST format
-     * @returns {Promise<{ success: boolean, status?: number, error?: string }>}
+     * @returns {Promise<{ success: boolean, status?: number, error?: string, outcome?: string, manualUrl?: string }>}
+     *   outcome classifies the response (see responseClassifier.js), or is
+     *   "needs-manual" when the page has to be finished by the user at
+     *   manualUrl. Missing when no response came back.
      */
     async performHttpUnsubscribe(url, isOneClick = false) {
         const domain = this._safeDomain(url);
@@ -141,76 +372,285 @@ class UnsubscribeService {
             return { success: false, error: validation.reason };
         }
 
-        // Set up abort controller for timeout
-        const controller = new AbortController();
-        const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+        const timeout = requestTimeout();
 
         try {
             if (isOneClick) {
                 // RFC 8058: One-click unsubscribe via POST
                 // Body must be exactly: List-Unsubscribe=One-Click-Unsubscribe-Post
-                const response = await fetch(url, {
+                const { response, url: finalUrl } = await this._fetch(url, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/x-www-form-urlencoded',
                         'User-Agent': USER_AGENT
                     },
                     body: 'List-Unsubscribe=One-Click-Unsubscribe-Post',
-                    signal: controller.signal,
-                    redirect: 'follow',
-                    credentials: 'omit'    // Never send cookies to third parties
+                    timeout
                 });
 
                 console.log(`Unsubscribe: domain=${domain} method=rfc8058 status=${response.status}`);
-                return { success: response.ok, status: response.status };
+                return this._classify(finalUrl, response, await this._readPage(response), true);
             }
 
             // Standard HTTP: try POST first (many ESPs expect POST)
-            const postResponse = await fetch(url, {
+            const post = await this._fetch(url, {
                 method: 'POST',
                 headers: { 'User-Agent': USER_AGENT },
-                signal: controller.signal,
-                redirect: 'follow',
-                credentials: 'omit'
+                timeout
             });
 
-            if (postResponse.ok) {
-                console.log(`Unsubscribe: domain=${domain} method=http-post status=${postResponse.status}`);
-                return { success: true, status: postResponse.status };
+            if (post.response.ok) {
+                console.log(`Unsubscribe: domain=${domain} method=http-post status=${post.response.status}`);
+                return this._confirmLandingPage(post.url, post.response);
             }
 
             // POST failed — fall back to GET (some older ESPs only support GET)
-            console.log(`Unsubscribe: domain=${domain} method=http-post status=${postResponse.status} falling-back-to-get`);
+            console.log(`Unsubscribe: domain=${domain} method=http-post status=${post.response.status} falling-back-to-get`);
 
-            // Need a fresh abort controller for the second request
-            const getController = new AbortController();
-            const getTimeout = setTimeout(() => getController.abort(), REQUEST_TIMEOUT_MS);
+            // Need a fresh timeout for the second request
+            const getTimeout = requestTimeout();
 
             try {
-                const getResponse = await fetch(url, {
+                const { response: getResponse, url: finalUrl } = await this._fetch(url, {
                     method: 'GET',
                     headers: { 'User-Agent': USER_AGENT },
-                    signal: getController.signal,
-                    redirect: 'follow',
-                    credentials: 'omit'
+                    timeout: getTimeout
                 });
 
                 console.log(`Unsubscribe: domain=${domain} method=http-get status=${getResponse.status}`);
-                return { success: getResponse.ok, status: getResponse.status };
+                if (!getResponse.ok) {
+                    return this._classify(finalUrl, getResponse, '');
+                }
+                return this._confirmLandingPage(finalUrl, getResponse);
             } finally {
-                clearTimeout(getTimeout);
+                getTimeout.clear();
             }
 
         } catch (error) {
-            // Handle timeout (AbortError) and network errors
-            const errorType = error.name === 'AbortError' ? 'timeout' : 'network-error';
-            console.log(`Unsubscribe: domain=${domain} error=${errorType}`);
-            return { success: false, error: errorType };
+            return this._requestFailure(error, domain);
         } finally {
-            clearTimeout(timeout);
+            timeout.clear();
         }
     }
 
+    /**
+     * Sends a request, following redirects by hand: every hop (the first
+     * included) must pass checkUrl() and connects only to the addresses it
+     * checked, and at most MAX_REDIRECTS are followed. Like browsers, 303s and POSTs redirected by 301/302 continue
+     * as GETs without a body. Cookies and credentials are never sent.
+     *
+     * @param {string} url - First URL
+     * @param {object} init - fetch() options (method, headers, body) and the
+     *   request's timeout, from requestTimeout()
+     * @returns {Promise<{ response: Response, url: string }>} Final response
+     *   and the URL it came from
+     * @throws With `blocked` set when a hop fails the URL checks or there
+     *   are too many redirects; with `retryAfterMs` set when the scheduler
+     *   is holding the host back; fetch errors otherwise
+     * @private
+     */
+    async _fetch(url, init) {
+        let current = url;
+        let { method, body } = init;
+        let headers = { ...init.headers };
+
+        for (let redirects = 0; ; redirects++) {
+            const check = await this.checkUrl(current);
+            if (!check.valid) {
+                throw Object.assign(new Error(check.reason), { blocked: true, url: current });
+            }
+
+            const host = new URL(current).host;
+            const dispatcher = check.addresses ? pinnedDispatcher(check.addresses) : undefined;
+            // The timeout starts when the scheduler lets the request go
+            const send = () => fetch(current, {
+                method,
+                headers,
+                body,
+                signal: init.timeout.start(),
+                redirect: 'manual',
+                credentials: 'omit',   // Never send cookies to third parties
+                dispatcher
+            });
+            let response;
+            try {
+                response = this.scheduler ? await this.scheduler.run(host, send) : await send();
+            } finally {
+                // Closes once the response body has been read
+                if (dispatcher) dispatcher.close().catch(() => {});
+            }
+
+            const retryAfter = readRetryAfter(response);
+            if (retryAfter !== null && this.scheduler) {
+                this.scheduler.defer(host, retryAfter);
+            }
+
+            const location = REDIRECT_STATUSES.includes(response.status) && response.headers
+                ? response.headers.get('location')
+                : null;
+            if (!location) {
+                return { response, url: current };
+            }
+            // Not read, so drop it to let the connection go
+            if (response.body) response.body.cancel().catch(() => {});
+            if (redirects >= MAX_REDIRECTS) {
+                throw Object.assign(new Error('Too many redirects'), { blocked: true, url: current });
+            }
+
+            current = new URL(location, current).toString();
+            if (response.status === 303 || (method === 'POST' && response.status <= 302)) {
+                method = 'GET';
+                body = undefined;
+                headers = Object.fromEntries(Object.entries(headers)
+                    .filter(([name]) => name.toLowerCase() !== 'content-type'));
+            }
+        }
+    }
+
+    /**
+     * Turns an error from _fetch() into a failed result.
+     *
+     * @param {Error} error - Thrown error
+     * @param {string} domain - Domain for the log line
+     * @param {string} [method] - Method for the log line, if not the cascade's
+     * @returns {{ success: false, error: string, retryAfterMs?: number }}
+     * @private
+     */
+    _requestFailure(error, domain, method = null) {
+        const label = method ? ` method=${method}` : '';
+        if (error.retryAfterMs) {
+            console.log(`Unsubscribe: domain=${domain}${label} rate-limited retry-in=${error.retryAfterMs}ms`);
+            return { success: false, error: 'rate-limited', retryAfterMs: error.retryAfterMs };
+        }
+        if (error.blocked) {
+            console.log(`Unsubscribe: domain=${this._safeDomain(error.url)}${label} blocked reason="${error.message}"`);
+            return { success: false, error: error.message };
+        }
+        // Handle timeout (AbortError) and network errors
+        const errorType = error.name === 'AbortError' ? 'timeout' : 'network-error';
+        console.log(`Unsubscribe: domain=${domain}${label} error=${errorType}`);
+        return { success: false, error: errorType };
+    }
+
+    /**
+     * Handles the page an unsubscribe URL answered with. A page that already
+     * says how it went (unsubscribed, expired, sign-in needed, error) is
+     * taken at its word, so an "unsubscribe from all" form on a per-list
+     * success page is never submitted. Only a page that says nothing either
+     * way has its confirmation form submitted (see confirmForm.js), or is
+     * reported as one the user has to finish. The form is submitted through
+     * _fetch(), under the same URL checks; its reply is not searched again.
+     *
+     * @param {string} pageUrl - URL the page came from (after redirects)
+     * @param {Response} response - Successful response
+     * @returns {Promise<{ success: boolean, status?: number, error?: string, outcome?: string, manualUrl?: string }>}
+     * @private
+     */
+    async _confirmLandingPage(pageUrl, response) {
+        const page = await this._readPage(response);
+        const classified = this._classify(pageUrl, response, page);
+        if (classified.outcome !== 'probable') {
+            return classified;
+        }
+
+        const found = findConfirmForm(page, pageUrl);
+        if (!found) {
+            return classified;
+        }
+
+        const domain = this._safeDomain(pageUrl);
+        if (found.manual) {
+            console.log(`Unsubscribe: domain=${domain} method=confirm-form needs-manual reason="${found.manual}"`);
+            return { success: false, status: response.status, outcome: 'needs-manual', error: found.manual, manualUrl: pageUrl };
+        }
+
+        const { method, action, fields } = found.form;
+        const timeout = requestTimeout();
+        try {
+            const query = new URLSearchParams(fields).toString();
+            let target = action;
+            if (method === 'GET') {
+                const parsed = new URL(action);
+                parsed.search = query;
+                target = parsed.toString();
+            }
+            const { response: confirmResponse, url: finalUrl } = await this._fetch(target, {
+                method,
+                headers: {
+                    'User-Agent': USER_AGENT,
+                    ...(method === 'POST' ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {})
+                },
+                body: method === 'POST' ? query : undefined,
+                timeout
+            });
+
+            console.log(`Unsubscribe: domain=${this._safeDomain(action)} method=confirm-form status=${confirmResponse.status}`);
+            return this._classify(finalUrl, confirmResponse, await this._readPage(confirmResponse));
+        } catch (error) {
+            return this._requestFailure(error, this._safeDomain(action), 'confirm-form');
+        } finally {
+            timeout.clear();
+        }
+    }
+
+    /**
+     * Builds the result of an HTTP request from its classified response.
+     *
+     * @param {string} url - URL the response came from (after redirects)
+     * @param {Response} response - The response
+     * @param {string} page - Response body from _readPage()
+     * @param {boolean} [acknowledged=false] - RFC 8058 one-click request
+     * @returns {{ success: boolean, status: number, outcome: string, error?: string, retryAfterMs?: number }}
+     * @private
+     */
+    _classify(url, response, page, acknowledged = false) {
+        const { outcome, reason } = classifyResponse({ status: response.status, url, body: page, acknowledged });
+        if (outcome !== 'confirmed' && outcome !== 'probable' && response.ok) {
+            console.log(`Unsubscribe: domain=${this._safeDomain(url)} outcome=${outcome}`);
+        }
+
+        const result = { success: outcome === 'confirmed' || outcome === 'probable', status: response.status, outcome };
+        if (reason) result.error = reason;
+        const retryAfter = readRetryAfter(response);
+        if (retryAfter !== null) result.retryAfterMs = retryAfter;
+        return result;
+    }
+
+    /**
+     * Reads a response body when it is an HTML or text page of reasonable size.
+     *
+     * @param {Response} response - Fetch response
+     * @returns {Promise<string>} The page, or '' for anything else
+     * @private
+     */
+    async _readPage(response) {
+        const type = response.headers ? response.headers.get('content-type') || '' : '';
+        if (!/text\/(?:html|plain)|application\/xhtml/i.test(type)) return '';
+        try {
+            const html = await response.text();
+            return html.length > MAX_PAGE_CHARS ? '' : html;
+        } catch {
+            return '';
+        }
+    }
+
+    /**
+     * Decides whether a failed unsubscribe is worth retrying later.
+     * Timeouts, network errors, rate limiting (429, or a host the scheduler
+     * holds back) and server errors (5xx) are transient; 4xx responses and
+     * blocked URLs are not. Mailto failures carry their own verdict.
+     *
+     * @param {{ success: boolean, status?: number, error?: string, transient?: boolean }} result
+     *   From performHttpUnsubscribe() or performMailtoUnsubscribe()
+     * @returns {boolean} True if the failure is transient
+     */
+    isTransientFailure(result) {
+        if (!result || result.success) return false;
+        if (result.transient) return true;
+        if (['timeout', 'network-error', 'rate-limited'].includes(result.error)) return true;
+        return result.status === 429 || (result.status >= 500 && result.status <= 599);
+    }
+
     /**
      * Parses a mailto: URL into its component parts.
      * Handles RFC 6068 mailto syntax: mailto:addr?subject=X&body=Y
@@ -258,16 +698,17 @@ class UnsubscribeService {
 
     /**
      * Sends an unsubscribe email via the mailto: fallback method.
-     * Requires gmail.send scope on the GmailService.
+     * Requires a provider whose canSendMail is true (gmail.send scope for Gmail).
      *
      * @param {string} mailtoUrl - The mailto: URL from the List-Unsubscribe header
-     * @param {object} gmailService - GmailService instance with sendEmail capability
-     * @returns {Promise<{ success: boolean, error?: string }>}
+     * @param {object|null} provider - Email provider (see providers/index.js)
+     * @returns {Promise<{ success: boolean, error?: string, transient?: boolean }>}
+     *   transient is true when the send failed in a way worth retrying
      */
-    async performMailtoUnsubscribe(mailtoUrl, gmailService) {
-        // Only attempt if the Gmail service has send capability
-        if (!gmailService || !gmailService.hasSendScope) {
-            return { success: false, error: 'gmail.send scope not available' };
+    async performMailtoUnsubscribe(mailtoUrl, provider) {
+        // Only attempt if the mailbox can send
+        if (!provider || !provider.canSendMail) {
+            return { success: false, error: 'Mailbox cannot send mail' };
         }
 
         const parsed = this.parseMailtoUrl(mailtoUrl);
@@ -276,16 +717,38 @@ class UnsubscribeService {
         }
 
         try {
-            // Send the unsubscribe email using Gmail API
-            await gmailService.sendEmail(parsed.to, parsed.subject, parsed.body);
+            // Send the unsubscribe email from the user's own mailbox
+            await provider.sendMail(parsed.to, parsed.subject, parsed.body);
             console.log(`Unsubscribe: mailto recipient-domain=${this._safeDomain('https://' + parsed.to.split('@')[1])} method=mailto status=sent`);
             return { success: true };
         } catch (error) {
-            console.log(`Unsubscribe: method=mailto error=${error.message}`);
-            return { success: false, error: error.message };
+            const transient = this.isTransientSendError(error);
+            console.log(`Unsubscribe: method=mailto error=${error.message} transient=${transient}`);
+            return { success: false, error: error.message, transient };
         }
     }
 
+    /**
+     * Decides whether a failed mail send is worth retrying later. Covers
+     * the errors of every provider's sendMail(): socket errors, HTTP 429
+     * and 5xx from the Gmail and Graph APIs (numeric error.code, or
+     * error.response.status), and SMTP 4xx replies, which SMTP reserves
+     * for temporary failures.
+     *
+     * @param {Error} error - Thrown by provider.sendMail()
+     * @returns {boolean} True if the failure is transient
+     */
+    isTransientSendError(error) {
+        if (!error) return false;
+        if (TRANSIENT_SEND_CODES.includes(error.code)) return true;
+        if (error.responseCode >= 400 && error.responseCode <= 499) return true;
+
+        const status = typeof error.code === 'number'
+            ? error.code
+            : (error.response && error.response.status);
+        return status === 429 || (status >= 500 && status <= 599);
+    }
+
     /**
      * Main orchestration method — tries all unsubscribe methods in cascade order.
      * First success wins; records all methods attempted for debugging.
@@ -294,15 +757,21 @@ class UnsubscribeService {
      *   1. RFC 8058 one-click POST (if List-Unsubscribe-Post header present)
      *   2. HTTP POST/GET to List-Unsubscribe header URL(s)
      *   3. HTTP POST/GET to body-extracted unsubscribe URL
-     *   4. Mailto fallback (if gmail.send scope available)
+     *   4. Mailto fallback (if the provider can send mail)
      *
      * @param {object} options
      * @param {string[]} options.httpUrls - HTTP(S) URLs from List-Unsubscribe header
      * @param {string|null} options.mailtoUrl - mailto: URL from List-Unsubscribe header
      * @param {string|null} options.bodyUrl - Unsubscribe URL found in email body HTML
      * @param {boolean} options.hasListUnsubscribePost - Whether List-Unsubscribe-Post header exists
-     * @param {object|null} options.gmailService - GmailService instance for mailto fallback
-     * @returns {Promise<{ success: boolean, method: string|null, attempted: string[], error: string|null }>}
+     * @param {object|null} options.provider - Email provider for the mailto fallback
+     * @returns {Promise<{ success: boolean, method: string|null, attempted: string[], error: string|null, retryable: boolean, outcome: string|null, manualUrl: string|null, retryAfterMs?: number|null }>}
+     *   retryable is true when a failure looked transient (timeout, network error, 429 or 5xx,
+     *   or a temporary mail send failure);
+     *   retryAfterMs is then the longest Retry-After among the responses, if any.
+     *   outcome is "confirmed" or "probable" on success; on failure the most
+     *   useful of "needs-manual" (finish at manualUrl), "expired" and
+     *   "login-required", else "failed" (null when nothing was tried)
      */
     async execute(options) {
         const {
@@ -310,10 +779,24 @@ class UnsubscribeService {
             mailtoUrl = null,
             bodyUrl = null,
             hasListUnsubscribePost = false,
-            gmailService = null
+            provider = null
         } = options;
 
         const attempted = [];
+        // Set when any method failed in a way worth retrying later
+        let retryable = false;
+        // Longest Retry-After a throttled endpoint asked for
+        let retryAfterMs = null;
+        // Most useful failure so far (see FAILURE_OUTCOMES)
+        let failure = null;
+        const noteFailure = (result) => {
+            retryable = retryable || this.isTransientFailure(result);
+            if (result.retryAfterMs) retryAfterMs = Math.max(retryAfterMs || 0, result.retryAfterMs);
+            const rank = FAILURE_OUTCOMES.indexOf(result.outcome);
+            if (rank !== -1 && (!failure || rank < FAILURE_OUTCOMES.indexOf(failure.outcome))) {
+                failure = result;
+            }
+        };
 
         // --- Method 1: RFC 8058 one-click POST ---
         // This is the gold standard — modern ESPs support it and it's the most reliable
@@ -321,8 +804,9 @@ class UnsubscribeService {
             attempted.push('rfc8058');
             const result = await this.performHttpUnsubscribe(httpUrls[0], true);
             if (result.success) {
-                return { success: true, method: 'rfc8058', attempted, error: null };
+                return { success: true, method: 'rfc8058', attempted, error: null, retryable: false, outcome: result.outcome, manualUrl: null };
             }
+            noteFailure(result);
         }
 
         // --- Method 2: HTTP POST/GET to List-Unsubscribe header URLs ---
@@ -331,8 +815,9 @@ class UnsubscribeService {
             attempted.push('http-header');
             const result = await this.performHttpUnsubscribe(url, false);
             if (result.success) {
-                return { success: true, method: 'http-header', attempted, error: null };
+                return { success: true, method: 'http-header', attempted, error: null, retryable: false, outcome: result.outcome, manualUrl: null };
             }
+            noteFailure(result);
         }
 
         // --- Method 3: HTTP POST/GET to email body URL ---
@@ -341,26 +826,113 @@ class UnsubscribeService {
             attempted.push('http-body');
             const result = await this.performHttpUnsubscribe(bodyUrl, false);
             if (result.success) {
-                return { success: true, method: 'http-body', attempted, error: null };
+                return { success: true, method: 'http-body', attempted, error: null, retryable: false, outcome: result.outcome, manualUrl: null };
             }
+            noteFailure(result);
         }
 
         // --- Method 4: Mailto fallback ---
-        // Last resort: send an unsubscribe email (requires gmail.send scope)
+        // Last resort: send an unsubscribe email (requires a provider that can send)
         if (mailtoUrl) {
             attempted.push('mailto');
-            const result = await this.performMailtoUnsubscribe(mailtoUrl, gmailService);
+            const result = await this.performMailtoUnsubscribe(mailtoUrl, provider);
             if (result.success) {
-                return { success: true, method: 'mailto', attempted, error: null };
+                return { success: true, method: 'mailto', attempted, error: null, retryable: false, outcome: 'probable', manualUrl: null };
             }
+            noteFailure(result);
         }
 
         // All methods failed or none were available
+        if (failure) {
+            return {
+                success: false,
+                method: null,
+                attempted,
+                error: failure.outcome === 'needs-manual'
+                    ? 'Unsubscribe page needs to be confirmed by hand'
+                    : failure.error,
+                retryable,
+                outcome: failure.outcome,
+                manualUrl: failure.manualUrl || null,
+                retryAfterMs
+            };
+        }
+
         const error = attempted.length === 0
             ? 'No unsubscribe methods available'
             : 'All unsubscribe methods failed';
 
-        return { success: false, method: null, attempted, error };
+        return { success: false, method: null, attempted, error, retryable, outcome: attempted.length ? 'failed' : null, manualUrl: null, retryAfterMs };
+    }
+
+    /**
+     * Unsubscribes from the sender of one email, then marks the email as
+     * processed in the user's mailbox regardless of the outcome, so it
+     * counts as handled even if the unsubscribe didn't go through. If it
+     * did, the sender's other mail is cleaned up according to the cleanup
+     * policy, when the provider supports it (see cleanupPolicy.js).
+     *
+     * @param {object} provider - Email provider the email belongs to
+     * @param {string} messageId - Provider's message ID
+     * @param {object} unsubscribeData - Structured data from extractUnsubscribeData()
+     * @param {object} [options]
+     * @param {string[]} [options.cleanup] - Cleanup policy; none by default
+     * @param {string|null} [options.senderAddress] - Lower-cased From address to clean up
+     * @returns {Promise<{ success: boolean, unsubscribeResult: object, cleanup: object|null, message: string }>}
+     *   cleanup is { messages } or { messages: 0, error } when a cleanup ran
+     */
+    async processMessage(provider, messageId, unsubscribeData, options = {}) {
+        // Step 1: Execute actual unsubscribe via the cascade
+        let unsubscribeResult;
+        try {
+            unsubscribeResult = await this.execute({
+                httpUrls: unsubscribeData.httpUrls || [],
+                mailtoUrl: unsubscribeData.mailtoUrl || null,
+                bodyUrl: unsubscribeData.bodyUrl || null,
+                hasListUnsubscribePost: unsubscribeData.hasListUnsubscribePost || false,
+                provider
+            });
+        } catch (error) {
+            // Unsubscribe execution failed — log but don't block email processing
+            console.error('Error during unsubscribe execution:', error.message);
+            unsubscribeResult = {
+                success: false,
+                method: null,
+                attempted: [],
+                error: error.message,
+                outcome: 'failed'
+            };
+        }
+
+        // Step 2: Always mark the email as processed (preserves original behavior)
+        try {
+            await provider.markProcessed(messageId);
+        } catch (error) {
+            console.error('Error marking email as processed:', error.message);
+        }
+
+        // Step 3: Clean up the sender's other mail, only once they're gone
+        const actions = options.cleanup || [];
+        let cleanup = null;
+        if (unsubscribeResult.success && actions.length > 0 && options.senderAddress
+            && typeof provider.cleanUpSender === 'function') {
+            try {
+                cleanup = await provider.cleanUpSender(options.senderAddress, actions);
+            } catch (error) {
+                console.error('Error cleaning up sender mail:', error.message);
+                cleanup = { messages: 0, error: error.message };
+            }
+        }
+
+        // Step 4: Return combined result
+        return {
+            success: true,    // The email "processing" always succeeds
+            unsubscribeResult: unsubscribeResult,
+            cleanup,
+            message: unsubscribeResult.success
+                ? `Unsubscribed via ${unsubscribeResult.method}`
+                : 'Email processed but unsubscribe may not have completed'
+        };
     }
 }
 
@@ -0,0 +1,232 @@
+/**
+ * unsubscribeVerifier.js — Checks that unsubscribes actually stopped the mail.
+ *
+ * UnsubscribeService reports success when the endpoint answered 2xx (or the
+ * mailto went out), which says nothing about whether the sender honours it.
+ * Once an unsubscribe succeeds, its decision gets a verification record and
+ * the sender's mail is watched:
+ *
+ *   1. Grace period: senders get 10 business days to process the request
+ *      (the CAN-SPAM deadline); mail arriving in that time doesn't count.
+ *   2. Watch window: from then on the mailbox is checked once a day for
+ *      mail from the sender. Any mail marks the decision "still-sending";
+ *      none by the end of the window marks it "confirmed".
+ *
+ * Mailboxes whose provider can't search by sender (no
+ * countSenderMailSince(), see providers/index.js) are marked
+ * "unverifiable". The worker checks server users' decisions with their
+ * stored credentials; token-only callers' due checks run when they list
+ * their verifications (see checkDue()).
+ *
+ * Verification shape (decision.verification, see decisionStore.js):
+ * {
+ *   status: "pending" | "confirmed" | "still-sending" | "unverifiable",
+ *   watchFrom: string (ISO),       // End of the grace period
+ *   watchUntil: string (ISO),      // End of the watch window
+ *   nextCheckAt: string (ISO) | null,
+ *   checkedAt: string (ISO) | null,
+ *   messagesSince: number          // Mail from the sender since watchFrom
+ * }
+ */
+
+const decisionStore = require('./decisionStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Business days a sender has to honour an unsubscribe (CAN-SPAM)
+const DEFAULT_GRACE_BUSINESS_DAYS = 10;
+
+// Days the sender is watched after the grace period
+const DEFAULT_WATCH_DAYS = 14;
+
+// Delay between checks of one decision
+const DEFAULT_RECHECK_MS = DAY_MS;
+
+// How often the worker looks for due checks
+const DEFAULT_POLL_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Adds business days (Monday to Friday, UTC) to a date.
+ *
+ * @param {Date} date - Start
+ * @param {number} days - Business days to add
+ * @returns {Date} The date `days` business days later, same time of day
+ */
+function addBusinessDays(date, days) {
+    const result = new Date(date.getTime());
+    let added = 0;
+    while (added < days) {
+        result.setUTCDate(result.getUTCDate() + 1);
+        const weekday = result.getUTCDay();
+        if (weekday !== 0 && weekday !== 6) added++;
+    }
+    return result;
+}
+
+class UnsubscribeVerifier {
+    /**
+     * @param {object} options
+     * @param {Function} options.findProvider - async (decision) => provider|null;
+     *   the provider for the mailbox a decision was made in, using stored
+     *   credentials. Null when there are none (token-only callers).
+     * @param {number} [options.graceBusinessDays=10] - Grace period in business days
+     * @param {number} [options.watchDays=14] - Watch window in days
+     * @param {number} [options.recheckMs] - Delay between checks of one decision
+     * @param {number} [options.pollIntervalMs] - Worker polling interval
+     */
+    constructor(options) {
+        this.findProvider = options.findProvider;
+        this.graceBusinessDays = options.graceBusinessDays ?? DEFAULT_GRACE_BUSINESS_DAYS;
+        this.watchDays = options.watchDays ?? DEFAULT_WATCH_DAYS;
+        this.recheckMs = options.recheckMs ?? DEFAULT_RECHECK_MS;
+        this.pollIntervalMs = options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+
+        this.timer = null;
+        this.ticking = false;
+    }
+
+    /**
+     * Builds the verification record for an unsubscribe that just succeeded.
+     *
+     * @param {Date} [unsubscribedAt] - When the unsubscribe went through
+     * @returns {object} Pending verification
+     */
+    schedule(unsubscribedAt = new Date()) {
+        const watchFrom = addBusinessDays(unsubscribedAt, this.graceBusinessDays);
+        return {
+            status: 'pending',
+            watchFrom: watchFrom.toISOString(),
+            watchUntil: new Date(watchFrom.getTime() + this.watchDays * DAY_MS).toISOString(),
+            nextCheckAt: watchFrom.toISOString(),
+            checkedAt: null,
+            messagesSince: 0
+        };
+    }
+
+    /**
+     * Whether a decision's verification is waiting for a check.
+     *
+     * @param {object} decision - Decision record
+     * @param {Date} [now]
+     * @returns {boolean}
+     */
+    isDue(decision, now = new Date()) {
+        const verification = decision.verification;
+        return !!(verification && verification.status === 'pending'
+            && new Date(verification.nextCheckAt) <= now);
+    }
+
+    /**
+     * Checks one decision's sender for mail since the grace period ended.
+     *
+     * @param {object} decision - Decision with a pending verification and senderAddress
+     * @param {object} provider - Provider for the mailbox the decision was made in
+     * @param {Date} [now]
+     * @returns {Promise<object>} The updated verification
+     */
+    async check(decision, provider, now = new Date()) {
+        const verification = { ...decision.verification, checkedAt: now.toISOString() };
+
+        if (typeof provider.countSenderMailSince !== 'function' || !decision.senderAddress) {
+            return { ...verification, status: 'unverifiable', nextCheckAt: null };
+        }
+
+        const messages = await provider.countSenderMailSince(decision.senderAddress, new Date(verification.watchFrom));
+        verification.messagesSince = messages;
+
+        if (messages > 0) {
+            return { ...verification, status: 'still-sending', nextCheckAt: null };
+        }
+        if (now >= new Date(verification.watchUntil)) {
+            return { ...verification, status: 'confirmed', nextCheckAt: null };
+        }
+        return { ...verification, nextCheckAt: new Date(now.getTime() + this.recheckMs).toISOString() };
+    }
+
+    /**
+     * Runs the due checks among some decisions with one provider, and saves
+     * the results. Failed checks are retried at the next recheck.
+     *
+     * @param {object[]} decisions - Decisions made in the provider's mailbox
+     * @param {object} provider - Email provider
+     * @param {Date} [now]
+     * @returns {Promise<number>} Number of decisions checked
+     */
+    async checkDue(decisions, provider, now = new Date()) {
+        let checked = 0;
+        for (const decision of decisions) {
+            if (!this.isDue(decision, now)) continue;
+
+            let verification;
+            try {
+                verification = await this.check(decision, provider, now);
+            } catch (error) {
+                console.error(`Verification of decision ${decision.id} failed:`, error.message);
+                verification = {
+                    ...decision.verification,
+                    nextCheckAt: new Date(now.getTime() + this.recheckMs).toISOString()
+                };
+            }
+
+            await decisionStore.updateDecision(decision.id, (stored) => {
+                stored.verification = verification;
+            });
+            decision.verification = verification;
+            checked++;
+        }
+        return checked;
+    }
+
+    /**
+     * Checks every due decision the worker has credentials for. Overlapping
+     * ticks are skipped.
+     *
+     * @returns {Promise<number>} Number of decisions checked
+     */
+    async tick() {
+        if (this.ticking) return 0;
+        this.ticking = true;
+
+        let checked = 0;
+        try {
+            const now = new Date();
+            const sessions = await decisionStore.listSessions();
+            const due = sessions
+                .flatMap(session => session.decisions)
+                .filter(decision => this.isDue(decision, now));
+
+            for (const decision of due) {
+                const provider = await this.findProvider(decision);
+                if (!provider) continue;
+                checked += await this.checkDue([decision], provider, now);
+            }
+        } finally {
+            this.ticking = false;
+        }
+        return checked;
+    }
+
+    /**
+     * Starts the background worker. Safe to call more than once.
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.tick().catch(err => console.error('Verification worker error:', err));
+        }, this.pollIntervalMs);
+        // Don't keep the process alive just for the worker
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    /**
+     * Stops the background worker.
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = UnsubscribeVerifier;
@@ -1,9 +1,10 @@
 /**
- * userStore.js — Simple JSON file-based user storage.
+ * userStore.js — User account storage.
  *
- * Stores user records in data/users.json, matching the existing pattern
- * used by data/decisions.json. Each user has an identity provider
- * (Apple or Google) and optional Gmail OAuth tokens for inbox access.
+ * Stores user records through the configured storage backend (see
+ * storage/index.js): data/users.json by default, or SQLite. Each user has
+ * an identity provider (Apple or Google) and any number of connected
+ * mailboxes (Gmail, Outlook or IMAP) for inbox access.
  *
  * User record shape:
  * {
@@ -12,57 +13,184 @@
  *   email: string,                 // User's email (from Apple or Google)
  *   name: string | null,           // Display name
  *   authProvider: "apple" | "google",
- *   gmailTokens: {                 // Present after Gmail is connected
- *     access_token: string,
- *     refresh_token: string,
- *     expiry_date: number
- *   } | null,
- *   gmailEmail: string | null,     // Gmail address (may differ from Apple email)
+ *   mailboxes: [{                  // Connected mailboxes; the first is the default
+ *     id: string (UUID),
+ *     provider: "gmail" | "outlook" | "imap",
+ *     email: string,               // Mailbox address (may differ from Apple email)
+ *     label: string | null,        // User-chosen name, e.g. "Side project"
+ *     credentials: Object,         // Gmail/Outlook OAuth tokens or an IMAP
+ *                                  // login (see providers/*Provider.js)
+ *     connectedAt: string (ISO)
+ *   }],
+ *   cleanupPolicy: string[],       // Cleanup after unsubscribing (see cleanupPolicy.js)
  *   createdAt: string (ISO),
  *   lastLoginAt: string (ISO)
  * }
+ *
+ * Mailbox credentials are encrypted at rest (see tokenCrypto.js): on disk
+ * they hold a sealed envelope, and every function here takes and returns
+ * plaintext. Records written before encryption existed, or sealed with a
+ * key that has since been rotated out, are re-sealed with the active key at
+ * startup.
+ *
+ * Records from before multiple mailboxes (one gmailTokens/gmailEmail,
+ * imapCredentials or outlookTokens/outlookEmail field, and mailProvider
+ * naming the one in use) are moved into `mailboxes` at startup as well.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
+const { sealTokens, openTokens, needsReseal, checkKeyring } = require('./tokenCrypto');
+const { getStorage, initStorage } = require('./storage');
 
-// User data file path — stored alongside decisions.json in the data/ directory
-const USERS_FILE = path.join(__dirname, '../data/users.json');
+// Single-mailbox fields of older records: credentials field → provider and
+// the field holding the mailbox address
+const LEGACY_MAILBOX_FIELDS = {
+    gmailTokens: { provider: 'gmail', emailField: 'gmailEmail' },
+    outlookTokens: { provider: 'outlook', emailField: 'outlookEmail' },
+    imapCredentials: { provider: 'imap', emailField: null }
+};
 
 /**
- * Ensures the users.json file exists. Creates it with an empty array if missing.
+ * Checks the token encryption keys, prepares user storage (creates the
+ * users file or runs database migrations), moves single-mailbox records to
+ * `mailboxes` and re-encrypts any credentials that need it.
  * Called once at server startup.
  */
 async function initUsersFile() {
-    try {
-        // Ensure the data/ directory exists (gitignored, won't be in the repo)
-        const dataDir = path.dirname(USERS_FILE);
-        await fs.mkdir(dataDir, { recursive: true });
-
-        await fs.access(USERS_FILE);
-    } catch {
-        // File doesn't exist — create it with empty users array
-        await fs.writeFile(USERS_FILE, JSON.stringify({ users: [] }, null, 2));
+    checkKeyring();
+    await initStorage();
+    await migrateMailboxes();
+    await reencryptTokens();
+}
+
+/**
+ * Runs a transaction against the users collection.
+ *
+ * @param {Function} fn - (tx) => result, see storage/index.js
+ * @returns {Promise<*>} fn's return value
+ */
+function transaction(fn) {
+    return getStorage().users.transaction(fn);
+}
+
+/**
+ * Seals the mailbox credentials of a record for storage. Credentials
+ * already sealed with the active key are left as they are.
+ *
+ * @param {Object} user - Record with plaintext (or sealed) credentials
+ * @returns {Object} Copy of the record with sealed credentials
+ */
+function sealUser(user) {
+    const sealed = { ...user };
+    if (Array.isArray(user.mailboxes)) {
+        sealed.mailboxes = user.mailboxes.map(mailbox => (needsReseal(mailbox.credentials)
+            ? { ...mailbox, credentials: sealTokens(mailbox.credentials, user.id) }
+            : mailbox));
     }
+    return sealed;
+}
+
+/**
+ * Opens the mailbox credentials of a stored record.
+ *
+ * @param {Object|null} user - Record as stored
+ * @returns {Object|null} Copy of the record with plaintext credentials
+ */
+function openUser(user) {
+    if (!user) return null;
+    return {
+        ...user,
+        mailboxes: (user.mailboxes || []).map(mailbox => ({
+            ...mailbox,
+            credentials: mailbox.credentials ? openTokens(mailbox.credentials, user.id) : null
+        }))
+    };
+}
+
+/**
+ * Whether any mailbox of a stored record needs (re-)sealing.
+ *
+ * @param {Object} user - Record as stored
+ * @returns {boolean}
+ */
+function userNeedsReseal(user) {
+    return (user.mailboxes || []).some(mailbox => needsReseal(mailbox.credentials));
 }
 
 /**
- * Reads all users from the JSON file.
- * @returns {Promise<Array>} Array of user objects
+ * Re-seals every record whose credentials are still plaintext or were
+ * sealed with a key that is no longer active. Runs at startup, which makes
+ * both the plaintext migration and key rotation happen without any manual
+ * step.
+ *
+ * @returns {Promise<number>} Number of records re-encrypted
  */
-async function readUsers() {
-    const data = await fs.readFile(USERS_FILE, 'utf8');
-    const parsed = JSON.parse(data);
-    return parsed.users || [];
+async function reencryptTokens() {
+    const updated = await transaction(tx => {
+        let count = 0;
+        for (const user of tx.all()) {
+            if (userNeedsReseal(user)) {
+                tx.put(sealUser(user));
+                count++;
+            }
+        }
+        return count;
+    });
+
+    if (updated > 0) {
+        console.log(`userStore: re-encrypted tokens for ${updated} user(s)`);
+    }
+    return updated;
 }
 
 /**
- * Writes the full users array back to the JSON file.
- * @param {Array} users - Complete array of user objects to persist
+ * Moves the single-mailbox fields of older records into `mailboxes`. The
+ * mailbox named by mailProvider (Gmail if unset) comes first, so it stays
+ * the default. Sealed credentials are moved as they are: both use the
+ * user ID as sealing context.
+ *
+ * @returns {Promise<number>} Number of records migrated
  */
-async function writeUsers(users) {
-    await fs.writeFile(USERS_FILE, JSON.stringify({ users }, null, 2));
+async function migrateMailboxes() {
+    const migrated = await transaction(tx => {
+        let count = 0;
+        for (const user of tx.all()) {
+            const legacy = Object.keys(LEGACY_MAILBOX_FIELDS).filter(field => field in user);
+            if (legacy.length === 0 && !('mailProvider' in user)) continue;
+
+            const active = user.mailProvider || 'gmail';
+            const moved = legacy
+                .filter(field => user[field])
+                .map((field) => {
+                    const { provider, emailField } = LEGACY_MAILBOX_FIELDS[field];
+                    return {
+                        id: crypto.randomUUID(),
+                        provider,
+                        email: (emailField ? user[emailField] : user[field].email) || user.email || null,
+                        label: null,
+                        credentials: user[field],
+                        connectedAt: user.lastLoginAt || user.createdAt || new Date().toISOString()
+                    };
+                })
+                .sort((a, b) => (b.provider === active) - (a.provider === active));
+
+            const record = { ...user, mailboxes: [...(user.mailboxes || []), ...moved] };
+            for (const field of Object.keys(LEGACY_MAILBOX_FIELDS)) {
+                delete record[field];
+                delete record[LEGACY_MAILBOX_FIELDS[field].emailField];
+            }
+            delete record.mailProvider;
+
+            tx.put(sealUser(record));
+            count++;
+        }
+        return count;
+    });
+
+    if (migrated > 0) {
+        console.log(`userStore: moved ${migrated} user(s) to multiple mailboxes`);
+    }
+    return migrated;
 }
 
 /**
@@ -73,8 +201,7 @@ async function writeUsers(users) {
  * @returns {Promise<Object|null>} User record or null if not found
  */
 async function findByAppleId(appleUserId) {
-    const users = await readUsers();
-    return users.find(u => u.appleUserId === appleUserId) || null;
+    return openUser(await transaction(tx => tx.find('appleUserId', appleUserId)));
 }
 
 /**
@@ -84,8 +211,7 @@ async function findByAppleId(appleUserId) {
  * @returns {Promise<Object|null>} User record or null if not found
  */
 async function findById(userId) {
-    const users = await readUsers();
-    return users.find(u => u.id === userId) || null;
+    return openUser(await transaction(tx => tx.find('id', userId)));
 }
 
 /**
@@ -97,8 +223,7 @@ async function findById(userId) {
  * @returns {Promise<Object|null>} User record or null if not found
  */
 async function findByEmail(email) {
-    const users = await readUsers();
-    return users.find(u => u.email === email) || null;
+    return openUser(await transaction(tx => tx.find('email', email)));
 }
 
 /**
@@ -109,25 +234,23 @@ async function findByEmail(email) {
  * @param {string} userData.email - User's email address
  * @param {string} [userData.name] - User's display name
  * @param {string} userData.authProvider - "apple" or "google"
+ * @param {Object[]} [userData.mailboxes] - Connected mailboxes (plaintext credentials)
  * @returns {Promise<Object>} The created user record with generated ID and timestamps
  */
 async function createUser(userData) {
-    const users = await readUsers();
-
     const newUser = {
         id: crypto.randomUUID(),
         appleUserId: userData.appleUserId || null,
         email: userData.email,
         name: userData.name || null,
         authProvider: userData.authProvider,
-        gmailTokens: userData.gmailTokens || null,
-        gmailEmail: userData.gmailEmail || null,
+        mailboxes: userData.mailboxes || [],
+        cleanupPolicy: [],
         createdAt: new Date().toISOString(),
         lastLoginAt: new Date().toISOString()
     };
 
-    users.push(newUser);
-    await writeUsers(users);
+    await transaction(tx => tx.put(sealUser(newUser)));
     return newUser;
 }
 
@@ -140,17 +263,118 @@ async function createUser(userData) {
  * @returns {Promise<Object|null>} Updated user record, or null if user not found
  */
 async function updateUser(userId, updates) {
-    const users = await readUsers();
-    const index = users.findIndex(u => u.id === userId);
+    const updated = await transaction(tx => {
+        const existing = tx.find('id', userId);
+        if (!existing) {
+            return null;
+        }
 
-    if (index === -1) {
-        return null;
-    }
+        // Merge updates into existing record (shallow merge). Mailbox
+        // credentials in the updates arrive as plaintext and are sealed on
+        // the way in.
+        const merged = sealUser({ ...existing, ...updates });
+        tx.put(merged);
+        return merged;
+    });
+    return openUser(updated);
+}
+
+/**
+ * Connects a mailbox to a user. Connecting an address that is already
+ * connected on the same provider replaces its credentials and keeps its
+ * ID and label, so reconnecting doesn't create a duplicate.
+ *
+ * @param {string} userId - The user's server-side ID
+ * @param {Object} mailbox
+ * @param {string} mailbox.provider - Provider name, e.g. "gmail"
+ * @param {string} mailbox.email - Mailbox address
+ * @param {Object} mailbox.credentials - Plaintext credentials
+ * @param {string|null} [mailbox.label] - Display name
+ * @returns {Promise<Object|null>} The stored mailbox (plaintext), or null if
+ *   the user doesn't exist
+ */
+async function addMailbox(userId, { provider, email, credentials, label = null }) {
+    let mailboxId = null;
+    const user = await mutateMailboxes(userId, (mailboxes) => {
+        const existing = mailboxes.find(m => m.provider === provider
+            && (m.email || '').toLowerCase() === (email || '').toLowerCase());
+        if (existing) {
+            mailboxId = existing.id;
+            return mailboxes.map(m => (m === existing
+                ? { ...m, email, credentials, label: label || m.label, connectedAt: new Date().toISOString() }
+                : m));
+        }
+
+        mailboxId = crypto.randomUUID();
+        return [...mailboxes, {
+            id: mailboxId,
+            provider,
+            email,
+            label: label || null,
+            credentials,
+            connectedAt: new Date().toISOString()
+        }];
+    });
+    return user ? user.mailboxes.find(m => m.id === mailboxId) : null;
+}
+
+/**
+ * Changes a mailbox's label and/or credentials.
+ *
+ * @param {string} userId - The user's server-side ID
+ * @param {string} mailboxId - Mailbox ID
+ * @param {Object} changes - { label?, credentials? }; an empty label clears it
+ * @returns {Promise<Object|null>} The updated mailbox, or null if the user
+ *   or mailbox doesn't exist
+ */
+async function updateMailbox(userId, mailboxId, changes) {
+    const patch = {};
+    if ('label' in changes) patch.label = changes.label || null;
+    if ('credentials' in changes) patch.credentials = changes.credentials;
 
-    // Merge updates into existing record (shallow merge)
-    users[index] = { ...users[index], ...updates };
-    await writeUsers(users);
-    return users[index];
+    const user = await mutateMailboxes(userId, mailboxes => mailboxes.map(m => (
+        m.id === mailboxId ? { ...m, ...patch } : m
+    )));
+    return (user && user.mailboxes.find(m => m.id === mailboxId)) || null;
+}
+
+/**
+ * Disconnects a mailbox and deletes its credentials.
+ *
+ * @param {string} userId - The user's server-side ID
+ * @param {string} mailboxId - Mailbox ID
+ * @returns {Promise<boolean>} True if the mailbox was found and removed
+ */
+async function removeMailbox(userId, mailboxId) {
+    let removed = false;
+    await mutateMailboxes(userId, (mailboxes) => {
+        removed = mailboxes.some(m => m.id === mailboxId);
+        return mailboxes.filter(m => m.id !== mailboxId);
+    });
+    return removed;
+}
+
+/**
+ * Replaces a user's mailboxes with fn(current mailboxes) in one transaction.
+ * Mailboxes fn leaves alone keep their sealed credentials.
+ *
+ * @param {string} userId - The user's server-side ID
+ * @param {Function} fn - (mailboxes as stored) => new mailboxes
+ * @returns {Promise<Object|null>} Updated user record, or null if not found
+ * @private
+ */
+async function mutateMailboxes(userId, fn) {
+    const updated = await transaction(tx => {
+        const existing = tx.find('id', userId);
+        if (!existing) {
+            return null;
+        }
+
+        const merged = sealUser({ ...existing, mailboxes: fn(existing.mailboxes || []) });
+        tx.put(merged);
+        return merged;
+    });
+    return openUser(updated);
 }
 
 /**
@@ -160,15 +384,7 @@ async function updateUser(userId, updates) {
  * @returns {Promise<boolean>} True if user was found and deleted
  */
 async function deleteUser(userId) {
-    const users = await readUsers();
-    const filtered = users.filter(u => u.id !== userId);
-
-    if (filtered.length === users.length) {
-        return false; // User not found
-    }
-
-    await writeUsers(filtered);
-    return true;
+    return transaction(tx => tx.remove(userId));
 }
 
 module.exports = {
@@ -178,5 +394,10 @@ module.exports = {
     findByEmail,
     createUser,
     updateUser,
-    deleteUser
+    deleteUser,
+    addMailbox,
+    updateMailbox,
+    removeMailbox,
+    migrateMailboxes,
+    reencryptTokens
 };